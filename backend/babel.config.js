@@ -0,0 +1,8 @@
+// Jest runs the ES module sources (engine, routes) as CommonJS; the server runs them natively
+module.exports = {
+    env: {
+        test: {
+            plugins: ['@babel/plugin-transform-modules-commonjs']
+        }
+    }
+};
@@ -8,6 +8,10 @@ const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
 const RedditSentimentEngine = require('./RedditSentimentEngine.js');
 const MLModelsEngine = require('./MLModelsEngine.js');
+const { getMarketDataProvider, getDataQualityValidator, getTimeframeMs, DAY_MS, systemClock } = require('../market/index.js');
+
+// Bump whenever createTradingPrompt or the system prompts change: recorded responses are keyed by it
+const PROMPT_VERSION = 'v1';
 
 class AIModelManager {
     constructor(config = {}) {
@@ -26,6 +30,12 @@ class AIModelManager {
         this.redditSentiment = new RedditSentimentEngine();
         this.mlModels = new MLModelsEngine();
         
+        // Market data source shared with the engines
+        this.marketData = config.marketDataProvider || getMarketDataProvider();
+        this.dataQuality = config.dataQualityValidator || getDataQualityValidator();
+        this.clock = config.clock || systemClock; // "now" of the data windows (simulated in replays)
+        this.promptVersion = PROMPT_VERSION;
+        
         // Model configurations
         this.models = {
             'gpt-4': {
@@ -207,11 +217,11 @@ class AIModelManager {
      */
     createTradingPrompt(symbol, marketData) {
         const latest = marketData[marketData.length - 1];
-        const previous = marketData[marketData.length - 2];
+        const previous = marketData[marketData.length - 2] || latest;
         
-        // Calculate key metrics
+        // Calculate key metrics (series without volume report no volume change)
         const priceChange = ((latest.close - previous.close) / previous.close) * 100;
-        const volumeChange = ((latest.volume - previous.volume) / previous.volume) * 100;
+        const volumeChange = previous.volume ? `${(((latest.volume - previous.volume) / previous.volume) * 100).toFixed(2)}%` : 'n/a';
         
         // Get recent price action (last 20 periods)
         const recentData = marketData.slice(-20);
@@ -226,7 +236,7 @@ class AIModelManager {
         // Simple technical indicators
         const sma5 = closes.slice(-5).reduce((a, b) => a + b) / 5;
         const sma20 = closes.reduce((a, b) => a + b) / closes.length;
-        const rsi = this.calculateSimpleRSI(closes.slice(-14));
+        const rsi = this.calculateSimpleRSI(closes.slice(-15));
         
         return `
 TRADING ANALYSIS REQUEST
@@ -234,7 +244,7 @@ TRADING ANALYSIS REQUEST
 Symbol: ${symbol}
 Current Price: $${currentPrice.toFixed(4)}
 Price Change (24h): ${priceChange.toFixed(2)}%
-Volume Change: ${volumeChange.toFixed(2)}%
+Volume Change: ${volumeChange}
 
 TECHNICAL LEVELS:
 - Support: $${support.toFixed(4)}
@@ -286,7 +296,7 @@ Consider:
         const avgGain = gains / period;
         const avgLoss = losses / period;
         
-        if (avgLoss === 0) return 100;
+        if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
         
         const rs = avgGain / avgLoss;
         return 100 - (100 / (1 + rs));
@@ -352,8 +362,12 @@ Consider:
         try {
             const { model = 'gpt-4', includeML = true, includeSentiment = true, interval = '1min' } = analysisOptions;
             
-            // Get real market data via Yahoo Finance API
-            const marketData = await this.getMarketData(symbol, timeframe);
+            // Get real market data via Yahoo Finance API, repaired and scored before use
+            const { bars: marketData, report: dataQuality } = this.dataQuality.validate(
+                await this.getMarketData(symbol, timeframe),
+                { symbol, timeframe, now: this.clock.now() }
+            );
+            this.dataQuality.assertQuality(dataQuality);
             
             // Get ML predictions if requested
             let mlPredictions = null;
@@ -401,13 +415,15 @@ Consider:
                 ...analysis,
                 cost: totalCost,
                 model: model,
-                timestamp: new Date(),
+                timestamp: this.clock.now(),
                 mlPredictions,
-                sentimentData
+                sentimentData,
+                dataQuality
             };
             
         } catch (error) {
             console.error('Enhanced AI Analysis failed:', error);
+            if (error.code === 'DATA_QUALITY_TOO_LOW') throw error;
             throw new Error(`Enhanced AI analysis failed: ${error.message}`);
         }
     }
@@ -515,38 +531,32 @@ Consider:
      */
     async getMarketData(symbol, timeframe = '1d') {
         try {
-            // Import yahoo finance dynamically to avoid startup issues
-            const yahooFinance = await import('yahoo-finance2');
-            
-            // Determine the period based on timeframe
-            const periodMap = {
-                '1m': '5d',    // 5 days for 1-minute data
-                '5m': '1mo',   // 1 month for 5-minute data
-                '15m': '3mo',  // 3 months for 15-minute data
-                '1h': '6mo',   // 6 months for hourly data
-                '1d': '1y',    // 1 year for daily data
-                '1w': '2y',    // 2 years for weekly data
-                '1M': '5y'     // 5 years for monthly data
+            // Lookback in days per timeframe (within what providers serve intraday)
+            const lookbackDays = {
+                '1m': 5,
+                '5m': 30,
+                '15m': 50,
+                '30m': 50,
+                '1h': 180,
+                '4h': 365,
+                '1d': 365,
+                '1w': 730,
+                '1M': 1825
             };
             
-            const period = periodMap[timeframe] || '1y';
+            // Custom timeframes look back roughly 150 bars; invalid ones throw here
+            const days = lookbackDays[timeframe] || Math.ceil(getTimeframeMs(timeframe) * 150 / DAY_MS);
             
-            // Fetch real historical data from Yahoo Finance
-            const historicalData = await yahooFinance.default.historical(symbol, {
-                period1: new Date(Date.now() - (period === '5d' ? 5 * 24 * 60 * 60 * 1000 :
-                                              period === '1mo' ? 30 * 24 * 60 * 60 * 1000 :
-                                              period === '3mo' ? 90 * 24 * 60 * 60 * 1000 :
-                                              period === '6mo' ? 180 * 24 * 60 * 60 * 1000 :
-                                              period === '1y' ? 365 * 24 * 60 * 60 * 1000 :
-                                              period === '2y' ? 730 * 24 * 60 * 60 * 1000 :
-                                              1825 * 24 * 60 * 60 * 1000)), // 5 years
-                period2: new Date(),
-                interval: timeframe
+            // Fetch historical data from the configured provider
+            const historicalData = await this.marketData.getHistoricalBars(symbol, {
+                start: new Date(this.clock.now().getTime() - days * 24 * 60 * 60 * 1000),
+                end: this.clock.now(),
+                timeframe
             });
             
             // Convert to our format and limit to last 100 points for analysis
             const formattedData = historicalData.slice(-100).map(candle => ({
-                timestamp: candle.date,
+                timestamp: candle.timestamp,
                 open: candle.open,
                 high: candle.high,
                 low: candle.low,
@@ -562,6 +572,7 @@ Consider:
             
         } catch (error) {
             console.error(`Error fetching market data for ${symbol}:`, error);
+            if (error.code === 'UNSUPPORTED_TIMEFRAME') throw error;
             throw new Error(`Unable to fetch real market data for ${symbol}. Please check the symbol is valid.`);
         }
     }
@@ -585,3 +596,4 @@ Consider:
 }
 
 module.exports = AIModelManager;
+module.exports.PROMPT_VERSION = PROMPT_VERSION;
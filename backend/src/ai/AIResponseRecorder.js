@@ -0,0 +1,166 @@
+/**
+ * AI Response Recorder
+ * Sits between the backtest engine and AIModelManager.analyzeMarket so runs
+ * can be repeated without calling (and paying for) the models again.
+ *
+ * Modes:
+ *  - live    always call the model, nothing is stored
+ *  - record  replay recorded responses, call the model and record on a miss (default)
+ *  - replay  only replay; a missing or outdated recording fails the run
+ *
+ * Responses are keyed by symbol, timeframe, bar timestamp, model and prompt
+ * version. The prompt hash is stored alongside, so a recording made from
+ * different input data (another adjustment mode, an edited dataset) is a miss.
+ *
+ * Recorders given the same `cache` Map (e.g. every run of a parameter sweep)
+ * also share responses in memory, in any mode: identical prompts, including
+ * ones in flight on concurrent runs, reach the model once.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AIResponse = require('../models/AIResponse.js');
+
+const AI_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Thrown in replay mode when a bar has no usable recording
+ */
+class ResponseNotRecordedError extends Error {
+    constructor(key, reason = null) {
+        super(reason || `No recorded ${key.modelId} response for ${key.symbol} ${key.timeframe} at ${new Date(key.barTimestamp).toISOString()} (prompt ${key.promptVersion})`);
+        this.name = 'ResponseNotRecordedError';
+        this.code = 'AI_RESPONSE_NOT_RECORDED';
+        this.statusCode = 409;
+    }
+}
+
+class AIResponseRecorder {
+    /**
+     * @param {Object} config - { aiManager, mode, store, cache }
+     */
+    constructor(config = {}) {
+        if (config.mode && !AI_MODES.includes(config.mode)) {
+            throw new Error(`Unknown AI mode ${config.mode}. Use ${AI_MODES.join(', ')}`);
+        }
+
+        this.aiManager = config.aiManager;
+        this.mode = config.mode || 'record';
+        this.store = config.store || AIResponse;
+        this.cache = config.cache || null;
+        this.reset();
+    }
+
+    reset() {
+        this.stats = { replayed: 0, live: 0, recorded: 0, liveCost: 0 };
+    }
+
+    isStoreAvailable() {
+        return this.store !== AIResponse || mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Analysis for one bar, replayed when possible
+     * @param {Object} request - { modelId, symbol, timeframe, barTimestamp, marketData, userTier }
+     * @returns analysis with `replayed: true|false`
+     */
+    async analyze(request) {
+        const { modelId, symbol, timeframe, barTimestamp } = request;
+        const key = { symbol, timeframe, barTimestamp, modelId, promptVersion: this.aiManager.promptVersion };
+        const prompt = this.aiManager.createTradingPrompt(symbol, request.marketData);
+        const promptHash = crypto.createHash('sha256').update(prompt).digest('hex');
+
+        if (!this.cache) {
+            return this.resolve(key, prompt, promptHash, request);
+        }
+
+        const cacheKey = [symbol, timeframe, new Date(barTimestamp).getTime(), modelId, key.promptVersion, promptHash].join('|');
+        const cached = this.cache.get(cacheKey);
+        if (cached) {
+            const analysis = await cached;
+            this.stats.replayed++;
+            return { ...analysis, replayed: true };
+        }
+
+        const pending = this.resolve(key, prompt, promptHash, request);
+        this.cache.set(cacheKey, pending);
+        try {
+            return await pending;
+        } catch (error) {
+            this.cache.delete(cacheKey);
+            throw error;
+        }
+    }
+
+    /**
+     * Replayed, live or recorded analysis according to the mode
+     */
+    async resolve(key, prompt, promptHash, request) {
+        const { modelId, symbol, marketData, userTier } = request;
+
+        if (this.mode === 'live') {
+            return this.analyzeLive(modelId, symbol, marketData, userTier);
+        }
+
+        if (!this.isStoreAvailable()) {
+            if (this.mode === 'replay') {
+                throw new ResponseNotRecordedError(key, 'Replay needs the recorded responses, but the database is not connected');
+            }
+            return this.analyzeLive(modelId, symbol, marketData, userTier);
+        }
+
+        const recorded = await this.store.findRecorded(key);
+        if (recorded && recorded.promptHash === promptHash) {
+            this.stats.replayed++;
+            return { ...recorded.response, replayed: true };
+        }
+
+        if (this.mode === 'replay') {
+            throw new ResponseNotRecordedError(key);
+        }
+
+        const analysis = await this.analyzeLive(modelId, symbol, marketData, userTier);
+        await this.store.record(key, { promptHash, prompt, response: analysis, cost: analysis.cost || 0 });
+        this.stats.recorded++;
+
+        return analysis;
+    }
+
+    async analyzeLive(modelId, symbol, marketData, userTier) {
+        const analysis = await this.aiManager.analyzeMarket(modelId, symbol, marketData, userTier);
+        this.stats.live++;
+        this.stats.liveCost += analysis.cost || 0;
+        return { ...analysis, replayed: false };
+    }
+
+    /**
+     * Run summary with its status (see getReplayStatus)
+     */
+    getReport() {
+        const { replayed, live, recorded, liveCost } = this.stats;
+
+        return {
+            mode: this.mode,
+            status: getReplayStatus(this.stats),
+            promptVersion: this.aiManager.promptVersion,
+            replayed,
+            live,
+            recorded,
+            liveCost: Number(liveCost.toFixed(4))
+        };
+    }
+}
+
+/**
+ * How a run's AI responses were obtained: no_ai_calls (rule strategies, refused
+ * data), fully_replayed, partially_live or fully_live
+ */
+function getReplayStatus({ replayed = 0, live = 0 }) {
+    if (replayed === 0) return live === 0 ? 'no_ai_calls' : 'fully_live';
+    return live > 0 ? 'partially_live' : 'fully_replayed';
+}
+
+module.exports = AIResponseRecorder;
+module.exports.getReplayStatus = getReplayStatus;
+module.exports.AI_MODES = AI_MODES;
+module.exports.ResponseNotRecordedError = ResponseNotRecordedError;
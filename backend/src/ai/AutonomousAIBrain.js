@@ -7,6 +7,8 @@ const EventEmitter = require('events');
 const RedditSentimentEngine = require('./RedditSentimentEngine.js');
 const MLModelsEngine = require('./MLModelsEngine.js');
 const AIModelManager = require('./AIModelManager.js');
+const PositionSizer = require('../engine/PositionSizer.js');
+const { getMarketCalendar, getInstrumentRegistry, getMarketDataProvider, getCurrencyConverter } = require('../market/index.js');
 
 class AutonomousAIBrain extends EventEmitter {
     constructor(config = {}) {
@@ -19,6 +21,8 @@ class AutonomousAIBrain extends EventEmitter {
             aiWeight: config.aiWeight || 0.3,
             confidenceThreshold: config.confidenceThreshold || 0.7,
             maxPositionsPerUser: config.maxPositionsPerUser || 5,
+            stopLoss: config.stopLoss || 0.02, // 2% stop loss
+            takeProfit: config.takeProfit || 0.06, // 6% take profit
             ...config
         };
         
@@ -129,6 +133,8 @@ class AutonomousAIBrain extends EventEmitter {
             subscription: userConfig.subscription || 'premium',
             maxRisk: userConfig.maxRisk || 0.02, // 2% max risk per trade
             balance: userConfig.balance || 10000,
+            baseCurrency: userConfig.baseCurrency || 'USD',
+            positionSizing: userConfig.positionSizing || null, // PositionSizer options (scaled by confidence by default)
             allowedSymbols: userConfig.allowedSymbols || ['EURUSD', 'GBPUSD', 'USDJPY', 'BTCUSD', 'ETHUSD'],
             aiModel: userConfig.aiModel || 'gpt-4',
             ...userConfig
@@ -180,8 +186,17 @@ class AutonomousAIBrain extends EventEmitter {
             user.allowedSymbols.forEach(symbol => allSymbols.add(symbol));
         });
         
+        // Only spend analysis on markets that are trading right now
+        const calendar = getMarketCalendar();
+        const registry = getInstrumentRegistry();
+        const tradableSymbols = Array.from(allSymbols).filter(symbol => registry.has(symbol) && calendar.isOpen(symbol));
+        
+        if (tradableSymbols.length < allSymbols.size) {
+            console.log(`⏸️ Skipping ${allSymbols.size - tradableSymbols.length} symbol(s) outside market hours`);
+        }
+        
         // Analyze each symbol with AI brain
-        for (const symbol of allSymbols) {
+        for (const symbol of tradableSymbols) {
             try {
                 const analysis = await this.analyzeSymbolWithAIBrain(symbol);
                 this.lastAnalysis.set(symbol, analysis);
@@ -366,8 +381,15 @@ class AutonomousAIBrain extends EventEmitter {
      * Execute individual trade for a specific user
      */
     async executeTradeForUser(userId, userConfig, symbol, analysis) {
+        const side = analysis.finalDecision.action === 'buy' ? 'long' : 'short';
+        
         // Calculate position size based on user's risk tolerance
-        const positionSize = this.calculatePositionSize(userConfig, analysis.finalDecision.confidence);
+        const sizing = await this.calculatePositionSize(userConfig, symbol, side, analysis.finalDecision.confidence);
+        if (!(sizing.quantity > 0)) {
+            console.log(`⚠️ No position for user ${userId} in ${symbol}: ${sizing.reason}`);
+            return;
+        }
+        const positionSize = sizing.quantity;
         
         // Get user's trading engine (this would come from the main app)
         const tradingEngine = await this.getUserTradingEngine(userId);
@@ -380,16 +402,15 @@ class AutonomousAIBrain extends EventEmitter {
         }
         
         // Execute the trade
-        const side = analysis.finalDecision.action === 'buy' ? 'long' : 'short';
-        
-        console.log(`📈 Executing ${side} trade for user ${userId}: ${symbol} (${positionSize} units)`);
+        console.log(`📈 Executing ${side} trade for user ${userId}: ${symbol} (${positionSize} units, ${sizing.model} sizing)`);
         
         const tradeResult = await tradingEngine.openPosition(symbol, side, positionSize, {
-            stopLoss: 0.02, // 2% stop loss
-            takeProfit: 0.06, // 6% take profit
+            stopLoss: this.config.stopLoss,
+            takeProfit: this.config.takeProfit,
             reason: 'autonomous_ai',
             confidence: analysis.finalDecision.confidence,
-            aiAnalysis: analysis
+            aiAnalysis: analysis,
+            sizing
         });
         
         // Update stats
@@ -402,6 +423,7 @@ class AutonomousAIBrain extends EventEmitter {
             symbol,
             side,
             positionSize,
+            sizing,
             confidence: analysis.finalDecision.confidence,
             analysis,
             tradeResult
@@ -411,12 +433,31 @@ class AutonomousAIBrain extends EventEmitter {
     }
     
     /**
-     * Calculate position size based on user config and confidence
+     * Size an entry with the user's sizing model (PositionSizer result: quantity, model, inputs)
      */
-    calculatePositionSize(userConfig, confidence) {
-        const baseSize = userConfig.balance * userConfig.maxRisk; // 2% of balance
-        const confidenceMultiplier = confidence; // Scale by confidence
-        return Math.floor(baseSize * confidenceMultiplier);
+    async calculatePositionSize(userConfig, symbol, side, confidence) {
+        const marketData = getMarketDataProvider();
+        const sizer = new PositionSizer({
+            riskPerTrade: userConfig.maxRisk,
+            scaleByConfidence: true,
+            ...userConfig.positionSizing
+        });
+        
+        // Sized at the latest price in the user's account currency, with the stop and target the order carries
+        const { price } = await marketData.getLatestQuote(symbol);
+        const fxRate = await getCurrencyConverter().getRate(getInstrumentRegistry().require(symbol).quoteCurrency, userConfig.baseCurrency);
+        const direction = side === 'long' ? 1 : -1;
+        
+        return sizer.size({
+            symbol,
+            price,
+            fxRate,
+            equity: userConfig.balance,
+            stopLoss: price * (1 - direction * this.config.stopLoss),
+            takeProfit: price * (1 + direction * this.config.takeProfit),
+            confidence,
+            bars: await sizer.getRecentBars(marketData, symbol)
+        });
     }
     
     /**
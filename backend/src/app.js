@@ -23,6 +23,15 @@ const tradingRoutes = require('./routes/trading-production.js');
 const subscriptionRoutes = require('./routes/subscription.js');
 const backtestRoutes = require('./routes/backtest.js');
 const dashboardRoutes = require('./routes/dashboard.js');
+const marketDataRoutes = require('./routes/market-data.js');
+const instrumentRoutes = require('./routes/instruments.js');
+
+// Backtest jobs left unfinished by a previous process
+const BacktestRun = require('./models/BacktestRun.js');
+
+// Live quote streaming
+const { getQuoteStream } = require('./market/index.js');
+const QuoteStreamServer = require('./market/QuoteStreamServer.js');
 
 // Load environment variables
 dotenv.config();
@@ -183,6 +192,8 @@ class TradingAIApp {
         this.app.use('/api/subscription', subscriptionRoutes);
         this.app.use('/api/backtest', backtestRoutes);
         this.app.use('/api/dashboard', dashboardRoutes);
+        this.app.use('/api/market-data', marketDataRoutes);
+        this.app.use('/api/instruments', instrumentRoutes);
 
         // Root endpoint
         this.app.get('/', (req, res) => {
@@ -197,7 +208,9 @@ class TradingAIApp {
                     trading: '/api/trading',
                     subscription: '/api/subscription',
                     backtest: '/api/backtest',
-                    dashboard: '/api/dashboard'
+                    dashboard: '/api/dashboard',
+                    marketData: '/api/market-data',
+                    instruments: '/api/instruments'
                 }
             });
         });
@@ -277,6 +290,11 @@ class TradingAIApp {
                 await mongoDBManager.connect();
                 await mongoDBManager.createIndexes();
                 logger.info('✅ MongoDB connected successfully - Enterprise ready!');
+
+                const interrupted = await BacktestRun.failInterruptedJobs();
+                if (interrupted > 0) {
+                    logger.warn(`⚠️ Marked ${interrupted} interrupted backtest job(s) as failed`);
+                }
             } catch (error) {
                 logger.warn('⚠️ MongoDB not available, running without database:', error.message);
                 // Don't throw error, just continue without database
@@ -295,12 +313,21 @@ class TradingAIApp {
                 logger.info(`💳 Subscriptions: Available at /api/subscription`);
                 logger.info(`📊 Dashboard: Available at /api/dashboard`);
                 logger.info(`🧪 Backtesting: Available at /api/backtest`);
+                logger.info(`🗄️ Market Data: Available at /api/market-data`);
+                logger.info(`🏷️ Instruments: Available at /api/instruments`);
                 logger.info('='.repeat(60));
                 logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
                 logger.info(`🗄️ Database: ${this.mongoUri}`);
                 logger.info('='.repeat(60));
             });
 
+            // Push live ticks to browser clients over WebSocket
+            const quoteStream = getQuoteStream();
+            if (quoteStream) {
+                this.quoteStreamServer = new QuoteStreamServer(quoteStream).attach(server);
+                logger.info(`📶 Quote stream: ws://localhost:${this.port}${this.quoteStreamServer.path}`);
+            }
+
             // Setup graceful shutdown
             this.setupGracefulShutdown(server);
 
@@ -319,6 +346,10 @@ class TradingAIApp {
         const shutdown = async (signal) => {
             logger.info(`🛑 Received ${signal}, shutting down gracefully...`);
 
+            if (this.quoteStreamServer) {
+                this.quoteStreamServer.close();
+            }
+
             server.close(async () => {
                 logger.info('🔌 HTTP server closed');
 
@@ -3,8 +3,182 @@
  * Provides accurate historical simulations with AI model integration
  */
 
-import yahooFinance from 'yahoo-finance2';
+import crypto from 'crypto';
 import AIModelManager from '../ai/AIModelManager.js';
+import AIResponseRecorder from '../ai/AIResponseRecorder.js';
+import BenchmarkComparison, { toValueSeries } from './BenchmarkComparison.js';
+import RuleStrategy, { STRATEGY_TYPES, STRATEGY_PRESETS, combineWithAI } from './RuleStrategy.js';
+import FillModel from './FillModel.js';
+import CarryCostModel from './CarryCostModel.js';
+import PositionSizer from './PositionSizer.js';
+import { getMarketDataProvider, getInstrumentRegistry, getSeriesActions, getCurrencyConverter, getDataQualityValidator, getTimeframeMs, rateAt, DAY_MS, TIMEFRAMES, TIMEFRAME_MS } from '../market/index.js';
+import Dataset from '../models/Dataset.js';
+
+export const PRICE_ADJUSTMENTS = ['adjusted', 'raw'];
+export const AI_MODES = AIResponseRecorder.AI_MODES;
+export const INTRABAR_PATHS = FillModel.INTRABAR_PATHS;
+export const FILL_MODEL_DEFAULTS = FillModel.FILL_MODEL_DEFAULTS;
+
+/**
+ * How signals enter: 'market' at the signal price, 'limit' / 'stop' as working
+ * orders `offset` (a fraction of price) away from it or at the signal's
+ * targetPrice, 'auto' as a limit or stop order by where targetPrice lies.
+ * Working orders expire after `expiryBars` of their symbol.
+ */
+export const ENTRY_ORDER_TYPES = ['market', 'limit', 'stop', 'auto'];
+export const ENTRY_ORDER_DEFAULTS = { type: 'market', offset: null, expiryBars: 5 };
+export { STRATEGY_TYPES, STRATEGY_PRESETS };
+
+/**
+ * Config values optimizers may vary, with their accepted ranges
+ */
+export const TUNABLE_PARAMETERS = {
+    minConfidence: { min: 0, max: 1 },
+    riskPerTrade: { min: 0.001, max: 0.1 },
+    stopDistance: { min: 0.001, max: 0.5 },
+    analysisInterval: { min: 1, max: 50, integer: true },
+    maxPositionShare: { min: 0.01, max: 1 },
+    commission: { min: 0, max: 0.01 },
+    slippage: { min: 0, max: 0.01 }
+};
+
+/**
+ * Validation message for entry order options, or null when they are valid
+ */
+export function getEntryOrdersError(options) {
+    if (options === null || options === undefined) return null;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return 'entryOrders must be an object';
+    }
+    
+    const unknown = Object.keys(options).filter(key => !(key in ENTRY_ORDER_DEFAULTS));
+    if (unknown.length > 0) {
+        return `Unknown entryOrders options: ${unknown.join(', ')}. Use ${Object.keys(ENTRY_ORDER_DEFAULTS).join(', ')}`;
+    }
+    
+    const { type, offset, expiryBars } = options;
+    if (type !== undefined && !ENTRY_ORDER_TYPES.includes(type)) {
+        return `Unknown entryOrders.type ${type}. Use ${ENTRY_ORDER_TYPES.join(', ')}`;
+    }
+    if (offset !== undefined && offset !== null && !(offset > 0 && offset <= 0.5)) {
+        return 'entryOrders.offset must be above 0 and at most 0.5, or null to use the signal\'s targetPrice';
+    }
+    if (expiryBars !== undefined && !(Number.isInteger(expiryBars) && expiryBars >= 1 && expiryBars <= 500)) {
+        return 'entryOrders.expiryBars must be a whole number between 1 and 500';
+    }
+    return null;
+}
+
+/**
+ * Throw BacktestConfigError unless value is acceptable for a tunable parameter
+ */
+export function assertTunableValue(name, value) {
+    const spec = TUNABLE_PARAMETERS[name];
+    if (!spec) {
+        throw new BacktestConfigError(`Unknown parameter ${name}. Tunable: ${Object.keys(TUNABLE_PARAMETERS).join(', ')}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < spec.min || value > spec.max || (spec.integer && !Number.isInteger(value))) {
+        throw new BacktestConfigError(`${name} must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max} (got ${value})`);
+    }
+}
+
+/**
+ * Thrown for invalid optimizer or sweep settings
+ */
+export class BacktestConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BacktestConfigError';
+        this.code = 'INVALID_BACKTEST_CONFIG';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Thrown when a run's abort signal fires (a cancelled backtest job)
+ */
+export class BacktestCancelledError extends Error {
+    constructor(message = 'Backtest was cancelled') {
+        super(message);
+        this.name = 'BacktestCancelledError';
+        this.code = 'BACKTEST_CANCELLED';
+        this.statusCode = 409;
+    }
+}
+
+const HOUR_MS = TIMEFRAME_MS['1h'];
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Errors passed to callers as-is so routes can answer with their code and status
+const RETHROWN_ERRORS = ['UNSUPPORTED_TIMEFRAME', 'DATA_QUALITY_TOO_LOW', 'AI_RESPONSE_NOT_RECORDED', 'INVALID_BACKTEST_CONFIG', 'INVALID_STRATEGY', 'INVALID_FILL_MODEL', 'INVALID_CARRY_COSTS', 'INVALID_POSITION_SIZING', 'BACKTEST_CANCELLED'];
+
+// Least time between two progress reports of a running simulation
+const PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Provider price series for a run: adjusted runs fold dividends into prices
+ * ('total') unless they are credited as cash on split-adjusted prices ('split')
+ */
+function getPriceSeries(adjustment, creditDividends) {
+    if (!PRICE_ADJUSTMENTS.includes(adjustment)) {
+        throw new Error(`Unknown price adjustment ${adjustment}. Use ${PRICE_ADJUSTMENTS.join(' or ')}`);
+    }
+    if (adjustment === 'raw') return 'raw';
+    return creditDividends ? 'split' : 'total';
+}
+
+/**
+ * Counters of fill model events in a run
+ */
+function createFillStats() {
+    return { delayedOrders: 0, partialFills: 0, gapFills: 0, ambiguousBars: 0, finerBarsUsed: 0 };
+}
+
+/**
+ * Sum of a trade's carry costs by type
+ */
+function carryTotal(carryCosts = {}) {
+    return Object.values(carryCosts).reduce((sum, cost) => sum + cost, 0);
+}
+
+/**
+ * Counters of working entry orders in a run
+ */
+function createOrderStats() {
+    return { placed: 0, filled: 0, expired: 0, cancelled: 0, rejected: 0 };
+}
+
+/**
+ * Hash of everything a market feeds into the simulation: bars after quality
+ * repairs, corporate actions and FX rates
+ */
+function fingerprintMarket({ symbol, timeframe, adjustment, bars, corporateActions, fxRates }) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${symbol}|${timeframe}|${adjustment}\n`);
+    for (const bar of bars) {
+        hash.update(`${new Date(bar.timestamp).getTime()},${bar.open},${bar.high},${bar.low},${bar.close},${bar.volume}\n`);
+    }
+    hash.update(JSON.stringify({ corporateActions, fxRates }));
+    return hash.digest('hex');
+}
+
+/**
+ * Fingerprint of a run's input data; runs with the same hash were simulated on identical data
+ */
+function getDataFingerprint(markets) {
+    const bySymbol = Object.fromEntries(markets.map(market => [market.symbol, {
+        hash: market.fingerprint,
+        bars: market.bars.length,
+        start: market.bars[0].timestamp,
+        end: market.bars[market.bars.length - 1].timestamp
+    }]));
+
+    const hash = crypto.createHash('sha256')
+        .update(Object.keys(bySymbol).sort().map(symbol => `${symbol}:${bySymbol[symbol].hash}`).join('\n'))
+        .digest('hex');
+
+    return { hash, markets: bySymbol };
+}
 
 export class BacktestEngine {
     constructor(config = {}) {
@@ -14,10 +188,30 @@ export class BacktestEngine {
             slippage: 0.0005, // 0.05%
             maxPositions: 5,
             riskPerTrade: 0.02,
+            maxPositionShare: 0.2, // largest share of capital in one position
+            minConfidence: 0.6, // signals below this confidence are ignored
+            analysisInterval: 5, // bars between AI analyses
+            stopDistance: null, // stop loss as a fraction of price; null keeps the AI's stop
+            responseCache: null, // Map shared by runs that should reuse each other's AI responses (sweeps)
+            baseCurrency: 'USD', // account currency; P&L is converted at historical FX rates
+            riskFreeRate: 0, // annual, for Sharpe and Sortino
+            fillModel: null, // FillModel options; its slippage defaults to `slippage`
+            entryOrders: null, // ENTRY_ORDER_DEFAULTS overrides (pending limit and stop entries)
+            carryCosts: null, // CarryCostModel options (swap, borrow, margin and funding rates)
+            positionSizing: null, // PositionSizer options; riskPerTrade and maxPositionShare above are its defaults
             ...config
         };
         
-        this.aiManager = new AIModelManager();
+        this.aiManager = config.aiManager || new AIModelManager();
+        this.marketData = config.marketDataProvider || getMarketDataProvider();
+        this.instruments = config.instrumentRegistry || getInstrumentRegistry();
+        this.fx = config.currencyConverter || getCurrencyConverter();
+        this.dataQuality = config.dataQualityValidator || getDataQualityValidator();
+        this.benchmarks = config.benchmarkComparison || new BenchmarkComparison({
+            marketDataProvider: this.marketData,
+            currencyConverter: this.fx,
+            instrumentRegistry: this.instruments
+        });
         
         // Backtest state
         this.trades = [];
@@ -25,12 +219,46 @@ export class BacktestEngine {
         this.equity = [];
         this.capital = this.config.initialCapital;
         this.metrics = {};
+        this.markets = new Map(); // symbol -> { bars, currency, fxRates, corporateActions, ... } from loadMarket
+        this.lastPrices = new Map(); // symbol -> latest close, for mark-to-market
+        this.peakEquity = this.capital;
+        this.dividendIncome = 0;
+        this.fillModel = this.createFillModel();
+        this.pendingOrders = []; // signals waiting out the fill model's latency
+        this.fillStats = createFillStats();
+        this.entryOrders = this.resolveEntryOrders();
+        this.workingOrders = []; // limit and stop entries waiting for their price
+        this.orderStats = createOrderStats();
+        this.carryModel = this.createCarryCostModel();
+        this.sizer = this.createPositionSizer();
         
         console.log('📊 Backtest Engine initialized');
     }
     
     /**
      * Run comprehensive backtest with real AI analysis
+     *
+     * adjustment: 'adjusted' (default) backtests on split and dividend adjusted
+     * prices; 'raw' uses as-traded prices and resizes open positions on splits.
+     * creditDividends: pay dividends into the account as cash instead of folding
+     * them into adjusted prices.
+     * aiMode: 'record' (default) replays recorded AI responses and records misses,
+     * 'replay' runs offline from recordings only, 'live' always calls the models.
+     * tradeStart: bars before it only serve as analysis history (used for
+     * out-of-sample windows that warm up on the preceding data).
+     * benchmark: 'symbol' (buy-and-hold of the traded symbol), an instrument
+     * such as 'SPY', or null/'none' to skip the comparison.
+     * strategy: 'ai-signals' (default), 'technical' (trade `rules`, a RuleStrategy
+     * definition or preset name, without AI) or 'hybrid' (rule entries the AI agrees with).
+     * fillModel: FillModel options for this run over the engine's (spread,
+     * gap fills, intrabar path, volume participation, latency).
+     * entryOrders: ENTRY_ORDER_DEFAULTS overrides for this run; limit and stop
+     * entries wait as bracket orders carrying the signal's stop and target.
+     * carryCosts: CarryCostModel options for this run (enabled, rates per symbol
+     * or asset class over the instrument registry's financing rates).
+     * positionSizing: PositionSizer options for this run (model and its inputs).
+     * onProgress: called with simulation progress (see simulate) while the run steps.
+     * signal: AbortSignal that cancels the run with a BacktestCancelledError.
      */
     async runBacktest(params) {
         const {
@@ -39,141 +267,531 @@ export class BacktestEngine {
             endDate,
             aiModel,
             timeframe = '1d',
-            userTier = 'free'
+            adjustment = 'adjusted',
+            datasetId = null,
+            userId = null,
+            userTier = 'free',
+            creditDividends = false,
+            aiMode = 'record',
+            tradeStart = null,
+            benchmark = null,
+            strategy = 'ai-signals',
+            rules = null,
+            fillModel = null,
+            entryOrders = null,
+            carryCosts = null,
+            positionSizing = null,
+            onProgress = null,
+            signal = null
         } = params;
         
         try {
-            console.log(`🔍 Starting backtest: ${symbol} with ${aiModel}`);
-            
-            // Validate AI model access
-            const availableModels = this.aiManager.getAvailableModels(userTier);
-            const modelExists = availableModels.find(m => m.id === aiModel);
-            if (!modelExists) {
-                throw new Error(`AI model ${aiModel} not available for ${userTier} tier`);
-            }
+            const ruleStrategy = this.createStrategy(strategy, rules);
+            this.fillModel = this.createFillModel(fillModel);
+            this.entryOrders = this.resolveEntryOrders(entryOrders);
+            this.carryModel = this.createCarryCostModel(carryCosts);
+            this.sizer = this.createPositionSizer(positionSizing);
             
-            // Get historical data
-            const marketData = await this.getHistoricalData(symbol, startDate, endDate, timeframe);
+            console.log(`🔍 Starting backtest: ${symbol || datasetId} with ${ruleStrategy ? `${strategy} rules "${ruleStrategy.name}"` : aiModel}`);
             
-            if (marketData.length < 30) {
-                throw new Error('Insufficient historical data for backtesting');
+            if (strategy !== 'technical') {
+                this.assertModelAccess(aiModel, userTier);
             }
             
+            const market = await this.loadMarket({ symbol, startDate, endDate, timeframe, adjustment, creditDividends, datasetId, userId });
+            if (signal?.aborted) throw new BacktestCancelledError();
+            
             // Reset backtest state
             this.resetState();
+            this.markets.set(market.symbol, market);
             
             // Run simulation
-            const results = await this.simulate(symbol, marketData, aiModel, userTier);
+            const recorder = new AIResponseRecorder({ aiManager: this.aiManager, mode: aiMode, cache: this.config.responseCache });
+            await this.simulate([market], aiModel, userTier, { recorder, tradeStart, strategy, rules: ruleStrategy, onProgress, signal });
             
             // Calculate performance metrics
             const metrics = this.calculateMetrics();
             
+            // Uploaded datasets are their own buy-and-hold series
+            const series = datasetId ? { [market.symbol]: toValueSeries(market.bars, market.fxRates) } : {};
+            const benchmarkComparison = await this.compareBenchmark(benchmark, [market], { series });
+            
             console.log(`✅ Backtest completed: ${this.trades.length} trades, ${metrics.totalReturn.toFixed(2)}% return`);
             
             return {
-                symbol,
+                symbol: market.symbol,
                 aiModel,
-                timeframe,
+                strategy: { type: strategy, ...(ruleStrategy && { rules: ruleStrategy.toJSON() }) },
+                timeframe: market.timeframe,
                 startDate,
                 endDate,
+                tradeStart,
+                datasetId,
+                dataSource: datasetId ? 'dataset' : this.marketData.name,
+                priceAdjustment: {
+                    mode: market.adjustment,
+                    creditDividends: !datasetId && creditDividends,
+                    splits: market.actionsInRange.splits.length,
+                    dividends: market.actionsInRange.dividends.length,
+                    dividendIncome: Number(this.dividendIncome.toFixed(2))
+                },
+                baseCurrency: this.config.baseCurrency,
+                currency: market.currency,
                 initialCapital: this.config.initialCapital,
                 finalCapital: this.capital,
                 trades: this.trades,
                 equity: this.equity,
                 metrics,
-                dataPoints: marketData.length
+                fillModel: this.fillModel.toJSON(),
+                fills: { ...this.fillStats },
+                entryOrders: this.entryOrders,
+                orders: { ...this.orderStats },
+                carryCosts: this.carryModel.toJSON(),
+                positionSizing: this.sizer.toJSON(),
+                benchmark: benchmarkComparison,
+                dataPoints: market.bars.length,
+                dataQuality: market.dataQuality,
+                dataFingerprint: getDataFingerprint([market]),
+                aiResponses: recorder.getReport(),
+                dataRange: {
+                    start: market.bars[0].timestamp,
+                    end: market.bars[market.bars.length - 1].timestamp
+                }
             };
             
         } catch (error) {
             console.error('Backtest error:', error);
+            if (RETHROWN_ERRORS.includes(error.code)) throw error;
             throw new Error(`Backtest failed: ${error.message}`);
         }
     }
     
     /**
-     * Get historical market data
+     * Backtest a basket of symbols against one capital pool.
+     * Symbols are simulated on an aligned time axis (every timestamp any of them
+     * trades), maxPositions applies across the basket, and results carry
+     * aggregate metrics plus metrics per symbol. Options match runBacktest.
      */
-    async getHistoricalData(symbol, startDate, endDate, timeframe) {
+    async runPortfolioBacktest(params) {
+        const {
+            symbols = [],
+            startDate,
+            endDate,
+            aiModel,
+            timeframe = '1d',
+            adjustment = 'adjusted',
+            userTier = 'free',
+            creditDividends = false,
+            aiMode = 'record',
+            benchmark = null,
+            strategy = 'ai-signals',
+            rules = null,
+            fillModel = null,
+            entryOrders = null,
+            carryCosts = null,
+            positionSizing = null,
+            onProgress = null,
+            signal = null
+        } = params;
+        
         try {
-            // Convert symbol for Yahoo Finance
-            let yahooSymbol = symbol;
-            if (symbol === 'EURUSD') yahooSymbol = 'EURUSD=X';
-            if (symbol === 'GBPUSD') yahooSymbol = 'GBPUSD=X';
-            if (symbol === 'USDJPY') yahooSymbol = 'USDJPY=X';
+            const basket = [...new Set(symbols)];
+            if (basket.length === 0) {
+                throw new Error('A portfolio backtest needs at least one symbol');
+            }
             
-            const start = new Date(startDate);
-            const end = new Date(endDate);
+            const ruleStrategy = this.createStrategy(strategy, rules);
+            this.fillModel = this.createFillModel(fillModel);
+            this.entryOrders = this.resolveEntryOrders(entryOrders);
+            this.carryModel = this.createCarryCostModel(carryCosts);
+            this.sizer = this.createPositionSizer(positionSizing);
+            
+            console.log(`🔍 Starting portfolio backtest: ${basket.join(', ')} with ${ruleStrategy ? `${strategy} rules "${ruleStrategy.name}"` : aiModel}`);
+            
+            if (strategy !== 'technical') {
+                this.assertModelAccess(aiModel, userTier);
+            }
+            
+            const markets = [];
+            for (const symbol of basket) {
+                markets.push(await this.loadMarket({ symbol, startDate, endDate, timeframe, adjustment, creditDividends }));
+                if (signal?.aborted) throw new BacktestCancelledError();
+            }
+            
+            // Reset backtest state
+            this.resetState();
+            markets.forEach(market => this.markets.set(market.symbol, market));
+            
+            // Run simulation
+            const recorder = new AIResponseRecorder({ aiManager: this.aiManager, mode: aiMode, cache: this.config.responseCache });
+            await this.simulate(markets, aiModel, userTier, { recorder, strategy, rules: ruleStrategy, onProgress, signal });
             
-            const queryOptions = {
-                period1: start,
-                period2: end,
-                interval: this.convertTimeframe(timeframe)
+            // Aggregate and per-symbol performance
+            const metrics = this.calculateMetrics();
+            const bySymbol = {};
+            for (const market of markets) {
+                const trades = this.trades.filter(trade => trade.symbol === market.symbol);
+                const dividendIncome = trades.reduce((sum, trade) => sum + trade.dividends, 0);
+                const netPnL = trades.reduce((sum, trade) => sum + trade.pnl, 0) + dividendIncome;
+                
+                bySymbol[market.symbol] = {
+                    currency: market.currency,
+                    dataPoints: market.bars.length,
+                    dataQuality: market.dataQuality,
+                    splits: market.actionsInRange.splits.length,
+                    dividends: market.actionsInRange.dividends.length,
+                    netPnL: Number(netPnL.toFixed(2)),
+                    metrics: this.calculateMetrics(trades, this.config.initialCapital + netPnL, dividendIncome, null)
+                };
+            }
+            
+            const benchmarkComparison = await this.compareBenchmark(benchmark, markets);
+            
+            console.log(`✅ Portfolio backtest completed: ${basket.length} symbols, ${this.trades.length} trades, ${metrics.totalReturn.toFixed(2)}% return`);
+            
+            return {
+                symbols: basket,
+                aiModel,
+                strategy: { type: strategy, ...(ruleStrategy && { rules: ruleStrategy.toJSON() }) },
+                timeframe,
+                startDate,
+                endDate,
+                dataSource: this.marketData.name,
+                priceAdjustment: {
+                    mode: adjustment,
+                    creditDividends,
+                    dividendIncome: Number(this.dividendIncome.toFixed(2))
+                },
+                baseCurrency: this.config.baseCurrency,
+                maxPositions: this.config.maxPositions,
+                initialCapital: this.config.initialCapital,
+                finalCapital: this.capital,
+                trades: this.trades,
+                equity: this.equity,
+                metrics,
+                fillModel: this.fillModel.toJSON(),
+                fills: { ...this.fillStats },
+                entryOrders: this.entryOrders,
+                orders: { ...this.orderStats },
+                carryCosts: this.carryModel.toJSON(),
+                positionSizing: this.sizer.toJSON(),
+                bySymbol,
+                benchmark: benchmarkComparison,
+                dataFingerprint: getDataFingerprint(markets),
+                aiResponses: recorder.getReport(),
+                dataRange: {
+                    start: new Date(Math.min(...markets.map(market => market.bars[0].timestamp.getTime()))),
+                    end: new Date(Math.max(...markets.map(market => market.bars[market.bars.length - 1].timestamp.getTime())))
+                }
             };
             
-            console.log(`📈 Fetching ${yahooSymbol} data from ${start.toDateString()} to ${end.toDateString()}`);
+        } catch (error) {
+            console.error('Portfolio backtest error:', error);
+            if (RETHROWN_ERRORS.includes(error.code)) throw error;
+            throw new Error(`Portfolio backtest failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Compare the run's equity with a benchmark ('symbol' holds the traded
+     * markets in equal parts). A benchmark that cannot be loaded is reported
+     * with its error instead of failing the finished run.
+     */
+    async compareBenchmark(benchmark, markets, options = {}) {
+        if (!benchmark || benchmark === 'none') return null;
+        
+        try {
+            return await this.benchmarks.compare(this.equity, {
+                benchmark,
+                tradedSymbols: markets.map(market => market.symbol),
+                baseCurrency: this.config.baseCurrency,
+                initialCapital: this.config.initialCapital,
+                timeframe: markets[0].timeframe,
+                riskFreeRate: this.config.riskFreeRate,
+                series: options.series
+            });
+        } catch (error) {
+            console.warn(`⚠️ Benchmark ${benchmark} unavailable: ${error.message}`);
+            return { benchmark, error: error.message };
+        }
+    }
+    
+    /**
+     * Rules for a 'technical' or 'hybrid' run, null for 'ai-signals'
+     */
+    createStrategy(type, rules) {
+        if (!STRATEGY_TYPES.includes(type)) {
+            throw new BacktestConfigError(`Unknown strategy ${type}. Use ${STRATEGY_TYPES.join(', ')}`);
+        }
+        if (type === 'ai-signals') return null;
+        if (!rules) {
+            throw new BacktestConfigError(`A ${type} strategy needs rules: a definition or one of ${Object.keys(STRATEGY_PRESETS).join(', ')}`);
+        }
+        return new RuleStrategy(rules);
+    }
+    
+    /**
+     * Fill model of a run: engine config overridden by the run's options
+     */
+    createFillModel(options = null) {
+        return new FillModel({ slippage: this.config.slippage, ...this.config.fillModel, ...options }, this.instruments);
+    }
+    
+    /**
+     * Carry cost model of a run: engine config overridden by the run's options
+     */
+    createCarryCostModel(options = null) {
+        const config = this.config.carryCosts;
+        return new CarryCostModel({ ...config, ...options, rates: { ...config?.rates, ...options?.rates } }, this.instruments);
+    }
+    
+    /**
+     * Position sizer of a run: engine config overridden by the run's options
+     */
+    createPositionSizer(options = null) {
+        const { riskPerTrade, maxPositionShare, positionSizing } = this.config;
+        return new PositionSizer({ riskPerTrade, maxPositionShare, ...positionSizing, ...options }, this.instruments);
+    }
+    
+    /**
+     * Entry order settings of a run: engine config overridden by the run's options
+     */
+    resolveEntryOrders(options = null) {
+        const error = getEntryOrdersError(this.config.entryOrders) || getEntryOrdersError(options);
+        if (error) throw new BacktestConfigError(error);
+        return { ...ENTRY_ORDER_DEFAULTS, ...this.config.entryOrders, ...options };
+    }
+    
+    /**
+     * Throw unless the tier may use the model
+     */
+    assertModelAccess(aiModel, userTier) {
+        const availableModels = this.aiManager.getAvailableModels(userTier);
+        if (!availableModels.find(m => m.id === aiModel)) {
+            throw new Error(`AI model ${aiModel} not available for ${userTier} tier`);
+        }
+    }
+    
+    /**
+     * Load one symbol's validated series with its corporate actions and FX rates
+     * (uploaded datasets are used exactly as uploaded)
+     */
+    async loadMarket({ symbol, startDate, endDate, timeframe, adjustment, creditDividends, datasetId = null, userId = null }) {
+        let bars;
+        let corporateActions = { splits: [], dividends: [] };
+        let actionsInRange = corporateActions;
+        let priceSeries = null; // provider series the bars come from (none for datasets)
+        
+        if (datasetId) {
+            const { dataset, bars: datasetBars } = await Dataset.getBars(datasetId, userId, startDate, endDate);
+            symbol = dataset.symbol;
+            timeframe = dataset.timeframe;
+            adjustment = 'raw';
+            bars = datasetBars;
+            console.log(`📁 Using dataset "${dataset.name}" (${bars.length} bars)`);
+        } else {
+            priceSeries = getPriceSeries(adjustment, creditDividends);
+            bars = await this.getHistoricalData(symbol, startDate, endDate, timeframe, priceSeries);
+            const actions = await this.marketData.getCorporateActions(symbol, { start: new Date(startDate), end: new Date(endDate) });
+            actionsInRange = getSeriesActions(bars, actions, 'raw');
+            corporateActions = getSeriesActions(bars, actions, priceSeries);
+        }
+        
+        // Repair or drop bad bars and refuse series below the quality threshold
+        const validation = this.dataQuality.validate(bars, { symbol, timeframe, checkStaleness: false });
+        this.dataQuality.assertQuality(validation.report);
+        bars = validation.bars;
+        
+        if (bars.length < 30) {
+            throw new Error(`Insufficient historical data for backtesting ${symbol}`);
+        }
+        
+        // Quote currency -> base currency rates, empty when they are the same
+        const currency = this.fx.getQuoteCurrency(symbol);
+        const fxRates = currency === this.config.baseCurrency ? [] : await this.fx.getHistoricalRates(currency, this.config.baseCurrency, {
+            start: bars[0].timestamp,
+            end: bars[bars.length - 1].timestamp
+        });
+        
+        return {
+            symbol,
+            timeframe,
+            adjustment,
+            priceSeries,
+            bars,
+            corporateActions,
+            actionsInRange,
+            currency,
+            fxRates,
+            fingerprint: fingerprintMarket({ symbol, timeframe, adjustment, bars, corporateActions, fxRates }),
+            dataQuality: validation.report
+        };
+    }
+    
+    /**
+     * Get historical market data
+     */
+    async getHistoricalData(symbol, startDate, endDate, timeframe, adjustment = 'raw') {
+        try {
+            const start = new Date(startDate);
+            const end = new Date(endDate);
+            
+            console.log(`📈 Fetching ${symbol} data from ${start.toDateString()} to ${end.toDateString()} (${this.marketData.name})`);
             
-            const data = await yahooFinance.historical(yahooSymbol, queryOptions);
+            const data = await this.marketData.getHistoricalBars(symbol, { start, end, timeframe, adjustment });
             
             if (!data || data.length === 0) {
                 throw new Error(`No data available for ${symbol}`);
             }
             
-            // Format data
-            return data.map(item => ({
-                timestamp: new Date(item.date),
-                open: Number(item.open),
-                high: Number(item.high),
-                low: Number(item.low),
-                close: Number(item.close),
-                volume: Number(item.volume || 0)
-            })).sort((a, b) => a.timestamp - b.timestamp);
+            return data;
             
         } catch (error) {
             console.error(`Error fetching data for ${symbol}:`, error);
+            if (error.code === 'UNSUPPORTED_TIMEFRAME') throw error;
             throw new Error(`Failed to fetch historical data: ${error.message}`);
         }
     }
     
     /**
-     * Run trading simulation with AI analysis
+     * Run trading simulation with AI analysis.
+     * Markets are stepped together along the union of their timestamps; each
+     * symbol is analyzed every `analysisInterval` of its own bars, from
+     * `tradeStart` on when given. Equity is marked to market on every step.
+     * Rule strategies ('technical', 'hybrid') are evaluated on every bar
+     * instead; hybrid runs only ask the AI when a rule wants to enter.
+     *
+     * Fills follow this.fillModel: signals fill at the bar's close, or with
+     * latency at the open of the first bar starting after it; stops and targets
+     * are checked on every bar against positions held since its open. Limit
+     * and stop entries wait in this.workingOrders until a bar reaches them.
+     *
+     * options.onProgress receives { barsProcessed, totalBars, percent, trades,
+     * openPositions, equity, aiCalls, liveCost } at most every PROGRESS_INTERVAL_MS
+     * and once at the end; options.signal (AbortSignal) is checked on every step.
      */
-    async simulate(symbol, marketData, aiModel, userTier) {
-        const analysisInterval = 5; // Analyze every 5 periods
-        let currentPosition = null;
+    async simulate(markets, aiModel, userTier, options = {}) {
+        const { analysisInterval } = this.config;
+        const {
+            recorder = new AIResponseRecorder({ aiManager: this.aiManager, mode: 'live' }),
+            strategy = 'ai-signals',
+            rules = null,
+            onProgress = null,
+            signal = null
+        } = options;
+        const tradeStart = options.tradeStart ? new Date(options.tradeStart).getTime() : null;
+        
+        // Indicator series per symbol, computed once for the whole run
+        const ruleSignals = new Map(rules ? markets.map(market => [market.symbol, rules.prepare(market.bars)]) : []);
         
-        for (let i = 30; i < marketData.length; i += analysisInterval) {
-            const currentBar = marketData[i];
-            const historicalData = marketData.slice(Math.max(0, i - 100), i); // Last 100 periods for analysis
+        const timeline = [...new Set(markets.flatMap(market => market.bars.map(bar => bar.timestamp.getTime())))].sort((a, b) => a - b);
+        const cursors = new Map(markets.map(market => [market.symbol, { index: 0, lastTimestamp: market.bars[29].timestamp }]));
+        
+        let lastProgressAt = 0;
+        const reportProgress = (barsProcessed) => {
+            if (!onProgress) return;
+            const { live, liveCost } = recorder.getReport();
+            onProgress({
+                barsProcessed,
+                totalBars: timeline.length,
+                percent: Number((barsProcessed / timeline.length * 100).toFixed(1)),
+                trades: this.trades.length,
+                openPositions: this.positions.length,
+                equity: this.equity.length > 0 ? this.equity[this.equity.length - 1].totalEquity : this.capital,
+                aiCalls: live,
+                liveCost
+            });
+            lastProgressAt = Date.now();
+        };
+        
+        for (const [step, time] of timeline.entries()) {
+            if (signal?.aborted) throw new BacktestCancelledError();
+            let trading = false;
             
-            try {
-                // Get AI analysis
-                const analysis = await this.aiManager.analyzeMarket(
-                    aiModel,
-                    symbol,
-                    historicalData,
-                    userTier
-                );
+            for (const market of markets) {
+                const cursor = cursors.get(market.symbol);
+                const i = cursor.index;
+                const currentBar = market.bars[i];
+                if (!currentBar || currentBar.timestamp.getTime() !== time) continue;
+                cursor.index++;
                 
-                // Process trading signals
-                await this.processSignal(analysis, currentBar, symbol);
+                if (i < 30 || (tradeStart && time < tradeStart)) continue;
+                trading = true;
                 
-                // Update equity curve
-                this.updateEquity(currentBar.timestamp);
+                // Book splits, dividends and carry costs before the new price is used
+                this.applyCorporateActions(market, cursor.lastTimestamp, currentBar.timestamp);
+                this.applyCarryCosts(market, cursor.lastTimestamp, currentBar.timestamp);
+                cursor.lastTimestamp = currentBar.timestamp;
+                this.lastPrices.set(market.symbol, currentBar.close);
                 
-                // Simulate realistic delays (AI analysis takes time)
-                await this.sleep(100);
+                // Delayed signals fill at the open, then the bar runs against open positions
+                await this.fillPendingOrders(currentBar, market.symbol);
+                await this.checkStopLossAndTakeProfit(currentBar, market);
+                this.fillWorkingOrders(currentBar, market.symbol);
                 
-            } catch (error) {
-                console.warn(`Analysis error at ${currentBar.timestamp}:`, error.message);
-                continue;
+                const signals = ruleSignals.get(market.symbol);
+                if (!signals && (i - 30) % analysisInterval !== 0) continue;
+                
+                try {
+                    let analysis;
+                    if (signals) {
+                        // Rules read completed bars only, like the AI's history
+                        const position = this.positions.find(p => p.symbol === market.symbol);
+                        analysis = signals.at(i - 1, position ? position.side : null);
+                        
+                        if (strategy === 'hybrid' && (analysis.action === 'buy' || analysis.action === 'sell')) {
+                            analysis = combineWithAI(analysis, await this.analyzeBar(recorder, market, i, aiModel, userTier));
+                        }
+                    } else {
+                        analysis = await this.analyzeBar(recorder, market, i, aiModel, userTier);
+                    }
+                    
+                    // Process trading signals
+                    if (this.fillModel.latencyMs > 0) {
+                        this.queueOrder(analysis, currentBar, market);
+                    } else {
+                        await this.processSignal(analysis, currentBar, market.symbol);
+                    }
+                    
+                    // Simulate realistic delays (AI analysis takes time)
+                    if (analysis.replayed === false) {
+                        await this.sleep(100);
+                    }
+                    
+                } catch (error) {
+                    // A replay that cannot be completed offline must not look like a clean run
+                    if (error.code === 'AI_RESPONSE_NOT_RECORDED') throw error;
+                    console.warn(`Analysis error for ${market.symbol} at ${currentBar.timestamp}:`, error.message);
+                    continue;
+                }
+            }
+            
+            // Mark open positions to market
+            if (trading) {
+                this.updateEquity(new Date(time));
+            }
+            
+            if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                reportProgress(step + 1);
             }
         }
         
-        // Close any remaining positions
-        if (this.positions.length > 0) {
-            const lastBar = marketData[marketData.length - 1];
-            this.closeAllPositions(lastBar);
+        // Entries still waiting are cancelled; close any remaining positions on each symbol's last bar
+        this.cancelWorkingOrders();
+        for (const market of markets) {
+            if (!this.positions.some(position => position.symbol === market.symbol)) continue;
+            
+            const lastBar = market.bars[market.bars.length - 1];
+            this.applyCorporateActions(market, cursors.get(market.symbol).lastTimestamp, lastBar.timestamp);
+            this.applyCarryCosts(market, cursors.get(market.symbol).lastTimestamp, lastBar.timestamp);
+            this.closeAllPositions(lastBar, market.symbol);
+        }
+        
+        // Final point reflects the closing costs
+        if (this.equity.length > 0) {
+            this.updateEquity(new Date(timeline[timeline.length - 1]));
         }
+        reportProgress(timeline.length);
         
         return {
             trades: this.trades,
@@ -183,216 +801,505 @@ export class BacktestEngine {
     }
     
     /**
-     * Process AI trading signal
+     * AI analysis of the bars before `index` (replayed from recordings when available)
+     */
+    analyzeBar(recorder, market, index, aiModel, userTier) {
+        return recorder.analyze({
+            modelId: aiModel,
+            symbol: market.symbol,
+            timeframe: market.timeframe,
+            barTimestamp: market.bars[index].timestamp,
+            marketData: market.bars.slice(Math.max(0, index - 100), index), // Last 100 periods for analysis
+            userTier
+        });
+    }
+    
+    /**
+     * Hold a signal until the fill model's latency has passed: it fills at the
+     * open of the symbol's first bar starting at or after bar end + latency
+     */
+    queueOrder(analysis, currentBar, market) {
+        // Signals processSignal would ignore are not orders
+        if (analysis.action === 'hold' || analysis.confidence < this.config.minConfidence) return;
+        
+        const barEnd = currentBar.timestamp.getTime() + getTimeframeMs(market.timeframe);
+        this.pendingOrders.push({
+            symbol: market.symbol,
+            analysis,
+            signalTime: currentBar.timestamp,
+            fillAfter: barEnd + this.fillModel.latencyMs
+        });
+        this.fillStats.delayedOrders++;
+    }
+    
+    /**
+     * Fill a symbol's delayed signals that are due at the open of `currentBar`
+     */
+    async fillPendingOrders(currentBar, symbol) {
+        const time = currentBar.timestamp.getTime();
+        const due = this.pendingOrders.filter(order => order.symbol === symbol && order.fillAfter <= time);
+        if (due.length === 0) return;
+        
+        this.pendingOrders = this.pendingOrders.filter(order => !due.includes(order));
+        for (const order of due) {
+            await this.processSignal(order.analysis, currentBar, symbol, currentBar.open);
+        }
+    }
+    
+    /**
+     * Process a trading signal (AI analysis or rule signal; 'close' exits the symbol's position)
+     * @param {number} fillPrice - reference price market orders fill around (the bar's close unless delayed)
      */
-    async processSignal(analysis, currentBar, symbol) {
+    async processSignal(analysis, currentBar, symbol, fillPrice = currentBar.close) {
         const { action, confidence, targetPrice, stopLoss, takeProfit } = analysis;
         
         // Minimum confidence threshold
-        if (confidence < 0.6) {
+        if (confidence < this.config.minConfidence) {
             return;
         }
         
         // Close existing positions if signal changes
-        if (this.positions.length > 0 && action !== 'hold') {
-            const position = this.positions[0];
+        const position = this.positions.find(p => p.symbol === symbol);
+        if (position && action !== 'hold') {
+            const exit = {
+                price: this.fillModel.marketPrice(symbol, position.side === 'long' ? 'sell' : 'buy', fillPrice),
+                level: fillPrice
+            };
             if ((position.side === 'long' && action === 'sell') || 
                 (position.side === 'short' && action === 'buy')) {
-                this.closePosition(position, currentBar, 'signal_change');
+                this.closePosition(position, currentBar, 'signal_change', exit);
+            } else if (action === 'close') {
+                this.closePosition(position, currentBar, 'exit_rule', exit);
             }
         }
         
-        // Open new position
+        // A new signal replaces the symbol's working entries
+        if (action !== 'hold') {
+            this.cancelWorkingOrders(symbol);
+        }
+        
+        // Open new position (maxPositions counts every symbol in the run, working entries included)
         if (action === 'buy' || action === 'sell') {
-            if (this.positions.length < this.config.maxPositions) {
-                this.openPosition(action, currentBar, analysis, symbol);
+            if (this.positions.length + this.workingOrders.length < this.config.maxPositions) {
+                const order = this.createEntryOrder(action, currentBar, analysis, symbol, fillPrice);
+                if (order) {
+                    this.workingOrders.push(order);
+                    this.orderStats.placed++;
+                } else {
+                    this.openPosition(action, currentBar, analysis, symbol, fillPrice);
+                }
             }
         }
+    }
+    
+    /**
+     * Working limit or stop entry for a signal, or null to enter at market.
+     * Signals without a usable entry price, or whose price the market has
+     * already passed (a marketable order), enter at market.
+     */
+    createEntryOrder(side, currentBar, analysis, symbol, price) {
+        const { type, offset, expiryBars } = this.entryOrders;
+        if (type === 'market') return null;
+        
+        // Limits wait on the favourable side of the price, stops on the other
+        const direction = side === 'buy' ? 1 : -1;
+        const level = offset ? price * (1 + direction * offset * (type === 'stop' ? 1 : -1)) : analysis.targetPrice;
+        if (!(level > 0) || level === price) return null;
         
-        // Check stop loss and take profit for existing positions
-        this.checkStopLossAndTakeProfit(currentBar);
+        const orderType = (level - price) * direction < 0 ? 'limit' : 'stop';
+        if (type !== 'auto' && orderType !== type) return null;
+        
+        return {
+            id: `ord_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            symbol,
+            side,
+            type: orderType,
+            price: level,
+            analysis: { ...analysis }, // stop and target of the bracket, rescaled on splits
+            placedAt: currentBar.timestamp,
+            bars: 0,
+            expiryBars
+        };
+    }
+    
+    /**
+     * Fill, or expire, a symbol's working entries on `currentBar`. A filled
+     * bracket's stop and target apply from the fill on, so the rest of the
+     * bar may already exit it.
+     */
+    fillWorkingOrders(currentBar, symbol) {
+        for (const order of this.workingOrders.filter(o => o.symbol === symbol)) {
+            order.bars++;
+            
+            const fill = this.fillModel.entryOnBar(order, currentBar);
+            if (!fill) {
+                if (order.bars >= order.expiryBars) {
+                    this.workingOrders = this.workingOrders.filter(o => o !== order);
+                    this.orderStats.expired++;
+                }
+                continue;
+            }
+            
+            this.workingOrders = this.workingOrders.filter(o => o !== order);
+            const position = this.positions.length < this.config.maxPositions
+                ? this.openPosition(order.side, currentBar, order.analysis, symbol, fill.price, { ...fill, order })
+                : null;
+            if (!position) {
+                this.orderStats.rejected++;
+                continue;
+            }
+            this.orderStats.filled++;
+            
+            const exit = this.fillModel.exitOnBar(position, { ...currentBar, open: fill.level });
+            if (exit) this.closePosition(position, currentBar, exit.reason, exit);
+        }
+    }
+    
+    /**
+     * Cancel working entries (of one symbol when given)
+     */
+    cancelWorkingOrders(symbol = null) {
+        const cancelled = this.workingOrders.filter(order => !symbol || order.symbol === symbol);
+        this.workingOrders = this.workingOrders.filter(order => !cancelled.includes(order));
+        this.orderStats.cancelled += cancelled.length;
     }
     
     /**
      * Open new trading position
+     * @param {number} price - reference price of the market order (before spread and slippage)
+     * @param {Object} fill - fill of a working entry ({ price, level, gap, order }); null for market entries
+     * @returns the position, or undefined when none was opened
      */
-    openPosition(side, currentBar, analysis, symbol) {
-        const { targetPrice, stopLoss, takeProfit, confidence } = analysis;
+    openPosition(side, currentBar, analysis, symbol, price = currentBar.close, fill = null) {
+        const { targetPrice, takeProfit, confidence } = analysis;
+        const stopLoss = this.config.stopDistance
+            ? price * (side === 'buy' ? 1 - this.config.stopDistance : 1 + this.config.stopDistance)
+            : analysis.stopLoss;
+        
+        // A delayed order may find the price already beyond its stop
+        if (side === 'buy' ? stopLoss >= price : stopLoss <= price) return;
         
-        // Calculate position size based on risk
-        const riskAmount = this.capital * this.config.riskPerTrade;
-        const stopDistance = Math.abs(currentBar.close - stopLoss);
+        // Size with the run's model (prices are in the quote currency); ATR comes from the bars before this one
+        const fxRate = this.getFxRate(symbol, currentBar.timestamp);
+        const { bars } = this.markets.get(symbol);
+        const index = this.sizer.lookback > 0 ? bars.indexOf(currentBar) : -1;
+        const sizing = this.sizer.size({
+            symbol,
+            price,
+            fxRate,
+            equity: this.capital,
+            stopLoss,
+            takeProfit,
+            confidence,
+            bars: index > 0 ? bars.slice(Math.max(0, index - this.sizer.lookback), index) : null
+        });
+        const requestedSize = sizing.quantity;
+        if (!(requestedSize > 0)) return;
         
-        if (stopDistance === 0) return;
+        // Take at most the fill model's share of the bar's volume; the rest is cancelled
+        let positionSize = this.fillModel.fillQuantity(requestedSize, currentBar.volume);
+        const partial = positionSize < requestedSize;
         
-        const positionSize = Math.min(
-            riskAmount / stopDistance,
-            this.capital * 0.2 / currentBar.close // Max 20% of capital per position
-        );
+        // Round down to the instrument's lot size (custom dataset symbols are unregistered)
+        if (this.instruments.has(symbol)) {
+            positionSize = this.instruments.normalizeQuantity(symbol, positionSize);
+            if (!this.instruments.validateQuantity(symbol, positionSize).valid) return;
+        }
         
-        if (positionSize * currentBar.close < 100) return; // Minimum $100 position
+        if (positionSize * price * fxRate < 100) return; // Minimum position of 100 in the base currency
+        if (partial) this.fillStats.partialFills++;
         
-        // Apply slippage and commission
-        const executionPrice = this.applySlippage(currentBar.close, side);
-        const commission = positionSize * executionPrice * this.config.commission;
+        // Market entries cross the spread and pay slippage; all pay commission
+        const executionPrice = fill ? fill.price : this.fillModel.marketPrice(symbol, side, price);
+        const commission = positionSize * executionPrice * this.config.commission * fxRate;
+        const slippage = Math.abs(executionPrice - (fill ? fill.level : price)) * positionSize * fxRate;
         
         const position = {
             id: `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             symbol,
             side: side === 'buy' ? 'long' : 'short',
             size: positionSize,
+            requestedSize,
             entryPrice: executionPrice,
             entryTime: currentBar.timestamp,
+            entryFxRate: fxRate,
             stopLoss,
             takeProfit,
             confidence,
             commission,
-            aiModel: analysis.modelId || 'unknown'
+            slippage,
+            dividends: 0,
+            carryCosts: CarryCostModel.createCosts(),
+            aiModel: analysis.modelId || 'unknown',
+            entryOrder: fill ? {
+                type: fill.order.type,
+                price: fill.order.price,
+                placedAt: fill.order.placedAt,
+                waitBars: fill.order.bars,
+                waitMs: currentBar.timestamp - fill.order.placedAt,
+                gap: fill.gap
+            } : null,
+            sizing
         };
         
         this.positions.push(position);
         this.capital -= commission;
         
-        console.log(`📈 Opened ${position.side} position: ${symbol} @ $${executionPrice.toFixed(4)}`);
+        console.log(`📈 Opened ${position.side} position: ${symbol} @ $${executionPrice.toFixed(4)}${fill ? ` (${fill.order.type} entry)` : ''}`);
+        return position;
     }
     
     /**
      * Close trading position
+     * @param {Object} fill - { price, level }: the fill price and the price it was
+     *   triggered at (before spread and slippage); defaults to a market order at the bar's close
      */
-    closePosition(position, currentBar, reason = 'manual') {
-        const executionPrice = this.applySlippage(currentBar.close, position.side === 'long' ? 'sell' : 'buy');
-        const commission = position.size * executionPrice * this.config.commission;
+    closePosition(position, currentBar, reason = 'manual', fill = null) {
+        const level = fill ? fill.level : currentBar.close;
+        const executionPrice = fill ? fill.price : this.fillModel.marketPrice(position.symbol, position.side === 'long' ? 'sell' : 'buy', level);
+        const fxRate = this.getFxRate(position.symbol, currentBar.timestamp);
+        const commissionNative = position.size * executionPrice * this.config.commission;
+        const commission = commissionNative * fxRate;
+        const slippage = Math.abs(executionPrice - level) * position.size * fxRate;
         
-        // Calculate P&L
-        let pnl;
+        // Calculate P&L in the quote currency, then convert at the exit rate
+        let pnlNative;
         if (position.side === 'long') {
-            pnl = (executionPrice - position.entryPrice) * position.size;
+            pnlNative = (executionPrice - position.entryPrice) * position.size;
         } else {
-            pnl = (position.entryPrice - executionPrice) * position.size;
+            pnlNative = (position.entryPrice - executionPrice) * position.size;
         }
         
-        pnl -= commission + position.commission; // Subtract both entry and exit commissions
+        pnlNative -= commissionNative + position.commission / position.entryFxRate; // Subtract both entry and exit commissions
+        const carry = carryTotal(position.carryCosts);
+        const pnl = pnlNative * fxRate - carry; // carry accrued in the base currency while open
         
         const trade = {
             id: position.id,
             symbol: position.symbol,
             side: position.side,
             size: position.size,
+            requestedSize: position.requestedSize,
             entryPrice: position.entryPrice,
             exitPrice: executionPrice,
             entryTime: position.entryTime,
             exitTime: currentBar.timestamp,
+            currency: this.markets.get(position.symbol).currency,
+            entryFxRate: position.entryFxRate,
+            exitFxRate: fxRate,
             pnl,
-            pnlPercent: (pnl / (position.entryPrice * position.size)) * 100,
+            pnlNative,
+            pnlPercent: (pnl / (position.entryPrice * position.size * position.entryFxRate)) * 100,
             holdingPeriod: currentBar.timestamp - position.entryTime,
             reason,
             confidence: position.confidence,
             aiModel: position.aiModel,
-            commission: commission + position.commission
+            commission: commission + position.commission,
+            slippage: slippage + position.slippage,
+            dividends: position.dividends,
+            carryCosts: position.carryCosts,
+            entryOrder: position.entryOrder,
+            sizing: position.sizing
         };
         
         this.trades.push(trade);
-        this.capital += pnl;
+        this.capital += pnl + position.commission + carry; // the entry commission and carry left capital earlier and are part of pnl
         
         // Remove position
         this.positions = this.positions.filter(p => p.id !== position.id);
         
-        console.log(`📉 Closed ${trade.side} position: ${trade.symbol} P&L: $${pnl.toFixed(2)} (${trade.pnlPercent.toFixed(2)}%)`);
+        console.log(`📉 Closed ${trade.side} position: ${trade.symbol} P&L: ${pnl.toFixed(2)} ${this.config.baseCurrency} (${trade.pnlPercent.toFixed(2)}%)`);
     }
     
     /**
-     * Check stop loss and take profit levels
+     * Apply a market's corporate actions with an ex-date in (from, to] to its open positions.
+     * Splits resize positions and rescale their price levels (raw series only);
+     * dividends are credited to longs and charged to shorts.
      */
-    checkStopLossAndTakeProfit(currentBar) {
-        for (const position of [...this.positions]) {
-            let shouldClose = false;
-            let reason = '';
-            
-            if (position.side === 'long') {
-                if (currentBar.low <= position.stopLoss) {
-                    shouldClose = true;
-                    reason = 'stop_loss';
-                } else if (currentBar.high >= position.takeProfit) {
-                    shouldClose = true;
-                    reason = 'take_profit';
-                }
-            } else { // short position
-                if (currentBar.high >= position.stopLoss) {
-                    shouldClose = true;
-                    reason = 'stop_loss';
-                } else if (currentBar.low <= position.takeProfit) {
-                    shouldClose = true;
-                    reason = 'take_profit';
-                }
+    applyCorporateActions(market, from, to) {
+        const fromTime = new Date(from).getTime();
+        const toTime = new Date(to).getTime();
+        const due = action => action.date.getTime() > fromTime && action.date.getTime() <= toTime;
+        
+        const positions = this.positions.filter(position => position.symbol === market.symbol);
+        
+        for (const split of market.corporateActions.splits.filter(due)) {
+            for (const position of positions) {
+                position.size *= split.ratio;
+                position.entryPrice /= split.ratio;
+                position.stopLoss /= split.ratio;
+                position.takeProfit /= split.ratio;
             }
-            
-            if (shouldClose) {
-                this.closePosition(position, currentBar, reason);
+            for (const order of this.workingOrders.filter(o => o.symbol === market.symbol)) {
+                order.price /= split.ratio;
+                order.analysis.stopLoss /= split.ratio;
+                order.analysis.takeProfit /= split.ratio;
+            }
+            console.log(`✂️ Applied ${split.ratio}:1 ${market.symbol} split on ${split.date.toISOString().slice(0, 10)}`);
+        }
+        
+        for (const dividend of market.corporateActions.dividends.filter(due)) {
+            for (const position of positions) {
+                const cash = position.size * dividend.amount * this.getFxRate(market.symbol, dividend.date) * (position.side === 'long' ? 1 : -1);
+                position.dividends += cash;
+                this.capital += cash;
+                this.dividendIncome += cash;
             }
         }
     }
     
     /**
-     * Close all positions
+     * Charge (or credit) a market's open positions their carry costs for (from, to],
+     * valued at the symbol's last close. Costs leave capital as they accrue and are
+     * kept by type on the position.
      */
-    closeAllPositions(currentBar) {
-        for (const position of [...this.positions]) {
-            this.closePosition(position, currentBar, 'backtest_end');
+    applyCarryCosts(market, from, to) {
+        const positions = this.positions.filter(position => position.symbol === market.symbol);
+        if (positions.length === 0) return;
+        
+        const { longExposure, equity } = this.getExposure(to);
+        const borrowedShare = CarryCostModel.borrowedShare(longExposure, equity);
+        const price = this.lastPrices.get(market.symbol);
+        const fxRate = this.getFxRate(market.symbol, to);
+        
+        for (const position of positions) {
+            const costs = this.carryModel.accrue(position, position.size * (price ?? position.entryPrice), from, to, borrowedShare);
+            for (const [type, cost] of Object.entries(costs)) {
+                position.carryCosts[type] += cost * fxRate;
+                this.capital -= cost * fxRate;
+            }
         }
     }
     
     /**
-     * Update equity curve
+     * Long exposure and equity at the last known prices, in the base currency
      */
-    updateEquity(timestamp) {
+    getExposure(timestamp) {
+        let longExposure = 0;
         let unrealizedPnL = 0;
         
-        // Calculate unrealized P&L for open positions
         for (const position of this.positions) {
-            // This would need current market price, simplified for backtest
-            unrealizedPnL += 0; // In real-time this would be calculated
+            const price = this.lastPrices.get(position.symbol) ?? position.entryPrice;
+            const fxRate = this.getFxRate(position.symbol, timestamp);
+            const direction = position.side === 'long' ? 1 : -1;
+            unrealizedPnL += (price - position.entryPrice) * position.size * direction * fxRate;
+            if (direction === 1) longExposure += price * position.size * fxRate;
         }
         
-        this.equity.push({
-            timestamp,
-            capital: this.capital,
-            unrealizedPnL,
-            totalEquity: this.capital + unrealizedPnL
-        });
+        return { longExposure, equity: this.capital + unrealizedPnL };
     }
     
     /**
-     * Apply realistic slippage
+     * Base currency per unit of a symbol's quote currency at a point in time
      */
-    applySlippage(price, side) {
-        const slippageAmount = price * this.config.slippage;
-        return side === 'buy' ? price + slippageAmount : price - slippageAmount;
+    getFxRate(symbol, timestamp) {
+        return rateAt(this.markets.get(symbol)?.fxRates || [], timestamp);
     }
     
     /**
-     * Calculate comprehensive performance metrics
+     * Exit a market's positions whose stop or target the bar reaches, at the
+     * fill model's price. Bars that reach both are resolved by its intrabar
+     * path, with the bar's lower-timeframe bars for the 'finer' path.
      */
-    calculateMetrics() {
-        if (this.trades.length === 0) {
-            return {
-                totalReturn: 0,
-                totalTrades: 0,
-                winRate: 0,
-                profitFactor: 0,
-                sharpeRatio: 0,
-                maxDrawdown: 0,
-                avgWin: 0,
-                avgLoss: 0,
-                largestWin: 0,
-                largestLoss: 0
-            };
+    async checkStopLossAndTakeProfit(currentBar, market) {
+        for (const position of this.positions.filter(p => p.symbol === market.symbol)) {
+            let finerBars = null;
+            if (this.fillModel.isAmbiguous(position, currentBar)) {
+                this.fillStats.ambiguousBars++;
+                if (this.fillModel.intrabarPath === 'finer') {
+                    finerBars = await this.getFinerBars(market, currentBar);
+                    if (finerBars.length > 0) this.fillStats.finerBarsUsed++;
+                }
+            }
+            
+            const exit = this.fillModel.exitOnBar(position, currentBar, finerBars);
+            if (!exit) continue;
+            
+            if (exit.gap) this.fillStats.gapFills++;
+            this.closePosition(position, currentBar, exit.reason, exit);
+        }
+    }
+    
+    /**
+     * Bars of the largest preset timeframe that splits `bar` into at least four,
+     * empty for datasets, the smallest timeframes or when the provider has none
+     */
+    async getFinerBars(market, bar) {
+        const barMs = getTimeframeMs(market.timeframe);
+        const timeframe = TIMEFRAMES.filter(preset => TIMEFRAME_MS[preset] <= barMs / 4).pop();
+        if (!timeframe || !market.priceSeries || market.finerBarsUnavailable) return [];
+        
+        try {
+            const start = bar.timestamp;
+            const end = new Date(start.getTime() + barMs - 1);
+            const bars = await this.marketData.getHistoricalBars(market.symbol, { start, end, timeframe, adjustment: market.priceSeries });
+            return (bars || []).filter(finerBar => finerBar.timestamp >= start && finerBar.timestamp <= end);
+        } catch (error) {
+            console.warn(`⚠️ No ${timeframe} bars for ${market.symbol}, resolving stop and target by OHLC: ${error.message}`);
+            market.finerBarsUnavailable = true;
+            return [];
+        }
+    }
+    
+    /**
+     * Close all positions (of one symbol when given)
+     */
+    closeAllPositions(currentBar, symbol = null) {
+        for (const position of this.positions.filter(p => !symbol || p.symbol === symbol)) {
+            this.closePosition(position, currentBar, 'backtest_end');
+        }
+    }
+    
+    /**
+     * Append a mark-to-market equity point (replaces the last one at the same timestamp)
+     */
+    updateEquity(timestamp) {
+        let unrealizedPnL = 0;
+        let grossExposure = 0;
+        
+        // Open positions at the last known close of their symbol
+        for (const position of this.positions) {
+            const price = this.lastPrices.get(position.symbol) ?? position.entryPrice;
+            const fxRate = this.getFxRate(position.symbol, timestamp);
+            const direction = position.side === 'long' ? 1 : -1;
+            unrealizedPnL += (price - position.entryPrice) * position.size * direction * fxRate;
+            grossExposure += price * position.size * fxRate;
         }
         
-        const winningTrades = this.trades.filter(t => t.pnl > 0);
-        const losingTrades = this.trades.filter(t => t.pnl < 0);
+        const totalEquity = this.capital + unrealizedPnL;
+        this.peakEquity = Math.max(this.peakEquity, totalEquity);
         
-        const totalReturn = ((this.capital - this.config.initialCapital) / this.config.initialCapital) * 100;
-        const winRate = (winningTrades.length / this.trades.length) * 100;
+        const point = {
+            timestamp,
+            capital: this.capital,
+            unrealizedPnL,
+            totalEquity,
+            drawdown: this.peakEquity > 0 ? (this.peakEquity - totalEquity) / this.peakEquity * 100 : 0,
+            exposure: totalEquity > 0 ? grossExposure / totalEquity * 100 : 0,
+            openPositions: this.positions.length
+        };
+        
+        const last = this.equity[this.equity.length - 1];
+        if (last && last.timestamp.getTime() === timestamp.getTime()) {
+            this.equity[this.equity.length - 1] = point;
+        } else {
+            this.equity.push(point);
+        }
+    }
+    
+    /**
+     * Calculate comprehensive performance metrics.
+     * Returns, risk ratios, drawdown and exposure come from the mark-to-market
+     * equity series; win/loss statistics from the trades. Defaults to the whole
+     * run; subsets pass their trades and end capital, and `equity: null` leaves
+     * the series-based metrics empty (e.g. one symbol of a portfolio).
+     */
+    calculateMetrics(trades = this.trades, finalCapital = this.capital, dividendIncome = this.dividendIncome, equity = this.equity) {
+        const winningTrades = trades.filter(t => t.pnl > 0);
+        const losingTrades = trades.filter(t => t.pnl < 0);
+        
+        const totalReturn = ((finalCapital - this.config.initialCapital) / this.config.initialCapital) * 100;
+        const winRate = trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0;
         
         const grossProfit = winningTrades.reduce((sum, t) => sum + t.pnl, 0);
         const grossLoss = Math.abs(losingTrades.reduce((sum, t) => sum + t.pnl, 0));
@@ -404,37 +1311,92 @@ export class BacktestEngine {
         const largestWin = winningTrades.length > 0 ? Math.max(...winningTrades.map(t => t.pnl)) : 0;
         const largestLoss = losingTrades.length > 0 ? Math.min(...losingTrades.map(t => t.pnl)) : 0;
         
-        // Calculate Sharpe ratio
-        const returns = this.trades.map(t => t.pnlPercent);
-        const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-        const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length);
-        const sharpeRatio = stdDev > 0 ? (avgReturn / stdDev) * Math.sqrt(252) : 0; // Annualized
-        
-        // Calculate maximum drawdown
-        let peak = this.config.initialCapital;
-        let maxDD = 0;
-        let runningCapital = this.config.initialCapital;
-        
-        for (const trade of this.trades) {
-            runningCapital += trade.pnl;
-            if (runningCapital > peak) peak = runningCapital;
-            const drawdown = ((peak - runningCapital) / peak) * 100;
-            if (drawdown > maxDD) maxDD = drawdown;
-        }
+        const avgHoldingMs = trades.length > 0 ? trades.reduce((sum, t) => sum + t.holdingPeriod, 0) / trades.length : 0;
         
         return {
             totalReturn: Number(totalReturn.toFixed(2)),
-            totalTrades: this.trades.length,
+            totalTrades: trades.length,
             winRate: Number(winRate.toFixed(1)),
             profitFactor: Number(profitFactor.toFixed(2)),
-            sharpeRatio: Number(sharpeRatio.toFixed(2)),
-            maxDrawdown: Number(maxDD.toFixed(2)),
+            ...this.calculateRiskMetrics(equity, trades),
             avgWin: Number(avgWin.toFixed(2)),
             avgLoss: Number(avgLoss.toFixed(2)),
             largestWin: Number(largestWin.toFixed(2)),
             largestLoss: Number(largestLoss.toFixed(2)),
             winningTrades: winningTrades.length,
-            losingTrades: losingTrades.length
+            losingTrades: losingTrades.length,
+            avgHoldingHours: Number((avgHoldingMs / HOUR_MS).toFixed(1)),
+            dividendIncome: Number(dividendIncome.toFixed(2)),
+            costs: CarryCostModel.summarizeTradeCosts(trades)
+        };
+    }
+    
+    /**
+     * Time-based metrics from an equity series (one point per simulated bar).
+     * Ratios are annualized with the series' own bars per year, so daily stock,
+     * 24/7 crypto and intraday runs are all scaled correctly.
+     */
+    calculateRiskMetrics(equity, trades) {
+        const keys = ['annualizedReturn', 'volatility', 'sharpeRatio', 'sortinoRatio', 'calmarRatio', 'maxDrawdown', 'maxDrawdownDays', 'exposure', 'timeInMarket', 'turnover'];
+        if (!equity) {
+            return Object.fromEntries(keys.map(key => [key, null]));
+        }
+        if (equity.length < 2) {
+            return Object.fromEntries(keys.map(key => [key, 0]));
+        }
+        
+        const initial = this.config.initialCapital;
+        const values = [initial, ...equity.map(point => point.totalEquity)];
+        const returns = values.slice(1).map((value, index) => values[index] > 0 ? value / values[index] - 1 : 0);
+        const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+        
+        const firstTime = new Date(equity[0].timestamp).getTime();
+        const lastTime = new Date(equity[equity.length - 1].timestamp).getTime();
+        const years = Math.max((lastTime - firstTime) / YEAR_MS, 1 / 365);
+        const periodsPerYear = returns.length / years;
+        
+        const riskFree = this.config.riskFreeRate / periodsPerYear;
+        const excess = returns.map(r => r - riskFree);
+        const meanReturn = average(returns);
+        const stdDev = Math.sqrt(average(returns.map(r => Math.pow(r - meanReturn, 2))));
+        const downsideDev = Math.sqrt(average(excess.map(r => Math.pow(Math.min(0, r), 2))));
+        
+        const finalEquity = values[values.length - 1];
+        const annualizedReturn = finalEquity > 0 ? (Math.pow(finalEquity / initial, 1 / years) - 1) * 100 : -100;
+        
+        // Deepest and longest fall from a running peak
+        let peak = initial;
+        let peakTime = firstTime;
+        let maxDrawdown = 0;
+        let maxDrawdownMs = 0;
+        for (const point of equity) {
+            const time = new Date(point.timestamp).getTime();
+            if (point.totalEquity >= peak) {
+                peak = point.totalEquity;
+                peakTime = time;
+            } else {
+                maxDrawdown = Math.max(maxDrawdown, (peak - point.totalEquity) / peak * 100);
+                maxDrawdownMs = Math.max(maxDrawdownMs, time - peakTime);
+            }
+        }
+        
+        // Traded notional (both legs) per year, relative to average equity
+        const tradedNotional = trades.reduce((sum, t) =>
+            sum + t.entryPrice * t.size * (t.entryFxRate || 1) + t.exitPrice * t.size * (t.exitFxRate || 1), 0);
+        
+        const round = value => Number(value.toFixed(2));
+        
+        return {
+            annualizedReturn: round(annualizedReturn),
+            volatility: round(stdDev * Math.sqrt(periodsPerYear) * 100),
+            sharpeRatio: stdDev > 0 ? round(average(excess) / stdDev * Math.sqrt(periodsPerYear)) : 0,
+            sortinoRatio: downsideDev > 0 ? round(average(excess) / downsideDev * Math.sqrt(periodsPerYear)) : 0,
+            calmarRatio: maxDrawdown > 0 ? round(annualizedReturn / maxDrawdown) : null,
+            maxDrawdown: round(maxDrawdown),
+            maxDrawdownDays: round(maxDrawdownMs / DAY_MS),
+            exposure: round(average(equity.map(point => point.exposure || 0))),
+            timeInMarket: round(equity.filter(point => point.openPositions > 0).length / equity.length * 100),
+            turnover: round(tradedNotional / average(values) / years)
         };
     }
     
@@ -447,24 +1409,14 @@ export class BacktestEngine {
         this.equity = [];
         this.capital = this.config.initialCapital;
         this.metrics = {};
-    }
-    
-    /**
-     * Convert timeframe for Yahoo Finance
-     */
-    convertTimeframe(timeframe) {
-        const mapping = {
-            '1m': '1m',
-            '5m': '5m',
-            '15m': '15m',
-            '1h': '1h',
-            '4h': '4h',
-            '1d': '1d',
-            '1w': '1wk',
-            '1M': '1mo'
-        };
-        
-        return mapping[timeframe] || '1d';
+        this.markets = new Map();
+        this.lastPrices = new Map();
+        this.peakEquity = this.capital;
+        this.dividendIncome = 0;
+        this.pendingOrders = [];
+        this.fillStats = createFillStats();
+        this.workingOrders = [];
+        this.orderStats = createOrderStats();
     }
     
     /**
@@ -0,0 +1,450 @@
+/**
+ * Backtest Job Queue
+ * Runs backtests, walk-forward optimizations and parameter sweeps off the
+ * request path. A submitted job gets an id right away, waits in a FIFO queue and
+ * is executed by one of `concurrency` workers on its own engines, so jobs never
+ * share simulation state.
+ *
+ * Clients poll a job or subscribe to it for progress (bars or runs processed,
+ * trades so far, AI calls and their cost) and may cancel it while it is queued or
+ * running. Jobs are stored as BacktestRun documents under the job id when a
+ * database is connected, so finished runs stay listable after they leave memory.
+ * The queue keeps its stored jobs' heartbeat fresh and fails the jobs of
+ * instances whose heartbeat went stale (see BacktestRun.failInterruptedJobs).
+ */
+
+import { EventEmitter } from 'events';
+import os from 'os';
+import mongoose from 'mongoose';
+import BacktestEngine from './BacktestEngine.js';
+import WalkForwardOptimizer from './WalkForwardOptimizer.js';
+import ParameterSweep from './ParameterSweep.js';
+import BacktestRun from '../models/BacktestRun.js';
+
+export const JOB_KINDS = ['single', 'portfolio', 'walk-forward', 'sweep'];
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Least time between two progress writes to the database
+const PERSIST_INTERVAL_MS = 5000;
+
+// Time between heartbeats of stored active jobs (well below BacktestRun.STALE_JOB_MS)
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Attempts at storing a job's final state, with a growing pause between them
+const STORE_ATTEMPTS = 3;
+const STORE_RETRY_MS = 1000;
+
+export class BacktestJobError extends Error {
+    constructor(message, code, statusCode) {
+        super(message);
+        this.name = 'BacktestJobError';
+        this.code = code;
+        this.statusCode = statusCode;
+    }
+}
+
+export class BacktestJobQueue extends EventEmitter {
+    /**
+     * @param {Object} config - { engineConfig, concurrency, maxActivePerUser, retentionMs, workerId }
+     *   engineConfig is passed to every job's engines; finished jobs are kept in
+     *   memory for retentionMs (their stored run remains afterwards); workerId
+     *   names this instance on stored jobs (default host:pid)
+     */
+    constructor(config = {}) {
+        super();
+        this.engineConfig = config.engineConfig || {};
+        this.concurrency = config.concurrency || parseInt(process.env.BACKTEST_WORKERS) || 1;
+        this.maxActivePerUser = config.maxActivePerUser || 3;
+        this.retentionMs = config.retentionMs ?? 60 * 60 * 1000;
+        this.workerId = config.workerId || `${os.hostname()}:${process.pid}`;
+
+        this.jobs = new Map(); // id -> job
+        this.pending = []; // queued jobs in submission order
+        this.running = 0;
+        this.setMaxListeners(0); // one listener per subscribed client
+
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS);
+        this.heartbeatTimer.unref();
+
+        console.log(`🗂️ Backtest job queue initialized (${this.concurrency} worker${this.concurrency === 1 ? '' : 's'})`);
+    }
+
+    /**
+     * Queue a backtest
+     * @param {string} userId - owner of the job
+     * @param {string} kind - 'single' (runBacktest), 'portfolio' (runPortfolioBacktest),
+     *   'walk-forward' (WalkForwardOptimizer.run) or 'sweep' (ParameterSweep.run)
+     * @param {Object} params - run options
+     * @param {Object} config - request options stored with the run
+     */
+    async submit(userId, kind, params, config = {}) {
+        if (!JOB_KINDS.includes(kind)) {
+            throw new BacktestJobError(`Unknown job kind ${kind}. Use ${JOB_KINDS.join(', ')}`, 'INVALID_BACKTEST_CONFIG', 400);
+        }
+        if (this.countActive(userId) >= this.maxActivePerUser) {
+            throw new BacktestJobError(`At most ${this.maxActivePerUser} backtests can be queued or running at a time`, 'TOO_MANY_JOBS', 429);
+        }
+
+        const job = {
+            id: new mongoose.Types.ObjectId().toString(),
+            userId: String(userId),
+            kind,
+            workerId: this.workerId,
+            symbols: kind === 'portfolio' ? [...new Set(params.symbols)] : [params.symbol].filter(Boolean),
+            params,
+            config,
+            status: 'queued',
+            progress: null,
+            error: null,
+            result: null,
+            saved: false,
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            controller: new AbortController(),
+            persistedAt: 0
+        };
+
+        this.jobs.set(job.id, job);
+        job.saved = Boolean(await persist(BacktestRun.createJob(job)));
+        this.pending.push(job);
+
+        console.log(`🗂️ Queued backtest job ${job.id}: ${job.symbols.join(', ') || params.datasetId} (${this.pending.length} waiting)`);
+        this.publish(job);
+        this.drain();
+
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running job. Running jobs stop at their next bar.
+     */
+    async cancel(id, userId) {
+        const job = this.getOwnJob(id, userId);
+        if (!job) return null;
+
+        if (FINISHED_STATUSES.includes(job.status)) {
+            throw new BacktestJobError(`Backtest job is already ${job.status}`, 'JOB_FINISHED', 409);
+        }
+
+        if (job.status === 'queued') {
+            this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+            await this.finish(job, 'cancelled', { message: 'Backtest was cancelled', code: 'BACKTEST_CANCELLED' });
+        } else {
+            job.controller.abort();
+        }
+
+        return job;
+    }
+
+    /**
+     * Follow a job's updates; returns the unsubscribe function
+     */
+    subscribe(id, listener) {
+        this.on(`job:${id}`, listener);
+        return () => this.off(`job:${id}`, listener);
+    }
+
+    /**
+     * Job of the user still held in memory, or null
+     */
+    getOwnJob(id, userId) {
+        const job = this.jobs.get(String(id));
+        return job && job.userId === String(userId) ? job : null;
+    }
+
+    /**
+     * A job of the user, from memory or the stored runs.
+     * withResult adds the full engine result once the job has completed.
+     */
+    async get(id, userId, { withResult = false } = {}) {
+        const job = this.getOwnJob(id, userId);
+        if (job) {
+            return {
+                ...this.toAPI(job),
+                ...(withResult && job.result && { result: job.result })
+            };
+        }
+
+        if (mongoose.connection.readyState !== 1 || !mongoose.isValidObjectId(id)) return null;
+
+        const query = BacktestRun.findOne({ _id: id, userId });
+        const run = await (withResult ? query.select('+trades +equity +result') : query);
+        if (!run) return null;
+
+        return {
+            ...run.toAPI(),
+            saved: true,
+            ...(withResult && run.status === 'completed' && { result: restoreResult(run) })
+        };
+    }
+
+    /**
+     * The user's jobs, newest first: those in memory plus stored runs
+     */
+    async list(userId, { limit = 20, status = null } = {}) {
+        const jobs = new Map();
+
+        for (const job of this.jobs.values()) {
+            if (job.userId === String(userId) && (!status || job.status === status)) {
+                jobs.set(job.id, this.toAPI(job));
+            }
+        }
+
+        if (mongoose.connection.readyState === 1) {
+            const runs = await BacktestRun.find({ userId, ...(status && { status }) }).sort({ createdAt: -1 }).limit(limit);
+            for (const run of runs) {
+                const id = run._id.toString();
+                if (!jobs.has(id)) jobs.set(id, { ...run.toAPI(), saved: true });
+            }
+        }
+
+        return [...jobs.values()]
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Jobs of the user held in memory that match `filter`
+     */
+    countJobs(userId, filter = () => true) {
+        let count = 0;
+        for (const job of this.jobs.values()) {
+            if (job.userId === String(userId) && filter(job)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Jobs of the user that are queued or running
+     */
+    countActive(userId) {
+        return this.countJobs(userId, job => !FINISHED_STATUSES.includes(job.status));
+    }
+
+    /**
+     * Public view of a job (without its result)
+     */
+    toAPI(job) {
+        const { params } = job;
+        const summary = job.result && summarizeResult(job.kind, job.result);
+        return {
+            id: job.id,
+            kind: job.kind,
+            status: job.status,
+            progress: job.progress,
+            error: job.error,
+            symbols: job.symbols,
+            datasetId: params.datasetId || null,
+            aiModel: params.aiModel,
+            strategy: params.strategy || 'ai-signals',
+            timeframe: params.timeframe,
+            startDate: params.startDate,
+            endDate: params.endDate,
+            config: job.config,
+            ...summary,
+            saved: job.saved,
+            ...(job.storageError && { storageError: job.storageError }),
+            position: job.status === 'queued' ? this.pending.indexOf(job) + 1 : null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    /**
+     * Start queued jobs while workers are free
+     */
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.running++;
+            this.execute(job).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    async execute(job) {
+        job.status = 'running';
+        job.startedAt = new Date();
+        this.publish(job);
+        await persist(BacktestRun.updateJob(job.id, { status: 'running', startedAt: job.startedAt }));
+
+        const options = {
+            ...job.params,
+            userId: job.userId,
+            signal: job.controller.signal,
+            onProgress: progress => this.updateProgress(job, progress)
+        };
+
+        try {
+            job.result = await this.run(job.kind, options);
+            await this.finish(job, 'completed');
+
+            const { metrics } = summarizeResult(job.kind, job.result);
+            console.log(`✅ Backtest job ${job.id} completed: ${metrics ? `${metrics.totalTrades} trades, ${metrics.totalReturn}% return` : 'no combination traded'}`);
+
+        } catch (error) {
+            const status = error.code === 'BACKTEST_CANCELLED' ? 'cancelled' : 'failed';
+            await this.finish(job, status, {
+                message: error.message,
+                ...(error.code && { code: error.code }),
+                ...(error.report && { dataQuality: error.report })
+            });
+
+            console.log(`${status === 'cancelled' ? '🛑' : '❌'} Backtest job ${job.id} ${status}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Execute a job's work on fresh engines
+     */
+    run(kind, options) {
+        switch (kind) {
+            case 'portfolio':
+                return new BacktestEngine(this.engineConfig).runPortfolioBacktest(options);
+            case 'walk-forward':
+                return new WalkForwardOptimizer(this.engineConfig).run(options);
+            case 'sweep':
+                return new ParameterSweep(this.engineConfig).run(options);
+            default:
+                return new BacktestEngine(this.engineConfig).runBacktest(options);
+        }
+    }
+
+    updateProgress(job, progress) {
+        job.progress = progress;
+        this.publish(job, 'progress');
+
+        if (job.saved && Date.now() - job.persistedAt >= PERSIST_INTERVAL_MS) {
+            job.persistedAt = Date.now();
+            persist(BacktestRun.updateJob(job.id, { progress }));
+        }
+    }
+
+    async finish(job, status, error = null) {
+        job.status = status;
+        job.error = error;
+        job.finishedAt = new Date();
+
+        if (job.saved) {
+            const store = status === 'completed'
+                ? () => BacktestRun.completeJob(job.id, job.result, job.progress, job.kind)
+                : () => BacktestRun.updateJob(job.id, {
+                    status,
+                    progress: job.progress,
+                    error: { message: error.message, code: error.code },
+                    finishedAt: job.finishedAt
+                });
+
+            // The stored run would otherwise stay active until it is failed as interrupted
+            try {
+                await retry(store);
+            } catch (storeError) {
+                job.saved = false;
+                job.storageError = `The ${status} job could not be stored: ${storeError.message}`;
+                console.error(`❌ Could not store backtest job ${job.id}:`, storeError.message);
+            }
+        }
+
+        this.publish(job);
+        this.emit('finished', job);
+
+        // Keep finished jobs around for polling, then rely on the stored run
+        setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+    }
+
+    /**
+     * Keep this instance's stored active jobs alive and fail those of stopped instances
+     */
+    async heartbeat() {
+        const ids = [];
+        for (const job of this.jobs.values()) {
+            if (job.saved && !FINISHED_STATUSES.includes(job.status)) ids.push(job.id);
+        }
+        if (ids.length > 0) await persist(BacktestRun.touchJobs(this.workerId, ids));
+
+        const interrupted = await persist(BacktestRun.failInterruptedJobs());
+        if (interrupted > 0) {
+            console.warn(`⚠️ Marked ${interrupted} interrupted backtest job(s) as failed`);
+        }
+    }
+
+    /**
+     * Stop the heartbeat (queues are otherwise kept for the process lifetime)
+     */
+    close() {
+        clearInterval(this.heartbeatTimer);
+    }
+
+    /**
+     * Notify subscribers of a job with its public view
+     * @param {string} event - 'progress' or 'status'
+     */
+    publish(job, event = 'status') {
+        this.emit(`job:${job.id}`, event, this.toAPI(job));
+    }
+}
+
+/**
+ * Headline figures of a result. Walk-forward jobs report their stitched
+ * out-of-sample metrics, sweeps the best combination's.
+ */
+function summarizeResult(kind, result) {
+    const metrics = {
+        'walk-forward': result.outOfSample?.metrics,
+        sweep: result.best
+    }[kind] ?? result.metrics;
+
+    return {
+        initialCapital: result.initialCapital,
+        finalCapital: result.finalCapital ?? result.best?.finalCapital,
+        baseCurrency: result.baseCurrency,
+        dataFingerprint: result.dataFingerprint?.hash,
+        metrics: metrics || null
+    };
+}
+
+/**
+ * A stored run's result in the shape its job returned (see BacktestRun.resultFields)
+ */
+function restoreResult(run) {
+    const { trades, equity, metrics } = run;
+
+    if (run.kind === 'walk-forward') return { ...run.result, outOfSample: { trades, equity, metrics } };
+    if (run.kind === 'sweep') return run.result;
+    return { ...run.result, metrics, trades, equity };
+}
+
+/**
+ * Run a database write up to STORE_ATTEMPTS times; the last error is thrown
+ */
+async function retry(write) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await write();
+        } catch (error) {
+            if (attempt >= STORE_ATTEMPTS) throw error;
+            console.warn(`⚠️ Storing backtest job failed (attempt ${attempt}/${STORE_ATTEMPTS}): ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, STORE_RETRY_MS * attempt));
+        }
+    }
+}
+
+/**
+ * Database writes must not fail a job: without a connection they resolve to
+ * null, and errors are logged
+ */
+async function persist(operation) {
+    try {
+        return await operation;
+    } catch (error) {
+        console.warn('⚠️ Could not store backtest job:', error.message);
+        return null;
+    }
+}
+
+export default BacktestJobQueue;
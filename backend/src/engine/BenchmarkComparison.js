@@ -0,0 +1,202 @@
+/**
+ * Benchmark Comparison
+ * Compares a strategy's equity curve with buying and holding a benchmark:
+ * the traded symbol (an equal-weight basket for portfolios), an index ETF
+ * such as SPY, or any other registered instrument.
+ *
+ * Benchmarks are held on total-return prices (dividends reinvested) valued in
+ * the account currency. Both curves are sampled on the benchmark's bars, so an
+ * hourly-marked strategy is compared on daily closes when the benchmark is
+ * daily, and 24/7 markets fold weekend moves into the next trading day.
+ *
+ * Reported: strategy and benchmark return, excess return, Jensen's alpha
+ * (annualized), beta, correlation, tracking error (annualized), information
+ * ratio, and both curves on a shared axis for charting.
+ */
+
+const { getMarketDataProvider, getCurrencyConverter, getInstrumentRegistry, rateAt, DAY_MS } = require('../market/index.js');
+
+// Benchmark selections besides an instrument symbol
+const BENCHMARK_SELECTIONS = ['symbol', 'none'];
+
+const YEAR_MS = 365.25 * DAY_MS;
+
+class BenchmarkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BenchmarkError';
+        this.code = 'BENCHMARK_UNAVAILABLE';
+        this.statusCode = 422;
+    }
+}
+
+class BenchmarkComparison {
+    /**
+     * @param {Object} config - { marketDataProvider, currencyConverter, instrumentRegistry }
+     */
+    constructor(config = {}) {
+        this.marketData = config.marketDataProvider || getMarketDataProvider();
+        this.fx = config.currencyConverter || getCurrencyConverter();
+        this.instruments = config.instrumentRegistry || getInstrumentRegistry();
+    }
+
+    /**
+     * Symbols a benchmark selection holds, null for 'none'.
+     * 'symbol' holds the traded symbols; anything else must be a registered instrument.
+     */
+    resolve(benchmark, tradedSymbols = []) {
+        if (!benchmark || benchmark === 'none') return null;
+        if (benchmark === 'symbol') return [...new Set(tradedSymbols)];
+
+        const symbol = String(benchmark).toUpperCase();
+        if (!this.instruments.has(symbol)) {
+            throw new BenchmarkError(`Unknown benchmark ${benchmark}. Use ${BENCHMARK_SELECTIONS.join(', ')} or an instrument such as SPY`);
+        }
+        return [symbol];
+    }
+
+    /**
+     * Compare an equity curve ([{ timestamp, totalEquity }] ascending) with a benchmark
+     * @param {Object} options - { benchmark, tradedSymbols, baseCurrency, initialCapital,
+     *   timeframe, riskFreeRate, series } where `series` maps symbols to value series
+     *   (toValueSeries) that should be used instead of loading them
+     * @returns comparison, or null when the selection is 'none'
+     */
+    async compare(equity, options = {}) {
+        const {
+            benchmark = 'SPY',
+            tradedSymbols = [],
+            baseCurrency = 'USD',
+            initialCapital = equity[0]?.totalEquity,
+            timeframe = '1d',
+            riskFreeRate = 0,
+            series = {}
+        } = options;
+
+        const symbols = this.resolve(benchmark, tradedSymbols);
+        if (!symbols) return null;
+        if (symbols.length === 0) {
+            throw new BenchmarkError('Nothing was traded to use as the benchmark');
+        }
+        if (equity.length < 2) {
+            throw new BenchmarkError('Not enough equity history to compare with a benchmark');
+        }
+
+        const start = new Date(equity[0].timestamp);
+        const end = new Date(equity[equity.length - 1].timestamp);
+
+        const legs = [];
+        for (const symbol of symbols) {
+            legs.push(series[symbol] || await this.loadSeries(symbol, { start, end, timeframe, baseCurrency }));
+        }
+
+        return {
+            benchmark: benchmark === 'symbol' ? 'symbol' : symbols[0],
+            symbols,
+            baseCurrency,
+            ...compareSeries(equity, legs, { initialCapital, riskFreeRate })
+        };
+    }
+
+    /**
+     * Total-return closes of a symbol in the base currency
+     */
+    async loadSeries(symbol, { start, end, timeframe, baseCurrency }) {
+        const bars = await this.marketData.getHistoricalBars(symbol, { start, end, timeframe, adjustment: 'total' });
+        if (!bars || bars.length === 0) {
+            throw new BenchmarkError(`No ${symbol} history between ${start.toISOString()} and ${end.toISOString()}`);
+        }
+
+        const currency = this.fx.getQuoteCurrency(symbol);
+        const fxRates = currency === baseCurrency ? [] : await this.fx.getHistoricalRates(currency, baseCurrency, { start, end });
+        return toValueSeries(bars, fxRates);
+    }
+}
+
+/**
+ * Bars as a value series in the base currency. Values are kept under `rate`
+ * so rateAt can look them up like any other series.
+ */
+function toValueSeries(bars, fxRates = []) {
+    return bars.map(bar => ({
+        timestamp: new Date(bar.timestamp),
+        rate: bar.close * rateAt(fxRates, bar.timestamp)
+    }));
+}
+
+/**
+ * Statistics of the strategy against an equal-weight hold of `legs`,
+ * on the benchmark bars inside the equity curve's range
+ */
+function compareSeries(equity, legs, { initialCapital, riskFreeRate }) {
+    const strategySeries = equity.map(point => ({ timestamp: new Date(point.timestamp), rate: point.totalEquity }));
+    const startTime = strategySeries[0].timestamp.getTime();
+    const endTime = strategySeries[strategySeries.length - 1].timestamp.getTime();
+
+    const axis = [...new Set(legs.flatMap(leg => leg.map(point => point.timestamp.getTime())))]
+        .filter(time => time >= startTime && time <= endTime)
+        .sort((a, b) => a - b);
+
+    // End on the strategy's last point so its return matches the run's
+    if (axis.length > 0 && axis[axis.length - 1] < endTime) {
+        axis.push(endTime);
+    }
+
+    if (axis.length < 2) {
+        throw new BenchmarkError('Too few benchmark bars inside the equity period');
+    }
+
+    // Each leg starts with the same share of the capital and is then held
+    const basePrices = legs.map(leg => rateAt(leg, startTime));
+    const benchmarkValueAt = time =>
+        initialCapital * legs.reduce((sum, leg, index) => sum + rateAt(leg, time) / basePrices[index], 0) / legs.length;
+
+    const strategyValues = [initialCapital, ...axis.map(time => rateAt(strategySeries, time))];
+    const benchmarkValues = [initialCapital, ...axis.map(benchmarkValueAt)];
+
+    const toReturns = values => values.slice(1).map((value, index) => values[index] > 0 ? value / values[index] - 1 : 0);
+    const strategyReturns = toReturns(strategyValues);
+    const benchmarkReturns = toReturns(benchmarkValues);
+    const activeReturns = strategyReturns.map((value, index) => value - benchmarkReturns[index]);
+
+    const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+    const meanStrategy = average(strategyReturns);
+    const meanBenchmark = average(benchmarkReturns);
+    const covariance = average(strategyReturns.map((value, index) => (value - meanStrategy) * (benchmarkReturns[index] - meanBenchmark)));
+    const stdDev = (list, mean) => Math.sqrt(average(list.map(value => Math.pow(value - mean, 2))));
+    const strategyStdDev = stdDev(strategyReturns, meanStrategy);
+    const benchmarkStdDev = stdDev(benchmarkReturns, meanBenchmark);
+    const activeStdDev = stdDev(activeReturns, average(activeReturns));
+
+    const years = Math.max((endTime - startTime) / YEAR_MS, 1 / 365);
+    const periodsPerYear = strategyReturns.length / years;
+    const riskFree = riskFreeRate / periodsPerYear;
+
+    const beta = benchmarkStdDev > 0 ? covariance / Math.pow(benchmarkStdDev, 2) : null;
+    const strategyReturn = (strategyValues[strategyValues.length - 1] / initialCapital - 1) * 100;
+    const benchmarkReturn = (benchmarkValues[benchmarkValues.length - 1] / initialCapital - 1) * 100;
+
+    const round = value => value === null ? null : Number(value.toFixed(2));
+
+    return {
+        periods: strategyReturns.length,
+        strategyReturn: round(strategyReturn),
+        totalReturn: round(benchmarkReturn),
+        excessReturn: round(strategyReturn - benchmarkReturn),
+        alpha: beta === null ? null : round(((meanStrategy - riskFree) - beta * (meanBenchmark - riskFree)) * periodsPerYear * 100),
+        beta: beta === null ? null : Number(beta.toFixed(3)),
+        correlation: strategyStdDev > 0 && benchmarkStdDev > 0 ? Number((covariance / (strategyStdDev * benchmarkStdDev)).toFixed(3)) : null,
+        trackingError: round(activeStdDev * Math.sqrt(periodsPerYear) * 100),
+        informationRatio: activeStdDev > 0 ? round(average(activeReturns) / activeStdDev * Math.sqrt(periodsPerYear)) : null,
+        equity: axis.map((time, index) => ({
+            timestamp: new Date(time),
+            strategy: round(strategyValues[index + 1]),
+            benchmark: round(benchmarkValues[index + 1])
+        }))
+    };
+}
+
+module.exports = BenchmarkComparison;
+module.exports.BenchmarkError = BenchmarkError;
+module.exports.BENCHMARK_SELECTIONS = BENCHMARK_SELECTIONS;
+module.exports.toValueSeries = toValueSeries;
@@ -0,0 +1,227 @@
+/**
+ * Carry Cost Model
+ * What holding a position costs (or earns) over time. The backtester and the
+ * paper trading engine share it, so carry is booked the same way in both:
+ *  - swap: forex rollover at 00:00 UTC on weekdays, at the pair's annual
+ *    `swapLong` / `swapShort` rate (negative: the holder pays); the
+ *    `tripleRolloverDay` (Wednesday) rollover counts three nights
+ *  - borrow: shorts pay `borrowRate` a year on their notional, per calendar day
+ *  - margin: longs pay `marginRate` a year on the part of their notional the
+ *    account finances on margin (long exposure above equity), per calendar day
+ *  - funding: every `fundingIntervalHours` (from 00:00 UTC) longs pay
+ *    `fundingRate` of their notional and shorts receive it
+ *
+ * Rates come from the instrument registry (asset class defaults and each
+ * instrument's `financing`); `rates` overrides them per symbol or asset class.
+ * Amounts are in the quote currency and positive when they are a cost.
+ */
+
+const { getInstrumentRegistry, DAY_MS } = require('../market/index.js');
+
+const HOUR_MS = DAY_MS / 24;
+const YEAR_DAYS = 365;
+
+const CARRY_COST_TYPES = ['swap', 'borrow', 'margin', 'funding'];
+
+// Accepted financing rates with their ranges
+const FINANCING_FIELDS = {
+    swapLong: { min: -0.5, max: 0.5 },
+    swapShort: { min: -0.5, max: 0.5 },
+    tripleRolloverDay: { min: 0, max: 6, integer: true },
+    borrowRate: { min: 0, max: 1 },
+    marginRate: { min: 0, max: 1 },
+    fundingRate: { min: -0.01, max: 0.01 },
+    fundingIntervalHours: { min: 1, max: 24, integer: true }
+};
+
+class CarryCostError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CarryCostError';
+        this.code = 'INVALID_CARRY_COSTS';
+        this.statusCode = 400;
+    }
+}
+
+class CarryCostModel {
+    /**
+     * @param {Object} options - { enabled, rates: { <symbol or asset class>: financing rates } }
+     * @param {InstrumentRegistry} instruments - source of per-instrument rates
+     */
+    constructor(options = {}, instruments = getInstrumentRegistry()) {
+        const error = CarryCostModel.validate(options);
+        if (error) throw new CarryCostError(error);
+
+        this.enabled = options?.enabled ?? true;
+        this.rates = options?.rates || {};
+        this.instruments = instruments;
+    }
+
+    /**
+     * Validation message for carry cost options, or null when they are valid
+     */
+    static validate(options) {
+        if (options === null || options === undefined) return null;
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            return 'carryCosts must be an object';
+        }
+
+        const unknown = Object.keys(options).filter(key => !['enabled', 'rates'].includes(key));
+        if (unknown.length > 0) {
+            return `Unknown carryCosts options: ${unknown.join(', ')}. Use enabled, rates`;
+        }
+        if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+            return 'carryCosts.enabled must be true or false';
+        }
+        if (options.rates === undefined) return null;
+        if (typeof options.rates !== 'object' || options.rates === null || Array.isArray(options.rates)) {
+            return 'carryCosts.rates must map symbols or asset classes to financing rates';
+        }
+
+        for (const [key, rates] of Object.entries(options.rates)) {
+            if (typeof rates !== 'object' || rates === null || Array.isArray(rates)) {
+                return `carryCosts.rates.${key} must be an object`;
+            }
+            for (const [field, value] of Object.entries(rates)) {
+                const spec = FINANCING_FIELDS[field];
+                if (!spec) {
+                    return `Unknown financing rate ${field} for ${key}. Use ${Object.keys(FINANCING_FIELDS).join(', ')}`;
+                }
+                if (typeof value !== 'number' || !(value >= spec.min && value <= spec.max) || (spec.integer && !Number.isInteger(value))) {
+                    return `carryCosts.rates.${key}.${field} must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}`;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Financing rates that apply to a symbol
+     */
+    getRates(symbol) {
+        const assetClass = this.instruments.get(symbol)?.assetClass;
+        return {
+            ...this.instruments.getFinancing(symbol),
+            ...(assetClass && this.rates[assetClass]),
+            ...this.rates[symbol]
+        };
+    }
+
+    /**
+     * Carry of a position held over (from, to]
+     * @param {Object} position - { symbol, side: 'long' | 'short' }
+     * @param {number} notional - position value in the quote currency
+     * @param {number} borrowedShare - part of a long's notional financed on margin (0-1)
+     * @returns { swap, borrow, margin, funding } in the quote currency; positive amounts are costs
+     */
+    accrue(position, notional, from, to, borrowedShare = 0) {
+        const costs = createCosts();
+        const fromTime = new Date(from).getTime();
+        const toTime = new Date(to).getTime();
+        if (!this.enabled || !(toTime > fromTime) || !(notional > 0)) return costs;
+
+        const rates = this.getRates(position.symbol);
+        const long = position.side === 'long';
+        const days = countBoundaries(fromTime, toTime, DAY_MS);
+
+        const swapRate = long ? rates.swapLong : rates.swapShort;
+        if (swapRate) {
+            costs.swap = -swapRate * notional * countRolloverNights(fromTime, toTime, rates.tripleRolloverDay ?? 3) / YEAR_DAYS;
+        }
+        if (!long && rates.borrowRate) {
+            costs.borrow = rates.borrowRate * notional * days / YEAR_DAYS;
+        }
+        if (long && rates.marginRate && borrowedShare > 0) {
+            costs.margin = rates.marginRate * notional * Math.min(borrowedShare, 1) * days / YEAR_DAYS;
+        }
+        if (rates.fundingRate) {
+            const intervals = countBoundaries(fromTime, toTime, (rates.fundingIntervalHours || 8) * HOUR_MS);
+            costs.funding = (long ? 1 : -1) * rates.fundingRate * notional * intervals;
+        }
+
+        return costs;
+    }
+
+    /**
+     * Part of the long exposure the account finances on margin
+     */
+    static borrowedShare(longExposure, equity) {
+        if (!(longExposure > 0)) return 0;
+        return Math.max(0, longExposure - Math.max(equity, 0)) / longExposure;
+    }
+
+    toJSON() {
+        return { enabled: this.enabled, rates: this.rates };
+    }
+}
+
+/**
+ * Zeroed carry costs by type
+ */
+function createCosts() {
+    return Object.fromEntries(CARRY_COST_TYPES.map(type => [type, 0]));
+}
+
+/**
+ * Add carry costs into a running total (both by type)
+ */
+function addCosts(total, costs) {
+    for (const type of CARRY_COST_TYPES) {
+        total[type] += costs[type] || 0;
+    }
+    return total;
+}
+
+/**
+ * Trading costs of closed trades by kind, in the account currency: commission,
+ * spread and slippage (`slippage`) and each carry cost, plus the carry total
+ */
+function summarizeTradeCosts(trades) {
+    const carry = createCosts();
+    let commission = 0;
+    let slippage = 0;
+
+    for (const trade of trades) {
+        commission += trade.commission || 0;
+        slippage += trade.slippage || 0;
+        if (trade.carryCosts) addCosts(carry, trade.carryCosts);
+    }
+
+    const round = value => Number(value.toFixed(2));
+    return {
+        commission: round(commission),
+        slippage: round(slippage),
+        ...Object.fromEntries(CARRY_COST_TYPES.map(type => [type, round(carry[type])])),
+        carry: round(CARRY_COST_TYPES.reduce((sum, type) => sum + carry[type], 0))
+    };
+}
+
+/**
+ * Multiples of `interval` (since the epoch) in (from, to]
+ */
+function countBoundaries(from, to, interval) {
+    return Math.floor(to / interval) - Math.floor(from / interval);
+}
+
+/**
+ * Forex rollover nights in (from, to]: one per weekday rollover, three on the
+ * triple day, none for rollovers out of Saturday and Sunday
+ */
+function countRolloverNights(from, to, tripleDay) {
+    let nights = 0;
+    for (let day = Math.floor(from / DAY_MS) + 1; day <= Math.floor(to / DAY_MS); day++) {
+        const weekday = new Date((day - 1) * DAY_MS).getUTCDay(); // the day being rolled out of
+        if (weekday === 0 || weekday === 6) continue;
+        nights += weekday === tripleDay ? 3 : 1;
+    }
+    return nights;
+}
+
+module.exports = CarryCostModel;
+module.exports.CarryCostError = CarryCostError;
+module.exports.CARRY_COST_TYPES = CARRY_COST_TYPES;
+module.exports.FINANCING_FIELDS = FINANCING_FIELDS;
+module.exports.createCosts = createCosts;
+module.exports.addCosts = addCosts;
+module.exports.summarizeTradeCosts = summarizeTradeCosts;
+module.exports.countRolloverNights = countRolloverNights;
@@ -0,0 +1,281 @@
+/**
+ * Fill Model
+ * How simulated orders fill. The backtester and the paper trading engine
+ * share it, so a strategy's fills follow the same rules in both:
+ *  - market orders cross half the bid/ask spread (the quote's bid/ask when it
+ *    has them, otherwise the instrument's `spreadBps`) and pay `slippage`
+ *  - `latencyMs` passes between a signal and its fill; in backtests a delayed
+ *    order fills at the open of the first bar starting after signal + latency
+ *  - stops are market orders once touched, targets are limit orders at their
+ *    level; a bar that opens beyond a level fills at the open (gap). Pending
+ *    limit and stop entries fill by the same rules
+ *  - a bar that reaches both the stop and the target is resolved by
+ *    `intrabarPath`: 'pessimistic' (stop first), 'optimistic' (target first),
+ *    'ohlc' (open, then the nearer extreme, then the other) or 'finer'
+ *    (lower-timeframe bars of that period, 'ohlc' when there are none)
+ *  - `maxParticipation` caps an entry at a share of the bar's (or quote's)
+ *    volume; the rest of the order is cancelled (partial fill). Exits always
+ *    fill in full so a position can be closed.
+ */
+
+const { getInstrumentRegistry, DAY_MS } = require('../market/index.js');
+
+const INTRABAR_PATHS = ['pessimistic', 'optimistic', 'ohlc', 'finer'];
+
+const FILL_MODEL_DEFAULTS = {
+    spread: 'instrument', // 'instrument' (registry spreadBps) or a fraction of price
+    slippage: 0.0005, // fraction of price per market fill
+    gapFills: true, // levels gapped through fill at the open instead of the level
+    intrabarPath: 'pessimistic',
+    maxParticipation: null, // largest share of a bar's volume one entry may take
+    latencyMs: 0
+};
+
+class FillModelError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FillModelError';
+        this.code = 'INVALID_FILL_MODEL';
+        this.statusCode = 400;
+    }
+}
+
+class FillModel {
+    /**
+     * @param {Object} options - overrides of FILL_MODEL_DEFAULTS
+     * @param {InstrumentRegistry} instruments - source of per-instrument spreads
+     */
+    constructor(options = {}, instruments = getInstrumentRegistry()) {
+        const error = FillModel.validate(options);
+        if (error) throw new FillModelError(error);
+
+        this.options = { ...FILL_MODEL_DEFAULTS };
+        for (const [key, value] of Object.entries(options || {})) {
+            if (value !== undefined) this.options[key] = value;
+        }
+        this.instruments = instruments;
+    }
+
+    /**
+     * Validation message for fill model options, or null when they are valid
+     */
+    static validate(options) {
+        if (options === null || options === undefined) return null;
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            return 'fillModel must be an object';
+        }
+
+        const unknown = Object.keys(options).filter(key => !(key in FILL_MODEL_DEFAULTS));
+        if (unknown.length > 0) {
+            return `Unknown fillModel options: ${unknown.join(', ')}. Use ${Object.keys(FILL_MODEL_DEFAULTS).join(', ')}`;
+        }
+
+        const { spread, slippage, gapFills, intrabarPath, maxParticipation, latencyMs } = options;
+        if (spread !== undefined && spread !== 'instrument' && !(spread >= 0 && spread <= 0.05)) {
+            return 'fillModel.spread must be "instrument" or a fraction of price between 0 and 0.05';
+        }
+        if (slippage !== undefined && !(slippage >= 0 && slippage <= 0.05)) {
+            return 'fillModel.slippage must be between 0 and 0.05';
+        }
+        if (gapFills !== undefined && typeof gapFills !== 'boolean') {
+            return 'fillModel.gapFills must be true or false';
+        }
+        if (intrabarPath !== undefined && !INTRABAR_PATHS.includes(intrabarPath)) {
+            return `Unknown fillModel.intrabarPath ${intrabarPath}. Use ${INTRABAR_PATHS.join(', ')}`;
+        }
+        if (maxParticipation !== undefined && maxParticipation !== null && !(maxParticipation > 0 && maxParticipation <= 1)) {
+            return 'fillModel.maxParticipation must be above 0 and at most 1, or null';
+        }
+        if (latencyMs !== undefined && !(Number.isInteger(latencyMs) && latencyMs >= 0 && latencyMs <= DAY_MS)) {
+            return 'fillModel.latencyMs must be a whole number of milliseconds up to one day';
+        }
+        return null;
+    }
+
+    get latencyMs() {
+        return this.options.latencyMs;
+    }
+
+    get intrabarPath() {
+        return this.options.intrabarPath;
+    }
+
+    /**
+     * Half the bid/ask spread in price units
+     * @param {Object} quote - optional live quote with bid and ask
+     */
+    getHalfSpread(symbol, price, quote = null) {
+        if (quote?.bid > 0 && quote?.ask >= quote.bid) {
+            return (quote.ask - quote.bid) / 2;
+        }
+        if (this.options.spread === 'instrument') {
+            const spreadBps = this.instruments.get(symbol)?.spreadBps || 0;
+            return price * spreadBps / 10000 / 2;
+        }
+        return price * this.options.spread / 2;
+    }
+
+    /**
+     * Price a market order fills at: the ask (buy) or bid (sell) around a
+     * reference price, worsened by slippage
+     * @param {string} side - 'buy' | 'sell'
+     */
+    marketPrice(symbol, side, price, quote = null) {
+        const direction = side === 'buy' ? 1 : -1;
+        const halfSpread = this.getHalfSpread(symbol, price, quote);
+        return price + direction * (halfSpread + price * this.options.slippage);
+    }
+
+    /**
+     * Quantity a fill may take from a bar (or quote) with `volume`
+     * @returns the capped quantity; equal to `quantity` without a cap or volume figure
+     */
+    fillQuantity(quantity, volume) {
+        const { maxParticipation } = this.options;
+        if (!maxParticipation || !(volume > 0)) return quantity;
+        return Math.min(quantity, volume * maxParticipation);
+    }
+
+    /**
+     * True when a bar reaches both of a position's levels without gapping
+     * through either, i.e. the intrabar path decides the exit
+     */
+    isAmbiguous(position, bar) {
+        const levels = getLevels(position);
+        if (!levels.stop || !levels.target) return false;
+        if (this.options.gapFills && (levels.stop.hitBy(bar.open) || levels.target.hitBy(bar.open))) return false;
+        return levels.stop.touchedBy(bar) && levels.target.touchedBy(bar);
+    }
+
+    /**
+     * Stop or target exit of a position on a bar, or null
+     * @param {Object} position - { symbol, side: 'long' | 'short', stopLoss, takeProfit } with price levels
+     * @param {Array} finerBars - lower-timeframe bars of the bar's period ('finer' path)
+     * @returns { reason: 'stop_loss' | 'take_profit', price, level, gap }
+     */
+    exitOnBar(position, bar, finerBars = null) {
+        const levels = getLevels(position);
+
+        // The bar opens beyond a level: the order fills at the open
+        if (this.options.gapFills) {
+            if (levels.stop?.hitBy(bar.open)) return this.exitFill(position, 'stop_loss', bar.open, true);
+            if (levels.target?.hitBy(bar.open)) return this.exitFill(position, 'take_profit', bar.open, true);
+        }
+
+        const stopTouched = Boolean(levels.stop?.touchedBy(bar));
+        const targetTouched = Boolean(levels.target?.touchedBy(bar));
+        if (!stopTouched && !targetTouched) return null;
+
+        let reason = stopTouched ? 'stop_loss' : 'take_profit';
+        if (stopTouched && targetTouched) {
+            reason = this.firstTouched(position, levels, bar, finerBars);
+        }
+
+        return this.exitFill(position, reason, reason === 'stop_loss' ? position.stopLoss : position.takeProfit, false);
+    }
+
+    /**
+     * Fill of a pending entry order on a bar, or null while it is not reached.
+     * Limit orders fill at their price (or a better open), stop orders become
+     * market orders at their price (or a worse open).
+     * @param {Object} order - { symbol, side: 'buy' | 'sell', type: 'limit' | 'stop', price }
+     * @returns { price, level, gap } - level is where it triggered: the order price, or the open on a gap
+     */
+    entryOnBar(order, bar) {
+        // Buy limits and sell stops wait below the price
+        const below = (order.side === 'buy') === (order.type === 'limit');
+        const touched = below ? bar.low <= order.price : bar.high >= order.price;
+        if (!touched) return null;
+
+        const gap = this.options.gapFills && (below ? bar.open < order.price : bar.open > order.price);
+        const level = gap ? bar.open : order.price;
+        const price = order.type === 'stop' ? this.marketPrice(order.symbol, order.side, level) : level;
+
+        return { price, level, gap };
+    }
+
+    /**
+     * Stop or target exit at a live quote, or null. The quote's own price is
+     * the fill level, so a tick through the stop fills where it traded.
+     */
+    exitOnQuote(position, quote) {
+        const levels = getLevels(position);
+        if (levels.stop?.hitBy(quote.price)) return this.exitFill(position, 'stop_loss', quote.price, false, quote);
+        if (levels.target?.hitBy(quote.price)) return this.exitFill(position, 'take_profit', quote.price, false, quote);
+        return null;
+    }
+
+    /**
+     * Which level a bar that reached both hit first, by the configured path
+     */
+    firstTouched(position, levels, bar, finerBars) {
+        const { intrabarPath } = this.options;
+        if (intrabarPath === 'pessimistic') return 'stop_loss';
+        if (intrabarPath === 'optimistic') return 'take_profit';
+
+        if (intrabarPath === 'finer' && finerBars?.length > 0) {
+            for (const finerBar of finerBars) {
+                const stopTouched = levels.stop.touchedBy(finerBar);
+                const targetTouched = levels.target.touchedBy(finerBar);
+                if (stopTouched && targetTouched) return this.pathOrder(position, finerBar);
+                if (stopTouched) return 'stop_loss';
+                if (targetTouched) return 'take_profit';
+            }
+        }
+
+        return this.pathOrder(position, bar);
+    }
+
+    /**
+     * OHLC path: from the open to the nearer extreme first
+     */
+    pathOrder(position, bar) {
+        const highFirst = bar.high - bar.open <= bar.open - bar.low;
+        return highFirst === (position.side === 'long') ? 'take_profit' : 'stop_loss';
+    }
+
+    /**
+     * Fill of an exit: stops cross the spread and pay slippage, targets fill at the limit
+     */
+    exitFill(position, reason, level, gap, quote = null) {
+        const closeSide = position.side === 'long' ? 'sell' : 'buy';
+        let price = level;
+
+        if (reason === 'stop_loss') {
+            price = this.marketPrice(position.symbol, closeSide, level, quote);
+        } else if (quote?.bid > 0 && quote?.ask > 0) {
+            price = closeSide === 'sell' ? Math.max(level, quote.bid) : Math.min(level, quote.ask);
+        }
+
+        return { reason, price, level, gap };
+    }
+
+    toJSON() {
+        return { ...this.options };
+    }
+}
+
+/**
+ * A position's stop and target as checks against prices and bars
+ */
+function getLevels(position) {
+    const long = position.side === 'long';
+    const level = (price, adverse) => {
+        if (!Number.isFinite(price)) return null;
+        const below = long === adverse; // long stops and short targets sit below the price
+        return {
+            hitBy: value => below ? value <= price : value >= price,
+            touchedBy: bar => below ? bar.low <= price : bar.high >= price
+        };
+    };
+
+    return {
+        stop: level(position.stopLoss, true),
+        target: level(position.takeProfit, false)
+    };
+}
+
+module.exports = FillModel;
+module.exports.FillModelError = FillModelError;
+module.exports.FILL_MODEL_DEFAULTS = FILL_MODEL_DEFAULTS;
+module.exports.INTRABAR_PATHS = INTRABAR_PATHS;
@@ -0,0 +1,171 @@
+/**
+ * Monte Carlo Analyzer
+ * Re-runs a completed backtest's trades in random orders to show how much of
+ * its result came from the particular sequence it happened to get.
+ *
+ * Each trade becomes a return on the equity it was taken with, so resampled
+ * paths compound the way the account would have. Per simulated path:
+ *  - method 'bootstrap' (default) draws the trades with replacement, 'shuffle'
+ *    reorders them. Compounding does not depend on order, so without skips or
+ *    slippage every shuffled path ends at the original return: shuffle only
+ *    varies drawdowns and ruin
+ *  - each trade is skipped with probability `skipRate` (missed fills, downtime)
+ *  - each trade pays extra slippage drawn from [0, slippage] of its notional per side
+ *
+ * Reported: final return and max drawdown distributions with percentiles,
+ * probability of a loss and risk of ruin (equity touching `ruinLevel` below start).
+ */
+
+import { BacktestConfigError } from './BacktestEngine.js';
+import { createRandom, newSeed } from './random.js';
+
+export const MONTE_CARLO_METHODS = ['shuffle', 'bootstrap'];
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+const MAX_ITERATIONS = 10000;
+
+export class MonteCarloAnalyzer {
+    /**
+     * @param {Array} trades - trades of a completed run (pnl, dividends, entryPrice, size, entryFxRate, exitTime)
+     * @param {number} initialCapital - capital the run started with
+     * @param {Object} options - { iterations, method, skipRate, slippage, ruinLevel, seed }
+     */
+    analyze(trades, initialCapital, options = {}) {
+        const {
+            iterations = 1000,
+            method = 'bootstrap',
+            skipRate = 0,
+            slippage = 0,
+            ruinLevel = 0.5,
+            seed = newSeed()
+        } = options;
+
+        if (!MONTE_CARLO_METHODS.includes(method)) {
+            throw new BacktestConfigError(`Unknown Monte Carlo method ${method}. Use ${MONTE_CARLO_METHODS.join(', ')}`);
+        }
+        if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+            throw new BacktestConfigError(`iterations must be an integer between 1 and ${MAX_ITERATIONS}`);
+        }
+        if (!(skipRate >= 0 && skipRate < 1)) {
+            throw new BacktestConfigError('skipRate must be at least 0 and below 1');
+        }
+        if (!(slippage >= 0 && slippage <= 0.05)) {
+            throw new BacktestConfigError('slippage must be between 0 and 0.05');
+        }
+        if (!(ruinLevel > 0 && ruinLevel < 1)) {
+            throw new BacktestConfigError('ruinLevel must be between 0 and 1');
+        }
+        if (trades.length === 0) {
+            throw new BacktestConfigError('The backtest has no trades to simulate');
+        }
+
+        const steps = toSteps(trades, initialCapital);
+        const random = createRandom(seed);
+        const ruinEquity = 1 - ruinLevel;
+
+        const finalReturns = [];
+        const maxDrawdowns = [];
+        let ruined = 0;
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const sequence = method === 'bootstrap'
+                ? steps.map(() => steps[Math.floor(random() * steps.length)])
+                : shuffle(steps, random);
+
+            let equity = 1;
+            let peak = 1;
+            let maxDrawdown = 0;
+            let hitRuin = false;
+
+            for (const step of sequence) {
+                if (skipRate > 0 && random() < skipRate) continue;
+
+                const extraSlippage = slippage > 0 ? step.exposure * random() * slippage * 2 : 0;
+                equity *= Math.max(0, 1 + step.return - extraSlippage);
+
+                if (equity > peak) peak = equity;
+                maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+                if (equity <= ruinEquity) hitRuin = true;
+            }
+
+            finalReturns.push((equity - 1) * 100);
+            maxDrawdowns.push(maxDrawdown * 100);
+            if (hitRuin) ruined++;
+        }
+
+        return {
+            method,
+            iterations,
+            seed,
+            trades: trades.length,
+            assumptions: { skipRate, slippage, ruinLevel },
+            original: {
+                finalReturn: round((steps.reduce((equity, step) => equity * (1 + step.return), 1) - 1) * 100),
+                maxDrawdown: round(pathDrawdown(steps) * 100)
+            },
+            finalReturn: distribution(finalReturns),
+            maxDrawdown: distribution(maxDrawdowns),
+            probabilityOfLoss: round(finalReturns.filter(value => value < 0).length / iterations * 100),
+            riskOfRuin: round(ruined / iterations * 100)
+        };
+    }
+}
+
+/**
+ * Trades in exit order as returns on the equity they were taken with, plus
+ * their exposure (notional / equity) for slippage
+ */
+function toSteps(trades, initialCapital) {
+    let equity = initialCapital;
+
+    return trades
+        .slice()
+        .sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime))
+        .map(trade => {
+            const pnl = trade.pnl + (trade.dividends || 0);
+            const notional = Math.abs(trade.entryPrice * trade.size * (trade.entryFxRate || 1));
+            const step = {
+                return: equity > 0 ? pnl / equity : 0,
+                exposure: equity > 0 ? notional / equity : 0
+            };
+            equity += pnl;
+            return step;
+        });
+}
+
+function shuffle(items, random) {
+    const output = items.slice();
+    for (let i = output.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [output[i], output[j]] = [output[j], output[i]];
+    }
+    return output;
+}
+
+function pathDrawdown(steps) {
+    let equity = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    for (const step of steps) {
+        equity *= 1 + step.return;
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+    }
+    return maxDrawdown;
+}
+
+function distribution(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+
+    return {
+        mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        min: round(sorted[0]),
+        max: round(sorted[sorted.length - 1]),
+        percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(percentile(p))]))
+    };
+}
+
+const round = value => Number(value.toFixed(2));
+
+export default MonteCarloAnalyzer;
@@ -0,0 +1,288 @@
+/**
+ * Parameter Sweep
+ * Runs one backtest per combination of declared parameters (TUNABLE_PARAMETERS),
+ * either every combination of a grid or a seeded random sample, and returns the
+ * runs ranked by an objective plus a sensitivity view per parameter.
+ *
+ * Runs execute a few at a time on their own engines. They share an in-memory
+ * AI response cache (and the recorded responses of aiMode 'record'/'replay'),
+ * so a sweep asks the model about each bar once, not once per combination.
+ * Progress counts finished runs plus the share of those stepping, and an abort
+ * signal stops every run at its next bar.
+ */
+
+import BacktestEngine, { TUNABLE_PARAMETERS, BacktestConfigError, assertTunableValue } from './BacktestEngine.js';
+import { expandGrid, OBJECTIVES } from './WalkForwardOptimizer.js';
+import { createRandom, newSeed } from './random.js';
+import { getReplayStatus } from '../ai/AIResponseRecorder.js';
+
+export const SEARCH_METHODS = ['grid', 'random'];
+
+const MAX_RUNS = 100;
+const MAX_CONCURRENCY = 4;
+
+export class ParameterSweep {
+    /**
+     * @param {Object} engineConfig - BacktestEngine config shared by every run (aiManager, providers, capital...)
+     */
+    constructor(engineConfig = {}) {
+        this.engineConfig = engineConfig;
+    }
+
+    /**
+     * Combinations a sweep runs; throws a BacktestConfigError for invalid
+     * settings, so they can be checked before the sweep is queued
+     */
+    plan({ parameters = {}, method = 'grid', samples = 20, seed = newSeed(), concurrency = 2, rankBy = 'sharpeRatio' }) {
+        if (!SEARCH_METHODS.includes(method)) {
+            throw new BacktestConfigError(`Unknown search method ${method}. Use ${SEARCH_METHODS.join(', ')}`);
+        }
+        if (!OBJECTIVES.includes(rankBy)) {
+            throw new BacktestConfigError(`Unknown rankBy ${rankBy}. Use ${OBJECTIVES.join(', ')}`);
+        }
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+            throw new BacktestConfigError(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+        }
+
+        return method === 'grid'
+            ? expandGrid(parameters, MAX_RUNS)
+            : sampleParameters(parameters, samples, seed);
+    }
+
+    /**
+     * Run a sweep
+     * @param {Object} params - runBacktest options plus parameters, method ('grid' | 'random'),
+     *   samples and seed (random), concurrency, rankBy (one of OBJECTIVES), onProgress
+     *   ({ runsCompleted, totalRuns, percent, aiCalls, liveCost }) and signal (AbortSignal)
+     *
+     * Grid parameters are { name: [values] }; random parameters may also give
+     * { name: { min, max } } ranges.
+     */
+    async run(params) {
+        const {
+            symbol,
+            startDate,
+            endDate,
+            aiModel,
+            timeframe = '1d',
+            adjustment = 'adjusted',
+            creditDividends = false,
+            aiMode = 'record',
+            userTier = 'free',
+            parameters = {},
+            method = 'grid',
+            samples = 20,
+            seed = newSeed(),
+            concurrency = 2,
+            rankBy = 'sharpeRatio',
+            onProgress = null,
+            signal = null
+        } = params;
+
+        const combinations = this.plan({ parameters, method, samples, seed, concurrency, rankBy });
+
+        console.log(`🧪 Sweep: ${symbol}, ${combinations.length} ${method} combinations, ${concurrency} at a time`);
+
+        const responseCache = new Map();
+        const backtest = { symbol, startDate, endDate, aiModel, timeframe, adjustment, creditDividends, aiMode, userTier, signal };
+
+        // Latest progress of the runs stepping, and AI usage of those finished
+        const stepping = new Map();
+        const finished = { runs: 0, aiCalls: 0, liveCost: 0 };
+        const reportProgress = () => {
+            if (!onProgress) return;
+            const current = [...stepping.values()];
+            const sum = field => current.reduce((total, progress) => total + progress[field], 0);
+            onProgress({
+                runsCompleted: finished.runs,
+                totalRuns: combinations.length,
+                percent: Number(((finished.runs + sum('percent') / 100) / combinations.length * 100).toFixed(1)),
+                aiCalls: finished.aiCalls + sum('aiCalls'),
+                liveCost: Number((finished.liveCost + sum('liveCost')).toFixed(4))
+            });
+        };
+
+        const runs = await mapWithConcurrency(combinations, concurrency, async (combination, index) => {
+            try {
+                const engine = new BacktestEngine({ ...this.engineConfig, ...combination, responseCache });
+                const result = await engine.runBacktest({
+                    ...backtest,
+                    onProgress: progress => {
+                        stepping.set(index, progress);
+                        reportProgress();
+                    }
+                });
+                finished.aiCalls += result.aiResponses.live;
+                finished.liveCost += result.aiResponses.liveCost;
+                return { parameters: combination, result };
+            } catch (error) {
+                // A cancelled sweep stops; other failures only fail their combination
+                if (error.code === 'BACKTEST_CANCELLED') throw error;
+                return { parameters: combination, error };
+            } finally {
+                stepping.delete(index);
+                finished.runs++;
+                reportProgress();
+            }
+        });
+
+        const completed = runs.filter(run => run.result);
+        if (completed.length === 0) {
+            throw runs[0].error;
+        }
+
+        const rows = runs.map(({ parameters: combination, result, error }) => result
+            ? {
+                parameters: combination,
+                score: result.metrics.totalTrades > 0 ? result.metrics[rankBy] : null,
+                totalReturn: result.metrics.totalReturn,
+                sharpeRatio: result.metrics.sharpeRatio,
+                profitFactor: result.metrics.profitFactor,
+                maxDrawdown: result.metrics.maxDrawdown,
+                winRate: result.metrics.winRate,
+                totalTrades: result.metrics.totalTrades,
+                finalCapital: Number(result.finalCapital.toFixed(2))
+            }
+            : { parameters: combination, score: null, error: error.message }
+        );
+
+        const ranked = rows
+            .slice()
+            .sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity))
+            .map((row, index) => ({ rank: index + 1, ...row }));
+
+        const aiResponses = completed.reduce((total, run) => {
+            const report = run.result.aiResponses;
+            total.replayed += report.replayed;
+            total.live += report.live;
+            total.recorded += report.recorded;
+            total.liveCost += report.liveCost;
+            return total;
+        }, { replayed: 0, live: 0, recorded: 0, liveCost: 0 });
+
+        return {
+            symbol,
+            aiModel,
+            timeframe,
+            startDate,
+            endDate,
+            method,
+            ...(method === 'random' && { seed, samples: combinations.length }),
+            rankBy,
+            parameters,
+            runs: rows.length,
+            failedRuns: rows.length - completed.length,
+            ranked,
+            best: ranked[0].score === null ? null : ranked[0],
+            sensitivity: summarizeSensitivity(rows),
+            aiResponses: {
+                ...aiResponses,
+                liveCost: Number(aiResponses.liveCost.toFixed(4)),
+                status: getReplayStatus(aiResponses)
+            }
+        };
+    }
+}
+
+/**
+ * `samples` random combinations; values come from a list or a { min, max } range
+ */
+export function sampleParameters(parameters = {}, samples = 20, seed = 1) {
+    const entries = Object.entries(parameters);
+    if (entries.length === 0) {
+        throw new BacktestConfigError(`Declare at least one parameter to sweep: ${Object.keys(TUNABLE_PARAMETERS).join(', ')}`);
+    }
+    if (!Number.isInteger(samples) || samples < 1 || samples > MAX_RUNS) {
+        throw new BacktestConfigError(`samples must be an integer between 1 and ${MAX_RUNS}`);
+    }
+
+    for (const [name, values] of entries) {
+        if (Array.isArray(values) && values.length > 0) {
+            values.forEach(value => assertTunableValue(name, value));
+        } else if (values && typeof values === 'object' && values.min < values.max) {
+            assertTunableValue(name, values.min);
+            assertTunableValue(name, values.max);
+        } else {
+            throw new BacktestConfigError(`Parameter ${name} needs a list of values or a { min, max } range`);
+        }
+    }
+
+    const random = createRandom(seed);
+    const combinations = [];
+    const seen = new Set();
+
+    // Duplicates are skipped; small discrete spaces may yield fewer than `samples`
+    for (let attempt = 0; attempt < samples * 10 && combinations.length < samples; attempt++) {
+        const combination = {};
+        for (const [name, values] of entries) {
+            if (Array.isArray(values)) {
+                combination[name] = values[Math.floor(random() * values.length)];
+            } else {
+                const value = values.min + random() * (values.max - values.min);
+                combination[name] = TUNABLE_PARAMETERS[name].integer ? Math.round(value) : Number(value.toPrecision(4));
+            }
+        }
+
+        const id = JSON.stringify(combination);
+        if (!seen.has(id)) {
+            seen.add(id);
+            combinations.push(combination);
+        }
+    }
+
+    return combinations;
+}
+
+/**
+ * Per parameter and value: how the ranking objective behaved across runs.
+ * `spread` (best minus worst mean) shows how much the parameter moves results.
+ */
+function summarizeSensitivity(rows) {
+    const scored = rows.filter(row => row.score !== null);
+    const names = Object.keys(rows[0].parameters);
+    const sensitivity = {};
+
+    for (const name of names) {
+        const byValue = new Map();
+        for (const row of scored) {
+            const value = row.parameters[name];
+            if (!byValue.has(value)) byValue.set(value, []);
+            byValue.get(value).push(row.score);
+        }
+
+        const values = [...byValue.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([value, scores]) => ({
+                value,
+                runs: scores.length,
+                mean: Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2)),
+                best: Math.max(...scores),
+                worst: Math.min(...scores)
+            }));
+
+        const means = values.map(item => item.mean);
+        sensitivity[name] = {
+            values,
+            spread: means.length > 1 ? Number((Math.max(...means) - Math.min(...means)).toFixed(2)) : 0
+        };
+    }
+
+    return sensitivity;
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+export default ParameterSweep;
@@ -0,0 +1,236 @@
+/**
+ * Position Sizer
+ * How many units an entry buys or sells. The backtester, the paper trading
+ * engine, the legacy trading engine and the autonomous brain all size through
+ * it, so the same account settings give the same quantity everywhere:
+ *  - fixed-fractional: lose `riskPerTrade` of equity if the stop is hit
+ *  - fixed-notional: `notional` of the account currency per entry
+ *  - volatility: lose `riskPerTrade` of equity on an adverse move of
+ *    `atrMultiple` average true ranges (ATR over `atrPeriod` bars)
+ *  - kelly: `kellyFraction` of the Kelly share of equity, from `winRate` and
+ *    `payoffRatio` (by default the signal's confidence and its target / stop
+ *    distances)
+ *
+ * Every model is capped at `maxPositionShare` of equity in notional and the
+ * result is rounded down to the instrument's lot size. size() returns the
+ * quantity with the model and inputs that produced it, which engines keep on
+ * their orders and trades.
+ */
+
+const { getInstrumentRegistry, DAY_MS } = require('../market/index.js');
+
+const SIZING_MODELS = ['fixed-fractional', 'fixed-notional', 'volatility', 'kelly'];
+
+const SIZING_DEFAULTS = {
+    model: 'fixed-fractional',
+    riskPerTrade: 0.02, // share of equity lost at the stop (fixed-fractional, volatility)
+    notional: 1000, // account currency per entry (fixed-notional)
+    atrPeriod: 14,
+    atrMultiple: 2,
+    kellyFraction: 0.5, // half Kelly
+    winRate: null, // null: the signal's confidence
+    payoffRatio: null, // null: target distance over stop distance
+    maxPositionShare: 0.2, // largest notional as a share of equity
+    scaleByConfidence: false // multiply the quantity by the signal's confidence
+};
+
+// Accepted numeric options with their ranges (null is allowed where the default is null)
+const SIZING_FIELDS = {
+    riskPerTrade: { min: 0.001, max: 0.1 },
+    notional: { min: 1, max: 1e9 },
+    atrPeriod: { min: 2, max: 200, integer: true },
+    atrMultiple: { min: 0.1, max: 20 },
+    kellyFraction: { min: 0.01, max: 1 },
+    winRate: { min: 0, max: 1 },
+    payoffRatio: { min: 0.01, max: 100 },
+    maxPositionShare: { min: 0.01, max: 1 }
+};
+
+class PositionSizingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PositionSizingError';
+        this.code = 'INVALID_POSITION_SIZING';
+        this.statusCode = 400;
+    }
+}
+
+class PositionSizer {
+    /**
+     * @param {Object} options - SIZING_DEFAULTS overrides
+     * @param {InstrumentRegistry} instruments - lot sizes and minimum quantities
+     */
+    constructor(options = {}, instruments = getInstrumentRegistry()) {
+        const error = PositionSizer.validate(options);
+        if (error) throw new PositionSizingError(error);
+
+        this.options = { ...SIZING_DEFAULTS, ...options };
+        this.model = this.options.model;
+        this.instruments = instruments;
+    }
+
+    /**
+     * Validation message for sizing options, or null when they are valid
+     */
+    static validate(options) {
+        if (options === null || options === undefined) return null;
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            return 'positionSizing must be an object';
+        }
+
+        const unknown = Object.keys(options).filter(key => !(key in SIZING_DEFAULTS));
+        if (unknown.length > 0) {
+            return `Unknown positionSizing options: ${unknown.join(', ')}. Use ${Object.keys(SIZING_DEFAULTS).join(', ')}`;
+        }
+        if (options.model !== undefined && !SIZING_MODELS.includes(options.model)) {
+            return `Unknown positionSizing.model ${options.model}. Use ${SIZING_MODELS.join(', ')}`;
+        }
+        if (options.scaleByConfidence !== undefined && typeof options.scaleByConfidence !== 'boolean') {
+            return 'positionSizing.scaleByConfidence must be true or false';
+        }
+
+        for (const [field, spec] of Object.entries(SIZING_FIELDS)) {
+            const value = options[field];
+            if (value === undefined || (value === null && SIZING_DEFAULTS[field] === null)) continue;
+            if (typeof value !== 'number' || !(value >= spec.min && value <= spec.max) || (spec.integer && !Number.isInteger(value))) {
+                return `positionSizing.${field} must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bars the volatility model needs before the entry (0 for other models)
+     */
+    get lookback() {
+        return this.model === 'volatility' ? this.options.atrPeriod + 1 : 0;
+    }
+
+    get maxPositionShare() {
+        return this.options.maxPositionShare;
+    }
+
+    /**
+     * Size an entry
+     * @param {Object} entry - { symbol, price, fxRate (quote -> account currency),
+     *   equity (account currency), stopLoss and takeProfit (prices), confidence,
+     *   atr, or bars (recent bars, oldest first) to compute it from }
+     * @returns { quantity, model, inputs, requestedQuantity, capped, reason }:
+     *   quantity is 0 with a reason when the model cannot size the entry
+     */
+    size(entry) {
+        const { symbol, price, fxRate = 1, equity, confidence = null } = entry;
+        const { model, options } = this;
+        const inputs = { equity, price, fxRate };
+        const result = (quantity, reason = null, extra = {}) => ({ quantity, model, inputs, requestedQuantity: quantity, capped: false, reason, ...extra });
+
+        if (!(price > 0) || !(fxRate > 0)) return result(0, `Invalid price ${price} for ${symbol}`);
+        if (!(equity > 0)) return result(0, 'No equity to size the position from');
+
+        const unitValue = price * fxRate; // account currency per unit
+        let quantity;
+
+        if (model === 'fixed-notional') {
+            inputs.notional = options.notional;
+            quantity = options.notional / unitValue;
+        } else if (model === 'kelly') {
+            const winRate = options.winRate ?? confidence;
+            const payoffRatio = options.payoffRatio ?? rewardToRisk(price, entry.stopLoss, entry.takeProfit);
+            Object.assign(inputs, { winRate, payoffRatio, kellyFraction: options.kellyFraction });
+            if (!(winRate >= 0) || !(payoffRatio > 0)) {
+                return result(0, 'Kelly sizing needs a win rate and a payoff ratio (or a confidence, stop and target)');
+            }
+
+            const kelly = winRate - (1 - winRate) / payoffRatio;
+            inputs.kelly = kelly;
+            if (kelly <= 0) return result(0, `No edge: Kelly share ${kelly.toFixed(4)} at win rate ${winRate} and payoff ${payoffRatio.toFixed(2)}`);
+            quantity = equity * kelly * options.kellyFraction / unitValue;
+        } else {
+            const riskAmount = equity * options.riskPerTrade;
+            inputs.riskPerTrade = options.riskPerTrade;
+            inputs.riskAmount = riskAmount;
+
+            let unitRisk; // quote currency lost per unit on the sized move
+            if (model === 'volatility') {
+                const atr = entry.atr ?? averageTrueRange(entry.bars || [], options.atrPeriod);
+                Object.assign(inputs, { atr, atrPeriod: options.atrPeriod, atrMultiple: options.atrMultiple });
+                if (!(atr > 0)) return result(0, `Volatility sizing needs ${this.lookback} bars of ${symbol}`);
+                unitRisk = atr * options.atrMultiple;
+            } else {
+                inputs.stopLoss = entry.stopLoss ?? null;
+                unitRisk = Math.abs(price - entry.stopLoss);
+                if (!(unitRisk > 0)) return result(0, 'Fixed-fractional sizing needs a stop loss away from the price');
+            }
+            quantity = riskAmount / (unitRisk * fxRate);
+        }
+
+        if (options.scaleByConfidence && confidence !== null) {
+            inputs.confidence = confidence;
+            quantity *= confidence;
+        }
+        const requestedQuantity = quantity;
+
+        // No model may put more than maxPositionShare of equity into one position
+        const maxQuantity = equity * options.maxPositionShare / unitValue;
+        const capped = quantity > maxQuantity;
+        if (capped) {
+            inputs.maxPositionShare = options.maxPositionShare;
+            quantity = maxQuantity;
+        }
+
+        // Custom dataset symbols are unregistered and keep fractional sizes
+        if (this.instruments.has(symbol)) {
+            quantity = this.instruments.normalizeQuantity(symbol, quantity);
+            if (!this.instruments.validateQuantity(symbol, quantity).valid) {
+                const { minQuantity } = this.instruments.get(symbol);
+                return result(0, `Sized ${Number(requestedQuantity.toPrecision(6))} ${symbol}, below its minimum quantity ${minQuantity}`, { requestedQuantity, capped });
+            }
+        }
+
+        return result(quantity, null, { requestedQuantity, capped });
+    }
+
+    /**
+     * Daily bars up to `end` covering the volatility model's lookback (none for other models)
+     */
+    async getRecentBars(marketDataProvider, symbol, end = new Date()) {
+        if (this.lookback === 0) return [];
+
+        // Calendar days: weekends and holidays leave fewer bars than days
+        const start = new Date(end.getTime() - (this.lookback * 2 + 7) * DAY_MS);
+        const bars = await marketDataProvider.getHistoricalBars(symbol, { start, end, timeframe: '1d' });
+        return bars.slice(-this.lookback);
+    }
+
+    toJSON() {
+        return { ...this.options };
+    }
+}
+
+/**
+ * Average true range of the last `period` bars (null without period + 1 bars)
+ */
+function averageTrueRange(bars, period = SIZING_DEFAULTS.atrPeriod) {
+    if (bars.length < period + 1) return null;
+
+    let sum = 0;
+    for (let i = bars.length - period; i < bars.length; i++) {
+        const { high, low } = bars[i];
+        const previousClose = bars[i - 1].close;
+        sum += Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+    }
+    return sum / period;
+}
+
+// Target distance over stop distance, null without both
+function rewardToRisk(price, stopLoss, takeProfit) {
+    if (!stopLoss || !takeProfit) return null;
+    const risk = Math.abs(price - stopLoss);
+    return risk > 0 ? Math.abs(takeProfit - price) / risk : null;
+}
+
+module.exports = PositionSizer;
+module.exports.PositionSizingError = PositionSizingError;
+module.exports.SIZING_MODELS = SIZING_MODELS;
+module.exports.SIZING_DEFAULTS = SIZING_DEFAULTS;
+module.exports.averageTrueRange = averageTrueRange;
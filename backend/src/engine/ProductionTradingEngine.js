@@ -1,12 +1,21 @@
 /**
  * PRODUCTION-READY AI Trading Engine
  * This is a REAL trading engine with actual functionality
+ *
+ * Time comes from `config.clock` (the system clock by default). Given a
+ * SimulatedClock with a replay quote stream and provider, the engine trades
+ * historical bars in accelerated time through exactly the code it trades
+ * live with (see SimulatedTradingSession).
  */
 
 require('dotenv/config');
 const EventEmitter = require('events');
-const yahooFinance = require('yahoo-finance2');
 const AIModelManager = require('../ai/AIModelManager.js');
+const { getMarketDataProvider, getInstrumentRegistry, getQuoteStream, getMarketCalendar, MarketClosedError, MARKET_STATUS, CurrencyConverter, getDataQualityValidator, getTimeframeMs, DAY_MS, systemClock } = require('../market/index.js');
+const RuleStrategy = require('./RuleStrategy.js');
+const FillModel = require('./FillModel.js');
+const CarryCostModel = require('./CarryCostModel.js');
+const PositionSizer = require('./PositionSizer.js');
 const TechnicalIndicators = require('technicalindicators');
 const fs = require('fs/promises');
 const path = require('path');
@@ -18,10 +27,18 @@ class ProductionTradingEngine extends EventEmitter {
         this.config = {
             initialBalance: config.initialBalance || 100000,
             maxPositions: config.maxPositions || 10,
-            maxRisk: config.maxRisk || 0.02, // 2% max risk per trade
+            maxRisk: config.maxRisk || 0.02, // 2% max risk per trade (the sizer's default riskPerTrade)
             maxDailyLoss: config.maxDailyLoss || 0.05, // 5% max daily loss
             commission: config.commission || 0.001, // 0.1% commission
             slippage: config.slippage || 0.0005, // 0.05% slippage
+            pollIntervalMs: config.pollIntervalMs || 5 * 60 * 1000, // fallback when no live ticks
+            closedMarketOrders: config.closedMarketOrders || 'reject', // 'reject' | 'queue'
+            baseCurrency: config.baseCurrency || 'USD', // balance, P&L and margin currency
+            fillModel: config.fillModel || null, // FillModel options shared with backtests
+            carryCosts: config.carryCosts || null, // CarryCostModel options shared with backtests
+            positionSizing: config.positionSizing || null, // PositionSizer options shared with backtests
+            persistHistory: config.persistHistory !== false, // load/save data/trade-history.json
+            validateConnections: config.validateConnections !== false, // probe AI and market data on start
             ...config
         };
         
@@ -38,12 +55,47 @@ class ProductionTradingEngine extends EventEmitter {
         this.dailyTradeCount = 0;
         this.lastTradeDate = null;
         
-        // AI Integration
-        this.aiManager = new AIModelManager();
+        // Timestamps, timers and market hours follow this clock
+        this.clock = config.clock || systemClock;
         
-        // Market data cache
+        // Market data
+        this.marketData = config.marketDataProvider || getMarketDataProvider();
+        this.instruments = config.instrumentRegistry || getInstrumentRegistry();
+        this.calendar = config.marketCalendar || getMarketCalendar();
+        this.orderTimers = new Map(); // queued orderId -> timeout
         this.marketDataCache = new Map();
         this.lastDataUpdate = new Map();
+        this.dataQuality = config.dataQualityValidator || getDataQualityValidator();
+        
+        // AI Integration (reads the same market data as of the same clock)
+        this.aiManager = config.aiManager || new AIModelManager({
+            marketDataProvider: this.marketData,
+            dataQualityValidator: this.dataQuality,
+            clock: this.clock
+        });
+        
+        // Orders fill like backtest orders: spread, slippage, latency and volume caps
+        this.fillModel = new FillModel({ slippage: this.config.slippage, ...this.config.fillModel }, this.instruments);
+        
+        // Held positions pay (or earn) swap, borrow, margin and funding like backtest positions
+        this.carryModel = new CarryCostModel(this.config.carryCosts, this.instruments);
+        
+        // Orders without a quantity are sized like backtest entries; every position is capped by it
+        this.sizer = new PositionSizer({ riskPerTrade: this.config.maxRisk, ...this.config.positionSizing }, this.instruments);
+        
+        // Live ticks (null when streaming is disabled); polling covers symbols without them
+        this.quoteStream = config.quoteStream !== undefined ? config.quoteStream : getQuoteStream();
+        this.quoteSubscriptions = new Map(); // symbol -> unsubscribe
+        this.closingPositions = new Set();
+        this.pollTimer = null;
+        
+        // Instruments are quoted in their own currency; the account is kept in baseCurrency
+        this.fx = config.currencyConverter || new CurrencyConverter({
+            instruments: this.instruments,
+            marketDataProvider: this.marketData,
+            quoteStream: this.quoteStream,
+            clock: this.clock
+        });
         
         // Performance tracking
         this.metrics = {
@@ -60,13 +112,15 @@ class ProductionTradingEngine extends EventEmitter {
         };
         
         console.log('🚀 Production Trading Engine initialized');
-        this.initializeEngine();
+        this.ready = this.initializeEngine(); // resolves once monitoring runs
     }
     
     async initializeEngine() {
         try {
             // Validate API connections
-            await this.validateConnections();
+            if (this.config.validateConnections) {
+                await this.validateConnections();
+            }
             
             // Load historical trades if any
             await this.loadTradeHistory();
@@ -97,16 +151,18 @@ class ProductionTradingEngine extends EventEmitter {
             console.warn('⚠️ OpenAI API: Not available -', error.message);
         }
         
-        // Test Yahoo Finance connection
+        // Test market data connection
         try {
-            await yahooFinance.quote('AAPL');
-            console.log('✅ Yahoo Finance API: Connected');
+            await this.marketData.getLatestQuote('AAPL');
+            console.log(`✅ Market data (${this.marketData.name}): Connected`);
         } catch (error) {
-            console.warn('⚠️ Yahoo Finance API: Not available -', error.message);
+            console.warn(`⚠️ Market data (${this.marketData.name}): Not available -`, error.message);
         }
     }
     
     async loadTradeHistory() {
+        if (!this.config.persistHistory) return;
+        
         try {
             const historyPath = path.join(process.cwd(), 'data', 'trade-history.json');
             const data = await fs.readFile(historyPath, 'utf8');
@@ -123,6 +179,8 @@ class ProductionTradingEngine extends EventEmitter {
     }
     
     async saveTradeHistory() {
+        if (!this.config.persistHistory) return;
+        
         try {
             const historyPath = path.join(process.cwd(), 'data', 'trade-history.json');
             await fs.mkdir(path.dirname(historyPath), { recursive: true });
@@ -131,7 +189,8 @@ class ProductionTradingEngine extends EventEmitter {
                 trades: this.trades,
                 metrics: this.metrics,
                 totalPnL: this.totalPnL,
-                lastUpdated: new Date().toISOString()
+                baseCurrency: this.config.baseCurrency,
+                lastUpdated: this.clock.now().toISOString()
             };
             
             await fs.writeFile(historyPath, JSON.stringify(data, null, 2));
@@ -141,32 +200,90 @@ class ProductionTradingEngine extends EventEmitter {
     }
     
     startMarketDataMonitoring() {
-        // Update market data every 5 minutes during market hours
-        setInterval(() => {
-            this.updateMarketData();
-        }, 5 * 60 * 1000);
+        // Open positions (e.g. restored ones) get live ticks
+        for (const symbol of this.positions.keys()) {
+            this.subscribeQuotes(symbol);
+        }
+        
+        // Polling is only a fallback for symbols the stream is not delivering
+        this.pollTimer = this.clock.setInterval(() => this.updateMarketData(), this.config.pollIntervalMs);
+        
+        const mode = this.quoteStream ? `streaming via ${this.quoteStream.source.name}` : 'polling only';
+        console.log(`📡 Market data monitoring started (${mode})`);
+    }
+    
+    subscribeQuotes(symbol) {
+        if (!this.quoteStream || this.quoteSubscriptions.has(symbol)) return;
+        this.quoteSubscriptions.set(symbol, this.quoteStream.subscribe(symbol, tick => this.handleTick(tick)));
+    }
+    
+    unsubscribeQuotes(symbol) {
+        const unsubscribe = this.quoteSubscriptions.get(symbol);
+        if (unsubscribe) {
+            unsubscribe();
+            this.quoteSubscriptions.delete(symbol);
+        }
+    }
+    
+    /**
+     * Every streamed price update refreshes the cache and runs the position risk checks
+     */
+    async handleTick(tick) {
+        const previous = this.marketDataCache.get(tick.symbol);
         
-        console.log('📡 Market data monitoring started');
+        this.marketDataCache.set(tick.symbol, {
+            ...previous,
+            symbol: tick.symbol,
+            price: tick.price,
+            bid: tick.bid,
+            ask: tick.ask,
+            timestamp: tick.timestamp
+        });
+        this.lastDataUpdate.set(tick.symbol, tick.timestamp);
+        
+        this.emit('market:tick', tick);
+        await this.checkPositionRisk(tick.symbol, tick.price);
+    }
+    
+    /**
+     * Last streamed tick of a symbol (price, bid, ask, volume), or null
+     */
+    getLiveQuote(symbol) {
+        return this.quoteStream?.isLive(symbol) ? this.quoteStream.getLastTick(symbol) : null;
+    }
+    
+    /**
+     * Wait out the fill model's latency between an order and its fill
+     */
+    async waitForFill() {
+        if (this.fillModel.latencyMs > 0) {
+            await this.clock.sleep(this.fillModel.latencyMs);
+        }
     }
     
     async updateMarketData() {
         try {
-            const symbols = Array.from(this.positions.keys());
+            await this.refreshFxRates();
+            this.accrueCarryCosts();
+            
+            const symbols = Array.from(this.positions.keys())
+                .filter(symbol => !this.quoteStream || !this.quoteStream.isLive(symbol));
             if (symbols.length === 0) return;
             
             for (const symbol of symbols) {
-                const quote = await yahooFinance.quote(symbol);
+                const quote = await this.marketData.getLatestQuote(symbol);
                 this.marketDataCache.set(symbol, {
                     symbol,
-                    price: quote.regularMarketPrice,
-                    change: quote.regularMarketChange,
-                    changePercent: quote.regularMarketChangePercent,
-                    volume: quote.regularMarketVolume,
-                    timestamp: new Date()
+                    price: quote.price,
+                    change: quote.change,
+                    changePercent: quote.changePercent,
+                    volume: quote.volume,
+                    timestamp: this.clock.now()
                 });
+                this.lastDataUpdate.set(symbol, this.clock.now());
                 
                 // Check for stop losses and take profits
-                await this.checkPositionRisk(symbol, quote.regularMarketPrice);
+                await this.checkPositionRisk(symbol, quote.price);
             }
             
             this.emit('market:updated', this.marketDataCache);
@@ -176,30 +293,90 @@ class ProductionTradingEngine extends EventEmitter {
         }
     }
     
+    /**
+     * Units of base currency per unit of `currency`; falls back to `fallback`
+     * (e.g. the entry rate) when no rate can be fetched
+     */
+    async getFxRate(currency, fallback = null) {
+        try {
+            return await this.fx.getRate(currency, this.config.baseCurrency);
+        } catch (error) {
+            if (!fallback) throw error;
+            console.warn(`⚠️ ${currency}/${this.config.baseCurrency} rate unavailable, using last known rate: ${error.message}`);
+            return fallback;
+        }
+    }
+    
+    /**
+     * Keep FX rates for open positions warm so portfolio valuation stays synchronous
+     */
+    async refreshFxRates() {
+        const currencies = new Set(Array.from(this.positions.values()).map(position => position.currency));
+        currencies.delete(this.config.baseCurrency);
+        
+        for (const currency of currencies) {
+            await this.getFxRate(currency).catch(error => console.warn(`⚠️ FX refresh failed: ${error.message}`));
+        }
+    }
+    
+    /**
+     * Book the carry costs of open positions (all by default) since their last
+     * accrual, valued at their latest price. Costs come out of the balance and
+     * realized P&L and are kept by type on the position.
+     */
+    accrueCarryCosts(now = this.clock.now(), positions = Array.from(this.positions.values())) {
+        let longExposure = 0;
+        for (const position of this.positions.values()) {
+            if (position.side !== 'long') continue;
+            const { currentPrice, fxRate } = this.getPositionValuation(position);
+            longExposure += currentPrice * position.quantity * fxRate;
+        }
+        const borrowedShare = CarryCostModel.borrowedShare(longExposure, this.balance + this.getTotalPositionValue());
+        
+        for (const position of positions) {
+            const { currentPrice, fxRate } = this.getPositionValuation(position);
+            const costs = this.carryModel.accrue(position, currentPrice * position.quantity, position.carryAccruedAt, now, borrowedShare);
+            position.carryAccruedAt = now;
+            
+            for (const [type, cost] of Object.entries(costs)) {
+                if (cost === 0) continue;
+                position.carryCosts[type] += cost * fxRate;
+                this.balance -= cost * fxRate;
+                this.totalPnL -= cost * fxRate;
+                this.dailyPnL -= cost * fxRate;
+            }
+        }
+    }
+    
     async checkPositionRisk(symbol, currentPrice) {
         const position = this.positions.get(symbol);
-        if (!position) return;
+        if (!position || this.closingPositions.has(symbol)) return;
         
-        const pnl = this.calculatePositionPnL(position, currentPrice);
-        const pnlPercent = pnl / (position.entryPrice * position.quantity);
+        // Exits cannot fill while the market is closed; the first tick after the open re-checks
+        if (!this.calendar.isOpen(symbol, this.clock.now())) return;
         
-        // Stop loss check
-        if (pnlPercent <= -position.stopLoss) {
-            await this.closePosition(symbol, 'stop_loss', currentPrice);
-            return;
-        }
+        // Stop loss and take profit are fractions of the entry price; the fill model prices the exit
+        const direction = position.side === 'long' ? 1 : -1;
+        const exit = this.fillModel.exitOnQuote({
+            symbol,
+            side: position.side,
+            stopLoss: position.entryPrice * (1 - direction * position.stopLoss),
+            takeProfit: position.entryPrice * (1 + direction * position.takeProfit)
+        }, { ...this.marketDataCache.get(symbol), price: currentPrice });
         
-        // Take profit check
-        if (pnlPercent >= position.takeProfit) {
-            await this.closePosition(symbol, 'take_profit', currentPrice);
+        if (exit) {
+            await this.closePosition(symbol, exit.reason, exit.price, { filled: true, level: exit.level });
             return;
         }
         
-        // Trailing stop check
+        // Trailing stop check: the stop trails the best price since entry
         if (position.trailingStop) {
+            position.bestPrice = position.side === 'long' ?
+                Math.max(position.bestPrice ?? position.entryPrice, currentPrice) :
+                Math.min(position.bestPrice ?? position.entryPrice, currentPrice);
             const trailingStopPrice = position.side === 'long' ? 
-                currentPrice * (1 - position.trailingStop) :
-                currentPrice * (1 + position.trailingStop);
+                position.bestPrice * (1 - position.trailingStop) :
+                position.bestPrice * (1 + position.trailingStop);
                 
             if ((position.side === 'long' && currentPrice <= trailingStopPrice) ||
                 (position.side === 'short' && currentPrice >= trailingStopPrice)) {
@@ -213,33 +390,24 @@ class ProductionTradingEngine extends EventEmitter {
             console.log(`📊 Fetching real market data for ${symbol}...`);
             
             // Get real-time quote first
-            const quote = await yahooFinance.quote(symbol);
+            const quote = await this.marketData.getLatestQuote(symbol);
             
             // Get historical data
-            const historical = await yahooFinance.historical(symbol, {
-                period1: this.getPeriodStart(period),
-                period2: new Date(),
-                interval: this.convertTimeframe(timeframe)
+            const processedData = await this.marketData.getHistoricalBars(symbol, {
+                start: this.getPeriodStart(period),
+                end: this.clock.now(),
+                timeframe
             });
             
-            const processedData = historical.map(item => ({
-                timestamp: item.date,
-                open: item.open,
-                high: item.high,
-                low: item.low,
-                close: item.close,
-                volume: item.volume || 0
-            }));
-            
             // Add current quote as the latest data point
-            if (quote && quote.regularMarketPrice) {
+            if (quote && quote.price) {
                 processedData.push({
-                    timestamp: new Date(),
-                    open: quote.regularMarketPreviousClose,
-                    high: quote.regularMarketDayHigh,
-                    low: quote.regularMarketDayLow,
-                    close: quote.regularMarketPrice,
-                    volume: quote.regularMarketVolume
+                    timestamp: this.clock.now(),
+                    open: quote.previousClose,
+                    high: quote.dayHigh,
+                    low: quote.dayLow,
+                    close: quote.price,
+                    volume: quote.volume
                 });
             }
             
@@ -248,12 +416,13 @@ class ProductionTradingEngine extends EventEmitter {
             
         } catch (error) {
             console.error(`❌ Failed to fetch market data for ${symbol}:`, error);
+            if (error.code === 'UNSUPPORTED_TIMEFRAME') throw error;
             throw new Error(`Market data unavailable for ${symbol}`);
         }
     }
     
     getPeriodStart(period) {
-        const now = new Date();
+        const now = this.clock.now();
         const periodMap = {
             '1d': 1, '5d': 5, '1mo': 30, '3mo': 90,
             '6mo': 180, '1y': 365, '2y': 730, '5y': 1825
@@ -262,14 +431,6 @@ class ProductionTradingEngine extends EventEmitter {
         return new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
     }
     
-    convertTimeframe(timeframe) {
-        const frameMap = {
-            '1m': '1m', '2m': '2m', '5m': '5m', '15m': '15m',
-            '30m': '30m', '1h': '1d', '1d': '1d', '1wk': '1wk', '1mo': '1mo'
-        };
-        return frameMap[timeframe] || '1d';
-    }
-    
     async analyzeSymbolWithAI(symbol, options = {}) {
         try {
             const {
@@ -281,8 +442,12 @@ class ProductionTradingEngine extends EventEmitter {
             
             console.log(`🤖 Analyzing ${symbol} with AI model ${model}...`);
             
-            // Get real market data
-            const marketData = await this.getRealMarketData(symbol, timeframe);
+            // Get real market data; bad bars are repaired or dropped and low-quality series refused
+            const { bars: marketData, report: dataQuality } = this.dataQuality.validate(
+                await this.getRealMarketData(symbol, timeframe),
+                { symbol, timeframe, now: this.clock.now() }
+            );
+            this.dataQuality.assertQuality(dataQuality);
             
             // Calculate technical indicators
             const technicals = this.calculateTechnicalIndicators(marketData);
@@ -300,7 +465,8 @@ class ProductionTradingEngine extends EventEmitter {
                 ...aiAnalysis,
                 technicals,
                 marketData: marketData.slice(-5), // Last 5 periods
-                timestamp: new Date()
+                dataQuality,
+                timestamp: this.clock.now()
             };
             
             console.log(`✅ AI analysis complete for ${symbol}`);
@@ -312,6 +478,57 @@ class ProductionTradingEngine extends EventEmitter {
         }
     }
     
+    /**
+     * Evaluate a rule strategy (RuleStrategy definition or preset name) on the
+     * latest data for the current position. 'hybrid' also asks the AI when a
+     * rule wants to enter and keeps the entry only if the AI agrees.
+     * Returns the signal; no order is placed.
+     */
+    async evaluateStrategy(symbol, options = {}) {
+        const {
+            rules,
+            strategy = 'technical',
+            model = 'gpt-4',
+            timeframe = '1d'
+        } = options;
+        
+        const ruleStrategy = rules instanceof RuleStrategy ? rules : new RuleStrategy(rules);
+        
+        const { bars, report: dataQuality } = this.dataQuality.validate(
+            await this.getRealMarketData(symbol, timeframe, this.getLookbackPeriod(timeframe, ruleStrategy.warmupBars)),
+            { symbol, timeframe, now: this.clock.now() }
+        );
+        this.dataQuality.assertQuality(dataQuality);
+        
+        const position = this.positions.get(symbol);
+        let signal = ruleStrategy.evaluate(bars, position ? position.side : null);
+        
+        if (strategy === 'hybrid' && (signal.action === 'buy' || signal.action === 'sell')) {
+            const analysis = await this.analyzeSymbolWithAI(symbol, { model, timeframe, includeSentiment: false });
+            signal = RuleStrategy.combineWithAI(signal, analysis);
+        }
+        
+        return {
+            symbol,
+            timeframe,
+            type: strategy,
+            rules: ruleStrategy.toJSON(),
+            ...signal,
+            price: bars[bars.length - 1].close,
+            position: position ? position.side : null,
+            dataQuality,
+            timestamp: this.clock.now()
+        };
+    }
+    
+    // Shortest getPeriodStart period holding `bars` bars of the timeframe (padded for closed sessions)
+    getLookbackPeriod(timeframe, bars) {
+        const days = bars * getTimeframeMs(timeframe) / DAY_MS * 1.6;
+        const periods = [['1mo', 30], ['3mo', 90], ['6mo', 180], ['1y', 365], ['2y', 730]];
+        const match = periods.find(([, periodDays]) => periodDays >= days);
+        return match ? match[0] : '5y';
+    }
+    
     calculateTechnicalIndicators(marketData) {
         try {
             const closes = marketData.map(d => d.close);
@@ -384,46 +601,94 @@ class ProductionTradingEngine extends EventEmitter {
         }
     }
     
+    /**
+     * Open a position at market
+     * @param {number|null} quantity - units to trade; null sizes the position
+     *   with the position sizer when it fills
+     * @param {Object} options - { stopLoss, takeProfit, trailingStop (fractions of price),
+     *   confidence (for confidence-aware sizing), sizing (how a caller sized `quantity`) }
+     */
     async openPosition(symbol, side, quantity, options = {}) {
         try {
-            console.log(`📈 Opening ${side} position: ${quantity} shares of ${symbol}`);
+            const autoSized = quantity === null || quantity === undefined;
+            console.log(`📈 Opening ${side} position: ${autoSized ? 'auto-sized' : `${quantity} shares`} of ${symbol}`);
             
             // Validate inputs
             if (!['long', 'short'].includes(side)) {
                 throw new Error('Side must be "long" or "short"');
             }
             
-            if (quantity <= 0) {
+            if (!autoSized && !(quantity > 0)) {
                 throw new Error('Quantity must be positive');
             }
             
+            // Instrument must be registered and the quantity must respect its lot rules
+            const instrument = this.instruments.require(symbol);
+            const quantityCheck = autoSized ? { valid: true } : this.instruments.validateQuantity(symbol, quantity);
+            if (!quantityCheck.valid) {
+                throw new Error(quantityCheck.reason);
+            }
+            
+            // Closed market: reject, or queue for the next open when the user asked for that
+            const marketStatus = this.calendar.getStatus(symbol, this.clock.now());
+            if (marketStatus.status !== MARKET_STATUS.OPEN) {
+                if (this.config.closedMarketOrders === 'queue' && marketStatus.nextOpen) {
+                    return this.queueOrder(symbol, side, quantity, options, marketStatus);
+                }
+                throw new MarketClosedError(symbol, marketStatus);
+            }
+            
             // Check if we already have a position in this symbol
             if (this.positions.has(symbol)) {
                 throw new Error(`Position already exists for ${symbol}`);
             }
             
-            // Get current market price
-            const quote = await yahooFinance.quote(symbol);
-            const currentPrice = quote.regularMarketPrice;
+            // Fill after the latency against the latest quote (live tick when streaming, otherwise a fresh quote)
+            await this.waitForFill();
+            const quote = this.getLiveQuote(symbol) || await this.marketData.getLatestQuote(symbol);
             
-            if (!currentPrice || currentPrice <= 0) {
-                throw new Error(`Invalid price for ${symbol}: ${currentPrice}`);
+            if (!quote?.price || quote.price <= 0) {
+                throw new Error(`Invalid price for ${symbol}: ${quote?.price}`);
+            }
+            
+            // Buys pay the ask, sells receive the bid, both with slippage
+            const currentPrice = this.fillModel.marketPrice(symbol, side === 'long' ? 'buy' : 'sell', quote.price, quote);
+            
+            // Size at the fill price; explicit quantities keep the caller's record
+            const sizing = autoSized
+                ? await this.sizePosition(symbol, side, currentPrice, options)
+                : options.sizing || { model: 'manual', inputs: { quantity }, quantity };
+            if (autoSized) {
+                if (!(sizing.quantity > 0)) throw new Error(sizing.reason);
+                quantity = sizing.quantity;
             }
             
-            // Calculate position value
+            // Volume caps leave a partial fill; the rest of the order is cancelled
+            const requestedQuantity = quantity;
+            quantity = this.instruments.normalizeQuantity(symbol, this.fillModel.fillQuantity(requestedQuantity, quote.volume));
+            if (!this.instruments.validateQuantity(symbol, quantity).valid) {
+                throw new Error(`Volume of ${symbol} too low to fill ${requestedQuantity} within the participation limit`);
+            }
+            
+            // Calculate position value in the quote currency, then in the account currency
+            const { baseCurrency } = this.config;
+            const currency = instrument.quoteCurrency;
+            const fxRate = await this.getFxRate(currency);
             const positionValue = currentPrice * quantity;
-            const commission = positionValue * this.config.commission;
-            const totalCost = positionValue + commission;
+            const commissionNative = positionValue * this.config.commission;
+            const margin = positionValue * fxRate;
+            const commission = commissionNative * fxRate;
+            const totalCost = margin + commission;
             
             // Check if we have enough balance
             if (totalCost > this.balance) {
-                throw new Error(`Insufficient balance. Required: $${totalCost.toFixed(2)}, Available: $${this.balance.toFixed(2)}`);
+                throw new Error(`Insufficient balance. Required: ${totalCost.toFixed(2)} ${baseCurrency}, Available: ${this.balance.toFixed(2)} ${baseCurrency}`);
             }
             
-            // Risk management - don't risk more than maxRisk per trade
-            const riskAmount = this.balance * this.config.maxRisk;
-            if (positionValue > riskAmount) {
-                throw new Error(`Position size exceeds maximum risk. Max allowed: $${riskAmount.toFixed(2)}`);
+            // Risk management - no position above the sizer's share of the balance
+            const maxNotional = this.balance * this.sizer.maxPositionShare;
+            if (margin > maxNotional) {
+                throw new Error(`Position size exceeds maximum position share. Max allowed: ${maxNotional.toFixed(2)} ${baseCurrency}`);
             }
             
             // Create position object
@@ -432,11 +697,19 @@ class ProductionTradingEngine extends EventEmitter {
                 side,
                 quantity,
                 entryPrice: currentPrice,
-                entryTime: new Date(),
+                entryTime: this.clock.now(),
                 stopLoss: options.stopLoss || 0.02, // 2% default stop loss
                 takeProfit: options.takeProfit || 0.06, // 6% default take profit
                 trailingStop: options.trailingStop || null,
+                currency,
+                entryFxRate: fxRate,
+                margin,
                 commission,
+                commissionNative,
+                slippage: Math.abs(currentPrice - quote.price) * quantity * fxRate,
+                carryCosts: CarryCostModel.createCosts(),
+                carryAccruedAt: this.clock.now(),
+                sizing,
                 unrealizedPnL: 0,
                 realizedPnL: 0
             };
@@ -446,6 +719,7 @@ class ProductionTradingEngine extends EventEmitter {
             
             // Store position
             this.positions.set(symbol, position);
+            this.subscribeQuotes(symbol);
             
             // Record trade
             const trade = {
@@ -453,11 +727,19 @@ class ProductionTradingEngine extends EventEmitter {
                 symbol,
                 side,
                 quantity,
+                requestedQuantity,
                 entryPrice: currentPrice,
-                entryTime: new Date(),
+                entryTime: this.clock.now(),
+                currency,
+                baseCurrency,
+                fxRate,
+                notional: positionValue,
+                notionalBase: margin,
                 commission,
+                commissionNative,
                 type: 'open',
-                status: 'filled'
+                status: quantity < requestedQuantity ? 'partially_filled' : 'filled',
+                sizing
             };
             
             this.trades.push(trade);
@@ -467,7 +749,7 @@ class ProductionTradingEngine extends EventEmitter {
             this.emit('position:opened', position);
             this.emit('trade:executed', trade);
             
-            console.log(`✅ Position opened: ${side} ${quantity} ${symbol} @ $${currentPrice}`);
+            console.log(`✅ Position opened: ${side} ${quantity} ${symbol} @ ${currentPrice} ${currency}`);
             
             // Save state
             await this.saveTradeHistory();
@@ -480,7 +762,98 @@ class ProductionTradingEngine extends EventEmitter {
         }
     }
     
-    async closePosition(symbol, reason = 'manual', exitPrice = null) {
+    /**
+     * Size an entry at `price` with the position sizer. The stop and target
+     * are the order's fractions of price (2% and 6% by default, as positions
+     * use); the volatility model reads recent daily bars.
+     */
+    async sizePosition(symbol, side, price, options = {}) {
+        const direction = side === 'long' ? 1 : -1;
+        const fxRate = await this.getFxRate(this.instruments.require(symbol).quoteCurrency);
+        const bars = await this.sizer.getRecentBars(this.marketData, symbol, this.clock.now());
+        
+        return this.sizer.size({
+            symbol,
+            price,
+            fxRate,
+            equity: this.balance,
+            stopLoss: price * (1 - direction * (options.stopLoss || 0.02)),
+            takeProfit: price * (1 + direction * (options.takeProfit || 0.06)),
+            confidence: options.confidence ?? null,
+            bars
+        });
+    }
+    
+    /**
+     * Hold an order until the market opens
+     */
+    queueOrder(symbol, side, quantity, options, marketStatus) {
+        const order = {
+            id: `order_${this.clock.now().getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+            symbol,
+            side,
+            quantity,
+            options,
+            status: 'queued',
+            marketStatus: marketStatus.status,
+            createdAt: this.clock.now(),
+            executeAt: marketStatus.nextOpen
+        };
+        
+        this.orders.set(order.id, order);
+        this.scheduleQueuedOrder(order);
+        
+        this.emit('order:queued', order);
+        console.log(`⏳ Market closed, queued ${side} ${quantity ?? 'auto-sized'} ${symbol} until ${order.executeAt.toISOString()}`);
+        
+        return order;
+    }
+    
+    scheduleQueuedOrder(order) {
+        const timer = this.clock.setTimeout(() => this.executeQueuedOrder(order.id), Math.max(order.executeAt - this.clock.now(), 0));
+        timer.unref();
+        this.orderTimers.set(order.id, timer);
+    }
+    
+    async executeQueuedOrder(orderId) {
+        const order = this.orders.get(orderId);
+        this.orderTimers.delete(orderId);
+        if (!order || order.status !== 'queued') return;
+        
+        // Holiday files can change while waiting; re-check and wait again if still closed
+        const marketStatus = this.calendar.getStatus(order.symbol, this.clock.now());
+        if (marketStatus.status !== MARKET_STATUS.OPEN) {
+            order.executeAt = marketStatus.nextOpen;
+            if (order.executeAt) {
+                this.scheduleQueuedOrder(order);
+                return;
+            }
+        }
+        
+        try {
+            order.position = await this.openPosition(order.symbol, order.side, order.quantity, order.options);
+            order.status = 'filled';
+            order.filledAt = this.clock.now();
+            this.emit('order:filled', order);
+        } catch (error) {
+            order.status = 'rejected';
+            order.error = error.message;
+            this.emit('order:rejected', order);
+        }
+    }
+    
+    /**
+     * Close a position at market. exitPrice is the reference price of the fill
+     * (the latest quote after the fill latency when omitted); options.filled
+     * marks it as the final fill price, e.g. of a stop already priced by the fill model.
+     */
+    async closePosition(symbol, reason = 'manual', exitPrice = null, options = {}) {
+        // Ticks arrive faster than a close completes; only one close per position
+        if (this.closingPositions.has(symbol)) {
+            throw new Error(`Position for ${symbol} is already being closed`);
+        }
+        this.closingPositions.add(symbol);
+        
         try {
             const position = this.positions.get(symbol);
             if (!position) {
@@ -489,21 +862,36 @@ class ProductionTradingEngine extends EventEmitter {
             
             console.log(`📉 Closing position: ${position.side} ${position.quantity} ${symbol} (${reason})`);
             
-            // Get exit price
-            const currentPrice = exitPrice || (await yahooFinance.quote(symbol)).regularMarketPrice;
+            // Get exit price (level: the price before spread and slippage)
+            let currentPrice = exitPrice;
+            let level = options.level ?? exitPrice;
+            if (!options.filled) {
+                let quote = null;
+                if (!exitPrice) {
+                    await this.waitForFill();
+                    quote = this.getLiveQuote(symbol) || await this.marketData.getLatestQuote(symbol);
+                }
+                
+                level = exitPrice || quote?.price;
+                currentPrice = level > 0 ? this.fillModel.marketPrice(symbol, position.side === 'long' ? 'sell' : 'buy', level, quote) : level;
+            }
             
             if (!currentPrice || currentPrice <= 0) {
                 throw new Error(`Invalid exit price for ${symbol}: ${currentPrice}`);
             }
             
-            // Calculate P&L
-            const pnl = this.calculatePositionPnL(position, currentPrice);
-            const positionValue = currentPrice * position.quantity;
-            const commission = positionValue * this.config.commission;
-            const netPnL = pnl - commission;
-            
-            // Update balance
-            this.balance += positionValue - commission;
+            // Carry up to the close; P&L is realized in the quote currency and converted at the exit rate
+            this.accrueCarryCosts(this.clock.now(), [position]);
+            const { baseCurrency } = this.config;
+            const fxRate = await this.getFxRate(position.currency, position.entryFxRate);
+            const pnlNative = this.calculatePositionPnL(position, currentPrice);
+            const commissionNative = currentPrice * position.quantity * this.config.commission;
+            const netPnLNative = pnlNative - commissionNative;
+            const netPnL = netPnLNative * fxRate;
+            const commission = commissionNative * fxRate;
+            
+            // Update balance (margin was booked in the base currency at entry)
+            this.balance += position.margin + netPnL;
             this.totalPnL += netPnL;
             this.dailyPnL += netPnL;
             
@@ -523,9 +911,18 @@ class ProductionTradingEngine extends EventEmitter {
                 entryPrice: position.entryPrice,
                 exitPrice: currentPrice,
                 entryTime: position.entryTime,
-                exitTime: new Date(),
+                exitTime: this.clock.now(),
+                currency: position.currency,
+                baseCurrency,
+                entryFxRate: position.entryFxRate,
+                fxRate,
                 pnl: netPnL,
+                pnlNative: netPnLNative,
                 commission: position.commission + commission,
+                commissionNative: position.commissionNative + commissionNative,
+                slippage: position.slippage + Math.abs(currentPrice - level) * position.quantity * fxRate,
+                carryCosts: position.carryCosts,
+                sizing: position.sizing,
                 reason,
                 type: 'close',
                 status: 'filled'
@@ -535,15 +932,16 @@ class ProductionTradingEngine extends EventEmitter {
             
             // Remove position
             this.positions.delete(symbol);
+            this.unsubscribeQuotes(symbol);
             
             // Update performance metrics
             this.updatePerformanceMetrics();
             
             // Emit events
-            this.emit('position:closed', { ...position, exitPrice: currentPrice, pnl: netPnL, reason });
+            this.emit('position:closed', { ...position, exitPrice: currentPrice, pnl: netPnL, pnlNative: netPnLNative, reason });
             this.emit('trade:executed', trade);
             
-            console.log(`✅ Position closed: ${symbol} P&L: $${netPnL.toFixed(2)}`);
+            console.log(`✅ Position closed: ${symbol} P&L: ${netPnL.toFixed(2)} ${baseCurrency} (${netPnLNative.toFixed(2)} ${position.currency})`);
             
             // Save state
             await this.saveTradeHistory();
@@ -553,6 +951,8 @@ class ProductionTradingEngine extends EventEmitter {
         } catch (error) {
             console.error(`❌ Failed to close position for ${symbol}:`, error);
             throw error;
+        } finally {
+            this.closingPositions.delete(symbol);
         }
     }
     
@@ -583,21 +983,39 @@ class ProductionTradingEngine extends EventEmitter {
         }
         
         this.metrics.totalReturn = ((this.balance + this.getTotalPositionValue() - this.config.initialBalance) / this.config.initialBalance) * 100;
+        this.metrics.costs = CarryCostModel.summarizeTradeCosts(trades);
     }
     
+    /**
+     * Margin plus unrealized P&L of every open position, in the base currency
+     */
     getTotalPositionValue() {
         let totalValue = 0;
-        for (const [symbol, position] of this.positions) {
-            const cachedData = this.marketDataCache.get(symbol);
-            if (cachedData) {
-                totalValue += cachedData.price * position.quantity;
-            }
+        for (const position of this.positions.values()) {
+            totalValue += position.margin + this.getPositionValuation(position).unrealizedPnL;
         }
         return totalValue;
     }
     
+    /**
+     * Mark a position to the latest cached price and FX rate
+     */
+    getPositionValuation(position) {
+        const cachedData = this.marketDataCache.get(position.symbol);
+        const currentPrice = cachedData ? cachedData.price : position.entryPrice;
+        const fxRate = this.fx.peekRate(position.currency, this.config.baseCurrency) || position.entryFxRate;
+        const unrealizedPnLNative = this.calculatePositionPnL(position, currentPrice);
+        
+        return {
+            currentPrice,
+            fxRate,
+            unrealizedPnLNative,
+            unrealizedPnL: unrealizedPnLNative * fxRate
+        };
+    }
+    
     generateTradeId() {
-        return `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `trade_${this.clock.now().getTime()}_${Math.random().toString(36).substr(2, 9)}`;
     }
     
     getPortfolioStatus() {
@@ -605,6 +1023,7 @@ class ProductionTradingEngine extends EventEmitter {
         const totalPortfolioValue = this.balance + totalPositionValue;
         
         return {
+            baseCurrency: this.config.baseCurrency,
             balance: this.balance,
             totalPositionValue,
             totalPortfolioValue,
@@ -614,16 +1033,13 @@ class ProductionTradingEngine extends EventEmitter {
             openPositions: this.positions.size,
             metrics: this.metrics,
             positions: Array.from(this.positions.entries()).map(([symbol, position]) => {
-                const cachedData = this.marketDataCache.get(symbol);
-                const currentPrice = cachedData ? cachedData.price : position.entryPrice;
-                const unrealizedPnL = this.calculatePositionPnL(position, currentPrice);
+                const valuation = this.getPositionValuation(position);
                 
                 return {
                     symbol,
                     ...position,
-                    currentPrice,
-                    unrealizedPnL,
-                    unrealizedPnLPercent: (unrealizedPnL / (position.entryPrice * position.quantity)) * 100
+                    ...valuation,
+                    unrealizedPnLPercent: (valuation.unrealizedPnLNative / (position.entryPrice * position.quantity)) * 100
                 };
             })
         };
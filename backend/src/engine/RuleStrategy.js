@@ -0,0 +1,622 @@
+/**
+ * Rule Strategy
+ * Declarative technical strategies that trade without an LLM. The same
+ * definition is evaluated by the backtester and the live trading engine.
+ *
+ * A definition gives entry and exit conditions per side, and stop loss / take
+ * profit as fractions of the entry price:
+ *
+ *   {
+ *       name: 'rsi-reversion',
+ *       long: { entry: 'RSI(14) < 30 and close > SMA(50)', exit: 'RSI(14) > 70' },
+ *       short: { entry: '...', exit: '...' },   // optional
+ *       stopLoss: 0.05,                          // default 5%
+ *       takeProfit: 0.1                          // optional
+ *   }
+ *
+ * Conditions compare expressions with < <= > >= == != or `crosses above` /
+ * `crosses below`, combined with and / or / not and parentheses. Expressions
+ * are numbers, bar fields (open high low close volume), indicators such as
+ * SMA(50) or MACD(12, 26, 9).signal, and + - * / over them. The name of a
+ * STRATEGY_PRESETS entry can be used in place of a definition.
+ */
+
+const TechnicalIndicators = require('technicalindicators');
+
+// 'ai-signals' trades the model's calls, 'technical' the rules, 'hybrid' rule entries the AI agrees with
+const STRATEGY_TYPES = ['ai-signals', 'technical', 'hybrid'];
+
+const DEFAULT_STOP_LOSS = 0.05;
+const FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!='];
+const MAX_LOOKBACK = 1000; // bars an indicator may need before its first value
+
+const column = (bars, field) => bars.map(bar => bar[field]);
+const highLowClose = bars => ({ high: column(bars, 'high'), low: column(bars, 'low'), close: column(bars, 'close') });
+
+/**
+ * Supported indicators: default parameters (whole numbers, except the indexes
+ * listed in `fractional`), named outputs (the first is used when none is given;
+ * values are the keys technicalindicators returns), bars needed before the
+ * first value, and the calculation over bars
+ */
+const INDICATORS = {
+    SMA: { params: [20], calculate: (bars, [period]) => TechnicalIndicators.SMA.calculate({ period, values: column(bars, 'close') }) },
+    EMA: { params: [20], calculate: (bars, [period]) => TechnicalIndicators.EMA.calculate({ period, values: column(bars, 'close') }) },
+    WMA: { params: [20], calculate: (bars, [period]) => TechnicalIndicators.WMA.calculate({ period, values: column(bars, 'close') }) },
+    RSI: { params: [14], calculate: (bars, [period]) => TechnicalIndicators.RSI.calculate({ period, values: column(bars, 'close') }) },
+    ROC: { params: [10], calculate: (bars, [period]) => TechnicalIndicators.ROC.calculate({ period, values: column(bars, 'close') }) },
+    CCI: { params: [20], calculate: (bars, [period]) => TechnicalIndicators.CCI.calculate({ period, ...highLowClose(bars) }) },
+    ATR: { params: [14], calculate: (bars, [period]) => TechnicalIndicators.ATR.calculate({ period, ...highLowClose(bars) }) },
+    ADX: {
+        params: [14],
+        outputs: { adx: 'adx', pdi: 'pdi', mdi: 'mdi' },
+        lookback: ([period]) => period * 2,
+        calculate: (bars, [period]) => TechnicalIndicators.ADX.calculate({ period, ...highLowClose(bars) })
+    },
+    MACD: {
+        params: [12, 26, 9],
+        outputs: { macd: 'MACD', signal: 'signal', histogram: 'histogram' },
+        lookback: ([, slowPeriod, signalPeriod]) => slowPeriod + signalPeriod,
+        calculate: (bars, [fastPeriod, slowPeriod, signalPeriod]) => TechnicalIndicators.MACD.calculate({
+            fastPeriod,
+            slowPeriod,
+            signalPeriod,
+            values: column(bars, 'close'),
+            SimpleMAOscillator: false,
+            SimpleMASignal: false
+        })
+    },
+    BB: {
+        params: [20, 2],
+        fractional: [1], // stdDev
+        outputs: { middle: 'middle', upper: 'upper', lower: 'lower' },
+        calculate: (bars, [period, stdDev]) => TechnicalIndicators.BollingerBands.calculate({ period, stdDev, values: column(bars, 'close') })
+    },
+    STOCH: {
+        params: [14, 3],
+        outputs: { k: 'k', d: 'd' },
+        lookback: ([period, signalPeriod]) => period + signalPeriod,
+        calculate: (bars, [period, signalPeriod]) => TechnicalIndicators.Stochastic.calculate({ period, signalPeriod, ...highLowClose(bars) })
+    }
+};
+
+/**
+ * Ready-made baselines, usable by name
+ */
+const STRATEGY_PRESETS = {
+    'sma-crossover': {
+        long: { entry: 'SMA(20) crosses above SMA(50)', exit: 'SMA(20) crosses below SMA(50)' },
+        short: { entry: 'SMA(20) crosses below SMA(50)', exit: 'SMA(20) crosses above SMA(50)' }
+    },
+    'rsi-reversion': {
+        long: { entry: 'RSI(14) < 30 and close > SMA(50)', exit: 'RSI(14) > 70' }
+    },
+    'macd-trend': {
+        long: { entry: 'MACD crosses above MACD.signal', exit: 'MACD crosses below MACD.signal' },
+        short: { entry: 'MACD crosses below MACD.signal', exit: 'MACD crosses above MACD.signal' }
+    },
+    'bollinger-reversion': {
+        long: { entry: 'close < BB(20, 2).lower', exit: 'close > BB(20, 2).middle' },
+        short: { entry: 'close > BB(20, 2).upper', exit: 'close < BB(20, 2).middle' }
+    }
+};
+
+/**
+ * Thrown for definitions that cannot be parsed or evaluated
+ */
+class StrategyDefinitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StrategyDefinitionError';
+        this.code = 'INVALID_STRATEGY';
+        this.statusCode = 400;
+    }
+}
+
+class RuleStrategy {
+    /**
+     * @param {Object|string} definition - rule definition or preset name
+     */
+    constructor(definition) {
+        const spec = typeof definition === 'string' ? STRATEGY_PRESETS[definition] : definition;
+        if (!spec || typeof spec !== 'object') {
+            throw new StrategyDefinitionError(`Unknown strategy ${definition}. Give a rule definition or one of ${Object.keys(STRATEGY_PRESETS).join(', ')}`);
+        }
+
+        this.name = spec.name || (typeof definition === 'string' ? definition : 'custom');
+        this.stopLoss = spec.stopLoss ?? DEFAULT_STOP_LOSS;
+        this.takeProfit = spec.takeProfit ?? null;
+
+        if (!(this.stopLoss > 0 && this.stopLoss < 1)) {
+            throw new StrategyDefinitionError('stopLoss must be a fraction of price between 0 and 1');
+        }
+        if (this.takeProfit !== null && !(this.takeProfit > 0)) {
+            throw new StrategyDefinitionError('takeProfit must be a positive fraction of price');
+        }
+
+        this.rules = {};
+        for (const side of ['long', 'short']) {
+            if (!spec[side]) continue;
+            if (typeof spec[side].entry !== 'string') {
+                throw new StrategyDefinitionError(`${side}.entry must be a condition such as "RSI(14) < 30"`);
+            }
+            this.rules[side] = {
+                entry: parseCondition(spec[side].entry),
+                exit: spec[side].exit ? parseCondition(spec[side].exit) : null
+            };
+        }
+        if (Object.keys(this.rules).length === 0) {
+            throw new StrategyDefinitionError('A strategy needs long and/or short rules');
+        }
+
+        // Bars before every indicator has a value (plus one for crosses)
+        const conditions = Object.values(this.rules).flatMap(rule => [rule.entry, rule.exit]).filter(Boolean);
+        this.warmupBars = Math.max(1, ...conditions.flatMap(condition => condition.lookbacks)) + 1;
+    }
+
+    /**
+     * Indicator series over `bars`, from which signals are read per bar
+     */
+    prepare(bars) {
+        return new StrategySignals(this, bars);
+    }
+
+    /**
+     * Signal on the last of `bars`
+     * @param {string|null} positionSide - side of the open position ('long' | 'short'), null when flat
+     */
+    evaluate(bars, positionSide = null) {
+        return this.prepare(bars).at(bars.length - 1, positionSide);
+    }
+
+    toJSON() {
+        const sides = Object.fromEntries(Object.entries(this.rules).map(([side, rule]) => [side, {
+            entry: rule.entry.source,
+            ...(rule.exit && { exit: rule.exit.source })
+        }]));
+
+        return {
+            name: this.name,
+            ...sides,
+            stopLoss: this.stopLoss,
+            ...(this.takeProfit !== null && { takeProfit: this.takeProfit })
+        };
+    }
+}
+
+/**
+ * A strategy bound to one bar series. Indicators are computed once, on first use.
+ */
+class StrategySignals {
+    constructor(strategy, bars) {
+        this.strategy = strategy;
+        this.bars = bars;
+        this.series = new Map(); // 'SMA(50)' -> values aligned to bars (null before the first value)
+    }
+
+    /**
+     * Signal on bar `index`: 'buy' / 'sell' when a side's entry fires (reversing
+     * an opposite position), 'close' when the open side's exit fires, else 'hold'
+     */
+    at(index, positionSide = null) {
+        const { long, short } = this.strategy.rules;
+        const bar = this.bars[index];
+
+        if (!bar || index + 1 < this.strategy.warmupBars) {
+            return this.signal('hold', `waiting for ${this.strategy.warmupBars} bars of history`);
+        }
+
+        const fires = condition => Boolean(condition) && this.test(condition.node, index);
+        const longEntry = positionSide !== 'long' && Boolean(long) && fires(long.entry);
+        const shortEntry = positionSide !== 'short' && Boolean(short) && fires(short.entry);
+
+        if (longEntry && !shortEntry) {
+            return this.entry('buy', bar, `long entry: ${long.entry.source}`);
+        }
+        if (shortEntry && !longEntry) {
+            return this.entry('sell', bar, `short entry: ${short.entry.source}`);
+        }
+        if (positionSide === 'long' && long && fires(long.exit)) {
+            return this.signal('close', `long exit: ${long.exit.source}`);
+        }
+        if (positionSide === 'short' && short && fires(short.exit)) {
+            return this.signal('close', `short exit: ${short.exit.source}`);
+        }
+
+        return this.signal('hold', 'no rule fired');
+    }
+
+    entry(action, bar, reasoning) {
+        const { stopLoss, takeProfit } = this.strategy;
+        const direction = action === 'buy' ? 1 : -1;
+
+        return {
+            ...this.signal(action, reasoning),
+            stopLoss: bar.close * (1 - direction * stopLoss),
+            ...(takeProfit !== null && { takeProfit: bar.close * (1 + direction * takeProfit) })
+        };
+    }
+
+    // Rules are not probabilistic: every signal carries full confidence
+    signal(action, reasoning) {
+        return {
+            action,
+            confidence: 1,
+            reasoning,
+            strategy: this.strategy.name,
+            modelId: `rules:${this.strategy.name}`
+        };
+    }
+
+    test(node, index) {
+        switch (node.type) {
+            case 'logical':
+                return node.operator === 'and'
+                    ? this.test(node.left, index) && this.test(node.right, index)
+                    : this.test(node.left, index) || this.test(node.right, index);
+            case 'not':
+                return !this.test(node.operand, index);
+            case 'compare': {
+                const left = this.value(node.left, index);
+                const right = this.value(node.right, index);
+                if (left === null || right === null) return false;
+                switch (node.operator) {
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '==': return left === right;
+                    default: return left !== right;
+                }
+            }
+            case 'cross': {
+                if (index < 1) return false;
+                const values = [
+                    this.value(node.left, index - 1), this.value(node.right, index - 1),
+                    this.value(node.left, index), this.value(node.right, index)
+                ];
+                if (values.includes(null)) return false;
+                const [leftBefore, rightBefore, left, right] = values;
+                return node.direction === 'above'
+                    ? leftBefore <= rightBefore && left > right
+                    : leftBefore >= rightBefore && left < right;
+            }
+            default:
+                throw new StrategyDefinitionError(`Expected a condition, got ${node.type}`);
+        }
+    }
+
+    // Numeric value at `index`, null while an indicator is warming up
+    value(node, index) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'field':
+                return finite(this.bars[index][node.name]);
+            case 'indicator': {
+                const value = this.indicator(node)[index];
+                if (value === null || value === undefined) return null;
+                return finite(node.output ? value[INDICATORS[node.name].outputs[node.output]] : value);
+            }
+            case 'negate': {
+                const value = this.value(node.operand, index);
+                return value === null ? null : -value;
+            }
+            case 'arithmetic': {
+                const left = this.value(node.left, index);
+                const right = this.value(node.right, index);
+                if (left === null || right === null) return null;
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    default: return right === 0 ? null : left / right;
+                }
+            }
+            default:
+                throw new StrategyDefinitionError(`Expected a number, got a ${node.type} condition`);
+        }
+    }
+
+    indicator(node) {
+        const key = `${node.name}(${node.params.join(',')})`;
+        if (!this.series.has(key)) {
+            const values = INDICATORS[node.name].calculate(this.bars, node.params);
+            const offset = this.bars.length - values.length;
+            this.series.set(key, this.bars.map((bar, index) => index >= offset ? values[index - offset] : null));
+        }
+        return this.series.get(key);
+    }
+}
+
+/**
+ * Hybrid decision: a rule entry only stands when the AI analysis points the
+ * same way; exits and holds pass through. Accepts backtest analyses
+ * (`action: 'buy'`) and live ones (`signal: 'BUY'`).
+ */
+function combineWithAI(ruleSignal, analysis) {
+    if (ruleSignal.action !== 'buy' && ruleSignal.action !== 'sell') {
+        return ruleSignal;
+    }
+
+    const aiAction = String(analysis.action || analysis.signal || 'hold').toLowerCase();
+    const ai = { action: aiAction, confidence: analysis.confidence, modelId: analysis.modelId };
+
+    if (aiAction !== ruleSignal.action) {
+        return {
+            ...ruleSignal,
+            action: 'hold',
+            reasoning: `${ruleSignal.reasoning}; AI disagrees (${aiAction})`,
+            agreed: false,
+            ai,
+            replayed: analysis.replayed
+        };
+    }
+
+    return {
+        ...ruleSignal,
+        confidence: analysis.confidence,
+        reasoning: `${ruleSignal.reasoning}; AI agrees`,
+        modelId: analysis.modelId || ruleSignal.modelId,
+        agreed: true,
+        ai,
+        replayed: analysis.replayed
+    };
+}
+
+/**
+ * Parse a condition into { source, node, lookbacks }
+ */
+function parseCondition(source) {
+    const parser = new ConditionParser(source);
+    const node = parser.parseOr();
+
+    if (parser.peek()) {
+        throw new StrategyDefinitionError(`Unexpected "${parser.peek().value}" in "${source}"`);
+    }
+    if (!isCondition(node)) {
+        throw new StrategyDefinitionError(`"${source}" is not a condition; compare it with something, e.g. "${source} > 0"`);
+    }
+
+    return { source, node, lookbacks: parser.lookbacks };
+}
+
+const isCondition = node => ['compare', 'cross', 'logical', 'not'].includes(node.type);
+
+/**
+ * Recursive-descent parser, lowest precedence first:
+ * or, and, not, comparison / crosses, + -, * /, unary minus, atoms
+ */
+class ConditionParser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.position = 0;
+        this.lookbacks = [];
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isWord(word) {
+        const token = this.peek();
+        return Boolean(token) && token.type === 'word' && token.value.toLowerCase() === word;
+    }
+
+    isSymbol(...symbols) {
+        const token = this.peek();
+        return Boolean(token) && token.type === 'symbol' && symbols.includes(token.value);
+    }
+
+    expect(symbol) {
+        if (!this.isSymbol(symbol)) {
+            throw new StrategyDefinitionError(`Expected "${symbol}" in "${this.source}"`);
+        }
+        return this.next();
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.isWord('or')) {
+            this.next();
+            node = this.logical('or', node, this.parseAnd());
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.isWord('and')) {
+            this.next();
+            node = this.logical('and', node, this.parseNot());
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.isWord('not')) {
+            this.next();
+            const operand = this.parseNot();
+            this.assertCondition(operand, 'not');
+            return { type: 'not', operand };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseSum();
+
+        if (this.isSymbol(...COMPARISONS)) {
+            const operator = this.next().value;
+            return { type: 'compare', operator, left: this.number(left), right: this.number(this.parseSum()) };
+        }
+
+        if (this.isWord('crosses')) {
+            this.next();
+            const direction = this.peek() && this.peek().value.toLowerCase();
+            if (direction !== 'above' && direction !== 'below') {
+                throw new StrategyDefinitionError(`Expected "crosses above" or "crosses below" in "${this.source}"`);
+            }
+            this.next();
+            return { type: 'cross', direction, left: this.number(left), right: this.number(this.parseSum()) };
+        }
+
+        return left;
+    }
+
+    parseSum() {
+        let node = this.parseProduct();
+        while (this.isSymbol('+', '-')) {
+            const operator = this.next().value;
+            node = { type: 'arithmetic', operator, left: this.number(node), right: this.number(this.parseProduct()) };
+        }
+        return node;
+    }
+
+    parseProduct() {
+        let node = this.parseUnary();
+        while (this.isSymbol('*', '/')) {
+            const operator = this.next().value;
+            node = { type: 'arithmetic', operator, left: this.number(node), right: this.number(this.parseUnary()) };
+        }
+        return node;
+    }
+
+    parseUnary() {
+        if (this.isSymbol('-')) {
+            this.next();
+            return { type: 'negate', operand: this.number(this.parseUnary()) };
+        }
+        return this.parseAtom();
+    }
+
+    parseAtom() {
+        const token = this.next();
+        if (!token) {
+            throw new StrategyDefinitionError(`Unexpected end of "${this.source}"`);
+        }
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'symbol' && token.value === '(') {
+            const node = this.parseOr();
+            this.expect(')');
+            return node;
+        }
+
+        if (token.type === 'word') {
+            const field = token.value.toLowerCase();
+            if (FIELDS.includes(field)) {
+                return { type: 'field', name: field };
+            }
+            return this.parseIndicator(token.value.toUpperCase());
+        }
+
+        throw new StrategyDefinitionError(`Unexpected "${token.value}" in "${this.source}"`);
+    }
+
+    parseIndicator(name) {
+        const spec = INDICATORS[name];
+        if (!spec) {
+            throw new StrategyDefinitionError(`Unknown indicator or field ${name} in "${this.source}". Indicators: ${Object.keys(INDICATORS).join(', ')}; fields: ${FIELDS.join(', ')}`);
+        }
+
+        const given = [];
+        if (this.isSymbol('(')) {
+            this.next();
+            while (!this.isSymbol(')')) {
+                const token = this.next();
+                if (!token || token.type !== 'number' || !(token.value > 0)) {
+                    throw new StrategyDefinitionError(`${name} takes positive numbers as parameters in "${this.source}"`);
+                }
+                if (!Number.isInteger(token.value) && !spec.fractional?.includes(given.length)) {
+                    throw new StrategyDefinitionError(`${name} periods must be whole numbers in "${this.source}"`);
+                }
+                given.push(token.value);
+                if (!this.isSymbol(')')) this.expect(',');
+            }
+            this.next();
+        }
+        if (given.length > spec.params.length) {
+            throw new StrategyDefinitionError(`${name} takes at most ${spec.params.length} parameter${spec.params.length === 1 ? '' : 's'} in "${this.source}"`);
+        }
+        const params = spec.params.map((value, index) => given[index] ?? value);
+
+        let output = null;
+        if (spec.outputs) {
+            output = Object.keys(spec.outputs)[0];
+            if (this.isSymbol('.')) {
+                this.next();
+                const token = this.next();
+                output = token && token.type === 'word' ? token.value.toLowerCase() : null;
+                if (!output || !spec.outputs[output]) {
+                    throw new StrategyDefinitionError(`${name} outputs are ${Object.keys(spec.outputs).join(', ')} in "${this.source}"`);
+                }
+            }
+        }
+
+        const lookback = spec.lookback ? spec.lookback(params) : params[0];
+        if (lookback > MAX_LOOKBACK) {
+            throw new StrategyDefinitionError(`${name} needs ${lookback} bars of history; the limit is ${MAX_LOOKBACK} in "${this.source}"`);
+        }
+        this.lookbacks.push(lookback);
+        return { type: 'indicator', name, params, output };
+    }
+
+    logical(operator, left, right) {
+        this.assertCondition(left, operator);
+        this.assertCondition(right, operator);
+        return { type: 'logical', operator, left, right };
+    }
+
+    assertCondition(node, operator) {
+        if (!isCondition(node)) {
+            throw new StrategyDefinitionError(`"${operator}" needs conditions on both sides in "${this.source}"`);
+        }
+    }
+
+    number(node) {
+        if (isCondition(node)) {
+            throw new StrategyDefinitionError(`Expected a number, not a condition, in "${this.source}"`);
+        }
+        return node;
+    }
+}
+
+function tokenize(source) {
+    const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_]\w*)|(<=|>=|==|!=|[<>()+\-*/,.]))/y;
+    const tokens = [];
+    let position = 0;
+
+    while (source.slice(position).trim() !== '') {
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) {
+            throw new StrategyDefinitionError(`Unexpected "${source.slice(position).trim()[0]}" in "${source}"`);
+        }
+        position = pattern.lastIndex;
+
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'word', value: match[2] });
+        else tokens.push({ type: 'symbol', value: match[3] });
+    }
+
+    return tokens;
+}
+
+const finite = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+module.exports = RuleStrategy;
+module.exports.StrategyDefinitionError = StrategyDefinitionError;
+module.exports.STRATEGY_TYPES = STRATEGY_TYPES;
+module.exports.STRATEGY_PRESETS = STRATEGY_PRESETS;
+module.exports.INDICATORS = Object.keys(INDICATORS);
+module.exports.combineWithAI = combineWithAI;
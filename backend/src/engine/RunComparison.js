@@ -0,0 +1,143 @@
+/**
+ * Run Comparison
+ * Lines up two or more stored backtest runs side by side:
+ *  - equity curves on a shared time axis (the union of the runs' points), each
+ *    run carried forward between its own points and null outside its range,
+ *    with returns relative to its starting capital so different capitals compare
+ *  - a metric table with the best run per metric
+ *  - the configuration options that differ between the runs, and whether they
+ *    were simulated on identical data (same data fingerprint)
+ */
+
+import { BacktestConfigError } from './BacktestEngine.js';
+
+// Metrics in the table and which direction is better (null: informational)
+export const COMPARED_METRICS = {
+    totalReturn: 'max',
+    annualizedReturn: 'max',
+    volatility: 'min',
+    sharpeRatio: 'max',
+    sortinoRatio: 'max',
+    calmarRatio: 'max',
+    maxDrawdown: 'min',
+    maxDrawdownDays: 'min',
+    winRate: 'max',
+    profitFactor: 'max',
+    totalTrades: null,
+    avgHoldingHours: null,
+    exposure: null,
+    timeInMarket: null,
+    turnover: null
+};
+
+export const MAX_COMPARED_RUNS = 10;
+
+export class RunComparison {
+    /**
+     * @param {Array} runs - BacktestRun documents loaded with their equity
+     */
+    compare(runs) {
+        if (runs.length < 2 || runs.length > MAX_COMPARED_RUNS) {
+            throw new BacktestConfigError(`Compare between 2 and ${MAX_COMPARED_RUNS} runs`);
+        }
+
+        const unfinished = runs.filter(run => run.status !== 'completed' || run.equity.length === 0);
+        if (unfinished.length > 0) {
+            throw new BacktestConfigError(`Runs without a completed equity curve cannot be compared: ${unfinished.map(run => run._id).join(', ')}`);
+        }
+
+        const ids = runs.map(run => run._id.toString());
+        const fingerprints = new Set(runs.map(run => run.dataFingerprint || null));
+
+        return {
+            runs: runs.map(run => ({
+                id: run._id,
+                kind: run.kind,
+                symbols: run.symbols,
+                aiModel: run.aiModel,
+                strategy: run.config?.strategy || 'ai-signals',
+                timeframe: run.timeframe,
+                startDate: run.startDate,
+                endDate: run.endDate,
+                initialCapital: run.initialCapital,
+                finalCapital: run.finalCapital,
+                baseCurrency: run.baseCurrency,
+                dataFingerprint: run.dataFingerprint || null,
+                createdAt: run.createdAt
+            })),
+            sameData: fingerprints.size === 1 && !fingerprints.has(null),
+            configDifferences: diffConfigs(runs),
+            metrics: compareMetrics(runs, ids),
+            equity: alignEquity(runs, ids)
+        };
+    }
+}
+
+/**
+ * One row per metric: the value of each run and the best run's id
+ */
+function compareMetrics(runs, ids) {
+    return Object.entries(COMPARED_METRICS).map(([metric, better]) => {
+        const values = Object.fromEntries(ids.map((id, index) => [id, runs[index].metrics?.[metric] ?? null]));
+
+        let best = null;
+        if (better) {
+            const ranked = ids.filter(id => Number.isFinite(values[id]))
+                .sort((a, b) => better === 'max' ? values[b] - values[a] : values[a] - values[b]);
+            best = ranked.length > 0 ? ranked[0] : null;
+        }
+
+        return { metric, better, values, best };
+    });
+}
+
+/**
+ * Equity and return of every run at every timestamp any of them has a point
+ */
+function alignEquity(runs, ids) {
+    const series = runs.map(run => run.equity.map(point => ({
+        time: new Date(point.timestamp).getTime(),
+        value: point.totalEquity
+    })));
+
+    const axis = [...new Set(series.flatMap(points => points.map(point => point.time)))].sort((a, b) => a - b);
+    const cursors = series.map(() => -1);
+
+    return axis.map(time => {
+        const point = { timestamp: new Date(time), equity: {}, returns: {} };
+
+        series.forEach((points, index) => {
+            while (cursors[index] + 1 < points.length && points[cursors[index] + 1].time <= time) {
+                cursors[index]++;
+            }
+
+            const inRange = cursors[index] >= 0 && time <= points[points.length - 1].time;
+            const value = inRange ? points[cursors[index]].value : null;
+            const initialCapital = runs[index].initialCapital;
+
+            point.equity[ids[index]] = value === null ? null : Number(value.toFixed(2));
+            point.returns[ids[index]] = value === null || !initialCapital ? null : Number(((value / initialCapital - 1) * 100).toFixed(2));
+        });
+
+        return point;
+    });
+}
+
+/**
+ * Configuration options whose values are not the same for every run
+ */
+function diffConfigs(runs) {
+    const keys = [...new Set(runs.flatMap(run => Object.keys(run.config || {})))].sort();
+    const differences = {};
+
+    for (const key of keys) {
+        const values = runs.map(run => run.config?.[key] ?? null);
+        if (new Set(values.map(value => JSON.stringify(value))).size > 1) {
+            differences[key] = Object.fromEntries(runs.map((run, index) => [run._id.toString(), values[index]]));
+        }
+    }
+
+    return differences;
+}
+
+export default RunComparison;
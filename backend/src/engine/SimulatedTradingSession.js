@@ -0,0 +1,333 @@
+/**
+ * Simulated Trading Session
+ * Runs the live ProductionTradingEngine over historical bars in accelerated
+ * time. The engine gets a SimulatedClock, a QuoteStream fed by a
+ * ReplayTickSource and a ReplayMarketDataProvider in place of its live
+ * counterparts; everything else is the code that trades live: positions,
+ * fills, checkPositionRisk on every tick, trailing stops, queued orders for
+ * closed markets, carry costs and the events the engine emits.
+ *
+ * The session plays the client: after each completed bar of a traded symbol
+ * it asks the engine for a signal (evaluateStrategy for rule strategies,
+ * analyzeSymbolWithAI for 'ai-signals'), closes on exits and reversals and
+ * opens entries the engine sizes with its position sizer. Whatever is still
+ * open at the end is closed by stopping the engine.
+ */
+
+const ProductionTradingEngine = require('./ProductionTradingEngine.js');
+const RuleStrategy = require('./RuleStrategy.js');
+const PositionSizer = require('./PositionSizer.js');
+const {
+    getMarketDataProvider,
+    getInstrumentRegistry,
+    QuoteStream,
+    ReplayTickSource,
+    ReplayMarketDataProvider,
+    SimulatedClock,
+    getTimeframeMs,
+    DAY_MS
+} = require('../market/index.js');
+
+const ENGINE_EVENTS = ['position:opened', 'position:closed', 'trade:executed', 'order:queued', 'order:filled', 'order:rejected'];
+const MAX_REPORTED_ERRORS = 50;
+
+class SimulationError extends Error {
+    constructor(message, code = 'INVALID_SIMULATION', statusCode = 400) {
+        super(message);
+        this.name = 'SimulationError';
+        this.code = code;
+        this.statusCode = statusCode;
+    }
+}
+
+class SimulatedTradingSession {
+    /**
+     * @param {Object} config - {
+     *   symbols (or symbol), timeframe, startDate, endDate,
+     *   strategy: 'ai-signals' | 'technical' | 'hybrid', rules, model, minConfidence,
+     *   positionSizing: PositionSizer options for entries (default: the engine's),
+     *   stopLoss, takeProfit, trailingStop: fractions of the entry price (rule strategies use their own stop and target),
+     *   initialBalance, engineConfig: further ProductionTradingEngine options,
+     *   marketDataProvider: source of the replayed bars, userId
+     * }
+     */
+    constructor(config = {}) {
+        this.symbols = [...new Set(config.symbols || [config.symbol].filter(Boolean))];
+        this.timeframe = config.timeframe || '1d';
+        this.startDate = new Date(config.startDate);
+        this.endDate = new Date(config.endDate);
+        this.strategy = config.strategy || 'ai-signals';
+        this.model = config.model || 'gpt-4';
+        this.minConfidence = config.minConfidence ?? 0.7;
+        this.positionSizing = config.positionSizing ?? null;
+        this.stopLoss = config.stopLoss ?? null;
+        this.takeProfit = config.takeProfit ?? null;
+        this.trailingStop = config.trailingStop ?? null;
+        this.initialBalance = config.initialBalance || 100000;
+        this.engineConfig = config.engineConfig || {};
+        this.marketData = config.marketDataProvider || getMarketDataProvider();
+        this.instruments = config.instrumentRegistry || getInstrumentRegistry();
+        this.userId = config.userId || 'simulation';
+
+        this.validate();
+        this.rules = this.strategy === 'ai-signals' ? null : new RuleStrategy(config.rules);
+    }
+
+    validate() {
+        if (this.symbols.length === 0) {
+            throw new SimulationError('At least one symbol is required');
+        }
+        const unknown = this.symbols.filter(symbol => !this.instruments.has(symbol));
+        if (unknown.length > 0) {
+            throw new SimulationError(`Unknown instruments: ${unknown.join(', ')}`);
+        }
+        if (isNaN(this.startDate) || isNaN(this.endDate) || this.startDate >= this.endDate) {
+            throw new SimulationError('startDate and endDate must be valid dates with startDate first');
+        }
+        if (!RuleStrategy.STRATEGY_TYPES.includes(this.strategy)) {
+            throw new SimulationError(`Unknown strategy ${this.strategy}. Use ${RuleStrategy.STRATEGY_TYPES.join(', ')}`);
+        }
+        const sizingError = PositionSizer.validate(this.positionSizing);
+        if (sizingError) {
+            throw new SimulationError(sizingError, 'INVALID_POSITION_SIZING');
+        }
+        for (const field of ['stopLoss', 'takeProfit', 'trailingStop']) {
+            if (this[field] !== null && !(this[field] > 0 && this[field] < 1)) {
+                throw new SimulationError(`${field} must be a fraction of price between 0 and 1`);
+            }
+        }
+        getTimeframeMs(this.timeframe); // throws for unsupported timeframes
+    }
+
+    /**
+     * Replay the range and report the engine's trades, metrics and equity
+     */
+    async run() {
+        const startedAt = Date.now();
+        const timeframeMs = getTimeframeMs(this.timeframe);
+
+        const clock = new SimulatedClock(this.startDate);
+        const ticks = new ReplayTickSource({
+            clock,
+            marketDataProvider: this.marketData,
+            instruments: this.instruments,
+            timeframe: this.timeframe,
+            start: this.startDate,
+            end: this.endDate
+        });
+        // A symbol stays live across closed sessions and weekends between its bars
+        const quoteStream = new QuoteStream(ticks, { clock, staleAfterMs: Math.max(4 * timeframeMs, 4 * DAY_MS) });
+
+        const engine = new ProductionTradingEngine({
+            pollIntervalMs: timeframeMs,
+            ...this.engineConfig,
+            initialBalance: this.initialBalance,
+            positionSizing: this.positionSizing || this.engineConfig.positionSizing,
+            clock,
+            quoteStream,
+            marketDataProvider: new ReplayMarketDataProvider(this.marketData, ticks),
+            instrumentRegistry: this.instruments,
+            persistHistory: false,
+            validateConnections: false,
+            userId: this.userId
+        });
+
+        this.engine = engine;
+        this.orders = { submitted: 0, filled: 0, queued: 0, rejected: 0 };
+        this.signals = {};
+        this.events = Object.fromEntries(ENGINE_EVENTS.map(event => [event, 0]));
+        this.errors = [];
+        this.equity = [];
+        this.barsProcessed = 0;
+
+        for (const event of ENGINE_EVENTS) {
+            engine.on(event, () => this.events[event]++);
+        }
+
+        await engine.ready;
+        await quoteStream.start();
+
+        const series = await Promise.all(this.symbols.map(symbol => ticks.load(symbol)));
+        const empty = series.filter(({ bars }) => bars.length === 0).map(({ symbol }) => symbol);
+        if (empty.length > 0) {
+            throw new SimulationError(`No ${this.timeframe} bars for ${empty.join(', ')} between ${this.startDate.toISOString()} and ${this.endDate.toISOString()}`, 'NO_MARKET_DATA', 404);
+        }
+
+        ticks.on('bar', event => this.onBar(event));
+        this.recordEquity();
+
+        console.log(`⏱️ Simulating ${this.symbols.join(', ')} ${this.timeframe} from ${this.startDate.toISOString()} to ${this.endDate.toISOString()}`);
+
+        await engine.start();
+        await clock.advanceTo(this.endDate);
+        await engine.stop(); // closes what is still open at the last replayed quotes
+        this.recordEquity();
+        await quoteStream.stop();
+
+        const report = this.report(ticks.ticksReplayed, Date.now() - startedAt);
+        console.log(`✅ Simulation finished: ${report.totalTrades} trades, ${report.totalReturn.toFixed(2)}% return in ${report.replay.wallMs}ms`);
+        return report;
+    }
+
+    /**
+     * A bar of a traded symbol completed: get a signal and act on it
+     */
+    async onBar({ symbol }) {
+        if (!this.symbols.includes(symbol)) return;
+        this.barsProcessed++;
+
+        try {
+            const signal = await this.getSignal(symbol);
+            this.signals[signal.action] = (this.signals[signal.action] || 0) + 1;
+            await this.act(symbol, signal);
+        } catch (error) {
+            this.recordError(symbol, error);
+        }
+
+        this.recordEquity();
+    }
+
+    async getSignal(symbol) {
+        if (this.strategy !== 'ai-signals') {
+            return this.engine.evaluateStrategy(symbol, {
+                rules: this.rules,
+                strategy: this.strategy,
+                model: this.model,
+                timeframe: this.timeframe
+            });
+        }
+
+        const analysis = await this.engine.analyzeSymbolWithAI(symbol, {
+            model: this.model,
+            timeframe: this.timeframe,
+            includeSentiment: false
+        });
+        const action = String(analysis.action || analysis.signal || 'hold').toLowerCase();
+        const confident = analysis.confidence >= this.minConfidence;
+
+        return {
+            action: confident && (action === 'buy' || action === 'sell') ? action : 'hold',
+            confidence: analysis.confidence,
+            reasoning: analysis.reasoning
+        };
+    }
+
+    async act(symbol, signal) {
+        const position = this.engine.positions.get(symbol);
+        const reverses = position && signal.action === (position.side === 'long' ? 'sell' : 'buy');
+
+        if (position && (signal.action === 'close' || reverses)) {
+            await this.engine.closePosition(symbol, reverses ? 'reversal' : 'exit_rule');
+        }
+
+        if ((signal.action === 'buy' || signal.action === 'sell') && !this.engine.positions.has(symbol)) {
+            await this.submit(symbol, signal.action === 'buy' ? 'long' : 'short', signal);
+        }
+    }
+
+    /**
+     * Open a position through the engine, sized by it when the order fills
+     */
+    async submit(symbol, side, signal) {
+        this.orders.submitted++;
+        try {
+            const result = await this.engine.openPosition(symbol, side, null, {
+                stopLoss: signal.rules?.stopLoss ?? this.stopLoss,
+                takeProfit: signal.rules?.takeProfit ?? this.takeProfit,
+                trailingStop: this.trailingStop,
+                confidence: signal.confidence
+            });
+            this.orders[result.status === 'queued' ? 'queued' : 'filled']++;
+        } catch (error) {
+            this.orders.rejected++;
+            this.recordError(symbol, error);
+        }
+    }
+
+    recordError(symbol, error) {
+        if (this.errors.length < MAX_REPORTED_ERRORS) {
+            this.errors.push({ timestamp: this.engine.clock.now(), symbol, message: error.message, ...(error.code && { code: error.code }) });
+        }
+    }
+
+    recordEquity() {
+        const timestamp = this.engine.clock.now();
+        const point = { timestamp, totalEquity: this.engine.getPortfolioStatus().totalPortfolioValue };
+
+        // One point per instant (several symbols can complete a bar at the same time)
+        const last = this.equity[this.equity.length - 1];
+        if (last && last.timestamp.getTime() === timestamp.getTime()) {
+            this.equity[this.equity.length - 1] = point;
+        } else {
+            this.equity.push(point);
+        }
+    }
+
+    report(ticksReplayed, wallMs) {
+        const { engine } = this;
+        const portfolio = engine.getPortfolioStatus();
+        const trades = engine.trades.filter(trade => trade.type === 'close');
+
+        return {
+            symbols: this.symbols,
+            timeframe: this.timeframe,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            strategy: this.strategy,
+            ...(this.strategy !== 'technical' && { model: this.model }),
+            rules: this.rules ? this.rules.toJSON() : null,
+            baseCurrency: portfolio.baseCurrency,
+            initialBalance: this.initialBalance,
+            finalBalance: portfolio.totalPortfolioValue,
+            totalReturn: portfolio.totalReturn,
+            totalTrades: trades.length,
+            winningTrades: trades.filter(trade => trade.pnl > 0).length,
+            losingTrades: trades.filter(trade => trade.pnl <= 0).length,
+            maxDrawdown: maxDrawdown(this.equity),
+            sharpeRatio: sharpeRatio(this.equity),
+            metrics: engine.metrics,
+            trades,
+            orders: this.orders,
+            signals: this.signals,
+            events: this.events,
+            errors: this.errors,
+            equity: this.equity,
+            replay: { bars: this.barsProcessed, ticks: ticksReplayed, wallMs }
+        };
+    }
+}
+
+/**
+ * Largest peak-to-trough fall of the equity curve, in percent
+ */
+function maxDrawdown(equity) {
+    let peak = -Infinity;
+    let drawdown = 0;
+    for (const { totalEquity } of equity) {
+        peak = Math.max(peak, totalEquity);
+        if (peak > 0) drawdown = Math.max(drawdown, (peak - totalEquity) / peak);
+    }
+    return drawdown * 100;
+}
+
+/**
+ * Annualized Sharpe ratio of the returns between equity points (risk-free rate 0),
+ * annualized by the number of points per year of the curve
+ */
+function sharpeRatio(equity) {
+    const returns = [];
+    for (let i = 1; i < equity.length; i++) {
+        if (equity[i - 1].totalEquity > 0) returns.push(equity[i].totalEquity / equity[i - 1].totalEquity - 1);
+    }
+    if (returns.length < 2) return 0;
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const deviation = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1));
+    const years = (equity[equity.length - 1].timestamp - equity[0].timestamp) / (365 * DAY_MS);
+    if (!(deviation > 0) || !(years > 0)) return 0;
+
+    return mean / deviation * Math.sqrt(returns.length / years);
+}
+
+module.exports = SimulatedTradingSession;
+module.exports.SimulationError = SimulationError;
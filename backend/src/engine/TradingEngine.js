@@ -10,10 +10,11 @@
 
 import 'dotenv/config';
 import EventEmitter from 'events';
-import yahooFinance from 'yahoo-finance2';
 import AIModelManager from '../ai/AIModelManager.js';
 import RedditSentimentEngine from '../ai/RedditSentimentEngine.js';
 import MLModelsEngine from '../ai/MLModelsEngine.js';
+import PositionSizer from './PositionSizer.js';
+import { getMarketDataProvider, getInstrumentRegistry, getMarketCalendar, getDataQualityValidator } from '../market/index.js';
 
 export class TradingEngine extends EventEmitter {
     constructor(config = {}) {
@@ -23,6 +24,7 @@ export class TradingEngine extends EventEmitter {
             maxPositions: 10,
             maxRiskPerTrade: 0.02, // 2%
             maxDailyDrawdown: 0.05, // 5%
+            positionSizing: null, // PositionSizer options; users' own override them
             aiModelCredits: config.aiModelCredits || {},
             ...config
         };
@@ -37,6 +39,8 @@ export class TradingEngine extends EventEmitter {
         this.isActive = false;
         
         // Market data
+        this.marketDataProvider = config.marketDataProvider || getMarketDataProvider();
+        this.dataQuality = config.dataQualityValidator || getDataQualityValidator();
         this.marketData = new Map(); // symbol -> latest price data
         this.subscriptions = new Set(); // symbols we're tracking
         
@@ -146,6 +150,7 @@ export class TradingEngine extends EventEmitter {
             
         } catch (error) {
             console.error(`AI Analysis failed for ${symbol}:`, error);
+            if (error.code === 'DATA_QUALITY_TOO_LOW') throw error;
             throw new Error(`AI analysis failed: ${error.message}`);
         }
     }
@@ -155,10 +160,17 @@ export class TradingEngine extends EventEmitter {
      */
     async requestBasicAIAnalysis(symbol, modelId, timeframe = '1h', userTier = 'free') {
         try {
-            const marketData = await this.getMarketData(symbol, timeframe);
+            const { bars: marketData, report: dataQuality } = this.dataQuality.validate(
+                await this.getMarketData(symbol, timeframe),
+                { symbol, timeframe }
+            );
+            this.dataQuality.assertQuality(dataQuality);
             
             // Use the basic analyzeMarket method from AIModelManager
-            const analysis = await this.aiModelManager.analyzeMarket(modelId, symbol, marketData, userTier);
+            const analysis = {
+                ...await this.aiModelManager.analyzeMarket(modelId, symbol, marketData, userTier),
+                dataQuality
+            };
             
             this.emit('ai:analysis:completed', {
                 symbol,
@@ -257,6 +269,9 @@ export class TradingEngine extends EventEmitter {
             throw new Error('Trading engine is not active');
         }
         
+        // Orders are only placed during the instrument's regular session
+        getMarketCalendar().assertOpen(signal.symbol);
+        
         // Risk check
         const riskCheck = await this.riskManager.validateTrade(signal);
         if (!riskCheck.approved) {
@@ -264,14 +279,18 @@ export class TradingEngine extends EventEmitter {
         }
         
         // Calculate position size
-        const positionSize = this.calculatePositionSize(signal, userConfig);
+        const sizing = await this.calculatePositionSize(signal, userConfig);
+        if (!(sizing.quantity > 0)) {
+            throw new Error(`Trade rejected: ${sizing.reason}`);
+        }
         
         // Create order
         const order = {
             id: `order_${Date.now()}`,
             symbol: signal.symbol,
             side: signal.action, // 'buy' or 'sell'
-            size: positionSize,
+            size: sizing.quantity,
+            sizing,
             type: signal.orderType || 'market',
             price: signal.targetPrice,
             stopLoss: signal.stopLoss,
@@ -290,29 +309,22 @@ export class TradingEngine extends EventEmitter {
     }
     
     /**
-     * Get real market data from Yahoo Finance
+     * Get real market data from the configured market data provider
      */
     async getMarketData(symbol, timeframe = '1h', period = '1mo') {
         try {
-            // Convert symbol format for Yahoo Finance
-            let yahooSymbol = symbol;
-            if (symbol === 'EURUSD') yahooSymbol = 'EURUSD=X';
-            if (symbol === 'GBPUSD') yahooSymbol = 'GBPUSD=X';
-            if (symbol === 'USDJPY') yahooSymbol = 'USDJPY=X';
-            
-            const queryOptions = {
-                period1: this.getPeriodStart(period),
-                period2: new Date(),
-                interval: this.convertTimeframe(timeframe)
-            };
-            
-            const data = await yahooFinance.historical(yahooSymbol, queryOptions);
+            const data = await this.marketDataProvider.getHistoricalBars(symbol, {
+                start: this.getPeriodStart(period),
+                end: new Date(),
+                timeframe
+            });
             
             // Process and return structured data
             return this.processMarketData(data);
             
         } catch (error) {
             console.error(`Error fetching market data for ${symbol}:`, error);
+            if (error.code === 'UNSUPPORTED_TIMEFRAME') throw error;
             throw new Error(`Failed to fetch market data for ${symbol}`);
         }
     }
@@ -340,29 +352,6 @@ export class TradingEngine extends EventEmitter {
         return startDate;
     }
 
-    /**
-     * Convert timeframe to Yahoo Finance interval format
-     */
-    convertTimeframe(timeframe) {
-        const frameMap = {
-            '1m': '1m',
-            '2m': '2m',
-            '5m': '5m',
-            '15m': '15m',
-            '30m': '30m',
-            '60m': '1h',
-            '1h': '1d',  // Yahoo Finance doesn't support 1h for historical, use 1d
-            '90m': '90m',
-            '1d': '1d',
-            '5d': '5d',
-            '1wk': '1wk',
-            '1mo': '1mo',
-            '3mo': '3mo'
-        };
-
-        return frameMap[timeframe] || '1d';
-    }
-
     /**
      * Process raw market data into standardized format
      */
@@ -372,7 +361,7 @@ export class TradingEngine extends EventEmitter {
         }
 
         return rawData.map(item => ({
-            timestamp: item.date,
+            timestamp: item.timestamp,
             open: item.open,
             high: item.high,
             low: item.low,
@@ -549,18 +538,25 @@ export class TradingEngine extends EventEmitter {
     // (RSI, MACD, SMA, EMA calculations, etc.)
     
     /**
-     * Calculate position size based on risk management
+     * Calculate position size with the user's sizing model
+     * Returns the PositionSizer result: { quantity, model, inputs, ... }
      */
-    calculatePositionSize(signal, userConfig) {
-        const riskAmount = this.balance * (userConfig.riskPerTrade || this.config.maxRiskPerTrade);
-        const stopDistance = Math.abs(signal.targetPrice - signal.stopLoss);
-        
-        if (stopDistance === 0) return 0;
-        
-        const positionSize = riskAmount / stopDistance;
-        const maxPositionValue = this.balance * 0.1; // Max 10% per position
+    async calculatePositionSize(signal, userConfig) {
+        const sizer = new PositionSizer({
+            riskPerTrade: userConfig.riskPerTrade || this.config.maxRiskPerTrade,
+            ...this.config.positionSizing,
+            ...userConfig.positionSizing
+        });
         
-        return Math.min(positionSize, maxPositionValue / signal.targetPrice);
+        return sizer.size({
+            symbol: signal.symbol,
+            price: signal.targetPrice,
+            equity: this.balance,
+            stopLoss: signal.stopLoss,
+            takeProfit: signal.takeProfit,
+            confidence: signal.confidence,
+            bars: await sizer.getRecentBars(this.marketDataProvider, signal.symbol)
+        });
     }
     
     /**
@@ -683,10 +679,7 @@ class RiskManager {
     }
     
     getAssetClass(symbol) {
-        if (['EURUSD', 'GBPUSD', 'USDJPY'].includes(symbol)) return 'forex';
-        if (['AAPL', 'GOOGL', 'MSFT', 'TSLA'].includes(symbol)) return 'tech_stocks';
-        if (['SPY', 'QQQ', 'IWM'].includes(symbol)) return 'etf';
-        return 'other';
+        return getInstrumentRegistry().getAssetClass(symbol);
     }
 }
 
@@ -0,0 +1,322 @@
+/**
+ * Walk-Forward Optimizer
+ * Splits a date range into in-sample / out-of-sample windows, picks the best
+ * parameter combination on each in-sample window and trades it on the window
+ * that follows. Out-of-sample windows share one capital pool, so the stitched
+ * result is what re-optimizing on that schedule would have earned.
+ *
+ * Windows roll forward by the out-of-sample length; anchored windows keep the
+ * in-sample start fixed and grow. Out-of-sample runs warm up on the in-sample
+ * bars (runBacktest's tradeStart), so every out-of-sample bar can be traded.
+ *
+ * Runs are sequential; progress counts finished runs plus the share of the one
+ * stepping, and an abort signal stops the optimization at the next bar.
+ */
+
+import BacktestEngine, { TUNABLE_PARAMETERS, BacktestConfigError, assertTunableValue } from './BacktestEngine.js';
+import { DAY_MS } from '../market/index.js';
+import { getReplayStatus } from '../ai/AIResponseRecorder.js';
+
+export const OBJECTIVES = ['sharpeRatio', 'totalReturn', 'profitFactor'];
+
+export const DEFAULT_GRID = {
+    minConfidence: [0.5, 0.6, 0.7],
+    riskPerTrade: [0.01, 0.02]
+};
+
+const MAX_COMBINATIONS = 36;
+const MAX_WINDOWS = 24;
+
+export class WalkForwardOptimizer {
+    /**
+     * @param {Object} engineConfig - BacktestEngine config shared by every run (aiManager, providers, capital...)
+     */
+    constructor(engineConfig = {}) {
+        this.engineConfig = engineConfig;
+    }
+
+    /**
+     * Combinations and windows of an optimization; throws a BacktestConfigError
+     * for invalid settings, so they can be checked before the run is queued
+     */
+    plan({ startDate, endDate, inSampleDays = 180, outOfSampleDays = 60, anchored = false, objective = 'sharpeRatio', parameters = DEFAULT_GRID }) {
+        if (!OBJECTIVES.includes(objective)) {
+            throw new BacktestConfigError(`Unknown objective ${objective}. Use ${OBJECTIVES.join(', ')}`);
+        }
+
+        return {
+            combinations: expandGrid(parameters),
+            windows: buildWindows(startDate, endDate, { inSampleDays, outOfSampleDays, anchored })
+        };
+    }
+
+    /**
+     * Run a walk-forward optimization
+     * @param {Object} params - runBacktest options plus inSampleDays, outOfSampleDays,
+     *   anchored, objective and parameters ({ name: [values] } over TUNABLE_PARAMETERS),
+     *   onProgress ({ runsCompleted, totalRuns, percent, window, totalWindows, aiCalls,
+     *   liveCost }) and signal (AbortSignal)
+     */
+    async run(params) {
+        const {
+            symbol,
+            startDate,
+            endDate,
+            aiModel,
+            timeframe = '1d',
+            adjustment = 'adjusted',
+            creditDividends = false,
+            aiMode = 'record',
+            userTier = 'free',
+            inSampleDays = 180,
+            outOfSampleDays = 60,
+            anchored = false,
+            objective = 'sharpeRatio',
+            parameters = DEFAULT_GRID,
+            onProgress = null,
+            signal = null
+        } = params;
+
+        const { combinations, windows } = this.plan({ startDate, endDate, inSampleDays, outOfSampleDays, anchored, objective, parameters });
+
+        console.log(`🚶 Walk-forward: ${symbol}, ${windows.length} windows x ${combinations.length} combinations (${objective})`);
+
+        // Every run of this optimization shares AI responses: combinations analyze the same bars
+        const responseCache = new Map();
+        const createEngine = (overrides = {}) => this.createEngine({ ...overrides, responseCache });
+
+        const summaryEngine = createEngine();
+        const initialCapital = summaryEngine.config.initialCapital;
+        let capital = initialCapital;
+        const trades = [];
+        const equity = [];
+        const results = [];
+        const aiResponses = { replayed: 0, live: 0, recorded: 0, liveCost: 0 };
+        let dividendIncome = 0;
+
+        const totalRuns = windows.length * (combinations.length + 1);
+        let runsCompleted = 0;
+        const reportProgress = (current = null) => {
+            if (!onProgress) return;
+            onProgress({
+                runsCompleted,
+                totalRuns,
+                percent: Number(((runsCompleted + (current ? current.percent / 100 : 0)) / totalRuns * 100).toFixed(1)),
+                window: Math.min(Math.floor(runsCompleted / (combinations.length + 1)) + 1, windows.length),
+                totalWindows: windows.length,
+                aiCalls: aiResponses.live + (current?.aiCalls || 0),
+                liveCost: Number((aiResponses.liveCost + (current?.liveCost || 0)).toFixed(4))
+            });
+        };
+        const backtest = { symbol, aiModel, timeframe, adjustment, creditDividends, aiMode, userTier, signal, onProgress: reportProgress };
+
+        for (const [index, window] of windows.entries()) {
+            // In-sample: every combination on the same bars
+            const candidates = [];
+            for (const combination of combinations) {
+                const result = await createEngine(combination).runBacktest({
+                    ...backtest,
+                    startDate: window.inSample.start,
+                    endDate: window.inSample.end
+                });
+                addResponses(aiResponses, result.aiResponses);
+                runsCompleted++;
+                reportProgress();
+                candidates.push({ parameters: combination, score: scoreOf(result.metrics, objective), metrics: result.metrics });
+            }
+
+            const best = candidates.reduce((chosen, candidate) =>
+                candidate.score !== null && (chosen.score === null || candidate.score > chosen.score) ? candidate : chosen
+            );
+
+            // Out-of-sample: the chosen parameters on the next window, continuing the capital pool
+            const outOfSample = await createEngine({ ...best.parameters, initialCapital: capital }).runBacktest({
+                ...backtest,
+                startDate: window.inSample.start,
+                endDate: window.outOfSample.end,
+                tradeStart: window.outOfSample.start
+            });
+            addResponses(aiResponses, outOfSample.aiResponses);
+            runsCompleted++;
+            reportProgress();
+
+            trades.push(...outOfSample.trades);
+            equity.push(...outOfSample.equity);
+            dividendIncome += outOfSample.priceAdjustment.dividendIncome;
+
+            results.push({
+                index,
+                inSample: window.inSample,
+                outOfSample: window.outOfSample,
+                parameters: best.parameters,
+                inSampleScore: best.score,
+                inSampleMetrics: best.metrics,
+                outOfSampleMetrics: outOfSample.metrics,
+                startCapital: capital,
+                endCapital: outOfSample.finalCapital,
+                candidates: candidates
+                    .map(candidate => ({ parameters: candidate.parameters, score: candidate.score }))
+                    .sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity))
+            });
+
+            console.log(`🪟 Window ${index + 1}/${windows.length}: ${JSON.stringify(best.parameters)} -> ${outOfSample.metrics.totalReturn}% out of sample`);
+            capital = outOfSample.finalCapital;
+        }
+
+        return {
+            symbol,
+            aiModel,
+            timeframe,
+            startDate,
+            endDate,
+            objective,
+            anchored,
+            inSampleDays,
+            outOfSampleDays,
+            parameters,
+            initialCapital,
+            finalCapital: capital,
+            windows: results,
+            outOfSample: {
+                trades,
+                equity,
+                metrics: summaryEngine.calculateMetrics(trades, capital, dividendIncome, equity)
+            },
+            robustness: summarizeRobustness(results, { inSampleDays, outOfSampleDays }),
+            aiResponses: {
+                ...aiResponses,
+                liveCost: Number(aiResponses.liveCost.toFixed(4)),
+                status: getReplayStatus(aiResponses)
+            }
+        };
+    }
+
+    createEngine(overrides = {}) {
+        return new BacktestEngine({ ...this.engineConfig, ...overrides });
+    }
+}
+
+/**
+ * Every combination of a { name: [values] } grid
+ */
+export function expandGrid(parameters = {}, maxCombinations = MAX_COMBINATIONS) {
+    const entries = Object.entries(parameters);
+    if (entries.length === 0) {
+        throw new BacktestConfigError(`Declare at least one parameter to optimize: ${Object.keys(TUNABLE_PARAMETERS).join(', ')}`);
+    }
+
+    for (const [name, values] of entries) {
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new BacktestConfigError(`Parameter ${name} needs a non-empty list of values`);
+        }
+        values.forEach(value => assertTunableValue(name, value));
+    }
+
+    const combinations = entries.reduce(
+        (combos, [name, values]) => combos.flatMap(combo => [...new Set(values)].map(value => ({ ...combo, [name]: value }))),
+        [{}]
+    );
+
+    if (combinations.length > maxCombinations) {
+        throw new BacktestConfigError(`Grid has ${combinations.length} combinations; the maximum is ${maxCombinations}`);
+    }
+
+    return combinations;
+}
+
+/**
+ * In-sample / out-of-sample date windows over a range
+ */
+export function buildWindows(startDate, endDate, { inSampleDays, outOfSampleDays, anchored = false }) {
+    const start = new Date(startDate).getTime();
+    const end = new Date(endDate).getTime();
+
+    if (Number.isNaN(start) || Number.isNaN(end) || start >= end) {
+        throw new BacktestConfigError('startDate must be a valid date before endDate');
+    }
+    if (!(inSampleDays > 0) || !(outOfSampleDays > 0)) {
+        throw new BacktestConfigError('inSampleDays and outOfSampleDays must be positive');
+    }
+
+    const windows = [];
+    for (let oosStart = start + inSampleDays * DAY_MS; oosStart < end; oosStart += outOfSampleDays * DAY_MS) {
+        windows.push({
+            inSample: {
+                start: new Date(anchored ? start : oosStart - inSampleDays * DAY_MS),
+                end: new Date(oosStart - 1)
+            },
+            outOfSample: {
+                start: new Date(oosStart),
+                end: new Date(Math.min(oosStart + outOfSampleDays * DAY_MS - 1, end))
+            }
+        });
+    }
+
+    if (windows.length === 0) {
+        throw new BacktestConfigError(`The range is shorter than one in-sample window (${inSampleDays} days) plus an out-of-sample period`);
+    }
+    if (windows.length > MAX_WINDOWS) {
+        throw new BacktestConfigError(`The range makes ${windows.length} windows; the maximum is ${MAX_WINDOWS}. Lengthen outOfSampleDays or shorten the range`);
+    }
+
+    return windows;
+}
+
+// Objective value of a run; null when it did not trade (never preferred over one that did)
+function scoreOf(metrics, objective) {
+    return metrics.totalTrades > 0 ? metrics[objective] : null;
+}
+
+function addResponses(total, report) {
+    total.replayed += report.replayed;
+    total.live += report.live;
+    total.recorded += report.recorded;
+    total.liveCost += report.liveCost;
+}
+
+/**
+ * How well in-sample choices held up out of sample:
+ *  - walkForwardEfficiency: annualized out-of-sample return / annualized in-sample return
+ *  - profitableWindows: out-of-sample windows that made money
+ *  - parameterStability: how often each value was chosen (stable choices are a good sign)
+ */
+function summarizeRobustness(windows, { inSampleDays, outOfSampleDays }) {
+    const oosReturns = windows.map(window => window.outOfSampleMetrics.totalReturn);
+    const isReturns = windows.map(window => window.inSampleMetrics.totalReturn);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const annualizedIs = average(isReturns) * 365 / inSampleDays;
+    const annualizedOos = average(oosReturns) * 365 / outOfSampleDays;
+    const meanOos = average(oosReturns);
+    const stdDev = Math.sqrt(average(oosReturns.map(value => Math.pow(value - meanOos, 2))));
+
+    const parameterStability = {};
+    for (const name of Object.keys(windows[0].parameters)) {
+        const counts = {};
+        windows.forEach(window => {
+            const value = window.parameters[name];
+            counts[value] = (counts[value] || 0) + 1;
+        });
+        const [mostChosen, times] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        parameterStability[name] = {
+            chosen: counts,
+            mostChosen: Number(mostChosen),
+            share: Number((times / windows.length * 100).toFixed(1))
+        };
+    }
+
+    const profitable = oosReturns.filter(value => value > 0).length;
+
+    return {
+        windows: windows.length,
+        profitableWindows: profitable,
+        profitableShare: Number((profitable / windows.length * 100).toFixed(1)),
+        averageInSampleReturn: Number(average(isReturns).toFixed(2)),
+        averageOutOfSampleReturn: Number(meanOos.toFixed(2)),
+        outOfSampleReturnStdDev: Number(stdDev.toFixed(2)),
+        walkForwardEfficiency: annualizedIs > 0 ? Number((annualizedOos / annualizedIs).toFixed(2)) : null,
+        parameterStability
+    };
+}
+
+export default WalkForwardOptimizer;
@@ -0,0 +1,22 @@
+/**
+ * Seeded random numbers for simulations that must be repeatable
+ */
+
+/**
+ * Small seeded PRNG (mulberry32); returns a function yielding [0, 1)
+ */
+export function createRandom(seed) {
+    let state = Number(seed) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Seed for callers that did not ask for one (reported back so the run can be repeated)
+export function newSeed() {
+    return Math.floor(Math.random() * 2147483647);
+}
@@ -0,0 +1,138 @@
+/**
+ * Bar Resampler
+ * Aggregates finer OHLCV bars into coarser or custom timeframes (4h, 1w, 3d, ...).
+ *
+ * Buckets are aligned to the instrument's trading session rather than to UTC:
+ * intraday buckets start at the session open (09:30 for US equities, 17:00 New
+ * York for forex), daily buckets follow the trading day in the session
+ * timezone (forex days roll at 17:00), weeks start on the Monday trading day
+ * and months on the first trading day of the calendar month.
+ */
+
+const { parseTimeframe, canResample, UnsupportedTimeframeError, DAY_MS } = require('./timeframes.js');
+const { getTimeZoneOffset, zonedTimeToUtc } = require('./timezones.js');
+
+const MINUTE_MS = 60 * 1000;
+const EPOCH_MONDAY_OFFSET = 4 * DAY_MS; // 1970-01-01 was a Thursday
+
+const parseClock = (time = '00:00') => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return (hours * 60 + minutes) * MINUTE_MS;
+};
+
+/**
+ * Derive bucket alignment from a session definition (see config/instruments.json)
+ *  - timezone: wall clock used for alignment
+ *  - dayStart: offset into the calendar day at which the trading day begins
+ *  - intradayAnchor: offset into the day that intraday buckets are aligned to
+ */
+function getSessionAlignment(session = {}) {
+    const timezone = session.timezone || 'UTC';
+
+    if (session.type === 'weekly') {
+        const open = parseClock(session.open?.time);
+        // A trading day that opens in the evening belongs to the next calendar day
+        const dayStart = open > DAY_MS / 2 ? open - DAY_MS : open;
+        return { timezone, dayStart, intradayAnchor: open };
+    }
+
+    if (session.type === 'daily') {
+        return { timezone, dayStart: 0, intradayAnchor: parseClock(session.open) };
+    }
+
+    return { timezone, dayStart: 0, intradayAnchor: 0 };
+}
+
+class BarResampler {
+    /**
+     * @param {Object} options - { session } trading session used for alignment
+     */
+    constructor(options = {}) {
+        this.alignment = getSessionAlignment(options.session);
+    }
+
+    /**
+     * Aggregate bars of `sourceTimeframe` into `targetTimeframe`
+     * Bars must be sorted ascending; output bars carry the bucket start as timestamp.
+     */
+    resample(bars, sourceTimeframe, targetTimeframe) {
+        if (sourceTimeframe === targetTimeframe) return bars;
+
+        if (!canResample(sourceTimeframe, targetTimeframe)) {
+            throw new UnsupportedTimeframeError(`Cannot build ${targetTimeframe} bars from ${sourceTimeframe} bars`);
+        }
+
+        const target = parseTimeframe(targetTimeframe);
+        const output = [];
+        let current = null;
+
+        for (const bar of bars) {
+            const bucketStart = this.getBucketStart(bar.timestamp, target);
+
+            if (!current || current.timestamp.getTime() !== bucketStart.getTime()) {
+                current = {
+                    timestamp: bucketStart,
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close,
+                    volume: bar.volume || 0
+                };
+                output.push(current);
+                continue;
+            }
+
+            current.high = Math.max(current.high, bar.high);
+            current.low = Math.min(current.low, bar.low);
+            current.close = bar.close;
+            current.volume += bar.volume || 0;
+        }
+
+        return output;
+    }
+
+    /**
+     * Start (UTC) of the bucket containing `timestamp`
+     */
+    getBucketStart(timestamp, target) {
+        const { timezone, dayStart, intradayAnchor } = this.alignment;
+        const utc = new Date(timestamp).getTime();
+        const offset = getTimeZoneOffset(utc, timezone);
+        const wallClock = utc + offset;
+
+        let bucketWallClock;
+
+        if (target.unit === 'm' || target.unit === 'h') {
+            bucketWallClock = Math.floor((wallClock - intradayAnchor) / target.ms) * target.ms + intradayAnchor;
+        } else if (target.unit === 'd') {
+            bucketWallClock = Math.floor((wallClock - dayStart) / target.ms) * target.ms + dayStart;
+        } else if (target.unit === 'w') {
+            const anchor = EPOCH_MONDAY_OFFSET + dayStart;
+            bucketWallClock = Math.floor((wallClock - anchor) / target.ms) * target.ms + anchor;
+        } else {
+            // Calendar months of the trading day
+            const tradingDay = new Date(wallClock - dayStart);
+            const monthIndex = tradingDay.getUTCFullYear() * 12 + tradingDay.getUTCMonth();
+            const bucketMonth = Math.floor(monthIndex / target.count) * target.count;
+            bucketWallClock = Date.UTC(Math.floor(bucketMonth / 12), bucketMonth % 12, 1) + dayStart;
+        }
+
+        return zonedTimeToUtc(bucketWallClock, timezone);
+    }
+}
+
+/**
+ * Pick the coarsest available timeframe that can be aggregated into `target`
+ * @returns {string|null}
+ */
+function selectSourceTimeframe(target, available = []) {
+    const candidates = available
+        .filter(timeframe => canResample(timeframe, target))
+        .sort((a, b) => parseTimeframe(b).ms - parseTimeframe(a).ms);
+
+    return candidates[0] || null;
+}
+
+module.exports = BarResampler;
+module.exports.getSessionAlignment = getSessionAlignment;
+module.exports.selectSourceTimeframe = selectSourceTimeframe;
@@ -0,0 +1,143 @@
+/**
+ * Clock
+ * Source of the current time and of timers for code that trades on time.
+ * Live engines use the system clock; simulations swap in a SimulatedClock and
+ * the same code runs through historical time as fast as it can be computed.
+ *
+ * A SimulatedClock only moves when it is advanced. Due timers fire in time
+ * order and async callbacks are awaited before the clock moves on, so the
+ * work one instant triggers (a tick, the risk check and close it causes)
+ * completes before the next instant is simulated. sleep() advances the clock
+ * itself: the caller's wait is simulated time in which other timers still fire.
+ */
+
+class SystemClock {
+    now() {
+        return new Date();
+    }
+
+    setTimeout(callback, ms) {
+        return setTimeout(callback, ms);
+    }
+
+    clearTimeout(timer) {
+        clearTimeout(timer);
+    }
+
+    setInterval(callback, ms) {
+        return setInterval(callback, ms);
+    }
+
+    clearInterval(timer) {
+        clearInterval(timer);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+class SimulatedClock {
+    /**
+     * @param {Date|string|number} start - initial simulated time
+     */
+    constructor(start = 0) {
+        this.time = new Date(start).getTime();
+        this.timers = new Set();
+        this.nextId = 1;
+    }
+
+    now() {
+        return new Date(this.time);
+    }
+
+    setTimeout(callback, ms = 0) {
+        return this.schedule(callback, ms, null);
+    }
+
+    clearTimeout(timer) {
+        this.timers.delete(timer);
+    }
+
+    setInterval(callback, ms) {
+        return this.schedule(callback, ms, Math.max(ms, 1));
+    }
+
+    clearInterval(timer) {
+        this.timers.delete(timer);
+    }
+
+    /**
+     * Let `ms` of simulated time pass, firing the timers due in it
+     */
+    sleep(ms) {
+        return this.advanceTo(this.time + Math.max(ms, 0));
+    }
+
+    /**
+     * Move to `time`, firing every timer due by then in order. Callbacks may
+     * advance the clock further themselves; time never moves backwards.
+     */
+    async advanceTo(time) {
+        const target = new Date(time).getTime();
+
+        let timer;
+        while ((timer = this.nextDue(target))) {
+            this.time = Math.max(this.time, timer.at);
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                this.timers.delete(timer);
+            }
+
+            try {
+                await timer.callback();
+            } catch (error) {
+                console.error('Simulated timer failed:', error);
+            }
+        }
+
+        this.time = Math.max(this.time, target);
+    }
+
+    /**
+     * Timers waiting to fire
+     */
+    get pending() {
+        return this.timers.size;
+    }
+
+    schedule(callback, ms, interval) {
+        // Handles mirror Node timers closely enough for code that calls unref()
+        const timer = {
+            id: this.nextId++,
+            at: this.time + Math.max(ms || 0, 0),
+            callback,
+            interval,
+            unref() { return this; },
+            ref() { return this; }
+        };
+        this.timers.add(timer);
+        return timer;
+    }
+
+    // Earliest timer due by `target` (ties fire in the order they were set)
+    nextDue(target) {
+        let next = null;
+        for (const timer of this.timers) {
+            if (timer.at > target) continue;
+            if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+}
+
+const systemClock = new SystemClock();
+
+module.exports = {
+    SystemClock,
+    SimulatedClock,
+    systemClock
+};
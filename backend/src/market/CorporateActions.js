@@ -0,0 +1,152 @@
+/**
+ * Corporate Actions
+ * Turns as-traded bars into split- and dividend-adjusted series.
+ *
+ * Providers return bars at as-traded prices plus corporate actions from
+ * getCorporateActions(): splits as { date, ratio } (4-for-1 -> 4) and cash
+ * dividends as { date, amount } per share on the ex-date, also as traded.
+ *
+ * Adjustments (ADJUSTMENTS):
+ *  - raw    as-traded prices, splits show up as price gaps
+ *  - split  prices and volumes scaled so every split in range is continuous
+ *  - total  split adjusted and back-adjusted for dividends (total return series)
+ *
+ * Adjustment factors are relative to the end of the requested range, so the last
+ * bar keeps its traded price and earlier bars are rescaled.
+ */
+
+const ADJUSTMENTS = ['raw', 'split', 'total'];
+
+const EMPTY_ACTIONS = Object.freeze({ splits: [], dividends: [] });
+
+const byDate = (a, b) => a.date - b.date;
+
+/**
+ * Normalize provider output into sorted { splits, dividends } with Date values
+ */
+function normalizeActions(actions = {}) {
+    const splits = (actions.splits || [])
+        .map(split => ({ date: new Date(split.date), ratio: Number(split.ratio) }))
+        .filter(split => split.ratio > 0 && split.ratio !== 1)
+        .sort(byDate);
+
+    const dividends = (actions.dividends || [])
+        .map(dividend => ({ date: new Date(dividend.date), amount: Number(dividend.amount) }))
+        .filter(dividend => dividend.amount > 0)
+        .sort(byDate);
+
+    return { splits, dividends };
+}
+
+/**
+ * Combined ratio of all splits after `timestamp` (as-traded price / split-adjusted price)
+ */
+function getSplitFactor(timestamp, splits = []) {
+    const time = new Date(timestamp).getTime();
+
+    return splits
+        .filter(split => split.date.getTime() > time)
+        .reduce((factor, split) => factor * split.ratio, 1);
+}
+
+/**
+ * Adjust as-traded bars (sorted ascending) for the actions that fall inside them
+ * @param {Array} bars - { timestamp, open, high, low, close, volume }
+ * @param {Object} actions - { splits, dividends } as returned by providers
+ * @param {string} adjustment - one of ADJUSTMENTS
+ */
+function adjustBars(bars, actions, adjustment = 'total') {
+    assertAdjustment(adjustment);
+    if (adjustment === 'raw' || bars.length === 0) return bars;
+
+    const { splits, dividends } = inRange(normalizeActions(actions), bars);
+    if (splits.length === 0 && dividends.length === 0) return bars;
+
+    // Dividend multipliers use the close of the last bar before the ex-date
+    const dividendFactors = adjustment === 'total'
+        ? dividends
+            .map(dividend => {
+                const previous = findLastBefore(bars, dividend.date);
+                if (!previous || !previous.close) return null;
+                return { date: dividend.date, factor: 1 - dividend.amount / previous.close };
+            })
+            .filter(item => item && item.factor > 0)
+        : [];
+
+    return bars.map(bar => {
+        const time = bar.timestamp.getTime();
+        const splitFactor = getSplitFactor(time, splits);
+        const priceFactor = dividendFactors
+            .filter(item => item.date.getTime() > time)
+            .reduce((factor, item) => factor * item.factor, 1 / splitFactor);
+
+        if (priceFactor === 1) return bar;
+
+        return {
+            ...bar,
+            open: bar.open * priceFactor,
+            high: bar.high * priceFactor,
+            low: bar.low * priceFactor,
+            close: bar.close * priceFactor,
+            volume: (bar.volume || 0) * splitFactor
+        };
+    });
+}
+
+/**
+ * Actions an account still has to book when trading a series of the given adjustment:
+ * raw series keep splits (positions are resized) and as-traded dividends, split
+ * series only keep dividends restated per adjusted share, total series need nothing.
+ */
+function getSeriesActions(bars, actions, adjustment = 'total') {
+    assertAdjustment(adjustment);
+    if (adjustment === 'total' || bars.length === 0) return EMPTY_ACTIONS;
+
+    const { splits, dividends } = inRange(normalizeActions(actions), bars);
+
+    if (adjustment === 'raw') return { splits, dividends };
+
+    return {
+        splits: [],
+        dividends: dividends.map(dividend => ({
+            date: dividend.date,
+            amount: dividend.amount / getSplitFactor(dividend.date, splits)
+        }))
+    };
+}
+
+function assertAdjustment(adjustment) {
+    if (!ADJUSTMENTS.includes(adjustment)) {
+        throw new Error(`Unknown price adjustment "${adjustment}". Use ${ADJUSTMENTS.join(', ')}`);
+    }
+}
+
+// Only actions after the first bar and up to the last bar affect the series
+function inRange({ splits, dividends }, bars) {
+    const first = bars[0].timestamp.getTime();
+    const last = bars[bars.length - 1].timestamp.getTime();
+    const within = action => action.date.getTime() > first && action.date.getTime() <= last;
+
+    return { splits: splits.filter(within), dividends: dividends.filter(within) };
+}
+
+function findLastBefore(bars, date) {
+    const time = date.getTime();
+    let previous = null;
+
+    for (const bar of bars) {
+        if (bar.timestamp.getTime() >= time) break;
+        previous = bar;
+    }
+
+    return previous;
+}
+
+module.exports = {
+    ADJUSTMENTS,
+    EMPTY_ACTIONS,
+    normalizeActions,
+    getSplitFactor,
+    adjustBars,
+    getSeriesActions
+};
@@ -0,0 +1,208 @@
+/**
+ * CSV Dataset Importer
+ * Parses user-uploaded OHLCV files into UTC bars and reports validation
+ * problems row-by-row so the user can fix the source file.
+ */
+
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { getTimeframeMs, parseTimeframe } = require('./timeframes.js');
+const { isValidTimeZone, zonedTimeToUtc } = require('./timezones.js');
+
+const REQUIRED_FIELDS = ['timestamp', 'open', 'high', 'low', 'close'];
+
+// Header names recognised when no explicit column mapping is given
+const DEFAULT_COLUMNS = {
+    timestamp: ['timestamp', 'date', 'datetime', 'time', 'date/time'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c', 'adj close', 'price'],
+    volume: ['volume', 'vol', 'v']
+};
+
+// Calendar bars (days, weeks, months) in a DST timezone are an hour short across the switch
+const CALENDAR_UNITS = ['d', 'w', 'M'];
+const DST_SHIFT_MS = 60 * 60 * 1000;
+
+const MAX_ROWS = 100000;
+const MAX_REPORTED_ERRORS = 500;
+
+class CsvDatasetImporter {
+    constructor(options = {}) {
+        this.timeframe = options.timeframe || '1d';
+        this.timezone = options.timezone || 'UTC';
+        this.columnMapping = options.columnMapping || {};
+        this.maxRows = options.maxRows || MAX_ROWS;
+
+        // Throws UnsupportedTimeframeError for values outside the platform vocabulary
+        getTimeframeMs(this.timeframe);
+
+        if (!isValidTimeZone(this.timezone)) {
+            throw new Error(`Unknown timezone ${this.timezone}`);
+        }
+    }
+
+    /**
+     * Parse and validate a CSV buffer
+     * Returns { bars, errors, errorCount, rowCount, columnMapping }
+     */
+    async import(buffer) {
+        const { headers, rows } = await this.readCsv(buffer);
+        const errors = [];
+        const addError = (row, field, message) => errors.push({ row, field, message });
+
+        const mapping = this.resolveColumns(headers);
+        for (const field of REQUIRED_FIELDS) {
+            if (!mapping[field]) {
+                addError(1, field, `Missing column for ${field}${this.columnMapping[field] ? ` ("${this.columnMapping[field]}")` : ''}`);
+            }
+        }
+        if (this.columnMapping.volume && !mapping.volume) {
+            addError(1, 'volume', `Missing column for volume ("${this.columnMapping.volume}")`);
+        }
+
+        if (errors.length > 0) {
+            return this.buildResult([], errors, rows.length, mapping);
+        }
+
+        if (rows.length > this.maxRows) {
+            addError(rows.length + 1, null, `File has ${rows.length} rows, maximum is ${this.maxRows}`);
+            return this.buildResult([], errors, rows.length, mapping);
+        }
+
+        const bars = [];
+        const { unit, ms } = parseTimeframe(this.timeframe);
+        const minSpacing = CALENDAR_UNITS.includes(unit) ? ms - DST_SHIFT_MS : ms;
+        let previous = null;
+
+        rows.forEach((row, index) => {
+            const rowNumber = index + 2; // header is row 1
+            const errorCountBefore = errors.length;
+
+            const timestamp = this.parseTimestamp(row[mapping.timestamp]);
+            if (!timestamp) {
+                addError(rowNumber, 'timestamp', `Invalid timestamp "${row[mapping.timestamp]}"`);
+            }
+
+            const bar = { timestamp };
+            for (const field of ['open', 'high', 'low', 'close', 'volume']) {
+                if (field === 'volume' && !mapping.volume) {
+                    bar.volume = 0;
+                    continue;
+                }
+
+                const raw = row[mapping[field]];
+                const value = raw === undefined || String(raw).trim() === '' ? NaN : Number(String(raw).replace(/,/g, ''));
+                if (!Number.isFinite(value)) {
+                    addError(rowNumber, field, `Invalid ${field} value "${raw ?? ''}"`);
+                } else if (value < 0) {
+                    addError(rowNumber, field, `Negative ${field} value ${value}`);
+                }
+                bar[field] = value;
+            }
+
+            if (errors.length > errorCountBefore) return;
+
+            if (bar.high < bar.low) {
+                addError(rowNumber, 'high', `High ${bar.high} is below low ${bar.low}`);
+            } else if (bar.high < Math.max(bar.open, bar.close) || bar.low > Math.min(bar.open, bar.close)) {
+                addError(rowNumber, 'high', 'Open/close outside the high-low range');
+            }
+
+            if (previous) {
+                const diff = timestamp.getTime() - previous.timestamp.getTime();
+                if (diff === 0) {
+                    addError(rowNumber, 'timestamp', `Duplicate bar for ${timestamp.toISOString()} (first seen on row ${previous.row})`);
+                } else if (diff < 0) {
+                    addError(rowNumber, 'timestamp', `Non-monotonic timestamp ${timestamp.toISOString()} is before row ${previous.row}`);
+                } else if (diff < minSpacing) {
+                    addError(rowNumber, 'timestamp', `Bar spacing ${Math.round(diff / 1000)}s is shorter than declared timeframe ${this.timeframe}`);
+                }
+            }
+
+            if (errors.length > errorCountBefore) return;
+
+            previous = { timestamp, row: rowNumber };
+            bars.push(bar);
+        });
+
+        return this.buildResult(bars, errors, rows.length, mapping);
+    }
+
+    buildResult(bars, errors, rowCount, mapping) {
+        return {
+            bars: errors.length > 0 ? [] : bars,
+            errors: errors.slice(0, MAX_REPORTED_ERRORS),
+            errorCount: errors.length,
+            rowCount,
+            columnMapping: mapping
+        };
+    }
+
+    readCsv(buffer) {
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            let headers = [];
+
+            Readable.from([buffer])
+                .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+                .on('headers', (parsed) => { headers = parsed; })
+                .on('data', (row) => rows.push(row))
+                .on('end', () => resolve({ headers, rows }))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Match logical fields to CSV headers using the declared mapping or common names
+     */
+    resolveColumns(headers) {
+        const mapping = {};
+
+        for (const field of Object.keys(DEFAULT_COLUMNS)) {
+            const declared = this.columnMapping[field];
+            if (declared) {
+                mapping[field] = headers.includes(declared) ? declared : null;
+                continue;
+            }
+
+            mapping[field] = headers.find(header => DEFAULT_COLUMNS[field].includes(header.toLowerCase())) || null;
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Parse a timestamp cell into a UTC Date
+     * Epoch values and ISO strings with an offset are absolute; wall-clock
+     * values are interpreted in the declared timezone.
+     */
+    parseTimestamp(value) {
+        if (value === undefined || value === null) return null;
+        const text = String(value).trim();
+        if (text === '') return null;
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const epoch = Number(text);
+            return new Date(epoch < 1e11 ? epoch * 1000 : epoch);
+        }
+
+        if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text) && /\d{4}-\d{2}-\d{2}T/.test(text)) {
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => (part === undefined ? undefined : Number(part)));
+        if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+            return null;
+        }
+
+        return zonedTimeToUtc(Date.UTC(year, month - 1, day, hour, minute, second), this.timezone);
+    }
+}
+
+module.exports = CsvDatasetImporter;
@@ -0,0 +1,237 @@
+/**
+ * Currency Converter
+ * Converts amounts between currencies using the registered forex pairs
+ * (config/instruments.json) as the source of FX rates.
+ *
+ * A rate from -> to uses the pair quoted either way (EURUSD, or USDJPY inverted)
+ * and falls back to a cross through USD (EUR -> JPY = EURUSD * USDJPY).
+ * Live rates prefer a live tick from the quote stream and are cached for a
+ * short time; historical rates use the daily close at or before the timestamp.
+ */
+
+const { getInstrumentRegistry } = require('./InstrumentRegistry.js');
+const { DAY_MS } = require('./timeframes.js');
+const { systemClock } = require('./Clock.js');
+
+const PIVOT_CURRENCY = 'USD';
+const HISTORY_PADDING_DAYS = 7; // covers weekends and holidays before a timestamp
+
+/**
+ * Thrown when no FX rate can be found for a currency pair
+ */
+class CurrencyConversionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CurrencyConversionError';
+        this.code = 'FX_RATE_UNAVAILABLE';
+        this.statusCode = 503;
+    }
+}
+
+class CurrencyConverter {
+    constructor(config = {}) {
+        this.instruments = config.instruments || getInstrumentRegistry();
+        this.marketData = config.marketDataProvider || null;
+        this.quoteStream = config.quoteStream || null;
+        this.cacheTtlMs = config.cacheTtlMs || 60 * 1000;
+        this.clock = config.clock || systemClock; // ages cached rates
+        this.rates = new Map(); // pair symbol -> { price, timestamp }
+    }
+
+    /**
+     * Currencies that can be converted (every currency of a registered forex pair)
+     */
+    getCurrencies() {
+        const currencies = new Set([PIVOT_CURRENCY]);
+        for (const instrument of this.instruments.list({ assetClass: 'forex' })) {
+            currencies.add(instrument.baseCurrency);
+            currencies.add(instrument.quoteCurrency);
+        }
+        return [...currencies].sort();
+    }
+
+    /**
+     * Quote currency of a symbol (unregistered symbols are assumed to be quoted in USD)
+     */
+    getQuoteCurrency(symbol) {
+        return this.instruments.get(symbol)?.quoteCurrency || PIVOT_CURRENCY;
+    }
+
+    /**
+     * Registered forex pair that quotes `from` against `to` directly or inverted
+     * @returns {{ symbol, inverted }|null}
+     */
+    findPair(from, to) {
+        for (const instrument of this.instruments.list({ assetClass: 'forex' })) {
+            if (instrument.baseCurrency === from && instrument.quoteCurrency === to) {
+                return { symbol: instrument.symbol, inverted: false };
+            }
+            if (instrument.baseCurrency === to && instrument.quoteCurrency === from) {
+                return { symbol: instrument.symbol, inverted: true };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Units of `to` per unit of `from`, now or at a past timestamp
+     */
+    async getRate(from, to, at = null) {
+        if (from === to) return 1;
+
+        const pair = this.findPair(from, to);
+        if (pair) {
+            const price = at ? await this.getHistoricalPrice(pair.symbol, at) : await this.getLatestPrice(pair.symbol);
+            return pair.inverted ? 1 / price : price;
+        }
+
+        if (from !== PIVOT_CURRENCY && to !== PIVOT_CURRENCY) {
+            return (await this.getRate(from, PIVOT_CURRENCY, at)) * (await this.getRate(PIVOT_CURRENCY, to, at));
+        }
+
+        throw new CurrencyConversionError(`No FX rate available for ${from}/${to}`);
+    }
+
+    async convert(amount, from, to, at = null) {
+        return amount * await this.getRate(from, to, at);
+    }
+
+    /**
+     * Last known live rate without a network round trip (null when never fetched)
+     */
+    peekRate(from, to) {
+        if (from === to) return 1;
+
+        const pair = this.findPair(from, to);
+        if (pair) {
+            const price = this.getLivePrice(pair.symbol) || this.rates.get(pair.symbol)?.price;
+            if (!price) return null;
+            return pair.inverted ? 1 / price : price;
+        }
+
+        if (from !== PIVOT_CURRENCY && to !== PIVOT_CURRENCY) {
+            const first = this.peekRate(from, PIVOT_CURRENCY);
+            const second = this.peekRate(PIVOT_CURRENCY, to);
+            return first && second ? first * second : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Daily rate series from -> to over a range, [{ timestamp, rate }] ascending
+     */
+    async getHistoricalRates(from, to, options = {}) {
+        const { start, end } = options;
+        if (from === to) return [];
+
+        const pair = this.findPair(from, to);
+        if (pair) {
+            const bars = await this.getMarketData().getHistoricalBars(pair.symbol, {
+                start: new Date(new Date(start).getTime() - HISTORY_PADDING_DAYS * DAY_MS),
+                end: new Date(end),
+                timeframe: '1d'
+            });
+            if (bars.length === 0) {
+                throw new CurrencyConversionError(`No ${pair.symbol} history between ${new Date(start).toISOString()} and ${new Date(end).toISOString()}`);
+            }
+            return bars.map(bar => ({ timestamp: bar.timestamp, rate: pair.inverted ? 1 / bar.close : bar.close }));
+        }
+
+        if (from !== PIVOT_CURRENCY && to !== PIVOT_CURRENCY) {
+            const first = await this.getHistoricalRates(from, PIVOT_CURRENCY, options);
+            const second = await this.getHistoricalRates(PIVOT_CURRENCY, to, options);
+            return first.map(point => ({ timestamp: point.timestamp, rate: point.rate * rateAt(second, point.timestamp) }));
+        }
+
+        throw new CurrencyConversionError(`No FX rate available for ${from}/${to}`);
+    }
+
+    getLivePrice(symbol) {
+        return this.quoteStream?.isLive(symbol) ? this.quoteStream.getLastTick(symbol).price : null;
+    }
+
+    async getLatestPrice(symbol) {
+        const live = this.getLivePrice(symbol);
+        if (live) return live;
+
+        const cached = this.rates.get(symbol);
+        if (cached && this.clock.now() - cached.timestamp < this.cacheTtlMs) {
+            return cached.price;
+        }
+
+        try {
+            const quote = await this.getMarketData().getLatestQuote(symbol);
+            this.rates.set(symbol, { price: quote.price, timestamp: this.clock.now().getTime() });
+            return quote.price;
+        } catch (error) {
+            // A stale rate beats failing the whole valuation
+            if (cached) return cached.price;
+            throw new CurrencyConversionError(`No FX rate available for ${symbol}: ${error.message}`);
+        }
+    }
+
+    async getHistoricalPrice(symbol, at) {
+        const time = new Date(at).getTime();
+        const bars = await this.getMarketData().getHistoricalBars(symbol, {
+            start: new Date(time - HISTORY_PADDING_DAYS * DAY_MS),
+            end: new Date(time),
+            timeframe: '1d'
+        });
+
+        const bar = bars[bars.length - 1];
+        if (!bar) {
+            throw new CurrencyConversionError(`No ${symbol} rate on or before ${new Date(time).toISOString()}`);
+        }
+        return bar.close;
+    }
+
+    // Resolved lazily: the market data layer requires this module while it loads
+    getMarketData() {
+        if (!this.marketData) {
+            this.marketData = require('./index.js').getMarketDataProvider();
+        }
+        return this.marketData;
+    }
+}
+
+/**
+ * Rate in effect at `timestamp` from a series returned by getHistoricalRates
+ * (the first rate is used for timestamps before the series starts)
+ */
+function rateAt(series, timestamp) {
+    if (series.length === 0) return 1;
+
+    const time = new Date(timestamp).getTime();
+    let low = 0;
+    let high = series.length - 1;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (series[mid].timestamp.getTime() <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return series[low].rate;
+}
+
+let sharedConverter = null;
+
+/**
+ * Process-wide converter on the shared provider (engines with a quote stream build their own)
+ */
+function getCurrencyConverter() {
+    if (!sharedConverter) {
+        sharedConverter = new CurrencyConverter();
+    }
+    return sharedConverter;
+}
+
+module.exports = CurrencyConverter;
+module.exports.CurrencyConversionError = CurrencyConversionError;
+module.exports.PIVOT_CURRENCY = PIVOT_CURRENCY;
+module.exports.rateAt = rateAt;
+module.exports.getCurrencyConverter = getCurrencyConverter;
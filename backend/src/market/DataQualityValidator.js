@@ -0,0 +1,330 @@
+/**
+ * Data Quality Validator
+ * Checks a bar series before it reaches indicators, prompts or simulations,
+ * repairs or drops bad bars according to a policy and scores what is left.
+ *
+ * Checks, in order:
+ *  - invalid     missing/non-positive close (drop, or 'fill' carries the previous close)
+ *  - unsorted    bars out of timestamp order (always sorted)
+ *  - duplicate   repeated timestamps (the last bar wins)
+ *  - ohlc        high/low not containing open/close (clamped, or dropped)
+ *  - outlier     one-bar close spikes that immediately revert (interpolated, dropped or kept)
+ *  - zeroVolume  zero volume in a series that otherwise reports volume (kept, scored)
+ *  - stale       last bar older than `staleBars` bars while the market is open
+ *
+ * The score is 100 minus weighted issue rates; series below `minScore` are
+ * refused with DataQualityError (code DATA_QUALITY_TOO_LOW).
+ */
+
+const { getTimeframeMs } = require('./timeframes.js');
+
+const DEFAULT_POLICY = {
+    minScore: 70, // DATA_QUALITY_MIN_SCORE overrides
+    minBars: 2,
+    invalid: 'drop', // 'drop' | 'fill'
+    ohlc: 'repair', // 'repair' | 'drop'
+    outliers: 'repair', // 'repair' | 'drop' | 'keep'
+    outlierThreshold: 12, // robust z-score of a close-to-close return
+    staleBars: 5
+};
+
+// Score lost per affected bar, as a share of the series
+const ISSUE_WEIGHTS = {
+    invalid: 1,
+    duplicate: 0.5,
+    ohlc: 0.5,
+    outlier: 1,
+    zeroVolume: 0.25
+};
+
+const STALE_PENALTY = 30;
+const MAX_LISTED_ISSUES = 50;
+
+/**
+ * Thrown when a series scores below the policy threshold
+ */
+class DataQualityError extends Error {
+    constructor(report) {
+        super(`Market data quality for ${report.symbol || 'series'} is too low (score ${report.score}, minimum ${report.minScore})`);
+        this.name = 'DataQualityError';
+        this.code = 'DATA_QUALITY_TOO_LOW';
+        this.statusCode = 422;
+        this.report = report;
+    }
+}
+
+const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+class DataQualityValidator {
+    /**
+     * @param {Object} config - policy overrides (see DEFAULT_POLICY), marketCalendar
+     */
+    constructor(config = {}) {
+        const { marketCalendar, ...policy } = config;
+        this.policy = {
+            ...DEFAULT_POLICY,
+            minScore: Number(process.env.DATA_QUALITY_MIN_SCORE) || DEFAULT_POLICY.minScore,
+            ...policy
+        };
+        this.calendar = marketCalendar || null;
+    }
+
+    /**
+     * Validate and repair a series
+     * @param {Array} bars - { timestamp, open, high, low, close, volume }
+     * @param {Object} context - { symbol, timeframe, checkStaleness = true, now, policy }
+     * @returns {{ bars: Array, report: Object }}
+     */
+    validate(bars = [], context = {}) {
+        const policy = { ...this.policy, ...context.policy };
+        const issues = [];
+        const counts = { invalid: 0, unsorted: 0, duplicate: 0, ohlc: 0, outlier: 0, zeroVolume: 0, stale: 0 };
+        const record = (type, bar, action) => {
+            counts[type]++;
+            if (issues.length < MAX_LISTED_ISSUES) {
+                issues.push({ type, timestamp: bar?.timestamp ? new Date(bar.timestamp) : null, action });
+            }
+        };
+
+        let series = this.checkInvalid(bars, policy, record);
+        series = this.checkOrder(series, record);
+        series = this.checkOhlc(series, policy, record);
+        series = this.checkOutliers(series, policy, record);
+        const volumeAvailable = this.checkVolume(series, record);
+        const lastBarAge = this.checkStaleness(series, context, policy, record);
+
+        const received = bars.length;
+        const penalty = received > 0
+            ? Object.entries(ISSUE_WEIGHTS).reduce((sum, [type, weight]) => sum + weight * counts[type], 0) / received * 100
+            : 100;
+
+        let score = Math.max(0, 100 - penalty - (counts.stale ? STALE_PENALTY : 0));
+        if (series.length < policy.minBars) score = 0;
+        score = Number(score.toFixed(1));
+
+        const report = {
+            symbol: context.symbol || null,
+            timeframe: context.timeframe || null,
+            score,
+            minScore: policy.minScore,
+            passed: score >= policy.minScore,
+            bars: {
+                received,
+                returned: series.length,
+                dropped: received - series.length,
+                repaired: issues.filter(issue => issue.action === 'repaired' || issue.action === 'filled').length
+            },
+            counts,
+            issues,
+            volumeAvailable,
+            lastBarAge,
+            checkedAt: new Date()
+        };
+
+        return { bars: series, report };
+    }
+
+    /**
+     * Throw DataQualityError unless the report passed
+     */
+    assertQuality(report) {
+        if (!report.passed) {
+            throw new DataQualityError(report);
+        }
+        return report;
+    }
+
+    checkInvalid(bars, policy, record) {
+        const output = [];
+
+        for (const raw of bars) {
+            const timestamp = raw && new Date(raw.timestamp);
+            if (!timestamp || Number.isNaN(timestamp.getTime())) {
+                record('invalid', null, 'dropped');
+                continue;
+            }
+
+            if (!isPrice(raw.close)) {
+                const previous = output[output.length - 1];
+                if (policy.invalid === 'fill' && previous) {
+                    output.push({ timestamp, open: previous.close, high: previous.close, low: previous.close, close: previous.close, volume: 0 });
+                    record('invalid', raw, 'filled');
+                } else {
+                    record('invalid', raw, 'dropped');
+                }
+                continue;
+            }
+
+            output.push({
+                ...raw,
+                timestamp,
+                volume: Number.isFinite(raw.volume) && raw.volume > 0 ? raw.volume : 0
+            });
+        }
+
+        return output;
+    }
+
+    checkOrder(bars, record) {
+        const sorted = bars.slice().sort((a, b) => a.timestamp - b.timestamp);
+        if (sorted.some((bar, index) => bar !== bars[index])) {
+            record('unsorted', sorted[0], 'sorted');
+        }
+
+        const output = [];
+        for (const bar of sorted) {
+            const previous = output[output.length - 1];
+            if (previous && previous.timestamp.getTime() === bar.timestamp.getTime()) {
+                output[output.length - 1] = bar;
+                record('duplicate', bar, 'dropped');
+                continue;
+            }
+            output.push(bar);
+        }
+
+        return output;
+    }
+
+    checkOhlc(bars, policy, record) {
+        const output = [];
+
+        for (const bar of bars) {
+            const open = isPrice(bar.open) ? bar.open : bar.close;
+            const bodyHigh = Math.max(open, bar.close);
+            const bodyLow = Math.min(open, bar.close);
+            const consistent = isPrice(bar.open) && isPrice(bar.high) && isPrice(bar.low) &&
+                bar.high >= bodyHigh && bar.low <= bodyLow;
+
+            if (consistent) {
+                output.push(bar);
+                continue;
+            }
+
+            if (policy.ohlc === 'drop') {
+                record('ohlc', bar, 'dropped');
+                continue;
+            }
+
+            output.push({
+                ...bar,
+                open,
+                high: isPrice(bar.high) ? Math.max(bar.high, bodyHigh) : bodyHigh,
+                low: isPrice(bar.low) ? Math.min(bar.low, bodyLow) : bodyLow
+            });
+            record('ohlc', bar, 'repaired');
+        }
+
+        return output;
+    }
+
+    /**
+     * A spike is a close that jumps far outside the series' typical move and
+     * comes straight back on the next bar; genuine gaps (e.g. splits) do not revert.
+     */
+    checkOutliers(bars, policy, record) {
+        if (policy.outliers === 'keep' || bars.length < 4) return bars;
+
+        const returns = bars.slice(1).map((bar, index) => Math.log(bar.close / bars[index].close));
+        const center = median(returns);
+        const scale = 1.4826 * median(returns.map(value => Math.abs(value - center)));
+        if (!scale) return bars;
+
+        const zScore = (index) => Math.abs(returns[index] - center) / scale;
+        const output = [bars[0]];
+
+        for (let i = 1; i < bars.length; i++) {
+            const bar = bars[i];
+            const next = bars[i + 1];
+            const isSpike = next &&
+                zScore(i - 1) > policy.outlierThreshold &&
+                zScore(i) > policy.outlierThreshold &&
+                Math.sign(returns[i - 1]) !== Math.sign(returns[i]);
+
+            if (!isSpike) {
+                output.push(bar);
+                continue;
+            }
+
+            if (policy.outliers === 'drop') {
+                record('outlier', bar, 'dropped');
+                continue;
+            }
+
+            const previous = output[output.length - 1];
+            const close = (previous.close + next.close) / 2;
+            output.push({
+                ...bar,
+                open: previous.close,
+                high: Math.max(previous.close, close),
+                low: Math.min(previous.close, close),
+                close
+            });
+            record('outlier', bar, 'repaired');
+        }
+
+        return output;
+    }
+
+    /**
+     * Zero volume only counts against series that report volume at all (forex often does not)
+     * @returns {boolean} whether the series carries volume
+     */
+    checkVolume(bars, record) {
+        const zeroBars = bars.filter(bar => !bar.volume);
+        const volumeAvailable = bars.length > 0 && zeroBars.length < bars.length / 2;
+
+        if (volumeAvailable) {
+            zeroBars.forEach(bar => record('zeroVolume', bar, 'kept'));
+        }
+
+        return volumeAvailable;
+    }
+
+    /**
+     * @returns {number|null} age of the last bar in ms (null when not checked)
+     */
+    checkStaleness(bars, context, policy, record) {
+        const { symbol, timeframe, checkStaleness = true } = context;
+        const last = bars[bars.length - 1];
+        if (!checkStaleness || !last || !timeframe) return null;
+
+        const now = context.now ? new Date(context.now).getTime() : Date.now();
+        const age = now - last.timestamp.getTime();
+
+        // Nothing new trades while the market is closed
+        if (this.calendar && symbol && this.calendar.instruments.has(symbol) && !this.calendar.isOpen(symbol, new Date(now))) {
+            return age;
+        }
+
+        if (age > policy.staleBars * getTimeframeMs(timeframe)) {
+            record('stale', last, 'kept');
+        }
+
+        return age;
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+let sharedValidator = null;
+
+/**
+ * Process-wide validator with the default policy
+ */
+function getDataQualityValidator() {
+    if (!sharedValidator) {
+        const { getMarketCalendar } = require('./MarketCalendar.js');
+        sharedValidator = new DataQualityValidator({ marketCalendar: getMarketCalendar() });
+    }
+    return sharedValidator;
+}
+
+module.exports = DataQualityValidator;
+module.exports.DataQualityError = DataQualityError;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.getDataQualityValidator = getDataQualityValidator;
@@ -0,0 +1,196 @@
+/**
+ * Instrument Registry
+ * Single source of truth for tradable symbols: asset class, currencies,
+ * tick/lot sizes, trading sessions, financing rates and per-provider tickers.
+ *
+ * Instruments live in src/config/instruments.json (override with INSTRUMENTS_FILE),
+ * so adding a symbol is a data change rather than a code change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'instruments.json');
+const REQUIRED_FIELDS = ['symbol', 'assetClass', 'quoteCurrency', 'tickSize', 'lotSize', 'minQuantity', 'session'];
+
+class InstrumentRegistry {
+    constructor(config = {}) {
+        this.filePath = config.filePath || process.env.INSTRUMENTS_FILE || DEFAULT_FILE;
+        this.instruments = new Map(); // symbol -> instrument
+        this.sessions = {};
+        this.financing = {}; // assetClass -> default financing rates
+
+        this.load(config.data);
+    }
+
+    /**
+     * Load (or reload) instrument definitions
+     */
+    load(data = null) {
+        const source = data || JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const instruments = new Map();
+
+        for (const instrument of source.instruments || []) {
+            const missing = REQUIRED_FIELDS.filter(field => instrument[field] === undefined);
+            if (missing.length > 0) {
+                throw new Error(`Instrument ${instrument.symbol || '(unnamed)'} is missing ${missing.join(', ')}`);
+            }
+            if (!source.sessions?.[instrument.session]) {
+                throw new Error(`Instrument ${instrument.symbol} references unknown session ${instrument.session}`);
+            }
+
+            instruments.set(instrument.symbol, {
+                contractSize: 1,
+                providers: {},
+                ...instrument
+            });
+        }
+
+        this.instruments = instruments;
+        this.sessions = source.sessions || {};
+        this.financing = source.financing || {};
+        return this;
+    }
+
+    has(symbol) {
+        return this.instruments.has(symbol);
+    }
+
+    get(symbol) {
+        return this.instruments.get(symbol) || null;
+    }
+
+    /**
+     * Financing rates of an instrument: its asset class defaults with the
+     * instrument's own `financing` on top (see CarryCostModel)
+     */
+    getFinancing(symbol) {
+        const instrument = this.get(symbol);
+        if (!instrument) return {};
+
+        const { description, ...defaults } = this.financing[instrument.assetClass] || {};
+        return { ...defaults, ...instrument.financing };
+    }
+
+    /**
+     * Get an instrument or throw if it is not registered
+     */
+    require(symbol) {
+        const instrument = this.get(symbol);
+        if (!instrument) {
+            throw new Error(`Unknown instrument ${symbol}`);
+        }
+        return instrument;
+    }
+
+    list(filter = {}) {
+        return Array.from(this.instruments.values())
+            .filter(instrument => !filter.assetClass || instrument.assetClass === filter.assetClass);
+    }
+
+    getSymbols(filter = {}) {
+        return this.list(filter).map(instrument => instrument.symbol);
+    }
+
+    /**
+     * Symbols grouped by asset class, e.g. { forex: ['EURUSD', ...], stock: [...] }
+     */
+    getSymbolsByAssetClass() {
+        const groups = {};
+        for (const instrument of this.instruments.values()) {
+            (groups[instrument.assetClass] ||= []).push(instrument.symbol);
+        }
+        return groups;
+    }
+
+    getAssetClass(symbol) {
+        return this.get(symbol)?.assetClass || 'other';
+    }
+
+    getSession(symbol) {
+        const instrument = this.require(symbol);
+        return { id: instrument.session, ...this.sessions[instrument.session] };
+    }
+
+    /**
+     * Ticker used by a given data provider (falls back to the platform symbol)
+     */
+    toProviderTicker(symbol, provider) {
+        return this.get(symbol)?.providers?.[provider] || symbol;
+    }
+
+    fromProviderTicker(ticker, provider) {
+        for (const instrument of this.instruments.values()) {
+            if (instrument.providers?.[provider] === ticker) {
+                return instrument.symbol;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Round a quantity down to the instrument's lot size
+     */
+    normalizeQuantity(symbol, quantity) {
+        const { lotSize } = this.require(symbol);
+        const lots = Math.floor(quantity / lotSize + 1e-9);
+        return Number((lots * lotSize).toFixed(decimalsOf(lotSize)));
+    }
+
+    /**
+     * Round a price to the nearest tick
+     */
+    roundPrice(symbol, price) {
+        const { tickSize } = this.require(symbol);
+        return Number((Math.round(price / tickSize) * tickSize).toFixed(decimalsOf(tickSize)));
+    }
+
+    /**
+     * Check an order quantity against min quantity and lot size
+     * Returns { valid, reason }
+     */
+    validateQuantity(symbol, quantity) {
+        const instrument = this.get(symbol);
+        if (!instrument) {
+            return { valid: false, reason: `Unknown instrument ${symbol}` };
+        }
+
+        if (quantity < instrument.minQuantity) {
+            return { valid: false, reason: `Quantity ${quantity} is below minimum ${instrument.minQuantity} for ${symbol}` };
+        }
+
+        if (Math.abs(this.normalizeQuantity(symbol, quantity) - quantity) > 1e-9) {
+            return { valid: false, reason: `Quantity ${quantity} is not a multiple of lot size ${instrument.lotSize} for ${symbol}` };
+        }
+
+        return { valid: true };
+    }
+
+    toAPI(instrument) {
+        return {
+            ...instrument,
+            session: { id: instrument.session, ...this.sessions[instrument.session] }
+        };
+    }
+}
+
+function decimalsOf(step) {
+    const text = String(step);
+    if (text.includes('e-')) return Number(text.split('e-')[1]);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+let sharedRegistry = null;
+
+/**
+ * Process-wide registry loaded from configuration
+ */
+function getInstrumentRegistry() {
+    if (!sharedRegistry) {
+        sharedRegistry = new InstrumentRegistry();
+    }
+    return sharedRegistry;
+}
+
+module.exports = InstrumentRegistry;
+module.exports.getInstrumentRegistry = getInstrumentRegistry;
@@ -0,0 +1,257 @@
+/**
+ * Market Calendar
+ * Answers "is this market open right now?" from the session definitions in
+ * config/instruments.json and the holiday files in config/holidays/.
+ *
+ * Session types:
+ *  - daily      exchange hours on given weekdays with optional pre-market and
+ *               after-hours windows (US equities)
+ *  - weekly     trading days that open on the previous evening, e.g. forex
+ *               Sunday 17:00 to Friday 17:00 New York; consecutive days merge
+ *  - continuous always open (crypto)
+ *
+ * Holiday files list full closures ({ date, name }) and early closes
+ * ({ date, close, name }) as local dates of the trading day.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getInstrumentRegistry } = require('./InstrumentRegistry.js');
+const { getTimeZoneOffset, zonedTimeToUtc } = require('./timezones.js');
+const { DAY_MS } = require('./timeframes.js');
+
+const DEFAULT_HOLIDAYS_DIR = path.join(__dirname, '..', 'config', 'holidays');
+const LOOKAHEAD_DAYS = 21;
+
+const MARKET_STATUS = {
+    OPEN: 'open',
+    CLOSED: 'closed',
+    PRE_MARKET: 'pre_market',
+    AFTER_HOURS: 'after_hours'
+};
+
+const parseClock = (time = '00:00') => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return (hours * 60 + minutes) * 60 * 1000;
+};
+
+// 'YYYY-MM-DD' for a wall-clock day (UTC millis at local midnight)
+const toDateKey = (dayMs) => new Date(dayMs).toISOString().slice(0, 10);
+
+/**
+ * Thrown when an order reaches a market outside its trading session
+ */
+class MarketClosedError extends Error {
+    constructor(symbol, status) {
+        super(`Market for ${symbol} is ${status.status.replace('_', '-')}${status.reason ? ` (${status.reason})` : ''}; next open ${status.nextOpen ? status.nextOpen.toISOString() : 'unknown'}`);
+        this.name = 'MarketClosedError';
+        this.code = 'MARKET_CLOSED';
+        this.statusCode = 409;
+        this.marketStatus = status;
+    }
+}
+
+class MarketCalendar {
+    constructor(config = {}) {
+        this.instruments = config.instruments || getInstrumentRegistry();
+        this.holidaysDir = config.holidaysDir || process.env.HOLIDAYS_DIR || DEFAULT_HOLIDAYS_DIR;
+        this.calendars = new Map(); // calendar id -> { closed: Map, earlyClose: Map }
+    }
+
+    /**
+     * Holiday calendar for a session (empty when the file does not exist)
+     */
+    getHolidays(calendarId) {
+        if (!calendarId) return { closed: new Map(), earlyClose: new Map() };
+
+        if (!this.calendars.has(calendarId)) {
+            let data = { closed: [], earlyClose: [] };
+            try {
+                data = JSON.parse(fs.readFileSync(path.join(this.holidaysDir, `${calendarId}.json`), 'utf8'));
+            } catch (error) {
+                console.warn(`⚠️ No holiday calendar "${calendarId}" in ${this.holidaysDir}: ${error.message}`);
+            }
+
+            this.calendars.set(calendarId, {
+                closed: new Map((data.closed || []).map(day => [day.date, day])),
+                earlyClose: new Map((data.earlyClose || []).map(day => [day.date, day]))
+            });
+        }
+
+        return this.calendars.get(calendarId);
+    }
+
+    /**
+     * Market status for a registered symbol
+     * @returns {{ status, session, reason, nextOpen, nextClose, timestamp }}
+     */
+    getStatus(symbol, at = new Date()) {
+        const session = this.instruments.getSession(symbol);
+        return this.getSessionStatus(session, at);
+    }
+
+    /**
+     * True only during the regular session (pre-market/after-hours count as closed)
+     */
+    isOpen(symbol, at = new Date()) {
+        return this.getStatus(symbol, at).status === MARKET_STATUS.OPEN;
+    }
+
+    /**
+     * Throw MarketClosedError unless the symbol's regular session is open
+     */
+    assertOpen(symbol, at = new Date()) {
+        const status = this.getStatus(symbol, at);
+        if (status.status !== MARKET_STATUS.OPEN) {
+            throw new MarketClosedError(symbol, status);
+        }
+        return status;
+    }
+
+    /**
+     * Status per asset class, e.g. { forex: 'open', stock: 'pre_market', crypto: 'open' }
+     */
+    getMarketStatus(at = new Date()) {
+        const statuses = {};
+        for (const instrument of this.instruments.list()) {
+            if (statuses[instrument.assetClass]) continue;
+            statuses[instrument.assetClass] = this.getStatus(instrument.symbol, at);
+        }
+        return statuses;
+    }
+
+    getSessionStatus(session, at = new Date()) {
+        const now = new Date(at).getTime();
+        const base = { session: session.id, timestamp: new Date(now) };
+
+        if (session.type === 'continuous') {
+            return { ...base, status: MARKET_STATUS.OPEN, reason: null, nextOpen: null, nextClose: null };
+        }
+
+        const days = this.getTradingDays(session, now);
+        const intervals = mergeIntervals(days.map(day => ({ open: day.open, close: day.close })));
+        const current = intervals.find(interval => interval.open <= now && now < interval.close);
+        const next = intervals.find(interval => interval.open > now);
+
+        if (current) {
+            return {
+                ...base,
+                status: MARKET_STATUS.OPEN,
+                reason: null,
+                nextOpen: next ? new Date(next.open) : null,
+                nextClose: new Date(current.close)
+            };
+        }
+
+        // Extended hours belong to the trading day whose window contains now
+        const extended = days.find(day => day.preMarketOpen <= now && now < day.open) ||
+            days.find(day => day.close <= now && now < day.afterHoursClose);
+        let status = MARKET_STATUS.CLOSED;
+        if (extended) {
+            status = now < extended.open ? MARKET_STATUS.PRE_MARKET : MARKET_STATUS.AFTER_HOURS;
+        }
+
+        return {
+            ...base,
+            status,
+            reason: this.getClosureReason(session, now),
+            nextOpen: next ? new Date(next.open) : null,
+            nextClose: next ? new Date(next.close) : null
+        };
+    }
+
+    /**
+     * Concrete trading-day windows (UTC millis) from a week ago to LOOKAHEAD_DAYS ahead
+     */
+    getTradingDays(session, now) {
+        const timezone = session.timezone || 'UTC';
+        const holidays = this.getHolidays(session.calendar);
+        const localToday = Math.floor((now + getTimeZoneOffset(now, timezone)) / DAY_MS) * DAY_MS;
+        const days = [];
+
+        for (let offset = -7; offset <= LOOKAHEAD_DAYS; offset++) {
+            const dayMs = localToday + offset * DAY_MS;
+            const dateKey = toDateKey(dayMs);
+            const weekday = new Date(dayMs).getUTCDay();
+
+            if (holidays.closed.has(dateKey)) continue;
+
+            const early = holidays.earlyClose.get(dateKey);
+            const at = (time) => zonedTimeToUtc(dayMs + parseClock(time), timezone).getTime();
+
+            if (session.type === 'daily') {
+                if (!(session.days || [1, 2, 3, 4, 5]).includes(weekday)) continue;
+
+                const close = at(early?.close || session.close);
+                days.push({
+                    date: dateKey,
+                    open: at(session.open),
+                    close,
+                    preMarketOpen: session.preMarketOpen ? at(session.preMarketOpen) : at(session.open),
+                    afterHoursClose: session.afterHoursClose && !early ? at(session.afterHoursClose) : close
+                });
+            } else if (session.type === 'weekly') {
+                // Trading days run from the day after the weekly open through the weekly close day
+                if (weekday <= session.open.day || weekday > session.close.day) continue;
+
+                const open = zonedTimeToUtc(dayMs - DAY_MS + parseClock(session.open.time), timezone).getTime();
+                const close = at(early?.close || session.close.time);
+                days.push({ date: dateKey, open, close, preMarketOpen: open, afterHoursClose: close });
+            }
+        }
+
+        return days;
+    }
+
+    getClosureReason(session, now) {
+        const timezone = session.timezone || 'UTC';
+        const localNow = now + getTimeZoneOffset(now, timezone);
+        const holidays = this.getHolidays(session.calendar);
+
+        // A holiday closes its own date (equities) or the evening leading into it (forex)
+        const candidates = [localNow, localNow + DAY_MS].map(ms => toDateKey(Math.floor(ms / DAY_MS) * DAY_MS));
+        const holiday = (session.type === 'weekly' ? candidates : candidates.slice(0, 1))
+            .map(dateKey => holidays.closed.get(dateKey))
+            .find(Boolean);
+
+        if (holiday) return holiday.name;
+        if (session.type === 'weekly') return 'weekend';
+
+        const weekday = new Date(localNow).getUTCDay();
+        if (weekday === 0 || weekday === 6) return 'weekend';
+        return 'outside trading hours';
+    }
+}
+
+/**
+ * Merge touching or overlapping intervals (forex trading days chain into one week)
+ */
+function mergeIntervals(intervals) {
+    const sorted = intervals.slice().sort((a, b) => a.open - b.open);
+    const merged = [];
+
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.open <= last.close) {
+            last.close = Math.max(last.close, interval.close);
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+
+    return merged;
+}
+
+let sharedCalendar = null;
+
+function getMarketCalendar() {
+    if (!sharedCalendar) {
+        sharedCalendar = new MarketCalendar();
+    }
+    return sharedCalendar;
+}
+
+module.exports = MarketCalendar;
+module.exports.MarketClosedError = MarketClosedError;
+module.exports.MARKET_STATUS = MARKET_STATUS;
+module.exports.getMarketCalendar = getMarketCalendar;
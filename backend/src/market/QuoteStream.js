@@ -0,0 +1,107 @@
+/**
+ * Quote Stream
+ * Process-wide bus that fans live ticks out to per-symbol subscribers (trading
+ * engines, WebSocket clients). The tick source only streams symbols somebody is
+ * subscribed to; the last tick per symbol is kept so consumers can tell whether
+ * a symbol is live or needs to fall back to polling.
+ */
+
+const EventEmitter = require('events');
+const { systemClock } = require('./Clock.js');
+
+class QuoteStream extends EventEmitter {
+    constructor(source, config = {}) {
+        super();
+        this.source = source;
+        this.staleAfterMs = config.staleAfterMs || 30 * 1000;
+        this.clock = config.clock || systemClock; // ages ticks for isLive
+        this.subscribers = new Map(); // symbol -> Set of listeners
+        this.lastTicks = new Map(); // symbol -> last tick
+        this.started = false;
+
+        this.source.on('tick', tick => this.publish(tick));
+        this.source.on('status', status => this.emit('status', status));
+    }
+
+    async start() {
+        if (this.started) return;
+        this.started = true;
+        await this.source.connect();
+        console.log(`📶 Quote stream started (${this.source.name})`);
+    }
+
+    async stop() {
+        this.started = false;
+        await this.source.close();
+    }
+
+    /**
+     * Receive every tick for a symbol
+     * @returns {Function} unsubscribe
+     */
+    subscribe(symbol, listener) {
+        if (!this.subscribers.has(symbol)) {
+            this.subscribers.set(symbol, new Set());
+            this.source.subscribe([symbol]);
+        }
+
+        this.subscribers.get(symbol).add(listener);
+        return () => this.unsubscribe(symbol, listener);
+    }
+
+    unsubscribe(symbol, listener) {
+        const listeners = this.subscribers.get(symbol);
+        if (!listeners) return;
+
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+            this.subscribers.delete(symbol);
+            this.lastTicks.delete(symbol);
+            this.source.unsubscribe([symbol]);
+        }
+    }
+
+    /**
+     * Hand a tick to its symbol's listeners
+     * @returns {Promise} settles once every listener has finished (replays wait for it)
+     */
+    publish(tick) {
+        const listeners = this.subscribers.get(tick.symbol);
+        if (!listeners) return Promise.resolve();
+
+        this.lastTicks.set(tick.symbol, tick);
+        this.emit('tick', tick);
+
+        // Listeners may be async (risk checks); one failing must not starve the others
+        return Promise.all(Array.from(listeners, listener => Promise.resolve()
+            .then(() => listener(tick))
+            .catch(error => console.error(`Quote listener failed for ${tick.symbol}:`, error))));
+    }
+
+    getLastTick(symbol) {
+        return this.lastTicks.get(symbol) || null;
+    }
+
+    /**
+     * True when the source is connected and has ticked this symbol recently
+     */
+    isLive(symbol) {
+        const tick = this.lastTicks.get(symbol);
+        return this.source.connected && !!tick && this.clock.now() - tick.timestamp.getTime() < this.staleAfterMs;
+    }
+
+    getStatus() {
+        return {
+            source: this.source.name,
+            connected: this.source.connected,
+            symbols: Array.from(this.subscribers.keys()).map(symbol => ({
+                symbol,
+                subscribers: this.subscribers.get(symbol).size,
+                live: this.isLive(symbol),
+                lastTick: this.getLastTick(symbol)
+            }))
+        };
+    }
+}
+
+module.exports = QuoteStream;
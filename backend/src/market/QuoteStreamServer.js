@@ -0,0 +1,131 @@
+/**
+ * Quote Stream Server
+ * Exposes the QuoteStream to browser clients at /ws/quotes.
+ *
+ * Connect with ?token=<access token>, then send
+ *   { action: 'subscribe' | 'unsubscribe', symbols: ['AAPL', 'EURUSD'] }
+ * and receive { type: 'tick', data: { symbol, price, bid, ask, volume, timestamp } }.
+ * Messages sent before the token is verified are handled once it is, in order.
+ */
+
+const { WebSocketServer } = require('ws');
+const { verifyAccessToken } = require('../middleware/auth.js');
+const { getInstrumentRegistry } = require('./InstrumentRegistry.js');
+
+const HEARTBEAT_MS = 30 * 1000;
+
+class QuoteStreamServer {
+    constructor(quoteStream, config = {}) {
+        this.quoteStream = quoteStream;
+        this.path = config.path || '/ws/quotes';
+        this.instruments = config.instruments || getInstrumentRegistry();
+        this.wss = null;
+        this.heartbeat = null;
+    }
+
+    attach(server) {
+        this.wss = new WebSocketServer({ server, path: this.path });
+        this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+        // Drop clients that stop answering pings so their subscriptions are released
+        this.heartbeat = setInterval(() => {
+            for (const socket of this.wss.clients) {
+                if (!socket.isAlive) {
+                    socket.terminate();
+                    continue;
+                }
+                socket.isAlive = false;
+                socket.ping();
+            }
+        }, HEARTBEAT_MS);
+        this.heartbeat.unref();
+
+        return this;
+    }
+
+    async handleConnection(socket, req) {
+        // Protocol errors (e.g. unmasked frames) would otherwise be thrown as uncaught
+        socket.on('error', error => {
+            console.warn('⚠️ Quote stream client error:', error.message);
+            socket.terminate();
+        });
+
+        socket.isAlive = true;
+        socket.subscriptions = new Map(); // symbol -> unsubscribe
+        let queued = []; // messages received while the token is verified; null once authenticated
+
+        socket.on('pong', () => { socket.isAlive = true; });
+        socket.on('message', raw => {
+            if (queued) queued.push(raw);
+            else this.handleMessage(socket, raw);
+        });
+        socket.on('close', () => {
+            socket.subscriptions.forEach(unsubscribe => unsubscribe());
+            socket.subscriptions.clear();
+        });
+
+        const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+
+        try {
+            if (!token) throw new Error('Access token required');
+            const { user } = await verifyAccessToken(token);
+            socket.userId = user._id.toString();
+        } catch (error) {
+            socket.close(4401, 'Unauthorized');
+            return;
+        }
+
+        if (socket.readyState !== socket.OPEN) return;
+        this.send(socket, { type: 'connected', data: { source: this.quoteStream.source.name } });
+
+        const received = queued;
+        queued = null;
+        received.forEach(raw => this.handleMessage(socket, raw));
+    }
+
+    handleMessage(socket, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            this.send(socket, { type: 'error', error: 'Messages must be JSON', code: 'INVALID_MESSAGE' });
+            return;
+        }
+
+        const { action, symbols } = message;
+        if (!['subscribe', 'unsubscribe'].includes(action) || !Array.isArray(symbols)) {
+            this.send(socket, { type: 'error', error: 'Expected { action: "subscribe" | "unsubscribe", symbols: [...] }', code: 'INVALID_MESSAGE' });
+            return;
+        }
+
+        for (const symbol of symbols) {
+            if (action === 'subscribe') {
+                if (!this.instruments.has(symbol)) {
+                    this.send(socket, { type: 'error', error: `Unknown instrument ${symbol}`, code: 'UNKNOWN_INSTRUMENT' });
+                    continue;
+                }
+                if (!socket.subscriptions.has(symbol)) {
+                    socket.subscriptions.set(symbol, this.quoteStream.subscribe(symbol, tick => this.send(socket, { type: 'tick', data: tick })));
+                }
+            } else if (socket.subscriptions.has(symbol)) {
+                socket.subscriptions.get(symbol)();
+                socket.subscriptions.delete(symbol);
+            }
+        }
+
+        this.send(socket, { type: 'subscriptions', data: Array.from(socket.subscriptions.keys()) });
+    }
+
+    send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        if (this.wss) this.wss.close();
+    }
+}
+
+module.exports = QuoteStreamServer;
@@ -0,0 +1,189 @@
+/**
+ * Market Data Layer
+ * Selects the configured MarketDataProvider and shares one instance across engines.
+ *
+ * MARKET_DATA_PROVIDER=yahoo (default) | file
+ * MARKET_DATA_DIR=<fixture directory for the file provider>
+ * MARKET_DATA_STORE=mongo (default) | none - persist fetched bars and only fill gaps
+ *
+ * QUOTE_STREAM_SOURCE=simulated | websocket | none - live tick source for engines
+ *   (defaults to websocket when QUOTE_STREAM_URL is set, simulated outside production)
+ * QUOTE_STREAM_URL=<upstream WebSocket quote feed>
+ *
+ * Every provider is wrapped in a ResamplingMarketDataProvider so engines can ask
+ * for any supported timeframe regardless of what the vendor serves natively.
+ *
+ * Simulations replay history through the live interfaces instead: a
+ * SimulatedClock, a ReplayTickSource feeding a QuoteStream and a
+ * ReplayMarketDataProvider that only shows data up to the clock's time.
+ */
+
+const MarketDataProvider = require('./providers/MarketDataProvider.js');
+const YahooMarketDataProvider = require('./providers/YahooMarketDataProvider.js');
+const FileMarketDataProvider = require('./providers/FileMarketDataProvider.js');
+const StoredMarketDataProvider = require('./providers/StoredMarketDataProvider.js');
+const ResamplingMarketDataProvider = require('./providers/ResamplingMarketDataProvider.js');
+const ReplayMarketDataProvider = require('./providers/ReplayMarketDataProvider.js');
+const BarResampler = require('./BarResampler.js');
+const { ADJUSTMENTS, adjustBars, getSeriesActions } = require('./CorporateActions.js');
+const CurrencyConverter = require('./CurrencyConverter.js');
+const DataQualityValidator = require('./DataQualityValidator.js');
+const { DataQualityError, getDataQualityValidator } = DataQualityValidator;
+const { CurrencyConversionError, getCurrencyConverter, rateAt } = CurrencyConverter;
+const {
+    TIMEFRAMES,
+    TIMEFRAME_MS,
+    DAY_MS,
+    UnsupportedTimeframeError,
+    parseTimeframe,
+    isSupportedTimeframe,
+    getTimeframeMs,
+    assertTimeframe
+} = require('./timeframes.js');
+const InstrumentRegistry = require('./InstrumentRegistry.js');
+const QuoteStream = require('./QuoteStream.js');
+const MarketCalendar = require('./MarketCalendar.js');
+const { MarketClosedError, MARKET_STATUS, getMarketCalendar } = MarketCalendar;
+const SimulatedTickSource = require('./streams/SimulatedTickSource.js');
+const WebSocketTickSource = require('./streams/WebSocketTickSource.js');
+const ReplayTickSource = require('./streams/ReplayTickSource.js');
+const { SystemClock, SimulatedClock, systemClock } = require('./Clock.js');
+const { getInstrumentRegistry } = InstrumentRegistry;
+
+const PROVIDERS = {
+    yahoo: YahooMarketDataProvider,
+    file: FileMarketDataProvider
+};
+
+let sharedProvider = null;
+let sharedQuoteStream;
+
+/**
+ * Create a new provider instance
+ */
+function createMarketDataProvider(options = {}) {
+    const type = options.type || process.env.MARKET_DATA_PROVIDER || 'yahoo';
+    const Provider = PROVIDERS[type];
+
+    if (!Provider) {
+        throw new Error(`Unknown market data provider "${type}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const provider = new Provider({
+        ...options,
+        dataDir: options.dataDir || process.env.MARKET_DATA_DIR
+    });
+
+    // Local fixtures are already on disk, so only remote providers go through the store
+    const store = options.store || process.env.MARKET_DATA_STORE || 'mongo';
+    const source = store === 'mongo' && type !== 'file'
+        ? new StoredMarketDataProvider(provider)
+        : provider;
+
+    return new ResamplingMarketDataProvider(source);
+}
+
+/**
+ * Get the process-wide provider selected by configuration
+ */
+function getMarketDataProvider() {
+    if (!sharedProvider) {
+        sharedProvider = createMarketDataProvider();
+        console.log(`📡 Market data provider: ${sharedProvider.name}`);
+    }
+    return sharedProvider;
+}
+
+/**
+ * Override the shared provider (tests, demos, simulations)
+ */
+function setMarketDataProvider(provider) {
+    sharedProvider = provider;
+}
+
+/**
+ * Create a quote stream for the configured tick source (null when streaming is off)
+ */
+function createQuoteStream(options = {}) {
+    const url = options.url || process.env.QUOTE_STREAM_URL;
+    const defaultType = url ? 'websocket' : (process.env.NODE_ENV === 'production' ? 'none' : 'simulated');
+    const type = options.type || process.env.QUOTE_STREAM_SOURCE || defaultType;
+
+    if (type === 'none') return null;
+
+    let source;
+    if (type === 'simulated') {
+        source = new SimulatedTickSource({
+            marketDataProvider: options.marketDataProvider || getMarketDataProvider(),
+            instruments: getInstrumentRegistry(),
+            intervalMs: options.intervalMs
+        });
+    } else if (type === 'websocket') {
+        source = new WebSocketTickSource({ url });
+    } else {
+        throw new Error(`Unknown quote stream source "${type}". Available: simulated, websocket, none`);
+    }
+
+    return new QuoteStream(source, options);
+}
+
+/**
+ * Get the process-wide quote stream, started on first use
+ */
+function getQuoteStream() {
+    if (sharedQuoteStream === undefined) {
+        sharedQuoteStream = createQuoteStream();
+        if (sharedQuoteStream) {
+            sharedQuoteStream.start().catch(error => console.error('Quote stream failed to start:', error));
+        } else {
+            console.log('📶 Quote streaming disabled, engines poll for prices');
+        }
+    }
+    return sharedQuoteStream;
+}
+
+module.exports = {
+    MarketDataProvider,
+    YahooMarketDataProvider,
+    FileMarketDataProvider,
+    StoredMarketDataProvider,
+    ResamplingMarketDataProvider,
+    ReplayMarketDataProvider,
+    BarResampler,
+    InstrumentRegistry,
+    QuoteStream,
+    MarketCalendar,
+    MarketClosedError,
+    MARKET_STATUS,
+    CurrencyConverter,
+    CurrencyConversionError,
+    DataQualityValidator,
+    DataQualityError,
+    SimulatedTickSource,
+    WebSocketTickSource,
+    ReplayTickSource,
+    SystemClock,
+    SimulatedClock,
+    systemClock,
+    createMarketDataProvider,
+    getMarketDataProvider,
+    setMarketDataProvider,
+    getInstrumentRegistry,
+    createQuoteStream,
+    getQuoteStream,
+    getMarketCalendar,
+    getCurrencyConverter,
+    getDataQualityValidator,
+    rateAt,
+    TIMEFRAMES,
+    TIMEFRAME_MS,
+    DAY_MS,
+    UnsupportedTimeframeError,
+    parseTimeframe,
+    isSupportedTimeframe,
+    getTimeframeMs,
+    assertTimeframe,
+    ADJUSTMENTS,
+    adjustBars,
+    getSeriesActions
+};
@@ -0,0 +1,146 @@
+/**
+ * File-backed Market Data Provider
+ * Serves bars from local JSON fixtures so engines, tests and demos run offline.
+ *
+ * Fixture layout: <dataDir>/<SYMBOL>.<timeframe>.json containing an array of
+ * { timestamp, open, high, low, close, volume } objects (or { bars: [...] }).
+ * Optional <dataDir>/<SYMBOL>.actions.json holds corporate actions as
+ * { splits: [{ date, ratio }], dividends: [{ date, amount }] }.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const MarketDataProvider = require('./MarketDataProvider.js');
+const { isSupportedTimeframe, getTimeframeMs } = require('../timeframes.js');
+
+class FileMarketDataProvider extends MarketDataProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'file';
+        this.dataDir = config.dataDir || path.join(process.cwd(), 'fixtures', 'market-data');
+        this.cache = new Map(); // fileName -> bars
+    }
+
+    async getHistoricalBars(symbol, options = {}) {
+        const { start, end, timeframe = '1d' } = options;
+        const bars = await this.loadBars(symbol, timeframe);
+
+        return this.filterRange(bars, start, end);
+    }
+
+    async getCorporateActions(symbol, options = {}) {
+        const { start, end } = options;
+        const fileName = `${symbol}.actions.json`;
+
+        let raw;
+        try {
+            raw = JSON.parse(await fs.readFile(path.join(this.dataDir, fileName), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { splits: [], dividends: [] };
+            throw new Error(`Invalid fixture ${fileName}: ${error.message}`);
+        }
+
+        const startTime = start ? new Date(start).getTime() : -Infinity;
+        const endTime = end ? new Date(end).getTime() : Infinity;
+        const inRange = action => {
+            const time = new Date(action.date).getTime();
+            return time >= startTime && time <= endTime;
+        };
+
+        return {
+            splits: (raw.splits || []).filter(inRange).map(split => ({ date: new Date(split.date), ratio: Number(split.ratio) })),
+            dividends: (raw.dividends || []).filter(inRange).map(dividend => ({ date: new Date(dividend.date), amount: Number(dividend.amount) }))
+        };
+    }
+
+    async getLatestQuote(symbol) {
+        const timeframes = await this.getAvailableTimeframes(symbol);
+        if (timeframes.length === 0) {
+            throw new Error(`No fixture data for ${symbol} in ${this.dataDir}`);
+        }
+
+        // Prefer the finest timeframe so the quote is as recent as possible
+        const bars = await this.loadBars(symbol, timeframes[0]);
+        const latest = bars[bars.length - 1];
+        const previous = bars[bars.length - 2] || latest;
+        const change = latest.close - previous.close;
+
+        return {
+            symbol,
+            price: latest.close,
+            change,
+            changePercent: previous.close ? (change / previous.close) * 100 : 0,
+            volume: latest.volume,
+            dayHigh: latest.high,
+            dayLow: latest.low,
+            previousClose: previous.close,
+            timestamp: latest.timestamp
+        };
+    }
+
+    async searchSymbols(query) {
+        const files = await this.listFixtures();
+        const needle = String(query || '').toUpperCase();
+        const symbols = [...new Set(files.map(file => file.symbol))];
+
+        return symbols
+            .filter(symbol => symbol.includes(needle))
+            .map(symbol => ({ symbol, name: symbol, type: 'FIXTURE', exchange: 'LOCAL' }));
+    }
+
+    /**
+     * Load and cache bars for one symbol/timeframe fixture
+     */
+    async loadBars(symbol, timeframe) {
+        const fileName = `${symbol}.${timeframe}.json`;
+        if (this.cache.has(fileName)) {
+            return this.cache.get(fileName);
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(await fs.readFile(path.join(this.dataDir, fileName), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`No fixture data for ${symbol} (${timeframe}) in ${this.dataDir}`);
+            }
+            throw new Error(`Invalid fixture ${fileName}: ${error.message}`);
+        }
+
+        const bars = (Array.isArray(raw) ? raw : raw.bars || [])
+            .map(item => this.normalizeBar(item))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        this.cache.set(fileName, bars);
+        return bars;
+    }
+
+    async listFixtures() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.dataDir);
+        } catch (error) {
+            return [];
+        }
+
+        return entries
+            .map(entry => entry.match(/^([A-Z0-9]+)\.([0-9]+[a-zA-Z]+)\.json$/))
+            .filter(Boolean)
+            .map(([, symbol, timeframe]) => ({ symbol, timeframe }));
+    }
+
+    async getAvailableTimeframes(symbol) {
+        const files = await this.listFixtures();
+
+        return files
+            .filter(file => file.symbol === symbol && isSupportedTimeframe(file.timeframe))
+            .map(file => file.timeframe)
+            .sort((a, b) => getTimeframeMs(a) - getTimeframeMs(b));
+    }
+
+    async getNativeTimeframes(symbol) {
+        return this.getAvailableTimeframes(symbol);
+    }
+}
+
+module.exports = FileMarketDataProvider;
@@ -0,0 +1,90 @@
+/**
+ * Market Data Provider Interface
+ * Every data source (Yahoo Finance, local fixtures, ...) implements this contract
+ * so engines never talk to a vendor SDK directly.
+ *
+ * Bars are returned as { timestamp: Date, open, high, low, close, volume },
+ * sorted by timestamp ascending, at as-traded (unadjusted) prices. A range
+ * without bars yields an empty array; callers decide whether that is an error.
+ * Split and dividend adjustment is applied on top (see ../CorporateActions.js).
+ */
+
+const { TIMEFRAMES } = require('../timeframes.js');
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+class MarketDataProvider {
+    constructor(config = {}) {
+        this.config = config;
+        this.name = 'base';
+    }
+
+    /**
+     * Get historical OHLCV bars for a symbol
+     * @param {string} symbol - Platform symbol (e.g. 'AAPL', 'EURUSD')
+     * @param {Object} options - { start, end, timeframe }
+     */
+    async getHistoricalBars(symbol, options = {}) {
+        throw new Error(`${this.name} provider does not implement getHistoricalBars`);
+    }
+
+    /**
+     * Timeframes the provider delivers without resampling
+     */
+    async getNativeTimeframes(symbol) {
+        return this.nativeTimeframes || TIMEFRAMES;
+    }
+
+    /**
+     * Splits and cash dividends with an ex-date inside the range
+     * Returns { splits: [{ date, ratio }], dividends: [{ date, amount }] }
+     * @param {Object} options - { start, end }
+     */
+    async getCorporateActions(symbol, options = {}) {
+        return { splits: [], dividends: [] };
+    }
+
+    /**
+     * Get the latest quote for a symbol
+     * Returns { symbol, price, change, changePercent, volume, dayHigh, dayLow, previousClose, timestamp }
+     */
+    async getLatestQuote(symbol) {
+        throw new Error(`${this.name} provider does not implement getLatestQuote`);
+    }
+
+    /**
+     * Search for symbols matching a query
+     * Returns [{ symbol, name, type, exchange }]
+     */
+    async searchSymbols(query) {
+        throw new Error(`${this.name} provider does not implement searchSymbols`);
+    }
+
+    /**
+     * Normalize a raw bar into the platform bar format
+     */
+    normalizeBar(raw) {
+        return {
+            timestamp: new Date(raw.timestamp || raw.date),
+            open: toNumber(raw.open),
+            high: toNumber(raw.high),
+            low: toNumber(raw.low),
+            close: toNumber(raw.close),
+            volume: Number(raw.volume || 0)
+        };
+    }
+
+    /**
+     * Filter bars to a date range and sort them ascending
+     */
+    filterRange(bars, start, end) {
+        const startTime = start ? new Date(start).getTime() : -Infinity;
+        const endTime = end ? new Date(end).getTime() : Infinity;
+
+        return bars
+            .filter(bar => bar.timestamp.getTime() >= startTime && bar.timestamp.getTime() <= endTime)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+}
+
+module.exports = MarketDataProvider;
@@ -0,0 +1,55 @@
+/**
+ * Replay Market Data Provider
+ * The market as it stood at a simulated clock's time: bars come from the
+ * upstream provider but only those complete by then, corporate actions only
+ * up to then, and quotes are the running quotes of a ReplayTickSource.
+ * Engines on a simulated clock use it in place of the live provider, so the
+ * live code paths cannot see data from their future.
+ */
+
+const MarketDataProvider = require('./MarketDataProvider.js');
+const { getTimeframeMs } = require('../timeframes.js');
+
+class ReplayMarketDataProvider extends MarketDataProvider {
+    /**
+     * @param {MarketDataProvider} upstream - source of the historical bars
+     * @param {ReplayTickSource} ticks - replay whose clock and quotes are used
+     */
+    constructor(upstream, ticks, config = {}) {
+        super(config);
+        this.upstream = upstream;
+        this.ticks = ticks;
+        this.clock = ticks.clock;
+        this.name = 'replay';
+    }
+
+    async getHistoricalBars(symbol, options = {}) {
+        const now = this.clock.now().getTime();
+        const timeframeMs = getTimeframeMs(options.timeframe || '1d');
+        const end = options.end ? Math.min(new Date(options.end).getTime(), now) : now;
+
+        // The bar in progress is not history yet; its quote stands in for it
+        const bars = await this.upstream.getHistoricalBars(symbol, { ...options, end: new Date(end) });
+        return bars.filter(bar => bar.timestamp.getTime() + timeframeMs <= now);
+    }
+
+    async getCorporateActions(symbol, options = {}) {
+        const now = this.clock.now().getTime();
+        const end = options.end ? Math.min(new Date(options.end).getTime(), now) : now;
+        return this.upstream.getCorporateActions(symbol, { ...options, end: new Date(end) });
+    }
+
+    async getNativeTimeframes(symbol) {
+        return this.upstream.getNativeTimeframes(symbol);
+    }
+
+    async getLatestQuote(symbol) {
+        return this.ticks.getQuote(symbol);
+    }
+
+    async searchSymbols(query) {
+        return this.upstream.searchSymbols(query);
+    }
+}
+
+module.exports = ReplayMarketDataProvider;
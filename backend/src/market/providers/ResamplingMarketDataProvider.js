@@ -0,0 +1,83 @@
+/**
+ * Resampling Market Data Provider
+ * Serves any timeframe in the platform vocabulary: timeframes the upstream
+ * provider delivers natively pass straight through, others (4h, 3d, ...) are
+ * aggregated from the coarsest finer timeframe it does deliver. Timeframes
+ * that cannot be built either way throw instead of degrading to daily bars.
+ *
+ * options.adjustment ('raw' default, 'split', 'total') adjusts the source bars
+ * for corporate actions before they are aggregated, so a split inside a
+ * weekly bucket cannot produce a mixed-scale high or low.
+ */
+
+const MarketDataProvider = require('./MarketDataProvider.js');
+const BarResampler = require('../BarResampler.js');
+const { selectSourceTimeframe } = BarResampler;
+const { parseTimeframe, UnsupportedTimeframeError } = require('../timeframes.js');
+const { getInstrumentRegistry } = require('../InstrumentRegistry.js');
+const { adjustBars } = require('../CorporateActions.js');
+
+class ResamplingMarketDataProvider extends MarketDataProvider {
+    constructor(upstream, config = {}) {
+        super(config);
+        this.upstream = upstream;
+        this.name = upstream.name;
+        this.instruments = config.instruments || getInstrumentRegistry();
+    }
+
+    async getHistoricalBars(symbol, options = {}) {
+        const { timeframe = '1d', adjustment = 'raw' } = options;
+        const target = parseTimeframe(timeframe);
+
+        const native = await this.upstream.getNativeTimeframes(symbol);
+        if (native.includes(timeframe)) {
+            const bars = await this.upstream.getHistoricalBars(symbol, options);
+            return this.adjust(symbol, bars, adjustment);
+        }
+
+        const source = selectSourceTimeframe(timeframe, native);
+        if (!source) {
+            throw new UnsupportedTimeframeError(
+                `${this.name} provider cannot serve ${timeframe} bars for ${symbol} (native: ${native.join(', ') || 'none'})`
+            );
+        }
+
+        const resampler = new BarResampler({
+            session: this.instruments.has(symbol) ? this.instruments.getSession(symbol) : undefined
+        });
+
+        // Start at the bucket boundary so the first bar is built from a full bucket
+        const start = options.start ? resampler.getBucketStart(options.start, target) : options.start;
+
+        const bars = await this.upstream.getHistoricalBars(symbol, { ...options, start, timeframe: source });
+        return resampler.resample(await this.adjust(symbol, bars, adjustment), source, timeframe);
+    }
+
+    async adjust(symbol, bars, adjustment) {
+        if (adjustment === 'raw' || bars.length === 0) return bars;
+
+        const actions = await this.getCorporateActions(symbol, {
+            start: bars[0].timestamp,
+            end: bars[bars.length - 1].timestamp
+        });
+        return adjustBars(bars, actions, adjustment);
+    }
+
+    async getCorporateActions(symbol, options = {}) {
+        return this.upstream.getCorporateActions(symbol, options);
+    }
+
+    async getNativeTimeframes(symbol) {
+        return this.upstream.getNativeTimeframes(symbol);
+    }
+
+    async getLatestQuote(symbol) {
+        return this.upstream.getLatestQuote(symbol);
+    }
+
+    async searchSymbols(query) {
+        return this.upstream.searchSymbols(query);
+    }
+}
+
+module.exports = ResamplingMarketDataProvider;
@@ -0,0 +1,110 @@
+/**
+ * Stored Market Data Provider
+ * Reads bars from the local MongoDB MarketBar store first and only asks the
+ * upstream provider for ranges that have never been fetched.
+ * Falls back to the upstream provider when the database is not connected.
+ *
+ * Gap fills of one symbol/timeframe run one at a time in this process, so
+ * concurrent requests (sweeps, portfolio loads) do not fetch and replace the
+ * same range twice; coverage is recorded with atomic upserts.
+ */
+
+const mongoose = require('mongoose');
+const MarketDataProvider = require('./MarketDataProvider.js');
+const MarketBar = require('../../models/MarketBar.js');
+const MarketDataCoverage = require('../../models/MarketDataCoverage.js');
+const { getTimeframeMs } = require('../timeframes.js');
+
+// `${symbol}:${timeframe}` -> promise of the gap fill in progress (shared by all instances)
+const fills = new Map();
+
+class StoredMarketDataProvider extends MarketDataProvider {
+    constructor(upstream, config = {}) {
+        super(config);
+        this.upstream = upstream;
+        this.name = upstream.name;
+        this.stored = true;
+    }
+
+    isStoreAvailable() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    async getHistoricalBars(symbol, options = {}) {
+        const { start, end = new Date(), timeframe = '1d' } = options;
+
+        if (!start || !this.isStoreAvailable()) {
+            return this.upstream.getHistoricalBars(symbol, options);
+        }
+
+        const startDate = new Date(start);
+        const endDate = new Date(Math.min(new Date(end).getTime(), Date.now()));
+
+        await this.serialize(`${symbol}:${timeframe}`, () => this.fillGaps(symbol, timeframe, startDate, endDate));
+
+        const stored = await MarketBar.findRange(symbol, timeframe, startDate, endDate);
+        return stored.map(bar => this.normalizeBar(bar));
+    }
+
+    /**
+     * Fetch and store the parts of [startDate, endDate] the store does not cover
+     */
+    async fillGaps(symbol, timeframe, startDate, endDate) {
+        // The latest bar may still be forming, so it is never marked as covered
+        const settledEnd = Math.min(endDate.getTime(), Date.now() - getTimeframeMs(timeframe));
+
+        // Read after any earlier fill finished, so its ranges are not fetched again
+        const coverage = await MarketDataCoverage.findOne({ symbol, timeframe });
+        const missing = coverage ? coverage.getMissingRanges(startDate, endDate) : [{ start: startDate, end: endDate }];
+
+        for (const range of missing) {
+            console.log(`📥 Filling ${symbol} ${timeframe} gap ${range.start.toISOString()} → ${range.end.toISOString()}`);
+
+            const bars = await this.upstream.getHistoricalBars(symbol, {
+                start: range.start,
+                end: range.end,
+                timeframe
+            });
+
+            await MarketBar.replaceRange(symbol, timeframe, range.start, range.end, bars, this.upstream.name);
+
+            const coveredEnd = Math.min(range.end.getTime(), settledEnd);
+            if (coveredEnd > range.start.getTime()) {
+                await MarketDataCoverage.recordRange(symbol, timeframe, this.upstream.name, range.start, new Date(coveredEnd));
+            }
+        }
+    }
+
+    /**
+     * Run `task` after the previous task with the same key has settled
+     */
+    serialize(key, task) {
+        const previous = fills.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        fills.set(key, current);
+
+        const release = () => {
+            if (fills.get(key) === current) fills.delete(key);
+        };
+        current.then(release, release);
+        return current;
+    }
+
+    async getNativeTimeframes(symbol) {
+        return this.upstream.getNativeTimeframes(symbol);
+    }
+
+    async getCorporateActions(symbol, options = {}) {
+        return this.upstream.getCorporateActions(symbol, options);
+    }
+
+    async getLatestQuote(symbol) {
+        return this.upstream.getLatestQuote(symbol);
+    }
+
+    async searchSymbols(query) {
+        return this.upstream.searchSymbols(query);
+    }
+}
+
+module.exports = StoredMarketDataProvider;
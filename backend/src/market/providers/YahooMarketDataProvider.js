@@ -0,0 +1,213 @@
+/**
+ * Yahoo Finance Market Data Provider
+ * Wraps yahoo-finance2 behind the MarketDataProvider interface
+ *
+ * Yahoo chart prices and dividend amounts come split-adjusted as of today; they
+ * are restated at as-traded values so stored bars never change after a split.
+ */
+
+const yahooFinance = require('yahoo-finance2').default;
+const MarketDataProvider = require('./MarketDataProvider.js');
+const { getInstrumentRegistry } = require('../InstrumentRegistry.js');
+const { UnsupportedTimeframeError, DAY_MS } = require('../timeframes.js');
+const { getSplitFactor } = require('../CorporateActions.js');
+
+// Platform timeframe -> Yahoo chart interval (everything else is resampled)
+const TIMEFRAME_MAP = {
+    '1m': '1m',
+    '2m': '2m',
+    '5m': '5m',
+    '15m': '15m',
+    '30m': '30m',
+    '1h': '1h',
+    '1d': '1d',
+    '1w': '1wk',
+    '1M': '1mo'
+};
+
+// How far back Yahoo serves intraday intervals
+const MAX_LOOKBACK_DAYS = {
+    '1m': 7,
+    '2m': 60,
+    '5m': 60,
+    '15m': 60,
+    '30m': 60,
+    '1h': 730
+};
+
+const FOREX_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'NZD'];
+const CRYPTO_ASSETS = ['BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOGE'];
+
+class YahooMarketDataProvider extends MarketDataProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'yahoo';
+        this.instruments = config.instruments || getInstrumentRegistry();
+        this.nativeTimeframes = Object.keys(TIMEFRAME_MAP);
+    }
+
+    async getHistoricalBars(symbol, options = {}) {
+        const { start, end = new Date(), timeframe = '1d' } = options;
+        const ticker = this.toProviderSymbol(symbol);
+
+        const maxDays = MAX_LOOKBACK_DAYS[timeframe];
+        if (maxDays && start && Date.now() - new Date(start).getTime() > maxDays * DAY_MS) {
+            throw new UnsupportedTimeframeError(`Yahoo Finance only serves ${timeframe} bars for the last ${maxDays} days`);
+        }
+
+        const result = await yahooFinance.chart(ticker, {
+            period1: new Date(start),
+            period2: new Date(end),
+            interval: this.convertTimeframe(timeframe)
+        });
+
+        const { splits } = await this.getSplitAdjustedActions(symbol, start);
+
+        const bars = (result?.quotes || [])
+            .filter(item => item.close !== null && item.close !== undefined)
+            .map(item => this.toAsTraded(this.normalizeBar(item), splits));
+
+        return this.filterRange(bars, start, end);
+    }
+
+    async getCorporateActions(symbol, options = {}) {
+        const { start, end = new Date() } = options;
+        const { splits, dividends } = await this.getSplitAdjustedActions(symbol, start);
+        const inRange = action => (!start || action.date >= new Date(start)) && action.date <= new Date(end);
+
+        return {
+            splits: splits.filter(inRange),
+            dividends: dividends
+                .map(dividend => ({ ...dividend, amount: dividend.amount * getSplitFactor(dividend.date, splits) }))
+                .filter(inRange)
+        };
+    }
+
+    /**
+     * Splits and (split-adjusted) dividends from `start` until today
+     * Only equities have corporate actions, so other asset classes skip the request.
+     */
+    async getSplitAdjustedActions(symbol, start) {
+        if (this.instruments.has(symbol) && this.instruments.getAssetClass(symbol) !== 'stock') {
+            return { splits: [], dividends: [] };
+        }
+
+        const result = await yahooFinance.chart(this.toProviderSymbol(symbol), {
+            period1: start ? new Date(start) : new Date(0),
+            period2: new Date(),
+            interval: '1d',
+            events: 'div|split'
+        });
+
+        return {
+            splits: (result?.events?.splits || [])
+                .filter(split => split.numerator > 0 && split.denominator > 0)
+                .map(split => ({ date: new Date(split.date), ratio: split.numerator / split.denominator }))
+                .sort((a, b) => a.date - b.date),
+            dividends: (result?.events?.dividends || [])
+                .map(dividend => ({ date: new Date(dividend.date), amount: dividend.amount }))
+                .sort((a, b) => a.date - b.date)
+        };
+    }
+
+    /**
+     * Undo Yahoo's split adjustment for one bar
+     */
+    toAsTraded(bar, splits) {
+        const factor = getSplitFactor(bar.timestamp, splits);
+        if (factor === 1) return bar;
+
+        return {
+            ...bar,
+            open: bar.open * factor,
+            high: bar.high * factor,
+            low: bar.low * factor,
+            close: bar.close * factor,
+            volume: Math.round(bar.volume / factor)
+        };
+    }
+
+    async getLatestQuote(symbol) {
+        const quote = await yahooFinance.quote(this.toProviderSymbol(symbol));
+
+        if (!quote || !quote.regularMarketPrice) {
+            throw new Error(`No quote available for ${symbol}`);
+        }
+
+        return {
+            symbol,
+            price: quote.regularMarketPrice,
+            change: quote.regularMarketChange,
+            changePercent: quote.regularMarketChangePercent,
+            volume: quote.regularMarketVolume || 0,
+            dayHigh: quote.regularMarketDayHigh,
+            dayLow: quote.regularMarketDayLow,
+            previousClose: quote.regularMarketPreviousClose,
+            timestamp: quote.regularMarketTime ? new Date(quote.regularMarketTime) : new Date()
+        };
+    }
+
+    async searchSymbols(query) {
+        const result = await yahooFinance.search(query);
+
+        return (result?.quotes || [])
+            .filter(item => item.symbol)
+            .map(item => ({
+                symbol: this.fromProviderSymbol(item.symbol),
+                name: item.shortname || item.longname || item.symbol,
+                type: item.quoteType,
+                exchange: item.exchange
+            }));
+    }
+
+    /**
+     * Convert platform symbol to Yahoo ticker (EURUSD -> EURUSD=X, BTCUSD -> BTC-USD)
+     * Registered instruments use their configured ticker; others are inferred.
+     */
+    toProviderSymbol(symbol) {
+        if (this.instruments.has(symbol)) {
+            return this.instruments.toProviderTicker(symbol, this.name);
+        }
+
+        const base = symbol.slice(0, 3);
+        const quote = symbol.slice(3);
+
+        if (symbol.length === 6 && FOREX_CURRENCIES.includes(base) && FOREX_CURRENCIES.includes(quote)) {
+            return `${symbol}=X`;
+        }
+
+        const crypto = CRYPTO_ASSETS.find(asset => symbol.startsWith(asset));
+        if (crypto && FOREX_CURRENCIES.includes(symbol.slice(crypto.length))) {
+            return `${crypto}-${symbol.slice(crypto.length)}`;
+        }
+
+        return symbol;
+    }
+
+    /**
+     * Convert Yahoo ticker back to platform symbol
+     */
+    fromProviderSymbol(ticker) {
+        const registered = this.instruments.fromProviderTicker(ticker, this.name);
+        if (registered) return registered;
+
+        if (ticker.endsWith('=X')) return ticker.slice(0, -2);
+
+        const [base, quote] = ticker.split('-');
+        if (CRYPTO_ASSETS.includes(base) && FOREX_CURRENCIES.includes(quote)) {
+            return `${base}${quote}`;
+        }
+
+        return ticker;
+    }
+
+    convertTimeframe(timeframe) {
+        const interval = TIMEFRAME_MAP[timeframe];
+        if (!interval) {
+            throw new UnsupportedTimeframeError(`Yahoo Finance does not serve ${timeframe} bars natively`);
+        }
+        return interval;
+    }
+}
+
+module.exports = YahooMarketDataProvider;
@@ -0,0 +1,221 @@
+/**
+ * Replay Tick Source
+ * Streams historical bars as ticks on a SimulatedClock. Each bar becomes four
+ * ticks spread over the part of its period the market is open: the open, the
+ * nearer extreme, the other extreme and the close (the fill model's 'ohlc'
+ * path). Right after a bar's close tick a 'bar' event { symbol, timeframe, bar }
+ * announces the completed bar; simulated strategies decide on it.
+ *
+ * A running quote is kept for every loaded symbol, subscribed or not, so the
+ * replay provider can answer quote requests for any of them. Symbols first
+ * asked for mid-replay (e.g. an FX pair) are loaded then and join at the
+ * clock's current time.
+ */
+
+const TickSource = require('./TickSource.js');
+const { getInstrumentRegistry } = require('../InstrumentRegistry.js');
+const { getMarketCalendar, MARKET_STATUS } = require('../MarketCalendar.js');
+const { getTimeframeMs } = require('../timeframes.js');
+
+const TICKS_PER_BAR = 4;
+
+class ReplayTickSource extends TickSource {
+    /**
+     * @param {Object} config - { clock, marketDataProvider, timeframe, start, end, instruments, marketCalendar }
+     *   bars of `timeframe` from `start` (inclusive) to `end` (exclusive) are replayed
+     */
+    constructor(config = {}) {
+        super(config);
+        this.name = 'replay';
+        this.clock = config.clock;
+        this.marketData = config.marketDataProvider;
+        this.instruments = config.instruments || getInstrumentRegistry();
+        this.calendar = config.marketCalendar || getMarketCalendar();
+        this.timeframe = config.timeframe || '1d';
+        this.timeframeMs = getTimeframeMs(this.timeframe);
+        this.start = new Date(config.start);
+        this.end = new Date(config.end);
+        this.series = new Map(); // symbol -> Promise of { symbol, bars, ticks, quote, timer }
+        this.ticksReplayed = 0;
+    }
+
+    async connect() {
+        this.setConnected(true);
+    }
+
+    async close() {
+        for (const loading of this.series.values()) {
+            const series = await loading.catch(() => null);
+            if (series?.timer) this.clock.clearTimeout(series.timer);
+        }
+        this.setConnected(false);
+    }
+
+    /**
+     * Load a symbol's bars and schedule its ticks (once per symbol)
+     */
+    load(symbol) {
+        if (!this.series.has(symbol)) {
+            const loading = this.loadSeries(symbol);
+            loading.catch(() => this.series.delete(symbol)); // a failed load may be retried
+            this.series.set(symbol, loading);
+        }
+        return this.series.get(symbol);
+    }
+
+    async loadSeries(symbol) {
+        const bars = await this.marketData.getHistoricalBars(symbol, {
+            start: this.start,
+            end: this.end,
+            timeframe: this.timeframe
+        });
+
+        const series = {
+            symbol,
+            bars: bars.filter(bar => bar.timestamp < this.end),
+            ticks: [], // upcoming ticks of the current bar
+            barIndex: -1,
+            quote: null,
+            timer: null
+        };
+
+        // Joining mid-replay: ticks already in the past only set the quote
+        const now = this.clock.now().getTime();
+        while (this.nextBar(series) && series.ticks[0].at < now) {
+            this.applyTick(series, series.ticks.shift());
+        }
+        this.scheduleNext(series);
+
+        return series;
+    }
+
+    /**
+     * Queue the next bar's ticks; false when the series is exhausted
+     */
+    nextBar(series) {
+        if (series.ticks.length > 0) return true;
+        if (series.barIndex + 1 >= series.bars.length) return false;
+
+        series.barIndex++;
+        series.ticks = this.barTicks(series.symbol, series.bars[series.barIndex]);
+        return true;
+    }
+
+    scheduleNext(series) {
+        series.timer = null;
+        if (!this.nextBar(series)) return;
+
+        const tick = series.ticks[0];
+        series.timer = this.clock.setTimeout(() => this.replayTick(series), tick.at - this.clock.now().getTime());
+    }
+
+    async replayTick(series) {
+        const tick = series.ticks.shift();
+        this.applyTick(series, tick);
+        this.ticksReplayed++;
+
+        // The next tick is due whatever the listeners do (they may let simulated time pass)
+        this.scheduleNext(series);
+
+        if (this.symbols.has(series.symbol)) {
+            await this.deliver('tick', {
+                symbol: series.symbol,
+                price: tick.price,
+                volume: tick.volume,
+                timestamp: new Date(tick.at)
+            });
+        }
+        if (tick.last) {
+            await this.deliver('bar', { symbol: series.symbol, timeframe: this.timeframe, bar: tick.bar });
+        }
+    }
+
+    /**
+     * Emit an event and wait for its listeners (async ones included)
+     */
+    async deliver(event, payload) {
+        await Promise.all(this.listeners(event).map(listener => listener(payload)));
+    }
+
+    applyTick(series, tick) {
+        const { quote } = series;
+        if (tick.first || !quote) {
+            series.quote = {
+                price: tick.price,
+                previousClose: quote ? quote.price : tick.bar.open,
+                dayHigh: tick.price,
+                dayLow: tick.price,
+                volume: tick.volume,
+                timestamp: new Date(tick.at)
+            };
+            return;
+        }
+
+        quote.price = tick.price;
+        quote.dayHigh = Math.max(quote.dayHigh, tick.price);
+        quote.dayLow = Math.min(quote.dayLow, tick.price);
+        quote.volume += tick.volume;
+        quote.timestamp = new Date(tick.at);
+    }
+
+    /**
+     * Latest replayed quote of a symbol, in the provider quote format
+     */
+    async getQuote(symbol) {
+        const series = await this.load(symbol);
+        if (!series.quote) {
+            throw new Error(`No replayed quote for ${symbol} at ${this.clock.now().toISOString()}`);
+        }
+
+        const { price, previousClose } = series.quote;
+        return {
+            symbol,
+            ...series.quote,
+            change: price - previousClose,
+            changePercent: previousClose ? (price - previousClose) / previousClose * 100 : 0
+        };
+    }
+
+    /**
+     * The ticks of a bar: open, nearer extreme, other extreme, close, evenly
+     * over its trading window with the close just before the window ends
+     */
+    barTicks(symbol, bar) {
+        const { open, close } = this.getTradingWindow(symbol, bar);
+        const step = (close - open) / (TICKS_PER_BAR - 1);
+        const highFirst = bar.high - bar.open <= bar.open - bar.low;
+        const prices = [bar.open, highFirst ? bar.high : bar.low, highFirst ? bar.low : bar.high, bar.close];
+        const volume = (bar.volume || 0) / TICKS_PER_BAR;
+
+        return prices.map((price, index) => ({
+            at: index === TICKS_PER_BAR - 1 ? close - 1 : Math.round(open + step * index),
+            price,
+            volume,
+            bar,
+            first: index === 0,
+            last: index === TICKS_PER_BAR - 1
+        }));
+    }
+
+    /**
+     * Part of a bar's period the symbol's market is open (the whole period for
+     * unregistered symbols and bars the calendar considers closed)
+     */
+    getTradingWindow(symbol, bar) {
+        const start = bar.timestamp.getTime();
+        const end = start + this.timeframeMs;
+
+        if (this.instruments.has(symbol)) {
+            const status = this.calendar.getStatus(symbol, new Date(start));
+            const open = status.status === MARKET_STATUS.OPEN ? start : status.nextOpen?.getTime();
+            const close = status.nextClose?.getTime();
+            if (open < end && close > open) {
+                return { open, close: Math.min(close, end) };
+            }
+        }
+
+        return { open: start, close: end };
+    }
+}
+
+module.exports = ReplayTickSource;
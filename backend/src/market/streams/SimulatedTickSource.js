@@ -0,0 +1,96 @@
+/**
+ * Simulated Tick Source
+ * Random-walk ticks for local development. Each symbol starts from its latest
+ * provider quote (or a fixed price when offline) and moves a small Gaussian
+ * step every interval, rounded to the instrument's tick size.
+ */
+
+const TickSource = require('./TickSource.js');
+
+class SimulatedTickSource extends TickSource {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'simulated';
+        this.intervalMs = config.intervalMs || 1000;
+        this.volatility = config.volatility || 0.0005; // per-tick standard deviation
+        this.marketData = config.marketDataProvider || null;
+        this.instruments = config.instruments || null;
+        this.prices = new Map(); // symbol -> last simulated price
+        this.timer = null;
+    }
+
+    async connect() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.emitTicks(), this.intervalMs);
+        this.timer.unref();
+        this.setConnected(true);
+    }
+
+    async close() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.setConnected(false);
+    }
+
+    subscribe(symbols) {
+        super.subscribe(symbols);
+        symbols.forEach(symbol => this.seedPrice(symbol));
+    }
+
+    unsubscribe(symbols) {
+        super.unsubscribe(symbols);
+        symbols.forEach(symbol => this.prices.delete(symbol));
+    }
+
+    async seedPrice(symbol) {
+        if (this.prices.has(symbol)) return;
+
+        let price = this.config.defaultPrice || 100;
+        if (this.marketData) {
+            try {
+                price = (await this.marketData.getLatestQuote(symbol)).price || price;
+            } catch (error) {
+                console.warn(`⚠️ Simulated ticks for ${symbol} start from ${price}: ${error.message}`);
+            }
+        }
+
+        if (this.symbols.has(symbol) && !this.prices.has(symbol)) {
+            this.prices.set(symbol, price);
+        }
+    }
+
+    emitTicks() {
+        for (const [symbol, lastPrice] of this.prices) {
+            const price = this.roundPrice(symbol, lastPrice * (1 + this.volatility * gaussian()));
+            const halfSpread = this.getTickSize(symbol);
+
+            this.prices.set(symbol, price);
+            this.emit('tick', {
+                symbol,
+                price,
+                bid: this.roundPrice(symbol, price - halfSpread),
+                ask: this.roundPrice(symbol, price + halfSpread),
+                volume: Math.floor(Math.random() * 100) + 1,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    getTickSize(symbol) {
+        return this.instruments?.get(symbol)?.tickSize || 0.01;
+    }
+
+    roundPrice(symbol, price) {
+        return this.instruments?.has(symbol) ? this.instruments.roundPrice(symbol, price) : Math.round(price * 100) / 100;
+    }
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+module.exports = SimulatedTickSource;
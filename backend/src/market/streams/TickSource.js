@@ -0,0 +1,54 @@
+/**
+ * Tick Source Interface
+ * Pushes live price updates into the QuoteStream. Implementations emit:
+ *  - 'tick'   { symbol, price, bid, ask, volume, timestamp }
+ *  - 'status' { connected, source }
+ */
+
+const EventEmitter = require('events');
+
+class TickSource extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+        this.name = 'base';
+        this.connected = false;
+        this.symbols = new Set();
+    }
+
+    /**
+     * Start producing ticks
+     */
+    async connect() {
+        throw new Error(`${this.name} tick source does not implement connect`);
+    }
+
+    /**
+     * Stop producing ticks and release resources
+     */
+    async close() {
+        throw new Error(`${this.name} tick source does not implement close`);
+    }
+
+    /**
+     * Start streaming the given symbols
+     */
+    subscribe(symbols) {
+        symbols.forEach(symbol => this.symbols.add(symbol));
+    }
+
+    /**
+     * Stop streaming the given symbols
+     */
+    unsubscribe(symbols) {
+        symbols.forEach(symbol => this.symbols.delete(symbol));
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        this.emit('status', { connected, source: this.name });
+    }
+}
+
+module.exports = TickSource;
@@ -0,0 +1,111 @@
+/**
+ * WebSocket Tick Source
+ * Consumes an upstream quote feed over WebSocket and reconnects with
+ * exponential backoff. Speaks the same protocol as QuoteStreamServer:
+ *   -> { action: 'subscribe' | 'unsubscribe', symbols: [...] }
+ *   <- { type: 'tick', data: { symbol, price, bid, ask, volume, timestamp } }
+ */
+
+const WebSocket = require('ws');
+const TickSource = require('./TickSource.js');
+
+class WebSocketTickSource extends TickSource {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'websocket';
+        this.url = config.url;
+        this.reconnectDelayMs = config.reconnectDelayMs || 1000;
+        this.maxReconnectDelayMs = config.maxReconnectDelayMs || 30000;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closing = false;
+
+        if (!this.url) {
+            throw new Error('WebSocket tick source requires a url (QUOTE_STREAM_URL)');
+        }
+    }
+
+    async connect() {
+        this.closing = false;
+        this.socket = new WebSocket(this.url);
+
+        this.socket.on('open', () => {
+            this.reconnectAttempts = 0;
+            this.setConnected(true);
+            console.log(`📶 Quote feed connected: ${this.url}`);
+
+            if (this.symbols.size > 0) {
+                this.send({ action: 'subscribe', symbols: Array.from(this.symbols) });
+            }
+        });
+
+        this.socket.on('message', (raw) => this.handleMessage(raw));
+
+        this.socket.on('close', () => {
+            this.setConnected(false);
+            if (!this.closing) this.scheduleReconnect();
+        });
+
+        // 'close' follows every error, so reconnection is handled there
+        this.socket.on('error', (error) => {
+            console.warn(`⚠️ Quote feed error: ${error.message}`);
+        });
+    }
+
+    async close() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.close();
+        this.setConnected(false);
+    }
+
+    subscribe(symbols) {
+        super.subscribe(symbols);
+        this.send({ action: 'subscribe', symbols });
+    }
+
+    unsubscribe(symbols) {
+        super.unsubscribe(symbols);
+        this.send({ action: 'unsubscribe', symbols });
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            console.warn('⚠️ Ignoring malformed quote feed message');
+            return;
+        }
+
+        if (message.type !== 'tick' || !message.data) return;
+
+        const ticks = Array.isArray(message.data) ? message.data : [message.data];
+        for (const tick of ticks) {
+            if (!tick.symbol || !Number.isFinite(Number(tick.price))) continue;
+            this.emit('tick', {
+                ...tick,
+                price: Number(tick.price),
+                timestamp: tick.timestamp ? new Date(tick.timestamp) : new Date()
+            });
+        }
+    }
+
+    scheduleReconnect() {
+        const delay = Math.min(this.reconnectDelayMs * 2 ** this.reconnectAttempts, this.maxReconnectDelayMs);
+        this.reconnectAttempts++;
+
+        console.log(`🔁 Quote feed reconnecting in ${delay}ms`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+        this.reconnectTimer.unref();
+    }
+}
+
+module.exports = WebSocketTickSource;
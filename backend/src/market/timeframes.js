@@ -0,0 +1,105 @@
+/**
+ * Timeframe vocabulary shared by the market data layer, models and route validators
+ *
+ * A timeframe is <count><unit> with unit m (minute), h (hour), d (day), w (week)
+ * or M (month), e.g. '15m', '4h', '1d'. TIMEFRAMES lists the presets exposed to
+ * clients; any other well-formed value (e.g. '2h', '3d') is a custom timeframe
+ * that is resampled from finer bars. Vendor spellings such as '1wk' or '60m'
+ * are not accepted - providers translate at their own boundary.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Nominal duration per unit ('M' uses the shortest month, as a minimum spacing)
+const UNIT_MS = {
+    m: MINUTE_MS,
+    h: 60 * MINUTE_MS,
+    d: DAY_MS,
+    w: 7 * DAY_MS,
+    M: 28 * DAY_MS
+};
+
+const TIMEFRAME_PATTERN = /^([1-9]\d{0,3})(m|h|d|w|M)$/;
+
+const TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w', '1M'];
+
+const TIMEFRAME_MS = Object.fromEntries(TIMEFRAMES.map(timeframe => [timeframe, parseTimeframe(timeframe).ms]));
+
+/**
+ * Thrown when a timeframe is malformed or cannot be served
+ */
+class UnsupportedTimeframeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedTimeframeError';
+        this.code = 'UNSUPPORTED_TIMEFRAME';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Split a timeframe into { timeframe, count, unit, ms }
+ */
+function parseTimeframe(timeframe) {
+    const match = typeof timeframe === 'string' && timeframe.match(TIMEFRAME_PATTERN);
+    if (!match) {
+        throw new UnsupportedTimeframeError(`Unsupported timeframe ${timeframe}. Use <count><m|h|d|w|M>, e.g. ${TIMEFRAMES.join(', ')}`);
+    }
+
+    const count = Number(match[1]);
+    const unit = match[2];
+
+    return { timeframe, count, unit, ms: count * UNIT_MS[unit] };
+}
+
+function isSupportedTimeframe(timeframe) {
+    try {
+        parseTimeframe(timeframe);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getTimeframeMs(timeframe) {
+    return parseTimeframe(timeframe).ms;
+}
+
+/**
+ * Whether bars of `source` can be aggregated into bars of `target`.
+ * Minute/hour bars build any multiple of themselves; daily and finer bars build
+ * days, weeks and months; weekly bars only build whole weeks.
+ */
+function canResample(source, target) {
+    const from = parseTimeframe(source);
+    const to = parseTimeframe(target);
+
+    if (from.ms > to.ms) return false;
+    if (to.unit === 'M') return from.unit !== 'w' && (from.unit !== 'M' || to.count % from.count === 0);
+    if (from.unit === 'M') return false;
+    if (to.unit === 'w' && from.unit === 'w') return to.count % from.count === 0;
+    if (from.unit === 'w') return false;
+
+    return to.ms % from.ms === 0;
+}
+
+/**
+ * Express-validator friendly check (throws with a readable message)
+ */
+function assertTimeframe(timeframe) {
+    parseTimeframe(timeframe);
+    return true;
+}
+
+module.exports = {
+    TIMEFRAMES,
+    TIMEFRAME_MS,
+    DAY_MS,
+    UnsupportedTimeframeError,
+    parseTimeframe,
+    isSupportedTimeframe,
+    getTimeframeMs,
+    canResample,
+    assertTimeframe
+};
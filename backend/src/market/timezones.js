@@ -0,0 +1,66 @@
+/**
+ * Timezone helpers built on Intl (no external tz database)
+ * Shared by CSV imports, bar resampling and market sessions
+ */
+
+/**
+ * Check that a timezone is a valid IANA name or fixed offset (+02:00)
+ */
+function isValidTimeZone(timeZone) {
+    if (/^[+-]\d{2}:?\d{2}$/.test(timeZone)) return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Intl formatters are expensive to build; session checks run on every tick
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Offset (ms) of a timezone from UTC at a given instant
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const fixed = timeZone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (fixed) {
+        const minutes = Number(fixed[2]) * 60 + Number(fixed[3]);
+        return (fixed[1] === '-' ? -1 : 1) * minutes * 60 * 1000;
+    }
+
+    const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time (expressed as UTC millis) in a timezone to a real UTC Date
+ */
+function zonedTimeToUtc(wallClockMs, timeZone) {
+    const guess = wallClockMs - getTimeZoneOffset(wallClockMs, timeZone);
+    return new Date(wallClockMs - getTimeZoneOffset(guess, timeZone));
+}
+
+module.exports = {
+    isValidTimeZone,
+    getTimeZoneOffset,
+    zonedTimeToUtc
+};
@@ -105,6 +105,32 @@ export const generateTokens = (userId, userRole = 'user') => {
     return { accessToken, refreshToken };
 };
 
+// Verify an access token and load its user (shared by HTTP and WebSocket auth)
+export const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+        algorithms: ['HS256'],
+        audience: 'trading-ai-platform',
+        issuer: 'trading-ai-backend'
+    });
+    
+    // Verify user still exists and is active
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive) {
+        const error = new Error('User account not found or inactive');
+        error.code = 'USER_INVALID';
+        throw error;
+    }
+    
+    // Check if token was issued after last password change
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+        const error = new Error('Token expired due to password change');
+        error.code = 'TOKEN_EXPIRED_PASSWORD_CHANGE';
+        throw error;
+    }
+    
+    return { user, decoded };
+};
+
 // Secure token verification middleware
 export const authenticateToken = async (req, res, next) => {
     try {
@@ -118,35 +144,19 @@ export const authenticateToken = async (req, res, next) => {
             });
         }
         
-        const decoded = jwt.verify(token, JWT_SECRET, {
-            algorithms: ['HS256'],
-            audience: 'trading-ai-platform',
-            issuer: 'trading-ai-backend'
-        });
-        
-        // Verify user still exists and is active
-        const user = await User.findById(decoded.userId).select('-password');
-        if (!user || !user.isActive) {
-            return res.status(401).json({ 
-                error: 'User account not found or inactive',
-                code: 'USER_INVALID'
-            });
-        }
-        
-        // Check if token was issued after last password change
-        if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
-            return res.status(401).json({
-                error: 'Token expired due to password change',
-                code: 'TOKEN_EXPIRED_PASSWORD_CHANGE'
-            });
-        }
+        const { user, decoded } = await verifyAccessToken(token);
         
         req.user = user;
         req.tokenIat = decoded.iat;
         next();
         
     } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
+        if (error.code === 'USER_INVALID' || error.code === 'TOKEN_EXPIRED_PASSWORD_CHANGE') {
+            return res.status(401).json({
+                error: error.message,
+                code: error.code
+            });
+        } else if (error.name === 'JsonWebTokenError') {
             return res.status(401).json({ 
                 error: 'Invalid access token',
                 code: 'TOKEN_INVALID'
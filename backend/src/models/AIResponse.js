@@ -0,0 +1,51 @@
+/**
+ * AI Response Model
+ * Recorded model responses used to replay backtests deterministically and
+ * offline. One document per symbol, timeframe, bar, model and prompt version;
+ * the prompt hash tells whether the recorded input still matches.
+ */
+
+const mongoose = require('mongoose');
+
+const aiResponseSchema = new mongoose.Schema({
+    symbol: { type: String, required: true, uppercase: true },
+    timeframe: { type: String, required: true },
+    barTimestamp: { type: Date, required: true },
+    modelId: { type: String, required: true },
+    promptVersion: { type: String, required: true },
+
+    promptHash: { type: String, required: true },
+    prompt: String,
+    response: { type: mongoose.Schema.Types.Mixed, required: true },
+    cost: { type: Number, default: 0 },
+
+    recordedAt: { type: Date, default: Date.now }
+}, {
+    versionKey: false
+});
+
+aiResponseSchema.index({ symbol: 1, timeframe: 1, barTimestamp: 1, modelId: 1, promptVersion: 1 }, { unique: true });
+
+const toKey = ({ symbol, timeframe, barTimestamp, modelId, promptVersion }) => ({
+    symbol: symbol.toUpperCase(),
+    timeframe,
+    barTimestamp: new Date(barTimestamp),
+    modelId,
+    promptVersion
+});
+
+// Recorded response for a key, or null
+aiResponseSchema.statics.findRecorded = function(key) {
+    return this.findOne(toKey(key)).lean();
+};
+
+// Store (or overwrite) the response recorded for a key
+aiResponseSchema.statics.record = function(key, { promptHash, prompt, response, cost }) {
+    return this.findOneAndUpdate(
+        toKey(key),
+        { $set: { promptHash, prompt, response, cost, recordedAt: new Date() } },
+        { upsert: true, new: true }
+    );
+};
+
+module.exports = mongoose.model('AIResponse', aiResponseSchema);
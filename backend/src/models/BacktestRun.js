@@ -0,0 +1,230 @@
+/**
+ * Backtest Run Model
+ * Backtests with their configuration, data fingerprint, metrics, trades and
+ * equity, so results can be revisited, compared and analyzed after the request
+ * that ran them. Walk-forward optimizations and sweeps are kept as summaries.
+ * Free-tier usage is counted from these documents.
+ *
+ * Runs submitted as jobs are stored when queued and move through
+ * queued -> running -> completed | failed | cancelled, with their progress.
+ * The queue instance holding a job refreshes its heartbeat; jobs whose heartbeat
+ * went stale belong to an instance that stopped.
+ */
+
+const mongoose = require('mongoose');
+
+const RUN_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const RUN_KINDS = ['single', 'portfolio', 'walk-forward', 'sweep'];
+
+// Queued or running jobs without a heartbeat for this long are interrupted
+const STALE_JOB_MS = 2 * 60 * 1000;
+
+const backtestRunSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    kind: {
+        type: String,
+        enum: RUN_KINDS,
+        default: 'single'
+    },
+
+    status: {
+        type: String,
+        enum: RUN_STATUSES,
+        default: 'completed'
+    },
+    // Latest simulation progress of a job (bars processed, trades, AI calls and cost)
+    progress: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: {
+        message: String,
+        code: String
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    // Queue instance (host:pid) holding the job and its latest sign of life
+    workerId: String,
+    heartbeatAt: Date,
+
+    symbols: [{ type: String, uppercase: true }],
+    aiModel: String,
+    timeframe: String,
+    startDate: Date,
+    endDate: Date,
+
+    // Request options the run was started with
+    config: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // Hash of the input data (bars, corporate actions, FX rates); equal for runs on identical data
+    dataFingerprint: { type: String, index: true },
+
+    initialCapital: Number,
+    finalCapital: Number,
+    baseCurrency: String,
+    metrics: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // Large payloads are only loaded when asked for
+    trades: { type: [mongoose.Schema.Types.Mixed], select: false },
+    equity: { type: [mongoose.Schema.Types.Mixed], select: false },
+    result: { type: mongoose.Schema.Types.Mixed, select: false }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+backtestRunSchema.index({ userId: 1, createdAt: -1 });
+backtestRunSchema.index({ status: 1 });
+
+// Summary without trades and equity
+backtestRunSchema.methods.toAPI = function() {
+    return {
+        id: this._id,
+        kind: this.kind,
+        status: this.status,
+        progress: this.progress,
+        error: this.error?.message ? this.error : null,
+        symbols: this.symbols,
+        aiModel: this.aiModel,
+        timeframe: this.timeframe,
+        startDate: this.startDate,
+        endDate: this.endDate,
+        config: this.config,
+        dataFingerprint: this.dataFingerprint,
+        initialCapital: this.initialCapital,
+        finalCapital: this.finalCapital,
+        baseCurrency: this.baseCurrency,
+        metrics: this.metrics,
+        createdAt: this.createdAt,
+        startedAt: this.startedAt,
+        finishedAt: this.finishedAt
+    };
+};
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Stored fields of a result. Walk-forward runs keep their stitched out-of-sample
+ * trades and equity; sweeps keep the best combination's figures.
+ */
+function resultFields(result, kind = result.symbols ? 'portfolio' : 'single') {
+    let { trades = [], equity = [], metrics = {}, ...rest } = result;
+
+    if (kind === 'walk-forward') {
+        const { outOfSample, ...summary } = result;
+        ({ trades, equity, metrics } = outOfSample);
+        rest = summary;
+    } else if (kind === 'sweep') {
+        metrics = result.best || {};
+    }
+
+    return {
+        kind,
+        symbols: result.symbols || [result.symbol],
+        dataFingerprint: result.dataFingerprint?.hash,
+        aiModel: result.aiModel,
+        timeframe: result.timeframe,
+        startDate: result.dataRange?.start || result.startDate,
+        endDate: result.dataRange?.end || result.endDate,
+        initialCapital: result.initialCapital,
+        finalCapital: result.finalCapital ?? result.best?.finalCapital,
+        baseCurrency: result.baseCurrency,
+        metrics,
+        trades,
+        equity,
+        result: rest
+    };
+}
+
+/**
+ * AI backtests of a user created since `since` that were not failed or
+ * cancelled (rule-only runs make no AI calls and are not counted), with the
+ * oldest one's creation time. Null without a database connection.
+ */
+backtestRunSchema.statics.countUsage = async function(userId, since) {
+    if (!isConnected()) return null;
+
+    const filter = {
+        userId,
+        createdAt: { $gte: since },
+        status: { $in: ['queued', 'running', 'completed'] },
+        'config.strategy': { $ne: 'technical' }
+    };
+    const [count, oldest] = await Promise.all([
+        this.countDocuments(filter),
+        this.findOne(filter).sort({ createdAt: 1 }).select('createdAt')
+    ]);
+    return { count, oldest: oldest ? oldest.createdAt : null };
+};
+
+/**
+ * Store a queued job under its id (see BacktestJobQueue). Like the updates
+ * below it is a no-op without a database connection.
+ */
+backtestRunSchema.statics.createJob = async function(job) {
+    if (!isConnected()) return null;
+
+    return this.create({
+        _id: job.id,
+        userId: job.userId,
+        kind: job.kind,
+        symbols: job.symbols,
+        aiModel: job.params.aiModel,
+        timeframe: job.params.timeframe,
+        startDate: job.params.startDate,
+        endDate: job.params.endDate,
+        config: job.config,
+        status: 'queued',
+        workerId: job.workerId,
+        heartbeatAt: new Date()
+    });
+};
+
+backtestRunSchema.statics.updateJob = async function(id, update) {
+    if (!isConnected()) return null;
+    return this.updateOne({ _id: id }, { $set: update });
+};
+
+backtestRunSchema.statics.completeJob = async function(id, result, progress = null, kind = undefined) {
+    if (!isConnected()) return null;
+    return this.updateOne({ _id: id }, {
+        $set: { ...resultFields(result, kind), status: 'completed', progress, finishedAt: new Date() }
+    });
+};
+
+/**
+ * Refresh the heartbeat of a worker's active jobs
+ */
+backtestRunSchema.statics.touchJobs = async function(workerId, ids) {
+    if (!isConnected()) return null;
+    return this.updateMany({ _id: { $in: ids }, workerId }, { $set: { heartbeatAt: new Date() } });
+};
+
+/**
+ * Mark failed the queued and running jobs whose instance stopped: their
+ * heartbeat is older than staleAfterMs. Jobs of running instances are kept.
+ */
+backtestRunSchema.statics.failInterruptedJobs = async function(staleAfterMs = STALE_JOB_MS) {
+    if (!isConnected()) return 0;
+
+    const staleBefore = new Date(Date.now() - staleAfterMs);
+    const { modifiedCount } = await this.updateMany({
+        status: { $in: ['queued', 'running'] },
+        $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }]
+    }, {
+        $set: {
+            status: 'failed',
+            error: { message: 'Interrupted by a server restart', code: 'BACKTEST_INTERRUPTED' },
+            finishedAt: new Date()
+        }
+    });
+    return modifiedCount;
+};
+
+module.exports = mongoose.model('BacktestRun', backtestRunSchema);
+module.exports.RUN_STATUSES = RUN_STATUSES;
+module.exports.RUN_KINDS = RUN_KINDS;
+module.exports.STALE_JOB_MS = STALE_JOB_MS;
@@ -0,0 +1,131 @@
+/**
+ * Dataset Model
+ * User-uploaded OHLCV series used for backtesting instead of live provider data
+ */
+
+const mongoose = require('mongoose');
+const { isSupportedTimeframe } = require('../market/timeframes.js');
+
+const barSchema = new mongoose.Schema({
+    timestamp: { type: Date, required: true },
+    open: { type: Number, required: true },
+    high: { type: Number, required: true },
+    low: { type: Number, required: true },
+    close: { type: Number, required: true },
+    volume: { type: Number, default: 0 }
+}, { _id: false });
+
+const datasetSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Dataset name is required'],
+        trim: true,
+        maxlength: [100, 'Dataset name cannot exceed 100 characters']
+    },
+
+    symbol: {
+        type: String,
+        required: [true, 'Symbol is required'],
+        uppercase: true,
+        trim: true
+    },
+
+    // Declared at import time
+    timeframe: {
+        type: String,
+        validate: {
+            validator: isSupportedTimeframe,
+            message: props => `Unsupported timeframe ${props.value}`
+        },
+        required: true
+    },
+
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+
+    columnMapping: {
+        timestamp: String,
+        open: String,
+        high: String,
+        low: String,
+        close: String,
+        volume: String
+    },
+
+    source: {
+        fileName: String,
+        fileSize: Number,
+        rowCount: Number
+    },
+
+    // Bars are stored in UTC, sorted ascending
+    bars: {
+        type: [barSchema],
+        select: false
+    },
+
+    barCount: {
+        type: Number,
+        default: 0
+    },
+
+    startDate: Date,
+    endDate: Date
+}, {
+    timestamps: true
+});
+
+datasetSchema.index({ userId: 1, name: 1 }, { unique: true });
+datasetSchema.index({ userId: 1, symbol: 1 });
+
+// Summary without the bar payload
+datasetSchema.methods.toAPI = function() {
+    return {
+        id: this._id,
+        name: this.name,
+        symbol: this.symbol,
+        timeframe: this.timeframe,
+        timezone: this.timezone,
+        columnMapping: this.columnMapping,
+        source: this.source,
+        barCount: this.barCount,
+        startDate: this.startDate,
+        endDate: this.endDate,
+        createdAt: this.createdAt
+    };
+};
+
+// Load a user's dataset bars, optionally restricted to a date range
+datasetSchema.statics.getBars = async function(datasetId, userId, startDate = null, endDate = null) {
+    const dataset = await this.findOne({ _id: datasetId, userId }).select('+bars');
+    if (!dataset) {
+        throw new Error(`Dataset ${datasetId} not found`);
+    }
+
+    const start = startDate ? new Date(startDate).getTime() : -Infinity;
+    const end = endDate ? new Date(endDate).getTime() : Infinity;
+
+    const bars = dataset.bars
+        .map(bar => ({
+            timestamp: new Date(bar.timestamp),
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume
+        }))
+        .filter(bar => bar.timestamp.getTime() >= start && bar.timestamp.getTime() <= end);
+
+    return { dataset, bars };
+};
+
+module.exports = mongoose.model('Dataset', datasetSchema);
@@ -0,0 +1,74 @@
+/**
+ * Market Bar Model
+ * Every OHLCV bar the platform has fetched, one document per symbol,
+ * timeframe and timestamp. A regular collection with a unique index (rather
+ * than a time-series collection) works on every supported MongoDB version and
+ * lets fills upsert bars in place.
+ */
+
+const mongoose = require('mongoose');
+
+const marketBarSchema = new mongoose.Schema({
+    timestamp: {
+        type: Date,
+        required: true
+    },
+
+    meta: {
+        symbol: { type: String, required: true, uppercase: true },
+        timeframe: { type: String, required: true },
+        source: { type: String, default: 'unknown' }
+    },
+
+    open: Number,
+    high: Number,
+    low: Number,
+    close: Number,
+    volume: { type: Number, default: 0 }
+}, {
+    versionKey: false
+});
+
+marketBarSchema.index({ 'meta.symbol': 1, 'meta.timeframe': 1, timestamp: 1 }, { unique: true });
+
+// Bars for a symbol/timeframe in [start, end], ascending
+marketBarSchema.statics.findRange = function(symbol, timeframe, start, end) {
+    return this.find({
+        'meta.symbol': symbol,
+        'meta.timeframe': timeframe,
+        timestamp: { $gte: new Date(start), $lte: new Date(end) }
+    })
+        .sort({ timestamp: 1 })
+        .lean();
+};
+
+// Replace the stored bars of a range with freshly fetched ones: upsert each
+// bar, then drop stored bars of the range the upstream no longer returns
+marketBarSchema.statics.replaceRange = async function(symbol, timeframe, start, end, bars, source) {
+    if (bars.length > 0) {
+        await this.bulkWrite(bars.map(bar => ({
+            updateOne: {
+                filter: { 'meta.symbol': symbol, 'meta.timeframe': timeframe, timestamp: bar.timestamp },
+                update: {
+                    $set: {
+                        'meta.source': source,
+                        open: bar.open,
+                        high: bar.high,
+                        low: bar.low,
+                        close: bar.close,
+                        volume: bar.volume
+                    }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+
+    await this.deleteMany({
+        'meta.symbol': symbol,
+        'meta.timeframe': timeframe,
+        timestamp: { $gte: new Date(start), $lte: new Date(end), $nin: bars.map(bar => new Date(bar.timestamp)) }
+    });
+};
+
+module.exports = mongoose.model('MarketBar', marketBarSchema);
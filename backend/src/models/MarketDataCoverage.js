@@ -0,0 +1,120 @@
+/**
+ * Market Data Coverage Model
+ * Records which time ranges of a symbol/timeframe have already been fetched
+ * into the MarketBar store, so only the gaps are requested upstream.
+ */
+
+const mongoose = require('mongoose');
+
+const coverageSchema = new mongoose.Schema({
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+
+    timeframe: {
+        type: String,
+        required: true
+    },
+
+    source: String,
+
+    // Fetched ranges; concurrent fills append, so readers merge them (see mergeRanges)
+    ranges: [{
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        _id: false
+    }],
+
+    lastFetchedAt: Date
+}, {
+    timestamps: true
+});
+
+coverageSchema.index({ symbol: 1, timeframe: 1 }, { unique: true });
+
+/**
+ * Sort ranges by start and merge overlapping/adjacent ones
+ */
+function mergeRanges(ranges) {
+    const sorted = ranges
+        .map(range => ({ start: new Date(range.start).getTime(), end: new Date(range.end).getTime() }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+
+    return merged.map(range => ({ start: new Date(range.start), end: new Date(range.end) }));
+}
+
+/**
+ * Sub-ranges of [start, end] not yet covered
+ */
+coverageSchema.methods.getMissingRanges = function(start, end) {
+    const missing = [];
+    let cursor = new Date(start).getTime();
+    const endTime = new Date(end).getTime();
+
+    for (const range of mergeRanges(this.ranges)) {
+        const rangeStart = range.start.getTime();
+        const rangeEnd = range.end.getTime();
+
+        if (rangeEnd < cursor) continue;
+        if (rangeStart > endTime) break;
+
+        if (rangeStart > cursor) {
+            missing.push({ start: new Date(cursor), end: new Date(rangeStart) });
+        }
+        cursor = Math.max(cursor, rangeEnd);
+    }
+
+    if (cursor < endTime) {
+        missing.push({ start: new Date(cursor), end: new Date(endTime) });
+    }
+
+    return missing;
+};
+
+/**
+ * Atomically record a fetched range, creating the coverage document if needed.
+ * The range is appended, so writers on other processes never overwrite each
+ * other; the list is then compacted unless someone appended in between.
+ */
+coverageSchema.statics.recordRange = async function(symbol, timeframe, source, start, end) {
+    const coverage = await this.findOneAndUpdate(
+        { symbol, timeframe },
+        {
+            $push: { ranges: { start, end } },
+            $set: { lastFetchedAt: new Date() },
+            $setOnInsert: { source }
+        },
+        { upsert: true, new: true }
+    );
+
+    const merged = mergeRanges(coverage.ranges);
+    if (merged.length < coverage.ranges.length) {
+        await this.updateOne({ _id: coverage._id, ranges: coverage.toObject().ranges }, { $set: { ranges: merged } });
+    }
+    return coverage;
+};
+
+coverageSchema.methods.toAPI = function() {
+    return {
+        symbol: this.symbol,
+        timeframe: this.timeframe,
+        source: this.source,
+        ranges: mergeRanges(this.ranges),
+        lastFetchedAt: this.lastFetchedAt
+    };
+};
+
+module.exports = mongoose.model('MarketDataCoverage', coverageSchema);
+module.exports.mergeRanges = mergeRanges;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { isSupportedTimeframe, parseTimeframe } from '../market/timeframes.js';
 
 /**
  * Trading Analysis Model
@@ -34,7 +35,10 @@ const tradingAnalysisSchema = new mongoose.Schema({
         },
         timeframe: {
             type: String,
-            enum: ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w', '1M'],
+            validate: {
+                validator: isSupportedTimeframe,
+                message: props => `Unsupported timeframe ${props.value}`
+            },
             required: true
         },
         analysisType: {
@@ -263,7 +267,9 @@ const tradingAnalysisSchema = new mongoose.Schema({
         type: Date,
         default: function() {
             // Analysis expires after 24 hours for intraday, 7 days for swing/position
-            const hours = ['1m', '5m', '15m', '30m', '1h'].includes(this.request.timeframe) ? 24 : 168;
+            const intraday = isSupportedTimeframe(this.request.timeframe) &&
+                ['m', 'h'].includes(parseTimeframe(this.request.timeframe).unit);
+            const hours = intraday ? 24 : 168;
             return new Date(Date.now() + hours * 60 * 60 * 1000);
         }
     },
@@ -6,6 +6,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const FillModel = require('../engine/FillModel.js');
+const CarryCostModel = require('../engine/CarryCostModel.js');
+const PositionSizer = require('../engine/PositionSizer.js');
 
 const userSchema = new mongoose.Schema({
     // Personal Information
@@ -81,6 +84,50 @@ const userSchema = new mongoose.Schema({
         autoTrade: {
             type: Boolean,
             default: false
+        },
+        
+        // What happens to orders placed while the instrument's market is closed
+        closedMarketOrders: {
+            type: String,
+            enum: ['reject', 'queue'],
+            default: 'reject'
+        },
+        
+        // Account currency for balance, P&L and margin (must be convertible via a registered forex pair)
+        baseCurrency: {
+            type: String,
+            enum: ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'NZD'],
+            default: 'USD'
+        },
+        
+        // Paper trading fill options (spread, slippage, latency, volume participation), as backtests take them
+        fillModel: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+            validate: {
+                validator: value => !FillModel.validate(value),
+                message: props => FillModel.validate(props.value)
+            }
+        },
+        
+        // Paper trading carry cost options (enabled, financing rate overrides), as backtests take them
+        carryCosts: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+            validate: {
+                validator: value => !CarryCostModel.validate(value),
+                message: props => CarryCostModel.validate(props.value)
+            }
+        },
+        
+        // Position sizing model and inputs for orders without a quantity, as backtests take them
+        positionSizing: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+            validate: {
+                validator: value => !PositionSizer.validate(value),
+                message: props => PositionSizer.validate(props.value)
+            }
         }
     },
     
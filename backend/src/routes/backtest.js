@@ -1,57 +1,627 @@
 import express from 'express';
-import BacktestEngine from '../engine/BacktestEngine.js';
+import multer from 'multer';
+import { PRICE_ADJUSTMENTS, AI_MODES, TUNABLE_PARAMETERS, STRATEGY_TYPES, STRATEGY_PRESETS, INTRABAR_PATHS, FILL_MODEL_DEFAULTS, ENTRY_ORDER_TYPES, ENTRY_ORDER_DEFAULTS, getEntryOrdersError } from '../engine/BacktestEngine.js';
+import FillModel from '../engine/FillModel.js';
+import CarryCostModel from '../engine/CarryCostModel.js';
+import PositionSizer from '../engine/PositionSizer.js';
+import WalkForwardOptimizer, { OBJECTIVES } from '../engine/WalkForwardOptimizer.js';
+import ParameterSweep, { SEARCH_METHODS } from '../engine/ParameterSweep.js';
+import { newSeed } from '../engine/random.js';
+import MonteCarloAnalyzer, { MONTE_CARLO_METHODS } from '../engine/MonteCarloAnalyzer.js';
+import BacktestJobQueue from '../engine/BacktestJobQueue.js';
+import RunComparison from '../engine/RunComparison.js';
+import { BENCHMARK_SELECTIONS } from '../engine/BenchmarkComparison.js';
+import { INDICATORS } from '../engine/RuleStrategy.js';
 import AIModelManager from '../ai/AIModelManager.js';
+import CsvDatasetImporter from '../market/CsvDatasetImporter.js';
+import Dataset from '../models/Dataset.js';
+import mongoose from 'mongoose';
+import BacktestRun, { RUN_STATUSES, RUN_KINDS } from '../models/BacktestRun.js';
+import { getInstrumentRegistry, isSupportedTimeframe, TIMEFRAMES } from '../market/index.js';
 
 const router = express.Router();
 
+// CSV uploads are parsed in memory (max 20MB)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv');
+    cb(isCsv ? null : new Error('Only CSV files are supported'), isCsv);
+  }
+});
+
+// Parse the upload, answering rejected files (wrong type, over the limit) in JSON
+function uploadCsv(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      message: tooLarge ? 'CSV files are limited to 20MB' : error.message,
+      code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+    });
+  });
+}
+
 // Initialize engines
-const backtestEngine = new BacktestEngine();
 const aiManager = new AIModelManager();
+const jobQueue = new BacktestJobQueue({ engineConfig: { aiManager } });
+const walkForwardOptimizer = new WalkForwardOptimizer({ aiManager });
+const parameterSweep = new ParameterSweep({ aiManager });
+const monteCarloAnalyzer = new MonteCarloAnalyzer();
+const runComparison = new RunComparison();
+
+// Free tier: AI backtests per rolling day, counted from stored runs
+const FREE_TIER_BACKTESTS = 4;
+const FREE_TIER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Time between keep-alive comments on job event streams
+const EVENT_STREAM_HEARTBEAT_MS = 15 * 1000;
 
-// Store user backtest counts (in production, use database)
-const userBacktestCounts = new Map();
+// Largest basket accepted by /portfolio
+const MAX_PORTFOLIO_SYMBOLS = 10;
 
-// POST /api/backtest/run - Run real AI backtest
+// POST /api/backtest/run - Queue a real AI backtest; poll or subscribe to /jobs/:id for progress and results
 router.post('/run', async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
-    
+    
+    const {
+      symbol,
+      aiModel,
+      startDate,
+      endDate,
+      datasetId,
+      timeframe = '1d',
+      adjustment = 'adjusted',
+      creditDividends = false,
+      aiMode = 'record',
+      benchmark = 'symbol',
+      strategy = 'ai-signals',
+      rules,
+      fillModel,
+      entryOrders,
+      carryCosts,
+      positionSizing,
+      userTier = 'free'
+    } = req.body;
+    const userId = req.user.id;
+
+    // Validate required fields (uploaded datasets carry their own symbol and range; technical runs need no model)
+    if ((!aiModel && strategy !== 'technical') || (!datasetId && (!symbol || !startDate || !endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: aiModel (unless strategy is technical) and either datasetId or symbol, startDate, endDate'
+      });
+    }
+
+    if (!datasetId && !getInstrumentRegistry().has(symbol)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown instrument ${symbol}`
+      });
+    }
+
+    const optionsError = getRunOptionsError({ timeframe, adjustment, aiMode, benchmark, strategy, fillModel, entryOrders, carryCosts, positionSizing });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    // Check free tier limits (rule-only runs make no AI calls and are not counted)
+    if (strategy !== 'technical' && await hasReachedFreeLimit(userId, userTier)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Free tier limit reached. Upgrade to premium for unlimited backtests.',
+        remainingBacktests: 0
+      });
+    }
+
+    // Validate AI model access
+    const availableModels = aiManager.getAvailableModels(userTier);
+    const modelExists = availableModels.find(m => m.id === aiModel);
+    
+    if (!modelExists && strategy !== 'technical') {
+      return res.status(400).json({
+        success: false,
+        message: `AI model ${aiModel} not available for ${userTier} tier. Available models: ${availableModels.map(m => m.id).join(', ')}`
+      });
+    }
+
+    console.log(`🔍 Queueing real backtest: ${symbol || datasetId} with ${aiModel} (${userTier} tier)`);
+
+    // The simulation runs on a worker; the stored run keeps it for later analysis
+    const job = await jobQueue.submit(userId, 'single', {
+      symbol,
+      startDate,
+      endDate,
+      aiModel,
+      timeframe,
+      adjustment,
+      creditDividends: creditDividends === true || creditDividends === 'true',
+      aiMode,
+      benchmark,
+      strategy,
+      rules,
+      fillModel,
+      entryOrders,
+      carryCosts,
+      positionSizing,
+      datasetId,
+      userTier
+    }, {
+      symbol, datasetId, startDate, endDate, aiModel, timeframe, adjustment, creditDividends, aiMode, benchmark, strategy, rules, fillModel, entryOrders, carryCosts, positionSizing
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        ...jobQueue.toAPI(job),
+        cost: strategy === 'technical' ? 0 : modelExists.cost,
+        remainingBacktests: await getRemainingBacktests(userId, userTier)
+      }
+    });
+
+  } catch (error) {
+    console.error('Backtest error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Backtest failed: ${error.message}`,
+      ...(error.code && { code: error.code }),
+      ...(error.report && { dataQuality: error.report })
+    });
+  }
+});
+
+// POST /api/backtest/portfolio - Queue a backtest of a basket of symbols with shared capital
+router.post('/portfolio', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const {
+      symbols,
+      aiModel,
+      startDate,
+      endDate,
+      timeframe = '1d',
+      adjustment = 'adjusted',
+      creditDividends = false,
+      aiMode = 'record',
+      benchmark = 'symbol',
+      strategy = 'ai-signals',
+      rules,
+      fillModel,
+      entryOrders,
+      carryCosts,
+      positionSizing,
+      userTier = 'free'
+    } = req.body;
+    const userId = req.user.id;
+
+    if ((!aiModel && strategy !== 'technical') || !Array.isArray(symbols) || symbols.length === 0 || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: aiModel (unless strategy is technical), symbols (array), startDate, endDate'
+      });
+    }
+
+    if (symbols.length > MAX_PORTFOLIO_SYMBOLS) {
+      return res.status(400).json({
+        success: false,
+        message: `A portfolio backtest takes at most ${MAX_PORTFOLIO_SYMBOLS} symbols`
+      });
+    }
+
+    const unknown = symbols.filter(symbol => !getInstrumentRegistry().has(symbol));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown instruments: ${unknown.join(', ')}`
+      });
+    }
+
+    const optionsError = getRunOptionsError({ timeframe, adjustment, aiMode, benchmark, strategy, fillModel, entryOrders, carryCosts, positionSizing });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    if (strategy !== 'technical' && await hasReachedFreeLimit(userId, userTier)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Free tier limit reached. Upgrade to premium for unlimited backtests.',
+        remainingBacktests: 0
+      });
+    }
+
+    const availableModels = aiManager.getAvailableModels(userTier);
+    const modelExists = availableModels.find(m => m.id === aiModel);
+
+    if (!modelExists && strategy !== 'technical') {
+      return res.status(400).json({
+        success: false,
+        message: `AI model ${aiModel} not available for ${userTier} tier. Available models: ${availableModels.map(m => m.id).join(', ')}`
+      });
+    }
+
+    console.log(`🔍 Queueing portfolio backtest: ${symbols.join(', ')} with ${aiModel} (${userTier} tier)`);
+
+    const job = await jobQueue.submit(userId, 'portfolio', {
+      symbols,
+      startDate,
+      endDate,
+      aiModel,
+      timeframe,
+      adjustment,
+      creditDividends: creditDividends === true || creditDividends === 'true',
+      aiMode,
+      benchmark,
+      strategy,
+      rules,
+      fillModel,
+      entryOrders,
+      carryCosts,
+      positionSizing,
+      userTier
+    }, {
+      symbols, startDate, endDate, aiModel, timeframe, adjustment, creditDividends, aiMode, benchmark, strategy, rules, fillModel, entryOrders, carryCosts, positionSizing
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        ...jobQueue.toAPI(job),
+        cost: strategy === 'technical' ? 0 : modelExists.cost,
+        remainingBacktests: await getRemainingBacktests(userId, userTier)
+      }
+    });
+
+  } catch (error) {
+    console.error('Portfolio backtest error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Portfolio backtest failed: ${error.message}`,
+      ...(error.code && { code: error.code }),
+      ...(error.report && { dataQuality: error.report })
+    });
+  }
+});
+
+// GET /api/backtest/jobs - The user's backtest jobs and stored runs, newest first
+router.get('/jobs', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { status, limit = 20 } = req.query;
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status ${status}. Use ${RUN_STATUSES.join(', ')}`
+      });
+    }
+
+    const jobs = await jobQueue.list(req.user.id, {
+      status: status || null,
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+
+  } catch (error) {
+    console.error('Error listing backtest jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing backtest jobs'
+    });
+  }
+});
+
+// GET /api/backtest/jobs/:id - Job status and progress, with the full result once completed
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const job = await jobQueue.get(req.params.id, req.user.id, { withResult: true });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error fetching backtest job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching backtest job'
+    });
+  }
+});
+
+// GET /api/backtest/jobs/:id/events - Server-sent events with the job's status and progress until it finishes
+router.get('/jobs/:id/events', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const job = await jobQueue.get(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest job not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      res.flush?.(); // compression would otherwise buffer the stream
+    };
+
+    send('status', job);
+    if (!jobQueue.getOwnJob(job.id, req.user.id) || ['completed', 'failed', 'cancelled'].includes(job.status)) {
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+      res.flush?.();
+    }, EVENT_STREAM_HEARTBEAT_MS);
+
+    const unsubscribe = jobQueue.subscribe(job.id, (event, data) => {
+      send(event, data);
+      if (event === 'status' && ['completed', 'failed', 'cancelled'].includes(data.status)) {
+        res.end();
+      }
+    });
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+  } catch (error) {
+    console.error('Error streaming backtest job:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error streaming backtest job'
+    });
+  }
+});
+
+// POST /api/backtest/jobs/:id/cancel - Cancel a queued or running job
+router.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const job = await jobQueue.cancel(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active backtest job not found'
+      });
+    }
+
+    res.status(job.status === 'cancelled' ? 200 : 202).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Backtest job cancelled' : 'Backtest job is stopping',
+      data: jobQueue.toAPI(job)
+    });
+
+  } catch (error) {
+    console.error('Error cancelling backtest job:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Cancelling backtest job failed: ${error.message}`,
+      ...(error.code && { code: error.code })
+    });
+  }
+});
+
+// POST /api/backtest/walk-forward - Queue an optimization of parameters in-sample with stitched out-of-sample results
+router.post('/walk-forward', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const {
+      symbol,
+      aiModel,
+      startDate,
+      endDate,
+      timeframe = '1d',
+      adjustment = 'adjusted',
+      creditDividends = false,
+      aiMode = 'record',
+      userTier = 'free',
+      inSampleDays,
+      outOfSampleDays,
+      anchored = false,
+      objective,
+      parameters
+    } = req.body;
+    const userId = req.user.id;
+
+    if (!aiModel || !symbol || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: aiModel, symbol, startDate, endDate'
+      });
+    }
+
+    if (!getInstrumentRegistry().has(symbol)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown instrument ${symbol}`
+      });
+    }
+
+    const optionsError = getRunOptionsError({ timeframe, adjustment, aiMode });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    if (await hasReachedFreeLimit(userId, userTier)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Free tier limit reached. Upgrade to premium for unlimited backtests.',
+        remainingBacktests: 0
+      });
+    }
+
+    const availableModels = aiManager.getAvailableModels(userTier);
+    const modelExists = availableModels.find(m => m.id === aiModel);
+
+    if (!modelExists) {
+      return res.status(400).json({
+        success: false,
+        message: `AI model ${aiModel} not available for ${userTier} tier. Available models: ${availableModels.map(m => m.id).join(', ')}`
+      });
+    }
+
+    const params = {
+      symbol,
+      startDate,
+      endDate,
+      aiModel,
+      timeframe,
+      adjustment,
+      creditDividends: creditDividends === true || creditDividends === 'true',
+      aiMode,
+      userTier,
+      inSampleDays: inSampleDays === undefined ? undefined : Number(inSampleDays),
+      outOfSampleDays: outOfSampleDays === undefined ? undefined : Number(outOfSampleDays),
+      anchored: anchored === true || anchored === 'true',
+      objective,
+      parameters
+    };
+
+    // Invalid grids and windows are rejected here rather than failing the job
+    walkForwardOptimizer.plan(params);
+
+    console.log(`🔍 Queueing walk-forward optimization: ${symbol} with ${aiModel} (${userTier} tier)`);
+
+    // Stored with its out-of-sample trades and equity once completed; counts towards the free tier
+    const job = await jobQueue.submit(userId, 'walk-forward', params, {
+      symbol, startDate, endDate, aiModel, timeframe, adjustment, creditDividends, aiMode,
+      inSampleDays: params.inSampleDays, outOfSampleDays: params.outOfSampleDays, anchored: params.anchored, objective, parameters
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        ...jobQueue.toAPI(job),
+        cost: modelExists.cost,
+        remainingBacktests: await getRemainingBacktests(userId, userTier)
+      }
+    });
+
+  } catch (error) {
+    console.error('Walk-forward error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Walk-forward optimization failed: ${error.message}`,
+      ...(error.code && { code: error.code }),
+      ...(error.report && { dataQuality: error.report })
+    });
+  }
+});
+
+// POST /api/backtest/sweep - Queue a grid or random search over backtest parameters
+router.post('/sweep', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
     const {
       symbol,
       aiModel,
       startDate,
       endDate,
       timeframe = '1d',
-      userTier = 'free'
+      adjustment = 'adjusted',
+      creditDividends = false,
+      aiMode = 'record',
+      userTier = 'free',
+      parameters,
+      method,
+      samples,
+      seed,
+      concurrency,
+      rankBy
     } = req.body;
     const userId = req.user.id;
 
-    // Validate required fields
-    if (!symbol || !aiModel || !startDate || !endDate) {
+    if (!aiModel || !symbol || !startDate || !endDate || !parameters) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: symbol, aiModel, startDate, endDate'
+        message: 'Missing required fields: aiModel, symbol, startDate, endDate, parameters'
       });
     }
 
-    // Check free tier limits
-    if (userTier === 'free') {
-      const userCount = userBacktestCounts.get(userId) || 0;
-      if (userCount >= 4) {
-        return res.status(403).json({
-          success: false,
-          message: 'Free tier limit reached. Upgrade to premium for unlimited backtests.',
-          remainingBacktests: 0
-        });
-      }
+    if (!getInstrumentRegistry().has(symbol)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown instrument ${symbol}`
+      });
+    }
+
+    const optionsError = getRunOptionsError({ timeframe, adjustment, aiMode });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    if (await hasReachedFreeLimit(userId, userTier)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Free tier limit reached. Upgrade to premium for unlimited backtests.',
+        remainingBacktests: 0
+      });
     }
 
-    // Validate AI model access
     const availableModels = aiManager.getAvailableModels(userTier);
     const modelExists = availableModels.find(m => m.id === aiModel);
-    
+
     if (!modelExists) {
       return res.status(400).json({
         success: false,
@@ -59,45 +629,251 @@ router.post('/run', async (req, res) => {
       });
     }
 
-    console.log(`🔍 Starting real backtest: ${symbol} with ${aiModel} (${userTier} tier)`);
-
-    // Run the actual backtest with AI
-    const results = await backtestEngine.runBacktest({
+    const params = {
       symbol,
       startDate,
       endDate,
       aiModel,
       timeframe,
-      userTier
+      adjustment,
+      creditDividends: creditDividends === true || creditDividends === 'true',
+      aiMode,
+      userTier,
+      parameters,
+      method,
+      samples: samples === undefined ? undefined : Number(samples),
+      // Drawn now so the stored configuration can repeat the sample
+      seed: seed === undefined ? newSeed() : Number(seed),
+      concurrency: concurrency === undefined ? undefined : Number(concurrency),
+      rankBy
+    };
+
+    // Invalid parameters and settings are rejected here rather than failing the job
+    parameterSweep.plan(params);
+
+    console.log(`🔍 Queueing parameter sweep: ${symbol} with ${aiModel} (${userTier} tier)`);
+
+    const job = await jobQueue.submit(userId, 'sweep', params, {
+      symbol, startDate, endDate, aiModel, timeframe, adjustment, creditDividends, aiMode,
+      parameters, method, samples, seed: method === 'random' ? params.seed : undefined, rankBy
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        ...jobQueue.toAPI(job),
+        cost: modelExists.cost,
+        remainingBacktests: await getRemainingBacktests(userId, userTier)
+      }
     });
 
-    // Update user backtest count
-    if (userTier === 'free') {
-      const currentCount = userBacktestCounts.get(userId) || 0;
-      userBacktestCounts.set(userId, currentCount + 1);
+  } catch (error) {
+    console.error('Sweep error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Parameter sweep failed: ${error.message}`,
+      ...(error.code && { code: error.code }),
+      ...(error.report && { dataQuality: error.report })
+    });
+  }
+});
+
+// GET /api/backtest/runs - Stored backtest runs of the user, newest first
+router.get('/runs', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!isDatabaseConnected()) {
+      return res.status(503).json(DATABASE_UNAVAILABLE);
+    }
+
+    const { page = 1, limit = 20, kind, status, symbol } = req.query;
+    if (kind && !RUN_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown kind ${kind}. Use ${RUN_KINDS.join(', ')}`
+      });
+    }
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status ${status}. Use ${RUN_STATUSES.join(', ')}`
+      });
     }
 
-    const result = {
-      id: `bt_${Date.now()}`,
-      ...results,
-      status: 'completed',
-      createdAt: new Date().toISOString(),
-      cost: modelExists.cost,
-      remainingBacktests: userTier === 'free' ? Math.max(0, 4 - (userBacktestCounts.get(userId) || 0)) : 'unlimited'
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const filter = {
+      userId: req.user.id,
+      ...(kind && { kind }),
+      ...(status && { status }),
+      ...(symbol && { symbols: String(symbol).toUpperCase() })
     };
 
-    console.log(`✅ Backtest completed: ${results.trades.length} trades, ${results.metrics.totalReturn}% return`);
+    const [runs, total] = await Promise.all([
+      BacktestRun.find(filter).sort({ createdAt: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+      BacktestRun.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      data: result
+      data: {
+        runs: runs.map(run => run.toAPI()),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize)
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Backtest error:', error);
+    console.error('Error listing backtest runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing backtest runs'
+    });
+  }
+});
+
+// GET /api/backtest/runs/compare?ids=a,b - Align two or more runs' equity curves and metrics
+router.get('/runs/compare', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!isDatabaseConnected()) {
+      return res.status(503).json(DATABASE_UNAVAILABLE);
+    }
+
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+    const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+    if (ids.length < 2 || invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: invalid.length > 0 ? `Invalid run IDs: ${invalid.join(', ')}` : 'ids must list at least two run IDs separated by commas'
+      });
+    }
+
+    const runs = await BacktestRun.find({ _id: { $in: ids }, userId: req.user.id }).select('+equity');
+    const missing = ids.filter(id => !runs.some(run => run._id.toString() === id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Backtest runs not found: ${missing.join(', ')}`
+      });
+    }
+
+    // Keep the requested order
+    runs.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+
+    res.json({
+      success: true,
+      data: runComparison.compare(runs)
+    });
+
+  } catch (error) {
+    console.error('Run comparison error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Run comparison failed: ${error.message}`,
+      ...(error.code && { code: error.code })
+    });
+  }
+});
+
+// GET /api/backtest/runs/:id - A stored run with its trades, equity and full result
+router.get('/runs/:id', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!isDatabaseConnected()) {
+      return res.status(503).json(DATABASE_UNAVAILABLE);
+    }
+
+    const run = mongoose.isValidObjectId(req.params.id)
+      ? await BacktestRun.findOne({ _id: req.params.id, userId: req.user.id }).select('+trades +equity +result')
+      : null;
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...run.toAPI(),
+        trades: run.trades,
+        equity: run.equity,
+        result: run.result
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching backtest run:', error);
     res.status(500).json({
       success: false,
-      message: `Backtest failed: ${error.message}`
+      message: 'Error fetching backtest run'
+    });
+  }
+});
+
+// POST /api/backtest/runs/:id/monte-carlo - Monte Carlo robustness analysis of a saved run's trades
+router.post('/runs/:id/monte-carlo', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!isDatabaseConnected()) {
+      return res.status(503).json(DATABASE_UNAVAILABLE);
+    }
+
+    const run = mongoose.isValidObjectId(req.params.id)
+      ? await BacktestRun.findOne({ _id: req.params.id, userId: req.user.id }).select('+trades')
+      : null;
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest run not found'
+      });
+    }
+
+    const { iterations, method, skipRate, slippage, ruinLevel, seed } = req.body;
+    const toNumber = value => value === undefined ? undefined : Number(value);
+
+    const analysis = monteCarloAnalyzer.analyze(run.trades, run.initialCapital, {
+      iterations: toNumber(iterations),
+      method,
+      skipRate: toNumber(skipRate),
+      slippage: toNumber(slippage),
+      ruinLevel: toNumber(ruinLevel),
+      seed: toNumber(seed)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        runId: run._id,
+        symbols: run.symbols,
+        ...analysis
+      }
+    });
+
+  } catch (error) {
+    console.error('Monte Carlo error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Monte Carlo analysis failed: ${error.message}`,
+      ...(error.code && { code: error.code })
     });
   }
 });
@@ -137,17 +913,46 @@ router.get('/status', async (req, res) => {
       data: {
         backtestEngine: 'ready',
         aiConnections: connectionStatus,
-        supportedSymbols: [
-          'AAPL', 'GOOGL', 'MSFT', 'TSLA', 'AMZN', 'META', 'NVDA',
-          'SPY', 'QQQ', 'IWM',
-          'EURUSD', 'GBPUSD', 'USDJPY', 'AUDUSD', 'USDCAD'
-        ],
-        timeframes: ['1m', '5m', '15m', '1h', '4h', '1d', '1w'],
+        supportedSymbols: getInstrumentRegistry().getSymbols(),
+        markets: getInstrumentRegistry().getSymbolsByAssetClass(),
+        timeframes: TIMEFRAMES,
+        priceAdjustments: PRICE_ADJUSTMENTS,
+        aiModes: AI_MODES,
+        tunableParameters: TUNABLE_PARAMETERS,
+        optimizationObjectives: OBJECTIVES,
+        sweepMethods: SEARCH_METHODS,
+        monteCarloMethods: MONTE_CARLO_METHODS,
+        benchmarks: [...BENCHMARK_SELECTIONS, 'SPY'],
+        strategyTypes: STRATEGY_TYPES,
+        strategyPresets: STRATEGY_PRESETS,
+        strategyIndicators: INDICATORS,
+        fillModelDefaults: FILL_MODEL_DEFAULTS,
+        intrabarPaths: INTRABAR_PATHS,
+        entryOrderTypes: ENTRY_ORDER_TYPES,
+        entryOrderDefaults: ENTRY_ORDER_DEFAULTS,
+        carryCostTypes: CarryCostModel.CARRY_COST_TYPES,
+        financingRates: Object.keys(CarryCostModel.FINANCING_FIELDS),
+        sizingModels: PositionSizer.SIZING_MODELS,
+        positionSizingDefaults: PositionSizer.SIZING_DEFAULTS,
         features: {
           realAI: true,
           yahooFinanceData: true,
           comprehensiveMetrics: true,
-          riskManagement: true
+          riskManagement: true,
+          corporateActions: true,
+          aiResponseReplay: true,
+          portfolioBacktests: true,
+          walkForward: true,
+          parameterSweeps: true,
+          monteCarlo: true,
+          benchmarks: true,
+          ruleStrategies: true,
+          backgroundJobs: true,
+          runHistory: true,
+          fillModel: true,
+          entryOrders: true,
+          carryCosts: true,
+          positionSizing: true
         }
       }
     });
@@ -162,7 +967,7 @@ router.get('/status', async (req, res) => {
 });
 
 // GET /api/backtest/limits - Check user limits
-router.get('/limits', (req, res) => {
+router.get('/limits', async (req, res) => {
   try {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
@@ -170,17 +975,17 @@ router.get('/limits', (req, res) => {
     const userId = req.user.id;
     const { userTier = 'free' } = req.query;
     
-    const backtestsUsed = userBacktestCounts.get(userId) || 0;
+    const usage = await getUsage(userId);
     
     res.json({
       success: true,
       data: {
         tier: userTier,
-        backtestsUsed,
-        backtestsRemaining: userTier === 'free' ? Math.max(0, 4 - backtestsUsed) : 'unlimited',
-        dailyLimit: userTier === 'free' ? 4 : 'unlimited',
+        backtestsUsed: usage.used,
+        backtestsRemaining: await getRemainingBacktests(userId, userTier),
+        dailyLimit: userTier === 'free' ? FREE_TIER_BACKTESTS : 'unlimited',
         aiModelsAccess: userTier === 'free' ? ['gpt-4'] : ['gpt-4', 'gpt-4-turbo', 'claude-3-sonnet', 'claude-3-opus'],
-        resetTime: userTier === 'free' ? new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() : null
+        resetTime: userTier === 'free' && usage.resetTime ? usage.resetTime.toISOString() : null
       }
     });
 
@@ -193,9 +998,250 @@ router.get('/limits', (req, res) => {
   }
 });
 
+// POST /api/backtest/datasets - Upload an OHLCV CSV as a named dataset
+router.post('/datasets', uploadCsv, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { name, symbol, timeframe = '1d', timezone = 'UTC' } = req.body;
+
+    if (!req.file || !name || !symbol) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: file, name, symbol'
+      });
+    }
+
+    let columnMapping = {};
+    if (req.body.columnMapping) {
+      try {
+        columnMapping = typeof req.body.columnMapping === 'string'
+          ? JSON.parse(req.body.columnMapping)
+          : req.body.columnMapping;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'columnMapping must be valid JSON'
+        });
+      }
+    }
+
+    let importer;
+    try {
+      importer = new CsvDatasetImporter({ timeframe, timezone, columnMapping });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const result = await importer.import(req.file.buffer);
+
+    if (result.errorCount > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `Dataset validation failed with ${result.errorCount} error(s)`,
+        code: 'DATASET_VALIDATION_ERROR',
+        errors: result.errors,
+        errorCount: result.errorCount,
+        rowCount: result.rowCount,
+        columnMapping: result.columnMapping
+      });
+    }
+
+    if (result.bars.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'Dataset contains no bars',
+        code: 'DATASET_EMPTY'
+      });
+    }
+
+    const dataset = await Dataset.create({
+      userId: req.user.id,
+      name,
+      symbol,
+      timeframe,
+      timezone,
+      columnMapping: result.columnMapping,
+      source: {
+        fileName: req.file.originalname,
+        fileSize: req.file.size,
+        rowCount: result.rowCount
+      },
+      bars: result.bars,
+      barCount: result.bars.length,
+      startDate: result.bars[0].timestamp,
+      endDate: result.bars[result.bars.length - 1].timestamp
+    });
+
+    res.status(201).json({
+      success: true,
+      data: dataset.toAPI()
+    });
+
+  } catch (error) {
+    console.error('Dataset import error:', error);
+    const status = error.code === 11000 ? 409 : 500;
+    res.status(status).json({
+      success: false,
+      message: status === 409 ? 'A dataset with this name already exists' : `Dataset import failed: ${error.message}`
+    });
+  }
+});
+
+// GET /api/backtest/datasets - List the user's datasets
+router.get('/datasets', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const datasets = await Dataset.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: datasets.map(dataset => dataset.toAPI())
+    });
+
+  } catch (error) {
+    console.error('Error listing datasets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing datasets'
+    });
+  }
+});
+
+// GET /api/backtest/datasets/:id - Dataset details with a preview of its bars
+router.get('/datasets/:id', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const dataset = mongoose.isValidObjectId(req.params.id)
+      ? await Dataset.findOne({ _id: req.params.id, userId: req.user.id }).slice('bars', 20)
+      : null;
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dataset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...dataset.toAPI(),
+        preview: dataset.bars
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching dataset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dataset'
+    });
+  }
+});
+
+// DELETE /api/backtest/datasets/:id - Remove a dataset
+router.delete('/datasets/:id', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const result = mongoose.isValidObjectId(req.params.id)
+      ? await Dataset.deleteOne({ _id: req.params.id, userId: req.user.id })
+      : { deletedCount: 0 };
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dataset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dataset deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting dataset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting dataset'
+    });
+  }
+});
+
 /**
  * Helper functions
  */
+const DATABASE_UNAVAILABLE = {
+  success: false,
+  message: 'Backtest history needs a database connection',
+  code: 'DATABASE_UNAVAILABLE'
+};
+
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Validation message for shared run options, or null when they are valid
+function getRunOptionsError({ timeframe, adjustment, aiMode, benchmark = 'none', strategy = 'ai-signals', fillModel = null, entryOrders = null, carryCosts = null, positionSizing = null }) {
+  if (!isSupportedTimeframe(timeframe)) {
+    return `Unsupported timeframe ${timeframe}. Supported: ${TIMEFRAMES.join(', ')} or a custom <count><m|h|d|w|M>`;
+  }
+  if (!PRICE_ADJUSTMENTS.includes(adjustment)) {
+    return `Unsupported adjustment ${adjustment}. Supported: ${PRICE_ADJUSTMENTS.join(', ')}`;
+  }
+  if (!AI_MODES.includes(aiMode)) {
+    return `Unsupported aiMode ${aiMode}. Supported: ${AI_MODES.join(', ')}`;
+  }
+  if (!STRATEGY_TYPES.includes(strategy)) {
+    return `Unsupported strategy ${strategy}. Supported: ${STRATEGY_TYPES.join(', ')}`;
+  }
+  if (!BENCHMARK_SELECTIONS.includes(benchmark) && !getInstrumentRegistry().has(benchmark)) {
+    return `Unknown benchmark ${benchmark}. Use ${BENCHMARK_SELECTIONS.join(', ')} or an instrument such as SPY`;
+  }
+  return FillModel.validate(fillModel) || getEntryOrdersError(entryOrders) || CarryCostModel.validate(carryCosts) || PositionSizer.validate(positionSizing);
+}
+
+async function hasReachedFreeLimit(userId, userTier) {
+  return userTier === 'free' && (await getUsage(userId)).used >= FREE_TIER_BACKTESTS;
+}
+
+async function getRemainingBacktests(userId, userTier) {
+  return userTier === 'free' ? Math.max(0, FREE_TIER_BACKTESTS - (await getUsage(userId)).used) : 'unlimited';
+}
+
+/**
+ * AI backtests in the current window (queued and running jobs included) and
+ * when the oldest of them stops counting
+ */
+async function getUsage(userId) {
+  const since = new Date(Date.now() - FREE_TIER_WINDOW_MS);
+  const stored = await BacktestRun.countUsage(userId, since);
+  if (stored) {
+    return {
+      used: stored.count,
+      resetTime: stored.oldest ? new Date(stored.oldest.getTime() + FREE_TIER_WINDOW_MS) : null
+    };
+  }
+
+  // Without a database only the jobs the queue still holds can be counted
+  const used = jobQueue.countJobs(userId, job =>
+    job.params.strategy !== 'technical' && !['failed', 'cancelled'].includes(job.status) && job.createdAt >= since);
+  return { used, resetTime: null };
+}
+
 function getModelDescription(modelId) {
   const descriptions = {
     'gpt-4': 'Advanced trading analysis with technical and fundamental insights. Excellent for trend following and momentum strategies.',
@@ -6,6 +6,7 @@ import express from 'express';
 import TradingEngine from '../engine/TradingEngine.js';
 import BacktestEngine from '../engine/BacktestEngine.js';
 import AIModelManager from '../ai/AIModelManager.js';
+import { getMarketCalendar } from '../market/index.js';
 
 const router = express.Router();
 
@@ -114,11 +115,7 @@ router.get('/overview', async (req, res) => {
                 portfolio,
                 aiUsage,
                 recentActivity,
-                marketStatus: {
-                    forex: 'open',
-                    stocks: 'open',
-                    crypto: 'open'
-                }
+                marketStatus: getMarketCalendar().getMarketStatus()
             }
         });
 
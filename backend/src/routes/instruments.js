@@ -0,0 +1,77 @@
+/**
+ * Instrument Routes
+ * Read-only view of the instrument registry (asset class, sizing, sessions, provider tickers)
+ */
+
+const express = require('express');
+const { validateInput } = require('../middleware/auth.js');
+const { param, query } = require('express-validator');
+const { getInstrumentRegistry, getMarketCalendar } = require('../market/index.js');
+
+const router = express.Router();
+
+/**
+ * GET /api/instruments
+ * List supported instruments, optionally filtered by asset class
+ */
+router.get('/',
+    [
+        query('assetClass').optional().isString().trim().withMessage('Invalid asset class')
+    ],
+    validateInput,
+    (req, res) => {
+        try {
+            const registry = getInstrumentRegistry();
+            const instruments = registry.list({ assetClass: req.query.assetClass });
+
+            res.json({
+                success: true,
+                data: instruments.map(instrument => registry.toAPI(instrument)),
+                count: instruments.length,
+                timestamp: new Date()
+            });
+
+        } catch (error) {
+            console.error('Instrument list error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list instruments',
+                code: 'INSTRUMENT_LIST_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/instruments/:symbol
+ * Full details for a single instrument, including whether its market is open now
+ */
+router.get('/:symbol',
+    [
+        param('symbol').isLength({ min: 1, max: 10 }).matches(/^[A-Z0-9]+$/).withMessage('Invalid symbol format')
+    ],
+    validateInput,
+    (req, res) => {
+        const registry = getInstrumentRegistry();
+        const instrument = registry.get(req.params.symbol);
+
+        if (!instrument) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown instrument ${req.params.symbol}`,
+                code: 'INSTRUMENT_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...registry.toAPI(instrument),
+                marketStatus: getMarketCalendar().getStatus(instrument.symbol)
+            },
+            timestamp: new Date()
+        });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/**
+ * Market Data Store Routes
+ * Inspect the locally stored bars that analyses and backtests were run on
+ */
+
+const express = require('express');
+const { authenticate, validateInput } = require('../middleware/auth.js');
+const { param, query } = require('express-validator');
+const MarketBar = require('../models/MarketBar.js');
+const MarketDataCoverage = require('../models/MarketDataCoverage.js');
+const { assertTimeframe } = require('../market/timeframes.js');
+const { getQuoteStream } = require('../market/index.js');
+
+const router = express.Router();
+
+/**
+ * GET /api/market-data/coverage
+ * List which symbol/timeframe ranges are stored locally
+ */
+router.get('/coverage',
+    authenticate,
+    [
+        query('symbol').optional().matches(/^[A-Z0-9]+$/).withMessage('Invalid symbol format'),
+        query('timeframe').optional().custom(assertTimeframe)
+    ],
+    validateInput,
+    async (req, res) => {
+        try {
+            const filter = {};
+            if (req.query.symbol) filter.symbol = req.query.symbol;
+            if (req.query.timeframe) filter.timeframe = req.query.timeframe;
+
+            const coverage = await MarketDataCoverage.find(filter).sort({ symbol: 1, timeframe: 1 });
+
+            res.json({
+                success: true,
+                data: coverage.map(entry => entry.toAPI()),
+                timestamp: new Date()
+            });
+
+        } catch (error) {
+            console.error('Coverage fetch error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch market data coverage',
+                code: 'COVERAGE_FETCH_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/market-data/stream
+ * Live quote stream status: tick source, connection and per-symbol freshness
+ */
+router.get('/stream',
+    authenticate,
+    (req, res) => {
+        const quoteStream = getQuoteStream();
+
+        res.json({
+            success: true,
+            data: quoteStream
+                ? { enabled: true, ...quoteStream.getStatus() }
+                : { enabled: false, source: null, connected: false, symbols: [] },
+            timestamp: new Date()
+        });
+    }
+);
+
+/**
+ * GET /api/market-data/bars/:symbol
+ * Return stored bars exactly as engines read them (no upstream fetch)
+ */
+router.get('/bars/:symbol',
+    authenticate,
+    [
+        param('symbol').isLength({ min: 1, max: 10 }).matches(/^[A-Z0-9]+$/).withMessage('Invalid symbol format'),
+        query('timeframe').optional().custom(assertTimeframe),
+        query('start').isISO8601().withMessage('start must be an ISO 8601 date'),
+        query('end').optional().isISO8601().withMessage('end must be an ISO 8601 date'),
+        query('limit').optional().isInt({ min: 1, max: 10000 }).withMessage('limit must be between 1 and 10000')
+    ],
+    validateInput,
+    async (req, res) => {
+        try {
+            const { symbol } = req.params;
+            const { timeframe = '1d', start, end = new Date().toISOString(), limit = 5000 } = req.query;
+
+            const bars = await MarketBar.findRange(symbol, timeframe, start, end).limit(parseInt(limit));
+
+            res.json({
+                success: true,
+                data: {
+                    symbol,
+                    timeframe,
+                    bars: bars.map(bar => ({
+                        timestamp: bar.timestamp,
+                        open: bar.open,
+                        high: bar.high,
+                        low: bar.low,
+                        close: bar.close,
+                        volume: bar.volume,
+                        source: bar.meta?.source
+                    })),
+                    dataPoints: bars.length
+                },
+                timestamp: new Date()
+            });
+
+        } catch (error) {
+            console.error('Stored bars fetch error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch stored bars',
+                code: 'STORED_BARS_FETCH_ERROR'
+            });
+        }
+    }
+);
+
+module.exports = router;
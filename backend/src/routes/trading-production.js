@@ -7,6 +7,11 @@ const express = require('express');
 const { authenticate, requireSubscription, validateInput } = require('../middleware/auth.js');
 const { body, param, query } = require('express-validator');
 const ProductionTradingEngine = require('../engine/ProductionTradingEngine.js');
+const SimulatedTradingSession = require('../engine/SimulatedTradingSession.js');
+const BenchmarkComparison = require('../engine/BenchmarkComparison.js');
+const RuleStrategy = require('../engine/RuleStrategy.js');
+const PositionSizer = require('../engine/PositionSizer.js');
+const { getInstrumentRegistry, assertTimeframe } = require('../market/index.js');
 const User = require('../models/User.js');
 const rateLimit = require('express-rate-limit');
 
@@ -34,13 +39,23 @@ const analysisRateLimit = rateLimit({
 // Trading engine instances per user (in production, use Redis or database)
 const userEngines = new Map();
 
+// Engine options from the user's account and trading profile (live and simulated engines alike)
+const getEngineConfig = (user) => ({
+    initialBalance: user.account?.balance || 100000,
+    maxPositions: user.account?.maxPositions || 10,
+    closedMarketOrders: user.tradingProfile?.closedMarketOrders || 'reject',
+    baseCurrency: user.tradingProfile?.baseCurrency || 'USD',
+    fillModel: user.tradingProfile?.fillModel || null,
+    carryCosts: user.tradingProfile?.carryCosts || null,
+    positionSizing: user.tradingProfile?.positionSizing || null
+});
+
 // Get or create trading engine for user
 const getUserTradingEngine = async (userId) => {
     if (!userEngines.has(userId)) {
         const user = await User.findById(userId);
         const engine = new ProductionTradingEngine({
-            initialBalance: user.account?.balance || 100000,
-            maxPositions: user.account?.maxPositions || 10,
+            ...getEngineConfig(user),
             userId: userId
         });
         
@@ -52,26 +67,43 @@ const getUserTradingEngine = async (userId) => {
 };
 
 // Input validation schemas
+const isKnownInstrument = (symbol) => {
+    if (!getInstrumentRegistry().has(symbol)) {
+        throw new Error(`Unknown instrument ${symbol}`);
+    }
+    return true;
+};
+
+const isKnownBenchmark = (benchmark) => {
+    if (!BenchmarkComparison.BENCHMARK_SELECTIONS.includes(benchmark)) {
+        isKnownInstrument(benchmark);
+    }
+    return true;
+};
+
 const symbolValidation = [
     param('symbol')
         .isLength({ min: 1, max: 10 })
         .matches(/^[A-Z0-9]+$/)
         .withMessage('Invalid symbol format')
+        .bail()
+        .custom(isKnownInstrument)
 ];
 
 const analysisValidation = [
     body('symbol')
         .isLength({ min: 1, max: 10 })
         .matches(/^[A-Z0-9]+$/)
-        .withMessage('Invalid symbol format'),
+        .withMessage('Invalid symbol format')
+        .bail()
+        .custom(isKnownInstrument),
     body('model')
         .optional()
         .isIn(['gpt-4', 'gpt-4-turbo', 'claude-3-sonnet', 'claude-3-opus'])
         .withMessage('Invalid AI model'),
     body('timeframe')
         .optional()
-        .isIn(['1m', '5m', '15m', '30m', '1h', '1d', '1wk', '1mo'])
-        .withMessage('Invalid timeframe'),
+        .custom(assertTimeframe),
     body('includeML')
         .optional()
         .isBoolean()
@@ -82,16 +114,56 @@ const analysisValidation = [
         .withMessage('includeSentiment must be boolean')
 ];
 
+// Rule definitions (or preset names) must parse before anything is fetched
+const isValidRules = (rules) => {
+    new RuleStrategy(rules);
+    return true;
+};
+
+const isValidPositionSizing = (options) => {
+    const error = PositionSizer.validate(options);
+    if (error) throw new Error(error);
+    return true;
+};
+
+const strategyValidation = [
+    body('symbol')
+        .isLength({ min: 1, max: 10 })
+        .matches(/^[A-Z0-9]+$/)
+        .withMessage('Invalid symbol format')
+        .bail()
+        .custom(isKnownInstrument),
+    body('rules')
+        .exists()
+        .withMessage('rules must be a strategy definition or preset name')
+        .bail()
+        .custom(isValidRules),
+    body('strategy')
+        .optional()
+        .isIn(['technical', 'hybrid'])
+        .withMessage('Strategy must be technical or hybrid'),
+    body('model')
+        .optional()
+        .isIn(['gpt-4', 'gpt-4-turbo', 'claude-3-sonnet', 'claude-3-opus'])
+        .withMessage('Invalid AI model'),
+    body('timeframe')
+        .optional()
+        .custom(assertTimeframe)
+];
+
 const tradeValidation = [
     body('symbol')
         .isLength({ min: 1, max: 10 })
         .matches(/^[A-Z0-9]+$/)
-        .withMessage('Invalid symbol format'),
+        .withMessage('Invalid symbol format')
+        .bail()
+        .custom(isKnownInstrument),
     body('side')
         .isIn(['long', 'short'])
         .withMessage('Side must be long or short'),
     body('quantity')
-        .isFloat({ min: 0.01 })
+        .optional()
+        .isFloat({ gt: 0 })
         .withMessage('Quantity must be positive'),
     body('stopLoss')
         .optional()
@@ -138,6 +210,7 @@ router.get('/portfolio',
 router.get('/market-data/:symbol',
     authenticate,
     symbolValidation,
+    query('timeframe').optional().custom(assertTimeframe),
     validateInput,
     async (req, res) => {
         try {
@@ -225,6 +298,14 @@ router.post('/analyze',
             
         } catch (error) {
             console.error('AI analysis error:', error);
+            if (error.code === 'DATA_QUALITY_TOO_LOW') {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    dataQuality: error.report
+                });
+            }
             res.status(400).json({
                 success: false,
                 error: error.message || 'AI analysis failed',
@@ -234,9 +315,73 @@ router.post('/analyze',
     }
 );
 
+/**
+ * POST /api/trading/strategy/evaluate
+ * Evaluate a rule strategy on the latest data (hybrid entries also need the AI to agree)
+ */
+router.post('/strategy/evaluate',
+    authenticate,
+    analysisRateLimit,
+    strategyValidation,
+    validateInput,
+    async (req, res) => {
+        try {
+            const {
+                symbol,
+                rules,
+                strategy = 'technical',
+                model = 'gpt-4',
+                timeframe = '1d'
+            } = req.body;
+            
+            // Hybrid runs may consult the AI, which costs an analysis credit
+            const user = await User.findById(req.user._id);
+            if (strategy === 'hybrid' && user.credits?.aiAnalysis <= 0) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient AI analysis credits',
+                    code: 'INSUFFICIENT_CREDITS'
+                });
+            }
+            
+            const engine = await getUserTradingEngine(req.user._id);
+            const signal = await engine.evaluateStrategy(symbol, { rules, strategy, model, timeframe });
+            
+            if (signal.ai) {
+                await User.findByIdAndUpdate(req.user._id, {
+                    $inc: { 'credits.aiAnalysis': -1 }
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: signal,
+                timestamp: new Date()
+            });
+            
+        } catch (error) {
+            console.error('Strategy evaluation error:', error);
+            if (error.code === 'DATA_QUALITY_TOO_LOW') {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    dataQuality: error.report
+                });
+            }
+            res.status(400).json({
+                success: false,
+                error: error.message || 'Strategy evaluation failed',
+                code: error.code || 'STRATEGY_EVALUATION_ERROR'
+            });
+        }
+    }
+);
+
 /**
  * POST /api/trading/open-position
- * Open a new trading position
+ * Open a new trading position; without a quantity it is sized by the
+ * account's position sizing model when it fills
  */
 router.post('/open-position',
     authenticate,
@@ -262,21 +407,34 @@ router.post('/open-position',
                 trailingStop
             });
             
+            // Market closed and the user queues orders: executes at the next open
+            if (position.status === 'queued') {
+                return res.status(202).json({
+                    success: true,
+                    data: {
+                        order: position,
+                        message: `Market for ${symbol} is closed; order queued until ${position.executeAt.toISOString()}`
+                    },
+                    timestamp: new Date()
+                });
+            }
+            
             res.json({
                 success: true,
                 data: {
                     position,
-                    message: `${side.toUpperCase()} position opened for ${quantity} shares of ${symbol}`
+                    message: `${side.toUpperCase()} position opened for ${position.quantity} shares of ${symbol}`
                 },
                 timestamp: new Date()
             });
             
         } catch (error) {
             console.error('Open position error:', error);
-            res.status(400).json({
+            res.status(error.statusCode || 400).json({
                 success: false,
                 error: error.message || 'Failed to open position',
-                code: 'OPEN_POSITION_ERROR'
+                code: error.code || 'OPEN_POSITION_ERROR',
+                ...(error.marketStatus && { marketStatus: error.marketStatus })
             });
         }
     }
@@ -409,12 +567,16 @@ router.get('/trades',
 
 /**
  * GET /api/trading/performance
- * Get detailed performance metrics
+ * Get detailed performance metrics, compared with a benchmark
+ * (?benchmark=SPY by default, 'symbol' for the traded symbols, 'none' to skip)
  */
 router.get('/performance',
     authenticate,
+    query('benchmark').optional().custom(isKnownBenchmark),
+    validateInput,
     async (req, res) => {
         try {
+            const { benchmark = 'SPY' } = req.query;
             const engine = await getUserTradingEngine(req.user._id);
             const portfolio = engine.getPortfolioStatus();
             
@@ -422,6 +584,7 @@ router.get('/performance',
             const trades = engine.trades.filter(t => t.type === 'close');
             const monthlyReturns = calculateMonthlyReturns(trades);
             const drawdownData = calculateDrawdown(trades);
+            const benchmarkComparison = await compareWithBenchmark(engine, portfolio, benchmark);
             
             res.json({
                 success: true,
@@ -432,12 +595,14 @@ router.get('/performance',
                     maxDrawdown: drawdownData.maxDrawdown,
                     currentDrawdown: drawdownData.currentDrawdown,
                     portfolio: {
+                        baseCurrency: portfolio.baseCurrency,
                         balance: portfolio.balance,
                         totalValue: portfolio.totalPortfolioValue,
                         totalReturn: portfolio.totalReturn,
                         dailyPnL: portfolio.dailyPnL,
                         totalPnL: portfolio.totalPnL
-                    }
+                    },
+                    benchmark: benchmarkComparison
                 },
                 timestamp: new Date()
             });
@@ -455,17 +620,23 @@ router.get('/performance',
 
 /**
  * POST /api/trading/backtest
- * Run backtest on historical data with AI strategy
+ * Replay historical bars through the live trading engine on a simulated clock,
+ * with the user's engine settings, so the backtest runs the code that trades live
  */
 router.post('/backtest',
     authenticate,
     requireSubscription('premium'),
     [
-        body('symbol').isLength({ min: 1, max: 10 }).matches(/^[A-Z0-9]+$/),
+        body('symbol').isLength({ min: 1, max: 10 }).matches(/^[A-Z0-9]+$/).bail().custom(isKnownInstrument),
         body('startDate').isISO8601(),
         body('endDate').isISO8601(),
-        body('strategy').isIn(['ai-signals', 'technical', 'hybrid']),
-        body('model').optional().isIn(['gpt-4', 'claude-3-sonnet'])
+        body('strategy').isIn(RuleStrategy.STRATEGY_TYPES),
+        body('rules').if(body('strategy').isIn(['technical', 'hybrid'])).exists().bail().custom(isValidRules),
+        body('model').optional().isIn(['gpt-4', 'claude-3-sonnet']),
+        body('timeframe').optional().custom(assertTimeframe),
+        body('positionSizing').optional().custom(isValidPositionSizing),
+        body('trailingStop').optional().isFloat({ gt: 0, lt: 1 }),
+        body('initialBalance').optional().isFloat({ gt: 0 })
     ],
     validateInput,
     async (req, res) => {
@@ -475,36 +646,31 @@ router.post('/backtest',
                 startDate,
                 endDate,
                 strategy = 'ai-signals',
+                rules,
                 model = 'gpt-4',
+                timeframe = '1d',
+                positionSizing,
+                trailingStop,
                 initialBalance = 100000
             } = req.body;
             
-            // Create temporary engine for backtesting
-            const backtestEngine = new ProductionTradingEngine({
+            const user = await User.findById(req.user._id);
+            const session = new SimulatedTradingSession({
+                symbols: [symbol],
+                timeframe,
+                startDate,
+                endDate,
+                strategy,
+                rules,
+                model,
+                positionSizing,
+                trailingStop,
                 initialBalance,
+                engineConfig: getEngineConfig(user),
                 userId: `backtest_${req.user._id}_${Date.now()}`
             });
             
-            // Get historical data
-            const marketData = await backtestEngine.getRealMarketData(
-                symbol, 
-                '1d', 
-                calculatePeriodFromDates(startDate, endDate)
-            );
-            
-            // Filter data by date range
-            const filteredData = marketData.filter(d => 
-                d.timestamp >= new Date(startDate) && d.timestamp <= new Date(endDate)
-            );
-            
-            // Run backtest simulation
-            const backtestResults = await runBacktestSimulation(
-                backtestEngine, 
-                symbol, 
-                filteredData, 
-                strategy, 
-                model
-            );
+            const backtestResults = await session.run();
             
             res.json({
                 success: true,
@@ -520,10 +686,10 @@ router.post('/backtest',
             
         } catch (error) {
             console.error('Backtest error:', error);
-            res.status(400).json({
+            res.status(error.statusCode || 400).json({
                 success: false,
                 error: error.message || 'Backtest failed',
-                code: 'BACKTEST_ERROR'
+                code: error.code || 'BACKTEST_ERROR'
             });
         }
     }
@@ -574,88 +740,42 @@ function calculateDrawdown(trades) {
     };
 }
 
-function calculatePeriodFromDates(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const diffTime = Math.abs(end - start);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+/**
+ * Account equity since the first trade (balance after each closed trade, then
+ * the current portfolio value) against a benchmark. A benchmark that cannot be
+ * loaded is reported with its error instead of failing the request.
+ */
+async function compareWithBenchmark(engine, portfolio, benchmark) {
+    if (benchmark === 'none') return null;
     
-    if (diffDays <= 7) return '1wk';
-    if (diffDays <= 30) return '1mo';
-    if (diffDays <= 90) return '3mo';
-    if (diffDays <= 180) return '6mo';
-    if (diffDays <= 365) return '1y';
-    return '2y';
-}
-
-async function runBacktestSimulation(engine, symbol, marketData, strategy, model) {
-    // This is a simplified backtest - in production, you'd implement more sophisticated logic
-    const results = {
-        totalTrades: 0,
-        winningTrades: 0,
-        losingTrades: 0,
-        totalReturn: 0,
-        maxDrawdown: 0,
-        sharpeRatio: 0,
-        trades: []
-    };
+    const closed = engine.trades
+        .filter(trade => trade.type === 'close')
+        .sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+    const firstEntry = Math.min(...engine.trades.map(trade => new Date(trade.entryTime).getTime()));
     
-    // Simulate trading based on strategy
-    for (let i = 20; i < marketData.length - 1; i++) { // Start after 20 periods for indicators
-        const currentData = marketData.slice(0, i + 1);
-        
-        try {
-            if (strategy === 'ai-signals') {
-                // Simulate AI analysis (simplified)
-                const analysis = await engine.analyzeSymbolWithAI(symbol, {
-                    model,
-                    timeframe: '1d',
-                    includeML: true,
-                    includeSentiment: false
-                });
-                
-                // Make trading decision based on AI signal
-                if (analysis.signal === 'BUY' && analysis.confidence > 0.7) {
-                    await engine.openPosition(symbol, 'long', 100);
-                    results.totalTrades++;
-                }
-            }
-            
-            // Close positions if needed
-            for (const [posSymbol, position] of engine.positions) {
-                const currentPrice = marketData[i].close;
-                const pnl = engine.calculatePositionPnL(position, currentPrice);
-                const pnlPercent = pnl / (position.entryPrice * position.quantity);
-                
-                if (pnlPercent <= -0.02 || pnlPercent >= 0.06) { // 2% stop loss or 6% take profit
-                    const trade = await engine.closePosition(posSymbol, 'backtest', currentPrice);
-                    results.trades.push(trade);
-                    
-                    if (trade.pnl > 0) {
-                        results.winningTrades++;
-                    } else {
-                        results.losingTrades++;
-                    }
-                }
-            }
-            
-        } catch (error) {
-            console.warn('Backtest simulation error:', error.message);
-        }
-    }
+    let balance = engine.config.initialBalance;
+    const equity = [{ timestamp: new Date(firstEntry), totalEquity: balance }];
+    closed.forEach(trade => {
+        balance += trade.pnl;
+        equity.push({ timestamp: new Date(trade.exitTime), totalEquity: balance });
+    });
+    equity.push({ timestamp: new Date(), totalEquity: portfolio.totalPortfolioValue });
     
-    // Close any remaining positions
-    for (const symbol of engine.positions.keys()) {
-        const trade = await engine.closePosition(symbol, 'backtest_end');
-        results.trades.push(trade);
+    try {
+        if (!Number.isFinite(firstEntry)) {
+            throw new Error('No trades to compare yet');
+        }
+        
+        const comparison = new BenchmarkComparison({ marketDataProvider: engine.marketData, currencyConverter: engine.fx });
+        return await comparison.compare(equity, {
+            benchmark,
+            tradedSymbols: engine.trades.map(trade => trade.symbol),
+            baseCurrency: portfolio.baseCurrency,
+            initialCapital: engine.config.initialBalance
+        });
+    } catch (error) {
+        return { benchmark, error: error.message };
     }
-    
-    // Calculate final metrics
-    const portfolio = engine.getPortfolioStatus();
-    results.totalReturn = portfolio.totalReturn;
-    results.finalBalance = portfolio.totalPortfolioValue;
-    
-    return results;
 }
 
 module.exports = router;
@@ -5,6 +5,7 @@
 import express from 'express';
 import TradingEngine from '../engine/TradingEngine.js';
 import AIModelManager from '../ai/AIModelManager.js';
+import { getInstrumentRegistry } from '../market/index.js';
 
 const router = express.Router();
 
@@ -355,11 +356,7 @@ router.get('/status', async (req, res) => {
                     dailyPnL: engineStatus.dailyPnL
                 },
                 ai: aiStatus,
-                markets: {
-                    forex: ['EURUSD', 'GBPUSD', 'USDJPY', 'AUDUSD'],
-                    stocks: ['AAPL', 'GOOGL', 'MSFT', 'TSLA', 'AMZN'],
-                    indices: ['SPY', 'QQQ', 'IWM']
-                },
+                markets: getInstrumentRegistry().getSymbolsByAssetClass(),
                 features: {
                     liveTrading: true,
                     aiAnalysis: true,
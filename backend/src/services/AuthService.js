@@ -2,6 +2,16 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { config } from '../config/environment.js';
 import User from '../models/User.js';
+import FillModel from '../engine/FillModel.js';
+import CarryCostModel from '../engine/CarryCostModel.js';
+import PositionSizer from '../engine/PositionSizer.js';
+
+// Profile settings checked as backtests check them: validator returns a message or null
+const VALIDATED_UPDATES = {
+    'tradingProfile.fillModel': FillModel.validate,
+    'tradingProfile.carryCosts': CarryCostModel.validate,
+    'tradingProfile.positionSizing': PositionSizer.validate
+};
 
 /**
  * Authentication Service
@@ -303,7 +313,9 @@ class AuthService {
             'firstName', 'lastName', 'profile.timezone', 'profile.language',
             'profile.notifications', 'trading.riskTolerance', 'trading.maxPositionSize',
             'trading.maxDailyLoss', 'trading.defaultStopLoss', 'trading.preferredTimeframes',
-            'trading.tradingHours', 'aiPreferences.preferredModels', 'aiPreferences.analysisTypes'
+            'trading.tradingHours', 'aiPreferences.preferredModels', 'aiPreferences.analysisTypes',
+            'tradingProfile.closedMarketOrders', 'tradingProfile.baseCurrency',
+            ...Object.keys(VALIDATED_UPDATES)
         ];
 
         // Filter updates to only allowed fields
@@ -314,6 +326,13 @@ class AuthService {
             }
         });
 
+        for (const [key, validate] of Object.entries(VALIDATED_UPDATES)) {
+            const error = key in filteredUpdates ? validate(filteredUpdates[key]) : null;
+            if (error) {
+                throw new Error(error);
+            }
+        }
+
         const user = await User.findByIdAndUpdate(
             userId,
             { $set: filteredUpdates },
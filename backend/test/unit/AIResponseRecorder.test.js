@@ -0,0 +1,32 @@
+const AIResponseRecorder = require('../../src/ai/AIResponseRecorder.js');
+const { getReplayStatus } = AIResponseRecorder;
+
+describe('getReplayStatus', () => {
+    test('tells runs without AI calls apart from live runs', () => {
+        expect(getReplayStatus({ replayed: 0, live: 0 })).toBe('no_ai_calls');
+        expect(getReplayStatus({})).toBe('no_ai_calls');
+        expect(getReplayStatus({ replayed: 0, live: 3 })).toBe('fully_live');
+    });
+
+    test('reports replayed and mixed runs', () => {
+        expect(getReplayStatus({ replayed: 4, live: 0 })).toBe('fully_replayed');
+        expect(getReplayStatus({ replayed: 4, live: 1 })).toBe('partially_live');
+    });
+});
+
+describe('AIResponseRecorder.getReport', () => {
+    test('reports no_ai_calls before any analysis', () => {
+        const recorder = new AIResponseRecorder({ aiManager: { promptVersion: 'v1' }, mode: 'live' });
+        expect(recorder.getReport()).toMatchObject({ mode: 'live', status: 'no_ai_calls', live: 0, replayed: 0, liveCost: 0 });
+    });
+
+    test('counts live analyses and their cost', async () => {
+        const aiManager = { promptVersion: 'v1', analyzeMarket: async () => ({ action: 'buy', cost: 0.0125 }) };
+        const recorder = new AIResponseRecorder({ aiManager, mode: 'live' });
+
+        await recorder.analyzeLive('gpt-4', 'AAPL', {}, 'free');
+        await recorder.analyzeLive('gpt-4', 'AAPL', {}, 'free');
+
+        expect(recorder.getReport()).toMatchObject({ status: 'fully_live', live: 2, liveCost: 0.025 });
+    });
+});
@@ -0,0 +1,57 @@
+const { BacktestEngine } = require('../../src/engine/BacktestEngine.js');
+const CarryCostModel = require('../../src/engine/CarryCostModel.js');
+
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+// Engine without data sources: markets and positions are set up by hand
+function createEngine() {
+    return new BacktestEngine({
+        commission: 0,
+        aiManager: {},
+        marketDataProvider: {},
+        currencyConverter: {},
+        dataQualityValidator: {},
+        benchmarkComparison: {}
+    });
+}
+
+describe('BacktestEngine.closePosition', () => {
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('books carry costs in the trade pnl', () => {
+        const engine = createEngine();
+        engine.markets.set('AAPL', { currency: 'USD', fxRates: [] });
+
+        // Bought 10 @ 100, then charged 15 of carry while open
+        const position = {
+            id: 'p1', symbol: 'AAPL', side: 'long', size: 10, entryPrice: 100, entryTime: day(1), entryFxRate: 1,
+            commission: 0, slippage: 0, dividends: 0, carryCosts: { ...CarryCostModel.createCosts(), swap: 5, borrow: 10 }
+        };
+        engine.positions.push(position);
+        engine.capital = 10000 - 15;
+
+        engine.closePosition(position, { timestamp: day(5), close: 110 }, 'take_profit', { price: 110, level: 110 });
+
+        const [trade] = engine.trades;
+        expect(trade.pnl).toBe(85);
+        expect(trade.pnlPercent).toBe(8.5);
+        expect(engine.capital).toBe(10085);
+        expect(engine.calculateMetrics(engine.trades, engine.capital, 0, null)).toMatchObject({ avgWin: 85, largestWin: 85 });
+    });
+
+    test('counts a trade that carry turns into a loss as losing', () => {
+        const engine = createEngine();
+        engine.markets.set('AAPL', { currency: 'USD', fxRates: [] });
+
+        const position = {
+            id: 'p1', symbol: 'AAPL', side: 'short', size: 10, entryPrice: 100, entryTime: day(1), entryFxRate: 1,
+            commission: 0, slippage: 0, dividends: 0, carryCosts: { ...CarryCostModel.createCosts(), borrow: 20 }
+        };
+        engine.positions.push(position);
+
+        engine.closePosition(position, { timestamp: day(5), close: 99 }, 'manual', { price: 99, level: 99 });
+
+        expect(engine.calculateMetrics(engine.trades, engine.capital, 0, null)).toMatchObject({ winningTrades: 0, losingTrades: 1, avgLoss: 10 });
+    });
+});
@@ -0,0 +1,148 @@
+const { BacktestJobQueue } = require('../../src/engine/BacktestJobQueue.js');
+const { BacktestCancelledError } = require('../../src/engine/BacktestEngine.js');
+const BacktestRun = require('../../src/models/BacktestRun.js');
+
+const params = { symbol: 'AAPL', startDate: '2024-01-01', endDate: '2024-06-30', aiModel: 'gpt-4', timeframe: '1d' };
+
+// Stands in for the engines: runs until the job's signal aborts or finish() is called
+function createQueue(config = {}) {
+    const queue = new BacktestJobQueue({ retentionMs: 0, ...config });
+    const runs = [];
+    queue.run = (kind, options) => new Promise((resolve, reject) => {
+        runs.push({ kind, options, finish: resolve });
+        if (options.signal.aborted) reject(new BacktestCancelledError());
+        options.signal.addEventListener('abort', () => reject(new BacktestCancelledError()));
+    });
+    return { queue, runs };
+}
+
+const finished = queue => new Promise(resolve => queue.once('finished', resolve));
+
+// Lets a submitted job's worker store its start and begin running
+const started = () => new Promise(resolve => setImmediate(resolve));
+
+describe('BacktestJobQueue cancel', () => {
+    let queue;
+
+    afterEach(() => {
+        queue.close();
+        jest.restoreAllMocks();
+    });
+
+    test('cancels a running job at its signal', async () => {
+        let runs;
+        ({ queue, runs } = createQueue());
+        const job = await queue.submit('user1', 'single', params);
+        await started();
+        expect(job.status).toBe('running');
+
+        const done = finished(queue);
+        await queue.cancel(job.id, 'user1');
+        await done;
+
+        expect(runs[0].options.signal.aborted).toBe(true);
+        expect(job.status).toBe('cancelled');
+        expect(job.error).toMatchObject({ code: 'BACKTEST_CANCELLED' });
+        expect(queue.countActive('user1')).toBe(0);
+    });
+
+    test('drops a queued job without running it', async () => {
+        let runs;
+        ({ queue, runs } = createQueue({ concurrency: 1 }));
+        const first = await queue.submit('user1', 'sweep', params);
+        const second = await queue.submit('user1', 'walk-forward', params);
+        await started();
+        expect(second.status).toBe('queued');
+
+        await queue.cancel(second.id, 'user1');
+        expect(second.status).toBe('cancelled');
+        expect(queue.pending).toHaveLength(0);
+
+        const done = finished(queue);
+        runs[0].finish({ best: null });
+        await done;
+
+        expect(first.status).toBe('completed');
+        expect(runs.map(run => run.kind)).toEqual(['sweep']);
+    });
+
+    test('refuses finished jobs and jobs of other users', async () => {
+        let runs;
+        ({ queue, runs } = createQueue());
+        const job = await queue.submit('user1', 'single', params);
+        await started();
+
+        expect(await queue.cancel(job.id, 'user2')).toBeNull();
+
+        const done = finished(queue);
+        runs[0].finish({ metrics: { totalTrades: 0, totalReturn: 0 } });
+        await done;
+
+        await expect(queue.cancel(job.id, 'user1')).rejects.toMatchObject({ code: 'JOB_FINISHED', statusCode: 409 });
+    });
+});
+
+describe('BacktestJobQueue storage', () => {
+    let queue;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(BacktestRun, 'createJob').mockResolvedValue({});
+        jest.spyOn(BacktestRun, 'updateJob').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        queue.close();
+        jest.restoreAllMocks();
+    });
+
+    test('retries storing a completed job', async () => {
+        const completeJob = jest.spyOn(BacktestRun, 'completeJob')
+            .mockRejectedValueOnce(new Error('connection reset'))
+            .mockResolvedValue({});
+        let runs;
+        ({ queue, runs } = createQueue());
+        const job = await queue.submit('user1', 'single', params);
+        await started();
+
+        const done = finished(queue);
+        runs[0].finish({ metrics: { totalTrades: 1, totalReturn: 2 } });
+        await done;
+
+        expect(completeJob).toHaveBeenCalledTimes(2);
+        expect(completeJob).toHaveBeenLastCalledWith(job.id, expect.any(Object), null, 'single');
+        expect(queue.toAPI(job)).toMatchObject({ status: 'completed', saved: true });
+    });
+
+    test('reports a result that could not be stored', async () => {
+        jest.spyOn(BacktestRun, 'completeJob').mockRejectedValue(new Error('connection reset'));
+        let runs;
+        ({ queue, runs } = createQueue());
+        const job = await queue.submit('user1', 'single', params);
+        await started();
+
+        const done = finished(queue);
+        runs[0].finish({ metrics: { totalTrades: 1, totalReturn: 2 } });
+        await done;
+
+        expect(BacktestRun.completeJob).toHaveBeenCalledTimes(3);
+        expect(queue.toAPI(job)).toMatchObject({
+            status: 'completed',
+            saved: false,
+            storageError: expect.stringContaining('connection reset')
+        });
+    }, 10000);
+
+    test('keeps its active jobs alive', async () => {
+        const touchJobs = jest.spyOn(BacktestRun, 'touchJobs').mockResolvedValue({});
+        jest.spyOn(BacktestRun, 'failInterruptedJobs').mockResolvedValue(0);
+        ({ queue } = createQueue({ workerId: 'host:1' }));
+        const job = await queue.submit('user1', 'single', params);
+
+        await queue.heartbeat();
+
+        expect(touchJobs).toHaveBeenCalledWith('host:1', [job.id]);
+        expect(BacktestRun.failInterruptedJobs).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,77 @@
+const BarResampler = require('../../src/market/BarResampler.js');
+const { selectSourceTimeframe } = BarResampler;
+
+const US_EQUITY = { type: 'daily', timezone: 'America/New_York', open: '09:30', close: '16:00' };
+const FOREX = { type: 'weekly', timezone: 'America/New_York', open: { day: 0, time: '17:00' }, close: { day: 5, time: '17:00' } };
+
+const bar = (iso, open, high, low, close, volume = 1) => ({ timestamp: new Date(iso), open, high, low, close, volume });
+const isoTimes = (bars) => bars.map(item => item.timestamp.toISOString());
+
+describe('BarResampler', () => {
+    test('aggregates OHLCV within each bucket', () => {
+        const resampler = new BarResampler();
+        const bars = [
+            bar('2024-01-02T00:00:00Z', 10, 12, 9, 11, 5),
+            bar('2024-01-02T01:00:00Z', 11, 15, 10, 14, 7),
+            bar('2024-01-02T02:00:00Z', 14, 14, 8, 9, 3),
+            bar('2024-01-02T04:00:00Z', 9, 10, 9, 10, 2)
+        ];
+
+        expect(resampler.resample(bars, '1h', '4h')).toEqual([
+            { timestamp: new Date('2024-01-02T00:00:00Z'), open: 10, high: 15, low: 8, close: 9, volume: 15 },
+            { timestamp: new Date('2024-01-02T04:00:00Z'), open: 9, high: 10, low: 9, close: 10, volume: 2 }
+        ]);
+    });
+
+    test('aligns intraday buckets to the equity session open', () => {
+        const resampler = new BarResampler({ session: US_EQUITY });
+        const bars = ['14:30', '15:30', '16:30', '17:30', '18:30'].map(time => bar(`2024-01-02T${time}:00Z`, 1, 1, 1, 1));
+
+        // 09:30 and 11:30 New York
+        expect(isoTimes(resampler.resample(bars, '1h', '2h'))).toEqual([
+            '2024-01-02T14:30:00.000Z',
+            '2024-01-02T16:30:00.000Z',
+            '2024-01-02T18:30:00.000Z'
+        ]);
+    });
+
+    test('rolls forex days at 17:00 New York', () => {
+        const resampler = new BarResampler({ session: FOREX });
+        const bars = [
+            bar('2024-01-02T21:00:00Z', 1, 1, 1, 1), // 16:00 Tuesday: Tuesday's trading day
+            bar('2024-01-02T22:00:00Z', 2, 2, 2, 2), // 17:00 Tuesday: Wednesday's trading day
+            bar('2024-01-03T15:00:00Z', 3, 3, 3, 3)
+        ];
+
+        const daily = resampler.resample(bars, '1h', '1d');
+        expect(isoTimes(daily)).toEqual(['2024-01-01T22:00:00.000Z', '2024-01-02T22:00:00.000Z']);
+        expect(daily[1]).toMatchObject({ open: 2, close: 3 });
+    });
+
+    test('starts weeks on Monday and months on the first, in the session timezone', () => {
+        const resampler = new BarResampler({ session: US_EQUITY });
+        const days = ['2024-01-29', '2024-01-31', '2024-02-01', '2024-02-05'].map(date => bar(`${date}T05:00:00Z`, 1, 1, 1, 1));
+
+        expect(isoTimes(resampler.resample(days, '1d', '1w'))).toEqual(['2024-01-29T05:00:00.000Z', '2024-02-05T05:00:00.000Z']);
+        expect(isoTimes(resampler.resample(days, '1d', '1M'))).toEqual(['2024-01-01T05:00:00.000Z', '2024-02-01T05:00:00.000Z']);
+    });
+
+    test('keeps daily buckets on local midnight across DST', () => {
+        const resampler = new BarResampler({ session: US_EQUITY });
+        const bars = [bar('2024-03-08T15:00:00Z', 1, 1, 1, 1), bar('2024-03-11T14:00:00Z', 1, 1, 1, 1)];
+
+        expect(isoTimes(resampler.resample(bars, '1h', '1d'))).toEqual(['2024-03-08T05:00:00.000Z', '2024-03-11T04:00:00.000Z']);
+    });
+
+    test('refuses targets that cannot be built from the source', () => {
+        const resampler = new BarResampler();
+        expect(() => resampler.resample([], '1w', '1M')).toThrow('Cannot build 1M bars from 1w bars');
+        expect(() => resampler.resample([], '1d', '4h')).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_TIMEFRAME' }));
+    });
+
+    test('selects the coarsest native timeframe that builds the target', () => {
+        expect(selectSourceTimeframe('4h', ['1m', '1h', '1d'])).toBe('1h');
+        expect(selectSourceTimeframe('1M', ['1h', '1d', '1w'])).toBe('1d');
+        expect(selectSourceTimeframe('5m', ['1h', '1d'])).toBeNull();
+    });
+});
@@ -0,0 +1,53 @@
+const CarryCostModel = require('../../src/engine/CarryCostModel.js');
+const { countRolloverNights } = CarryCostModel;
+
+const WEDNESDAY = 3;
+const at = iso => new Date(iso).getTime();
+
+describe('countRolloverNights', () => {
+    // 2024-01-01 is a Monday
+    test('counts one night per weekday rollover and three on the triple day', () => {
+        expect(countRolloverNights(at('2024-01-01T12:00Z'), at('2024-01-02T12:00Z'), WEDNESDAY)).toBe(1);
+        expect(countRolloverNights(at('2024-01-03T12:00Z'), at('2024-01-04T12:00Z'), WEDNESDAY)).toBe(3);
+        expect(countRolloverNights(at('2024-01-01T12:00Z'), at('2024-01-08T12:00Z'), WEDNESDAY)).toBe(7);
+    });
+
+    test('skips rollovers out of Saturday and Sunday', () => {
+        expect(countRolloverNights(at('2024-01-06T01:00Z'), at('2024-01-08T01:00Z'), WEDNESDAY)).toBe(0);
+        expect(countRolloverNights(at('2024-01-05T12:00Z'), at('2024-01-08T12:00Z'), WEDNESDAY)).toBe(1);
+    });
+
+    test('counts a rollover at the end of the range but not at its start', () => {
+        expect(countRolloverNights(at('2024-01-02T00:00Z'), at('2024-01-02T23:59Z'), WEDNESDAY)).toBe(0);
+        expect(countRolloverNights(at('2024-01-01T23:59Z'), at('2024-01-02T00:00Z'), WEDNESDAY)).toBe(1);
+    });
+
+    test('moves the triple night with tripleRolloverDay', () => {
+        expect(countRolloverNights(at('2024-01-05T12:00Z'), at('2024-01-06T12:00Z'), 5)).toBe(3);
+        expect(countRolloverNights(at('2024-01-03T12:00Z'), at('2024-01-04T12:00Z'), 5)).toBe(1);
+    });
+});
+
+describe('CarryCostModel.accrue', () => {
+    const instruments = {
+        get: () => ({ assetClass: 'forex' }),
+        getFinancing: () => ({ swapLong: -0.0365, swapShort: 0.01, tripleRolloverDay: WEDNESDAY })
+    };
+
+    test('books swap per rollover night on the notional', () => {
+        const model = new CarryCostModel({}, instruments);
+        const costs = model.accrue({ symbol: 'EURUSD', side: 'long' }, 100000, '2024-01-03T12:00Z', '2024-01-04T12:00Z');
+
+        // 3.65% a year over three nights
+        expect(costs.swap).toBeCloseTo(30, 10);
+        expect(costs).toMatchObject({ borrow: 0, margin: 0, funding: 0 });
+    });
+
+    test('applies rate overrides and can be turned off', () => {
+        const overridden = new CarryCostModel({ rates: { forex: { swapLong: 0 } } }, instruments);
+        expect(overridden.accrue({ symbol: 'EURUSD', side: 'long' }, 100000, '2024-01-03T12:00Z', '2024-01-04T12:00Z').swap).toBe(0);
+
+        const disabled = new CarryCostModel({ enabled: false }, instruments);
+        expect(disabled.accrue({ symbol: 'EURUSD', side: 'short' }, 100000, '2024-01-01', '2024-01-08').swap).toBe(0);
+    });
+});
@@ -0,0 +1,87 @@
+const { SimulatedClock } = require('../../src/market/Clock.js');
+
+const START = Date.UTC(2024, 0, 2, 14, 30);
+
+describe('SimulatedClock.advanceTo', () => {
+    test('fires due timers in time order, ties in the order they were set', async () => {
+        const clock = new SimulatedClock(START);
+        const fired = [];
+        clock.setTimeout(() => fired.push(['c', clock.now().getTime() - START]), 300);
+        clock.setTimeout(() => fired.push(['a', clock.now().getTime() - START]), 100);
+        clock.setTimeout(() => fired.push(['b', clock.now().getTime() - START]), 100);
+        clock.setTimeout(() => fired.push(['late', clock.now().getTime() - START]), 1000);
+
+        await clock.advanceTo(START + 500);
+
+        expect(fired).toEqual([['a', 100], ['b', 100], ['c', 300]]);
+        expect(clock.now().getTime()).toBe(START + 500);
+        expect(clock.pending).toBe(1);
+    });
+
+    test('repeats intervals until they are cleared', async () => {
+        const clock = new SimulatedClock(START);
+        let ticks = 0;
+        const timer = clock.setInterval(() => {
+            if (++ticks === 3) clock.clearInterval(timer);
+        }, 60000);
+
+        await clock.advanceTo(START + 10 * 60000);
+
+        expect(ticks).toBe(3);
+        expect(clock.pending).toBe(0);
+    });
+
+    test('awaits async callbacks before moving on', async () => {
+        const clock = new SimulatedClock(START);
+        const order = [];
+        clock.setTimeout(async () => {
+            await Promise.resolve();
+            order.push('first done');
+        }, 10);
+        clock.setTimeout(() => order.push('second'), 20);
+
+        await clock.advanceTo(START + 20);
+
+        expect(order).toEqual(['first done', 'second']);
+    });
+
+    test('fires timers set by callbacks when they fall due in the range', async () => {
+        const clock = new SimulatedClock(START);
+        const fired = [];
+        clock.setTimeout(() => {
+            fired.push(clock.now().getTime() - START);
+            clock.setTimeout(() => fired.push(clock.now().getTime() - START), 50);
+        }, 100);
+
+        await clock.advanceTo(START + 200);
+
+        expect(fired).toEqual([100, 150]);
+    });
+
+    test('never moves backwards and keeps failing timers from stopping the clock', async () => {
+        const clock = new SimulatedClock(START);
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        let after = false;
+        clock.setTimeout(() => { throw new Error('boom'); }, 10);
+        clock.setTimeout(() => { after = true; }, 20);
+
+        await clock.advanceTo(START + 30);
+        await clock.advanceTo(START);
+
+        expect(after).toBe(true);
+        expect(error).toHaveBeenCalledTimes(1);
+        expect(clock.now().getTime()).toBe(START + 30);
+        error.mockRestore();
+    });
+
+    test('sleep advances simulated time', async () => {
+        const clock = new SimulatedClock(START);
+        let fired = false;
+        clock.setTimeout(() => { fired = true; }, 5000);
+
+        await clock.sleep(5000);
+
+        expect(fired).toBe(true);
+        expect(clock.now().getTime()).toBe(START + 5000);
+    });
+});
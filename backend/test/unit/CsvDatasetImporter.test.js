@@ -0,0 +1,66 @@
+const CsvDatasetImporter = require('../../src/market/CsvDatasetImporter.js');
+
+const csvOf = (rows) => Buffer.from(['date,open,high,low,close,volume', ...rows].join('\n'));
+
+describe('CsvDatasetImporter', () => {
+    test('reads wall-clock dates in the declared timezone as UTC bars', async () => {
+        const importer = new CsvDatasetImporter({ timeframe: '1d', timezone: 'America/New_York' });
+        const result = await importer.import(csvOf(['2024-01-02,10,11,9,10.5,100', '2024-01-03,10.5,12,10,11,200']));
+
+        expect(result.errors).toEqual([]);
+        expect(result.bars.map(bar => bar.timestamp.toISOString())).toEqual(['2024-01-02T05:00:00.000Z', '2024-01-03T05:00:00.000Z']);
+        expect(result.bars[1]).toMatchObject({ open: 10.5, high: 12, low: 10, close: 11, volume: 200 });
+    });
+
+    test('accepts daily bars across a DST switch', async () => {
+        const importer = new CsvDatasetImporter({ timeframe: '1d', timezone: 'America/New_York' });
+        const result = await importer.import(csvOf([
+            '2024-03-09,10,11,9,10,100',
+            '2024-03-10,10,11,9,10,100',
+            '2024-03-11,10,11,9,10,100',
+            '2024-03-12,10,11,9,10,100'
+        ]));
+
+        expect(result.errors).toEqual([]);
+        expect(result.bars).toHaveLength(4);
+        expect(result.bars[2].timestamp - result.bars[1].timestamp).toBe(23 * 60 * 60 * 1000);
+    });
+
+    test('accepts weekly bars across a DST switch', async () => {
+        const importer = new CsvDatasetImporter({ timeframe: '1w', timezone: 'Europe/London' });
+        const result = await importer.import(csvOf(['2024-03-25,10,11,9,10,1', '2024-04-01,10,11,9,10,1']));
+
+        expect(result.errors).toEqual([]);
+        expect(result.bars).toHaveLength(2);
+    });
+
+    test('still rejects bars closer together than the timeframe', async () => {
+        const importer = new CsvDatasetImporter({ timeframe: '1d', timezone: 'UTC' });
+        const result = await importer.import(csvOf(['2024-01-02 00:00,10,11,9,10,1', '2024-01-02 12:00,10,11,9,10,1']));
+
+        expect(result.bars).toEqual([]);
+        expect(result.errors).toEqual([
+            { row: 3, field: 'timestamp', message: 'Bar spacing 43200s is shorter than declared timeframe 1d' }
+        ]);
+    });
+
+    test('reports invalid values, inverted ranges and duplicates by row', async () => {
+        const importer = new CsvDatasetImporter({ timeframe: '1d' });
+        const result = await importer.import(csvOf([
+            '2024-01-02,10,11,9,10,1',
+            '2024-01-02,10,11,9,10,1',
+            '2024-01-04,abc,11,9,10,1',
+            '2024-01-05,10,8,9,10,1'
+        ]));
+
+        expect(result.errorCount).toBe(3);
+        expect(result.errors.map(error => [error.row, error.field])).toEqual([[3, 'timestamp'], [4, 'open'], [5, 'high']]);
+    });
+
+    test('reports missing required columns', async () => {
+        const importer = new CsvDatasetImporter({ columnMapping: { close: 'Last' } });
+        const result = await importer.import(csvOf(['2024-01-02,10,11,9,10,1']));
+
+        expect(result.errors).toEqual([{ row: 1, field: 'close', message: 'Missing column for close ("Last")' }]);
+    });
+});
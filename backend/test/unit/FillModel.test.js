@@ -0,0 +1,98 @@
+const FillModel = require('../../src/engine/FillModel.js');
+
+// 10 bps spread for every symbol
+const instruments = { get: () => ({ spreadBps: 10 }) };
+
+const bar = (open, high, low, close = open) => ({ open, high, low, close, volume: 1000 });
+const long = { symbol: 'AAPL', side: 'long', stopLoss: 95, takeProfit: 110 };
+const short = { symbol: 'AAPL', side: 'short', stopLoss: 105, takeProfit: 90 };
+
+describe('FillModel.exitOnBar', () => {
+    const model = new FillModel({ slippage: 0.001 }, instruments);
+
+    test('leaves positions whose levels the bar does not reach', () => {
+        expect(model.exitOnBar(long, bar(100, 105, 96))).toBeNull();
+        expect(model.exitOnBar(short, bar(100, 104, 91))).toBeNull();
+    });
+
+    test('fills stops as market orders past the level', () => {
+        // Sell at the bid (half of 10 bps) less 0.1% slippage
+        const exit = model.exitOnBar(long, bar(100, 101, 94));
+        expect(exit).toMatchObject({ reason: 'stop_loss', level: 95, gap: false });
+        expect(exit.price).toBeCloseTo(95 - 95 * 0.0005 - 95 * 0.001, 10);
+
+        const shortExit = model.exitOnBar(short, bar(100, 106, 99));
+        expect(shortExit).toMatchObject({ reason: 'stop_loss', level: 105 });
+        expect(shortExit.price).toBeCloseTo(105 + 105 * 0.0015, 10);
+    });
+
+    test('fills targets at their limit', () => {
+        expect(model.exitOnBar(long, bar(100, 111, 99))).toEqual({ reason: 'take_profit', price: 110, level: 110, gap: false });
+        expect(model.exitOnBar(short, bar(100, 101, 89))).toEqual({ reason: 'take_profit', price: 90, level: 90, gap: false });
+    });
+
+    test('fills at the open when the bar gaps through a level', () => {
+        expect(model.exitOnBar(long, bar(93, 96, 92))).toMatchObject({ reason: 'stop_loss', level: 93, gap: true });
+        expect(model.exitOnBar(long, bar(112, 113, 108))).toEqual({ reason: 'take_profit', price: 112, level: 112, gap: true });
+
+        const withoutGaps = new FillModel({ slippage: 0, spread: 0, gapFills: false }, instruments);
+        expect(withoutGaps.exitOnBar(long, bar(93, 96, 92))).toEqual({ reason: 'stop_loss', price: 95, level: 95, gap: false });
+    });
+
+    test('resolves bars reaching both levels by the intrabar path', () => {
+        const both = bar(100, 111, 94); // low is nearer the open
+        const reason = (intrabarPath, candle = both, finerBars = null) =>
+            new FillModel({ intrabarPath }, instruments).exitOnBar(long, candle, finerBars).reason;
+
+        expect(model.isAmbiguous(long, both)).toBe(true);
+        expect(reason('pessimistic')).toBe('stop_loss');
+        expect(reason('optimistic')).toBe('take_profit');
+        expect(reason('ohlc')).toBe('stop_loss');
+        expect(reason('ohlc', bar(105, 111, 94))).toBe('take_profit');
+        expect(reason('finer', both, [bar(100, 104, 99), bar(104, 111, 103), bar(103, 104, 94)])).toBe('take_profit');
+        expect(reason('finer', both, [])).toBe('stop_loss');
+    });
+
+    test('does not call gapped bars ambiguous', () => {
+        expect(model.isAmbiguous(long, bar(93, 111, 92))).toBe(false);
+        expect(model.isAmbiguous({ ...long, takeProfit: null }, bar(100, 111, 94))).toBe(false);
+    });
+});
+
+describe('FillModel.entryOnBar', () => {
+    const model = new FillModel({ slippage: 0.001 }, instruments);
+    const order = (side, type, price) => ({ symbol: 'AAPL', side, type, price });
+
+    test('waits until the bar reaches the order', () => {
+        expect(model.entryOnBar(order('buy', 'limit', 98), bar(100, 101, 99))).toBeNull();
+        expect(model.entryOnBar(order('buy', 'stop', 102), bar(100, 101, 99))).toBeNull();
+        expect(model.entryOnBar(order('sell', 'limit', 102), bar(100, 101, 99))).toBeNull();
+        expect(model.entryOnBar(order('sell', 'stop', 98), bar(100, 101, 99))).toBeNull();
+    });
+
+    test('fills limits at their price', () => {
+        expect(model.entryOnBar(order('buy', 'limit', 98), bar(100, 101, 97))).toEqual({ price: 98, level: 98, gap: false });
+        expect(model.entryOnBar(order('sell', 'limit', 102), bar(100, 103, 99))).toEqual({ price: 102, level: 102, gap: false });
+    });
+
+    test('fills stops as market orders at their price', () => {
+        const buy = model.entryOnBar(order('buy', 'stop', 102), bar(100, 103, 99));
+        expect(buy).toMatchObject({ level: 102, gap: false });
+        expect(buy.price).toBeCloseTo(102 + 102 * 0.0015, 10);
+
+        const sell = model.entryOnBar(order('sell', 'stop', 98), bar(100, 101, 97));
+        expect(sell.price).toBeCloseTo(98 - 98 * 0.0015, 10);
+    });
+
+    test('fills at the open when the bar gaps past the order', () => {
+        // A better open for limits, a worse one for stops
+        expect(model.entryOnBar(order('buy', 'limit', 98), bar(96, 97, 95))).toEqual({ price: 96, level: 96, gap: true });
+
+        const stop = model.entryOnBar(order('buy', 'stop', 102), bar(104, 105, 103));
+        expect(stop).toMatchObject({ level: 104, gap: true });
+        expect(stop.price).toBeCloseTo(104 + 104 * 0.0015, 10);
+
+        const withoutGaps = new FillModel({ slippage: 0, spread: 0, gapFills: false }, instruments);
+        expect(withoutGaps.entryOnBar(order('buy', 'limit', 98), bar(96, 97, 95))).toEqual({ price: 98, level: 98, gap: false });
+    });
+});
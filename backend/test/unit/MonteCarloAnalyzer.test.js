@@ -0,0 +1,49 @@
+const { MonteCarloAnalyzer } = require('../../src/engine/MonteCarloAnalyzer.js');
+
+const trade = (pnl, day) => ({ pnl, entryPrice: 100, size: 10, exitTime: new Date(Date.UTC(2024, 0, day)) });
+
+// +10%, -20%, +5% of a 10,000 account in exit order
+const trades = [trade(1000, 1), trade(-2200, 2), trade(440, 3)];
+
+describe('MonteCarloAnalyzer', () => {
+    const analyzer = new MonteCarloAnalyzer();
+
+    test('bootstraps by default, so final returns vary', () => {
+        const analysis = analyzer.analyze(trades, 10000, { iterations: 500, seed: 7 });
+
+        expect(analysis.method).toBe('bootstrap');
+        expect(analysis.original).toEqual({ finalReturn: -7.6, maxDrawdown: 20 });
+        expect(analysis.finalReturn.min).toBeLessThan(analysis.finalReturn.max);
+        expect(analysis.finalReturn.percentiles.p5).toBeLessThanOrEqual(analysis.finalReturn.percentiles.p95);
+    });
+
+    test('shuffled paths end at the original return', () => {
+        // +10%, -10%, -10%, +10%
+        const swings = [trade(1000, 1), trade(-1100, 2), trade(-990, 3), trade(891, 4)];
+        const analysis = analyzer.analyze(swings, 10000, { iterations: 200, method: 'shuffle', seed: 7 });
+
+        expect(analysis.finalReturn.min).toBe(-1.99);
+        expect(analysis.finalReturn.max).toBe(-1.99);
+        expect(analysis.probabilityOfLoss).toBe(100);
+        // Order only changes the drawdown: losses back to back or apart
+        expect(analysis.maxDrawdown.min).toBe(10);
+        expect(analysis.maxDrawdown.max).toBe(19);
+    });
+
+    test('repeats with the same seed', () => {
+        const options = { iterations: 100, skipRate: 0.2, slippage: 0.01, seed: 42 };
+        expect(analyzer.analyze(trades, 10000, options)).toEqual(analyzer.analyze(trades, 10000, options));
+    });
+
+    test('counts paths that fall to the ruin level', () => {
+        const analysis = analyzer.analyze([trade(-6000, 1), trade(500, 2)], 10000, { iterations: 50, ruinLevel: 0.5, seed: 1 });
+        expect(analysis.riskOfRuin).toBeGreaterThan(0);
+    });
+
+    test('rejects invalid settings', () => {
+        expect(() => analyzer.analyze(trades, 10000, { method: 'permute' })).toThrow(/Unknown Monte Carlo method/);
+        expect(() => analyzer.analyze(trades, 10000, { iterations: 0 })).toThrow(/iterations/);
+        expect(() => analyzer.analyze(trades, 10000, { skipRate: 1 })).toThrow(/skipRate/);
+        expect(() => analyzer.analyze([], 10000)).toThrow(expect.objectContaining({ code: 'INVALID_BACKTEST_CONFIG' }));
+    });
+});
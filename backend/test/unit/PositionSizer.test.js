@@ -0,0 +1,96 @@
+const PositionSizer = require('../../src/engine/PositionSizer.js');
+const { PositionSizingError, averageTrueRange } = PositionSizer;
+
+// AAPL trades whole shares, EURUSD lots of 1000 (minimum 1000); CUSTOM is unregistered
+const entry = { symbol: 'AAPL', price: 100, equity: 100000 };
+
+describe('PositionSizer.size', () => {
+    test('fixed-fractional loses riskPerTrade of equity at the stop', () => {
+        const sizer = new PositionSizer({ maxPositionShare: 0.5 });
+        const sized = sizer.size({ ...entry, stopLoss: 95 });
+
+        expect(sized).toMatchObject({ quantity: 400, model: 'fixed-fractional', capped: false, reason: null });
+        expect(sized.inputs).toMatchObject({ riskAmount: 2000, stopLoss: 95 });
+    });
+
+    test('caps every model at maxPositionShare of equity', () => {
+        const sized = new PositionSizer().size({ ...entry, stopLoss: 95 });
+        expect(sized).toMatchObject({ quantity: 200, requestedQuantity: 400, capped: true });
+        expect(sized.inputs.maxPositionShare).toBe(0.2);
+    });
+
+    test('fixed-notional buys a set amount of the account currency', () => {
+        expect(new PositionSizer({ model: 'fixed-notional', notional: 3000 }).size(entry).quantity).toBe(30);
+    });
+
+    test('volatility sizes the risk over ATR multiples', () => {
+        const sizer = new PositionSizer({ model: 'volatility', atrPeriod: 3, maxPositionShare: 1 });
+        expect(sizer.lookback).toBe(4);
+        expect(sizer.size({ ...entry, atr: 2 }).quantity).toBe(500);
+
+        // True ranges 2, 3 (gap from the previous close) and 4 average 3
+        const bars = [
+            { high: 101, low: 99, close: 100 },
+            { high: 102, low: 100, close: 101 },
+            { high: 104, low: 102, close: 103 },
+            { high: 105, low: 101, close: 104 }
+        ];
+        expect(averageTrueRange(bars, 3)).toBe(3);
+        expect(sizer.size({ ...entry, bars }).quantity).toBe(333);
+        expect(sizer.size({ ...entry, bars: bars.slice(1) })).toMatchObject({ quantity: 0, reason: expect.stringContaining('4 bars') });
+    });
+
+    test('kelly stakes a fraction of the Kelly share', () => {
+        const sizer = new PositionSizer({ model: 'kelly', winRate: 0.6, payoffRatio: 2, maxPositionShare: 0.5 });
+        const sized = sizer.size(entry);
+
+        // 0.6 - 0.4 / 2 = 0.4, half Kelly
+        expect(sized.quantity).toBe(200);
+        expect(sized.inputs.kelly).toBeCloseTo(0.4, 10);
+
+        const fromSignal = new PositionSizer({ model: 'kelly', maxPositionShare: 0.5 });
+        expect(fromSignal.size({ ...entry, confidence: 0.6, stopLoss: 95, takeProfit: 110 }).quantity).toBe(200);
+        expect(fromSignal.size({ ...entry, confidence: 0.3, stopLoss: 95, takeProfit: 105 })).toMatchObject({ quantity: 0, reason: expect.stringContaining('No edge') });
+    });
+
+    test('rounds down to lots and refuses sizes below the minimum', () => {
+        const sizer = new PositionSizer({ model: 'fixed-notional', notional: 5500, maxPositionShare: 1 });
+        expect(sizer.size({ symbol: 'EURUSD', price: 1.1, equity: 100000 }).quantity).toBe(5000);
+
+        const small = new PositionSizer({ model: 'fixed-notional', notional: 500 });
+        expect(small.size({ symbol: 'EURUSD', price: 1.1, equity: 100000 })).toMatchObject({ quantity: 0, reason: expect.stringContaining('below its minimum quantity') });
+    });
+
+    test('converts risk to the account currency and keeps fractional custom sizes', () => {
+        const sizer = new PositionSizer({ maxPositionShare: 1 });
+        // 2000 at risk over a 3 quote-currency stop worth 1.5 account currency
+        expect(sizer.size({ symbol: 'CUSTOM', price: 100, fxRate: 0.5, equity: 100000, stopLoss: 97 }).quantity).toBeCloseTo(1333.33, 2);
+    });
+
+    test('scales by confidence when asked', () => {
+        const sizer = new PositionSizer({ scaleByConfidence: true, maxPositionShare: 1 });
+        expect(sizer.size({ ...entry, stopLoss: 95, confidence: 0.5 }).quantity).toBe(200);
+    });
+
+    test('explains entries it cannot size', () => {
+        const sizer = new PositionSizer();
+        expect(sizer.size({ ...entry, price: 0 }).reason).toMatch(/Invalid price/);
+        expect(sizer.size({ ...entry, equity: 0 }).reason).toMatch(/No equity/);
+        expect(sizer.size(entry).reason).toMatch(/needs a stop loss/);
+    });
+});
+
+describe('PositionSizer.validate', () => {
+    test('accepts defaults and known options', () => {
+        expect(PositionSizer.validate(null)).toBeNull();
+        expect(PositionSizer.validate({ model: 'kelly', winRate: null, kellyFraction: 0.25 })).toBeNull();
+    });
+
+    test('rejects unknown options, models and out-of-range values', () => {
+        expect(PositionSizer.validate({ maxRisk: 1 })).toMatch(/Unknown positionSizing options: maxRisk/);
+        expect(PositionSizer.validate({ model: 'martingale' })).toMatch(/Unknown positionSizing.model/);
+        expect(PositionSizer.validate({ riskPerTrade: 0.5 })).toMatch(/riskPerTrade must be a number between/);
+        expect(PositionSizer.validate({ atrPeriod: 2.5 })).toMatch(/atrPeriod must be an integer/);
+        expect(() => new PositionSizer({ notional: 0 })).toThrow(PositionSizingError);
+    });
+});
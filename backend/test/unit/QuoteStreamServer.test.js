@@ -0,0 +1,87 @@
+const http = require('http');
+const net = require('net');
+const WebSocket = require('ws');
+
+jest.mock('../../src/middleware/auth.js', () => ({
+    verifyAccessToken: jest.fn(token => new Promise((resolve, reject) => setTimeout(() => (
+        token === 'valid' ? resolve({ user: { _id: 'user1' } }) : reject(new Error('Invalid token'))
+    ), 20)))
+}));
+
+const QuoteStreamServer = require('../../src/market/QuoteStreamServer.js');
+
+describe('QuoteStreamServer', () => {
+    let server;
+    let quoteServer;
+    let port;
+    const quoteStream = { source: { name: 'test' }, subscribe: jest.fn(() => () => {}) };
+
+    beforeEach(async () => {
+        server = http.createServer();
+        quoteServer = new QuoteStreamServer(quoteStream, { instruments: { has: symbol => symbol === 'AAPL' } }).attach(server);
+        await new Promise(resolve => server.listen(0, resolve));
+        port = server.address().port;
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        quoteServer.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    // Messages until `count` arrived or the socket closed
+    const collect = (socket, count) => new Promise(resolve => {
+        const messages = [];
+        socket.on('message', raw => {
+            messages.push(JSON.parse(raw.toString()));
+            if (messages.length === count) resolve(messages);
+        });
+        socket.on('close', code => resolve({ messages, code }));
+    });
+
+    test('handles a subscribe sent before the token is verified', async () => {
+        const socket = new WebSocket(`ws://localhost:${port}/ws/quotes?token=valid`);
+        socket.on('open', () => socket.send(JSON.stringify({ action: 'subscribe', symbols: ['AAPL'] })));
+
+        const messages = await collect(socket, 2);
+        socket.close();
+
+        expect(messages.map(message => message.type)).toEqual(['connected', 'subscriptions']);
+        expect(messages[1].data).toEqual(['AAPL']);
+        expect(quoteStream.subscribe).toHaveBeenCalledWith('AAPL', expect.any(Function));
+    });
+
+    test('closes unauthorized sockets without handling their messages', async () => {
+        quoteStream.subscribe.mockClear();
+        const socket = new WebSocket(`ws://localhost:${port}/ws/quotes?token=forged`);
+        socket.on('open', () => socket.send(JSON.stringify({ action: 'subscribe', symbols: ['AAPL'] })));
+
+        const { messages, code } = await collect(socket, 1);
+
+        expect(code).toBe(4401);
+        expect(messages).toEqual([]);
+        expect(quoteStream.subscribe).not.toHaveBeenCalled();
+    });
+
+    test('drops a client sending an unmasked frame instead of crashing', async () => {
+        const client = net.connect(port);
+        await new Promise(resolve => client.on('connect', resolve));
+        client.write([
+            'GET /ws/quotes?token=valid HTTP/1.1',
+            'Host: localhost',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version: 13',
+            '', ''
+        ].join('\r\n'));
+        await new Promise(resolve => client.once('data', resolve));
+
+        // Unmasked text frame "hi": clients must mask every frame
+        client.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+        await new Promise(resolve => client.on('close', resolve));
+
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('client error'), expect.stringContaining('MASK'));
+    });
+});
@@ -0,0 +1,24 @@
+const RuleStrategy = require('../../src/engine/RuleStrategy.js');
+
+const rules = entry => ({ long: { entry } });
+
+describe('RuleStrategy indicator parameters', () => {
+    test('accepts whole periods and a fractional Bollinger deviation', () => {
+        expect(new RuleStrategy(rules('close < BB(20, 2.5).lower')).warmupBars).toBe(21);
+        expect(new RuleStrategy(rules('MACD(12, 26, 9) > 0')).warmupBars).toBe(36);
+    });
+
+    test('rejects fractional periods', () => {
+        expect(() => new RuleStrategy(rules('SMA(20.5) > 0'))).toThrow(/SMA periods must be whole numbers/);
+        expect(() => new RuleStrategy(rules('close < BB(20.5, 2).lower'))).toThrow(/BB periods must be whole numbers/);
+        expect(() => new RuleStrategy(rules('STOCH(14, 2.5) > 80'))).toThrow(RuleStrategy.StrategyDefinitionError);
+    });
+
+    test('rejects lookbacks above the limit', () => {
+        expect(new RuleStrategy(rules('SMA(1000) > 0')).warmupBars).toBe(1001);
+        expect(() => new RuleStrategy(rules('SMA(100000) > 0'))).toThrow(/the limit is 1000/);
+        expect(() => new RuleStrategy(rules('ADX(600) > 25'))).toThrow(
+            expect.objectContaining({ code: 'INVALID_STRATEGY', message: expect.stringContaining('ADX needs 1200 bars') })
+        );
+    });
+});
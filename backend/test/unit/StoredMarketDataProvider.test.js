@@ -0,0 +1,80 @@
+const StoredMarketDataProvider = require('../../src/market/providers/StoredMarketDataProvider.js');
+const MarketDataCoverage = require('../../src/models/MarketDataCoverage.js');
+const MarketBar = require('../../src/models/MarketBar.js');
+
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+describe('MarketDataCoverage', () => {
+    test('merges appended ranges that overlap or touch', () => {
+        const merged = MarketDataCoverage.mergeRanges([
+            { start: day(10), end: day(12) },
+            { start: day(1), end: day(5) },
+            { start: day(5), end: day(7) },
+            { start: day(11), end: day(15) }
+        ]);
+
+        expect(merged).toEqual([{ start: day(1), end: day(7) }, { start: day(10), end: day(15) }]);
+    });
+
+    test('finds the gaps between unmerged ranges', () => {
+        const coverage = new MarketDataCoverage({
+            symbol: 'AAPL',
+            timeframe: '1d',
+            ranges: [{ start: day(10), end: day(15) }, { start: day(3), end: day(6) }, { start: day(5), end: day(8) }]
+        });
+
+        expect(coverage.getMissingRanges(day(1), day(20))).toEqual([
+            { start: day(1), end: day(3) },
+            { start: day(8), end: day(10) },
+            { start: day(15), end: day(20) }
+        ]);
+    });
+});
+
+describe('StoredMarketDataProvider.serialize', () => {
+    test('runs fills of one key one at a time, even after a failure', async () => {
+        const provider = new StoredMarketDataProvider({ name: 'stub' });
+        const events = [];
+        const task = (name, fail = false) => async () => {
+            events.push(`${name}:start`);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            events.push(`${name}:end`);
+            if (fail) throw new Error(name);
+        };
+
+        const first = provider.serialize('AAPL:1d', task('a', true));
+        const second = provider.serialize('AAPL:1d', task('b'));
+        const other = provider.serialize('MSFT:1d', task('c'));
+
+        await expect(first).rejects.toThrow('a');
+        await Promise.all([second, other]);
+        expect(events.indexOf('b:start')).toBeGreaterThan(events.indexOf('a:end'));
+        expect(events.indexOf('c:start')).toBeLessThan(events.indexOf('a:end'));
+    });
+});
+
+describe('MarketBar.replaceRange', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('upserts fetched bars and drops stored bars the upstream no longer returns', async () => {
+        const bulkWrite = jest.spyOn(MarketBar, 'bulkWrite').mockResolvedValue({});
+        const deleteMany = jest.spyOn(MarketBar, 'deleteMany').mockResolvedValue({});
+        const bar = { timestamp: day(2), open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 };
+
+        await MarketBar.replaceRange('AAPL', '1d', day(1), day(3), [bar], 'yahoo');
+
+        const [[operations]] = bulkWrite.mock.calls;
+        expect(operations).toEqual([{
+            updateOne: {
+                filter: { 'meta.symbol': 'AAPL', 'meta.timeframe': '1d', timestamp: day(2) },
+                update: { $set: { 'meta.source': 'yahoo', open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 } },
+                upsert: true
+            }
+        }]);
+        expect(deleteMany).toHaveBeenCalledWith({
+            'meta.symbol': 'AAPL',
+            'meta.timeframe': '1d',
+            timestamp: { $gte: day(1), $lte: day(3), $nin: [day(2)] }
+        });
+    });
+});